@@ -0,0 +1,327 @@
+// Admin dashboard client: reads the /admin/api endpoints (the browser resends Basic auth)
+(function () {
+    const FLAG_LABELS = {
+        consultation: 'Consultation',
+        offTopic: 'Off-topic',
+        error: 'Error'
+    };
+
+    function formatTime(iso) {
+        return iso ? new Date(iso).toLocaleString() : '';
+    }
+
+    // Build an element with text content only, so stored visitor text is never parsed as HTML
+    function el(tag, text, className) {
+        const node = document.createElement(tag);
+        if (text !== undefined && text !== null) node.textContent = String(text);
+        if (className) node.className = className;
+        return node;
+    }
+
+    function row(cells) {
+        const tr = document.createElement('tr');
+        cells.forEach(cell => {
+            const td = document.createElement('td');
+            if (cell instanceof Node) td.appendChild(cell);
+            else td.textContent = cell === null || cell === undefined ? '' : String(cell);
+            tr.appendChild(td);
+        });
+        return tr;
+    }
+
+    function emptyRow(tbody, columns, text) {
+        const td = el('td', text, 'admin-empty');
+        td.colSpan = columns;
+        const tr = document.createElement('tr');
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+
+    async function getJson(url) {
+        const response = await fetch(url, { credentials: 'same-origin' });
+        if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+        return response.json();
+    }
+
+    // Resolves with the response body; rejects with the API's validation messages
+    async function sendJson(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            credentials: 'same-origin',
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = response.status === 204 ? null : await response.json().catch(() => null);
+        if (!response.ok) {
+            const details = data && (data.details || [data.message || data.error]);
+            throw new Error((details || [`${url} returned ${response.status}`]).join(' '));
+        }
+        return data;
+    }
+
+    async function loadStats() {
+        const days = document.getElementById('stats-days').value;
+        const stats = await getJson(`api/stats?days=${encodeURIComponent(days)}`);
+
+        const totals = document.getElementById('stats-totals');
+        totals.replaceChildren();
+        [
+            ['Sessions', stats.totals.sessions],
+            ['Turns', stats.totals.turns],
+            ['Consultation turns', stats.totals.consultation],
+            ['Off-topic turns', stats.totals.offTopic],
+            ['Answered without model', stats.totals.reused],
+            ['Leads', stats.totals.leads]
+        ].forEach(([label, value]) => {
+            const card = el('div', null, 'admin-total');
+            card.appendChild(el('span', value, 'admin-total-value'));
+            card.appendChild(el('span', label, 'admin-total-label'));
+            totals.appendChild(card);
+        });
+
+        // Bars scale to the busiest day in the period
+        const busiest = Math.max(1, ...stats.daily.map(day => day.turns));
+        const tbody = document.querySelector('#stats-daily tbody');
+        tbody.replaceChildren();
+        stats.daily.slice().reverse().forEach(day => {
+            const bar = el('span', null, 'admin-bar');
+            bar.style.width = `${Math.round((day.turns / busiest) * 100)}%`;
+            tbody.appendChild(row([day.date, day.sessions, day.turns, day.consultation, day.offTopic, day.reused, bar]));
+        });
+
+        const questions = document.getElementById('top-questions');
+        questions.replaceChildren();
+        if (stats.topQuestions.length === 0) {
+            questions.appendChild(el('li', 'No questions in this period.', 'admin-empty'));
+        }
+        stats.topQuestions.forEach(item => {
+            const li = el('li', item.question);
+            li.appendChild(el('span', ` ×${item.count}`, 'admin-count'));
+            questions.appendChild(li);
+        });
+    }
+
+    function sessionFlags(session) {
+        const flags = document.createElement('span');
+        if (session.consultationIntent) flags.appendChild(el('span', FLAG_LABELS.consultation, 'admin-flag admin-flag-consultation'));
+        if (session.offTopicTurns > 0) flags.appendChild(el('span', FLAG_LABELS.offTopic, 'admin-flag admin-flag-offtopic'));
+        if (session.errorTurns > 0) flags.appendChild(el('span', FLAG_LABELS.error, 'admin-flag admin-flag-error'));
+        return flags;
+    }
+
+    async function loadSessions() {
+        const flag = document.getElementById('sessions-flag').value;
+        const data = await getJson(`api/sessions${flag ? `?flag=${encodeURIComponent(flag)}` : ''}`);
+        const tbody = document.querySelector('#sessions tbody');
+        tbody.replaceChildren();
+
+        if (data.sessions.length === 0) {
+            emptyRow(tbody, 4, 'No sessions yet.');
+            return;
+        }
+
+        data.sessions.forEach(session => {
+            const link = el('button', session.firstQuestion || '(no question)', 'admin-link');
+            link.type = 'button';
+            link.addEventListener('click', () => showTranscript(session.sessionId));
+            tbody.appendChild(row([formatTime(session.lastActivityAt), link, session.turns, sessionFlags(session)]));
+        });
+    }
+
+    // Classifier labels, e.g. "info / das 92%"; the tooltip says whether the keyword rules stepped in
+    function classificationFlag(turn) {
+        const confidence = typeof turn.confidence === 'number' ? ` ${Math.round(turn.confidence * 100)}%` : '';
+        const flag = el('span', `${turn.intent} / ${turn.topic}${confidence}`, 'admin-flag');
+        flag.title = turn.classifierFallback
+            ? `Classifier: ${turn.classifier} (${turn.classifierFallback})`
+            : `Classifier: ${turn.classifier}`;
+        return flag;
+    }
+
+    async function showTranscript(sessionId) {
+        const data = await getJson(`api/sessions/${encodeURIComponent(sessionId)}`);
+        const container = document.getElementById('transcript');
+        container.replaceChildren();
+
+        data.turns.forEach(turn => {
+            const item = el('div', null, `admin-turn admin-turn-${turn.outcome}`);
+            const meta = el('div', formatTime(turn.createdAt), 'admin-turn-meta');
+            if (turn.outcome !== 'answered') meta.appendChild(el('span', turn.outcome, 'admin-flag'));
+            if (turn.consultationIntent) meta.appendChild(el('span', FLAG_LABELS.consultation, 'admin-flag admin-flag-consultation'));
+            if (turn.intent) meta.appendChild(classificationFlag(turn));
+            item.appendChild(meta);
+            item.appendChild(el('p', turn.message, 'admin-turn-user'));
+            item.appendChild(el('p', turn.response, 'admin-turn-bot'));
+            container.appendChild(item);
+        });
+
+        const panel = document.getElementById('transcript-panel');
+        panel.hidden = false;
+        panel.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function loadLeads() {
+        const data = await getJson('api/leads');
+        const tbody = document.querySelector('#leads tbody');
+        tbody.replaceChildren();
+
+        if (data.leads.length === 0) {
+            emptyRow(tbody, 7, 'No leads yet.');
+            return;
+        }
+
+        data.leads.forEach(lead => {
+            tbody.appendChild(row([
+                formatTime(lead.createdAt),
+                lead.name,
+                lead.company,
+                lead.email,
+                lead.phone,
+                lead.buildingType,
+                lead.transcriptSummary
+            ]));
+        });
+    }
+
+    function formatPercent(ratio) {
+        return `${Math.round(ratio * 100)}%`;
+    }
+
+    function showCacheTotals(cache, answers) {
+        const totals = document.getElementById('cache-totals');
+        totals.replaceChildren();
+        const canonicalMatches = answers.reduce((sum, answer) => sum + answer.hits, 0);
+        const cards = cache.enabled
+            ? [
+                ['Cached answers', cache.entries],
+                ['Cache hit rate', formatPercent(cache.hitRate)],
+                ['Cache hits', cache.hits + cache.similarHits],
+                ['Cache misses', cache.misses]
+            ]
+            : [['Response cache', 'Off']];
+        cards.concat([['Canonical matches', canonicalMatches]]).forEach(([label, value]) => {
+            const card = el('div', null, 'admin-total');
+            card.appendChild(el('span', value, 'admin-total-value'));
+            card.appendChild(el('span', label, 'admin-total-label'));
+            totals.appendChild(card);
+        });
+        document.getElementById('cache-clear').disabled = !cache.enabled;
+    }
+
+    // "Title | page.html" lines to and from the API's { title, url } sources
+    function parseSources(text) {
+        return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+            const separator = line.lastIndexOf('|');
+            return separator < 0
+                ? { title: line, url: line }
+                : { title: line.slice(0, separator).trim(), url: line.slice(separator + 1).trim() };
+        });
+    }
+
+    function formatSources(sources) {
+        return sources.map(source => `${source.title} | ${source.url}`).join('\n');
+    }
+
+    function resetAnswerForm() {
+        const form = document.getElementById('answer-form');
+        form.reset();
+        form.elements.id.value = '';
+        document.getElementById('answer-form-title').textContent = 'New canonical answer';
+        document.getElementById('answer-cancel').hidden = true;
+        document.getElementById('answer-form-error').hidden = true;
+    }
+
+    function editAnswer(answer) {
+        const form = document.getElementById('answer-form');
+        form.elements.id.value = answer.id;
+        form.elements.lang.value = answer.lang;
+        form.elements.intent.value = answer.intent;
+        form.elements.topic.value = answer.topic;
+        form.elements.questions.value = answer.questions.join('\n');
+        form.elements.answer.value = answer.answer;
+        form.elements.sources.value = formatSources(answer.sources);
+        document.getElementById('answer-form-title').textContent = 'Edit canonical answer';
+        document.getElementById('answer-cancel').hidden = false;
+        form.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function deleteAnswer(answer) {
+        if (!window.confirm(`Delete the canonical answer for "${answer.questions[0]}"?`)) return;
+        await sendJson('DELETE', `api/answers/${encodeURIComponent(answer.id)}`);
+        await loadAnswers();
+    }
+
+    async function loadAnswers() {
+        const [data, metrics] = await Promise.all([getJson('api/answers'), getJson('api/cache')]);
+        showCacheTotals(metrics.cache, data.answers);
+
+        const tbody = document.querySelector('#answers tbody');
+        tbody.replaceChildren();
+        if (data.answers.length === 0) {
+            emptyRow(tbody, 5, 'No canonical answers yet. Questions they cover are answered without calling the model.');
+            return;
+        }
+
+        data.answers.forEach(answer => {
+            const questions = el('ul', null, 'admin-answer-questions');
+            answer.questions.forEach(question => questions.appendChild(el('li', question)));
+
+            const actions = document.createElement('span');
+            const edit = el('button', 'Edit', 'admin-link');
+            edit.type = 'button';
+            edit.addEventListener('click', () => editAnswer(answer));
+            const remove = el('button', 'Delete', 'admin-link');
+            remove.type = 'button';
+            remove.addEventListener('click', () => deleteAnswer(answer).catch(report));
+            actions.append(edit, ' ', remove);
+
+            const matches = answer.lastHitAt ? `${answer.hits} (last ${formatTime(answer.lastHitAt)})` : answer.hits;
+            tbody.appendChild(row([answer.lang, questions, el('div', answer.answer, 'admin-answer-text'), matches, actions]));
+        });
+    }
+
+    async function saveAnswer(event) {
+        event.preventDefault();
+        const form = event.target;
+        const error = document.getElementById('answer-form-error');
+        const id = form.elements.id.value;
+        const answer = {
+            lang: form.elements.lang.value,
+            intent: form.elements.intent.value,
+            topic: form.elements.topic.value,
+            questions: form.elements.questions.value.split('\n').map(line => line.trim()).filter(Boolean),
+            answer: form.elements.answer.value,
+            sources: parseSources(form.elements.sources.value)
+        };
+
+        try {
+            await sendJson(id ? 'PUT' : 'POST', id ? `api/answers/${encodeURIComponent(id)}` : 'api/answers', answer);
+        } catch (saveError) {
+            error.textContent = saveError.message;
+            error.hidden = false;
+            return;
+        }
+        resetAnswerForm();
+        await loadAnswers();
+    }
+
+    function report(error) {
+        console.error('Admin dashboard:', error);
+    }
+
+    document.getElementById('stats-days').addEventListener('change', () => loadStats().catch(report));
+    document.getElementById('sessions-flag').addEventListener('change', () => loadSessions().catch(report));
+    document.getElementById('transcript-close').addEventListener('click', () => {
+        document.getElementById('transcript-panel').hidden = true;
+    });
+    document.getElementById('answer-form').addEventListener('submit', event => saveAnswer(event).catch(report));
+    document.getElementById('answer-cancel').addEventListener('click', resetAnswerForm);
+    document.getElementById('cache-clear').addEventListener('click', () => {
+        sendJson('POST', 'api/cache/clear').then(loadAnswers).catch(report);
+    });
+
+    loadStats().catch(report);
+    loadSessions().catch(report);
+    loadAnswers().catch(report);
+    loadLeads().catch(report);
+})();
@@ -1,22 +1,824 @@
 // Linkwave Chatbot Frontend
-class LinkwaveChatbot {
+// A self-contained widget: LinkwaveChatbot.init({ apiUrl, locale, greeting, quickActions, theme, position, ctaLinks })
+// mounts it in a shadow root, so it looks the same on any page. npm run build-widget bundles this file and
+// chatbot.css into linkwave-chatbot.js, the file pages load.
+
+// Only set while the script first runs
+const CHATBOT_SCRIPT = document.currentScript;
+
+// Source links from the server are relative to the site root, the folder above the widget script,
+// so they resolve the same from fr/ pages and from other sites. Override with init({ siteUrl }).
+const CHATBOT_SITE_ROOT = window.CHATBOT_SITE_ROOT || (CHATBOT_SCRIPT
+    ? new URL('..', CHATBOT_SCRIPT.src).href
+    : new URL('/', window.location.href).href);
+
+// The widget's styles; build-widget puts chatbot.css here, and without it the widget links the file
+const CHATBOT_STYLES = null;
+
+// init({ theme }) keys and the custom properties they set (defaults under :host in chatbot.css)
+const CHATBOT_THEME_PROPERTIES = {
+    primary: '--lw-primary',
+    primaryDark: '--lw-primary-dark',
+    accent: '--lw-accent',
+    dark: '--lw-dark',
+    font: '--lw-font',
+    titleFont: '--lw-title-font'
+};
+
+// Feather icons (MIT), inline so the widget doesn't need the page's icon font
+const CHATBOT_ICONS = {
+    chat: '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>',
+    wifi: '<path d="M5 12.55a11 11 0 0 1 14.08 0"/><path d="M1.42 9a16 16 0 0 1 21.16 0"/><path d="M8.53 16.11a6 6 0 0 1 6.95 0"/><line x1="12" y1="20" x2="12.01" y2="20"/>',
+    plus: '<line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/>',
+    close: '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>',
+    send: '<line x1="22" y1="2" x2="11" y2="13"/><polygon points="22 2 15 22 11 13 2 9 22 2"/>',
+    type: '<polyline points="4 7 4 4 20 4 20 7"/><line x1="9" y1="20" x2="15" y2="20"/><line x1="12" y1="4" x2="12" y2="20"/>',
+    download: '<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>'
+};
+
+// Elements Tab can reach, for keeping focus inside the open window
+const CHATBOT_FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+function chatbotIcon(name) {
+    return `<svg class="chatbot-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false">${CHATBOT_ICONS[name]}</svg>`;
+}
+
+// Pages behind the careers and contact calls to action, relative to the site root; init({ ctaLinks }) overrides them
+const CHATBOT_CTA_PAGES = {
+    careers: 'careers.html',
+    contact: 'contact_us.html'
+};
+
+// Interface text per language; the widget follows init({ locale }), or the page's <html lang>
+const CHATBOT_STRINGS = {
+    en: {
+        title: 'Linkwave Assistant',
+        subtitle: 'Your wireless solution expert 😊',
+        newChat: 'Start new chat',
+        close: 'Close chatbot',
+        typingEffect: 'Typing animation',
+        toggleText: 'Chat with us',
+        unreadReply: '1 new reply',
+        unreadReplies: '{count} new replies',
+        conversation: 'Conversation',
+        inputPlaceholder: 'Type your message...',
+        inputLabel: 'Chatbot message input',
+        send: 'Send message',
+        quickActionsLabel: 'Suggested questions',
+        quickActions: [
+            { message: 'Who is Linkwave?', label: 'Who is Linkwave? 👋' },
+            { message: 'What is DAS?', label: 'What is DAS? 📡' },
+            { message: 'Tell me about your services', label: 'Our Services 🛠️' },
+            { message: 'Book a consultation', label: 'Book Consultation 📅' }
+        ],
+        greeting: 'Hello! I\'m your Linkwave assistant. I can answer questions about DAS systems, wireless solutions, and help you book a consultation with our team. How can I help you today?',
+        emptyMessage: 'Message cannot be empty',
+        messageTooLong: 'Message is too long (max {max} characters)',
+        invalidMessage: 'Please enter a valid message.',
+        tooManyRequests: 'Too many requests. Please wait a moment and try again.',
+        serverError: 'Server error. Please try again later.',
+        connectionError: 'I apologize, but I\'m having trouble connecting right now. Please contact us directly at 1-888-859-2673 or info@linkwavewireless.com for immediate assistance.',
+        timeoutError: 'The request took too long. Please try again or contact us directly at 1-888-859-2673.',
+        replyLost: 'Sorry, the answer to your last question was interrupted. Please ask again.',
+        sources: 'Sources:',
+        related: 'Related:',
+        ctaPrompt: 'Ready to discuss your wireless needs?',
+        ctaBook: 'Book Consultation',
+        ctaCall: 'Call Us: 1-888-859-2673',
+        ctaCareersPrompt: 'Interested in joining the Linkwave team?',
+        ctaCareers: 'View Open Positions',
+        ctaContactPrompt: 'Need help from our team?',
+        ctaContact: 'Contact Us',
+        leadTitle: 'Book a consultation',
+        leadName: 'Name *',
+        leadCompany: 'Company',
+        leadEmail: 'Email *',
+        leadPhone: 'Phone',
+        leadBuildingType: 'Building type',
+        leadSelect: 'Select...',
+        buildingTypes: {
+            office: 'Office / commercial',
+            hospital: 'Hospital / healthcare',
+            transit: 'Transit / infrastructure',
+            industrial: 'Industrial / warehouse',
+            'data-centre': 'Data centre',
+            education: 'Education / campus',
+            government: 'Government',
+            residential: 'Residential',
+            retail: 'Retail',
+            other: 'Other'
+        },
+        leadSquareFootage: 'Square footage',
+        leadCarriers: 'Carriers needed',
+        leadCarrierOther: 'Other',
+        leadPublicSafety: 'Public safety (first responder) coverage?',
+        publicSafetyOptions: { yes: 'Yes', no: 'No', unsure: 'Not sure' },
+        leadNotes: 'Anything else?',
+        leadSubmit: 'Send Request',
+        leadCancel: 'Cancel',
+        leadNameRequired: 'Name is required',
+        leadEmailInvalid: 'Enter a valid email address',
+        leadSending: 'Sending...',
+        leadCheckFields: 'Please check the highlighted fields.',
+        leadSuccess: 'Thanks, {name}! Your request has been sent. Our team will contact you within one business day.',
+        leadUnreachable: 'Could not reach our server. Please try again or call 1-888-859-2673.',
+        exportConversation: 'Save conversation',
+        exportTitle: 'Save this conversation',
+        exportMarkdown: 'Download Markdown',
+        exportPdf: 'Download PDF',
+        exportEmail: 'Or email it to',
+        exportSend: 'Email Transcript',
+        exportClose: 'Close',
+        exportSent: 'Sent! Check {email} for your conversation.',
+        exportExpired: 'This conversation has expired on our server. Please download it instead.',
+        exportAlreadySent: 'This conversation has already been emailed. Please download it instead.',
+        transcriptSaved: 'Conversation saved {date}',
+        transcriptUser: 'You',
+        transcriptEmail: 'Email: info@linkwavewireless.com'
+    },
+    fr: {
+        title: 'Assistant Linkwave',
+        subtitle: 'Votre expert en solutions sans fil 😊',
+        newChat: 'Nouvelle conversation',
+        close: 'Fermer le clavardage',
+        typingEffect: 'Animation de saisie',
+        toggleText: 'Clavardez avec nous',
+        unreadReply: '1 nouvelle réponse',
+        unreadReplies: '{count} nouvelles réponses',
+        conversation: 'Conversation',
+        inputPlaceholder: 'Écrivez votre message...',
+        inputLabel: 'Message pour l\'assistant',
+        send: 'Envoyer le message',
+        quickActionsLabel: 'Questions suggérées',
+        quickActions: [
+            { message: 'Qui est Linkwave?', label: 'Qui est Linkwave? 👋' },
+            { message: 'Qu\'est-ce qu\'un DAS?', label: 'Qu\'est-ce qu\'un DAS? 📡' },
+            { message: 'Parlez-moi de vos services', label: 'Nos services 🛠️' },
+            { message: 'Je veux réserver une consultation', label: 'Réserver une consultation 📅' }
+        ],
+        greeting: 'Bonjour! Je suis l\'assistant Linkwave. Je peux répondre à vos questions sur les systèmes DAS et les solutions sans fil, et vous aider à réserver une consultation avec notre équipe. Comment puis-je vous aider aujourd\'hui?',
+        emptyMessage: 'Le message ne peut pas être vide',
+        messageTooLong: 'Le message est trop long (maximum {max} caractères)',
+        invalidMessage: 'Veuillez entrer un message valide.',
+        tooManyRequests: 'Trop de demandes. Veuillez patienter un moment et réessayer.',
+        serverError: 'Erreur du serveur. Veuillez réessayer plus tard.',
+        connectionError: 'Désolé, j\'ai de la difficulté à me connecter en ce moment. Communiquez directement avec nous au 1-888-859-2673 ou à info@linkwavewireless.com pour une aide immédiate.',
+        timeoutError: 'La demande a pris trop de temps. Veuillez réessayer ou nous joindre directement au 1-888-859-2673.',
+        replyLost: 'Désolé, la réponse à votre dernière question a été interrompue. Veuillez la poser de nouveau.',
+        sources: 'Sources :',
+        related: 'À voir aussi :',
+        ctaPrompt: 'Prêt à discuter de vos besoins sans fil?',
+        ctaBook: 'Réserver une consultation',
+        ctaCall: 'Appelez-nous : 1-888-859-2673',
+        ctaCareersPrompt: 'Envie de vous joindre à l\'équipe Linkwave?',
+        ctaCareers: 'Voir les postes ouverts',
+        ctaContactPrompt: 'Besoin de l\'aide de notre équipe?',
+        ctaContact: 'Contactez-nous',
+        leadTitle: 'Réserver une consultation',
+        leadName: 'Nom *',
+        leadCompany: 'Entreprise',
+        leadEmail: 'Courriel *',
+        leadPhone: 'Téléphone',
+        leadBuildingType: 'Type de bâtiment',
+        leadSelect: 'Choisir...',
+        buildingTypes: {
+            office: 'Bureaux / commercial',
+            hospital: 'Hôpital / santé',
+            transit: 'Transport / infrastructure',
+            industrial: 'Industriel / entrepôt',
+            'data-centre': 'Centre de données',
+            education: 'Éducation / campus',
+            government: 'Gouvernement',
+            residential: 'Résidentiel',
+            retail: 'Commerce de détail',
+            other: 'Autre'
+        },
+        leadSquareFootage: 'Superficie (pi²)',
+        leadCarriers: 'Fournisseurs requis',
+        leadCarrierOther: 'Autre',
+        leadPublicSafety: 'Couverture de sécurité publique (premiers répondants)?',
+        publicSafetyOptions: { yes: 'Oui', no: 'Non', unsure: 'Je ne sais pas' },
+        leadNotes: 'Autre chose?',
+        leadSubmit: 'Envoyer la demande',
+        leadCancel: 'Annuler',
+        leadNameRequired: 'Le nom est requis',
+        leadEmailInvalid: 'Entrez une adresse courriel valide',
+        leadSending: 'Envoi en cours...',
+        leadCheckFields: 'Veuillez vérifier les champs en surbrillance.',
+        leadSuccess: 'Merci, {name}! Votre demande a été envoyée. Notre équipe communiquera avec vous d\'ici un jour ouvrable.',
+        leadUnreachable: 'Impossible de joindre notre serveur. Veuillez réessayer ou appeler le 1-888-859-2673.',
+        exportConversation: 'Enregistrer la conversation',
+        exportTitle: 'Enregistrer cette conversation',
+        exportMarkdown: 'Télécharger en Markdown',
+        exportPdf: 'Télécharger en PDF',
+        exportEmail: 'Ou l\'envoyer à',
+        exportSend: 'Envoyer par courriel',
+        exportClose: 'Fermer',
+        exportSent: 'Envoyé! Consultez {email} pour retrouver votre conversation.',
+        exportExpired: 'Cette conversation a expiré sur notre serveur. Veuillez plutôt la télécharger.',
+        exportAlreadySent: 'Cette conversation a déjà été envoyée par courriel. Veuillez plutôt la télécharger.',
+        transcriptSaved: 'Conversation enregistrée le {date}',
+        transcriptUser: 'Vous',
+        transcriptEmail: 'Courriel : info@linkwavewireless.com'
+    }
+};
+
+// Markdown in chat messages is built straight into DOM nodes: only these tags are ever created and
+// all text is set as text, so nothing in an answer can add markup of its own
+const CHATBOT_MARKDOWN_TAGS = ['p', 'br', 'strong', 'em', 'code', 'pre', 'a', 'ul', 'ol', 'li', 'h4', 'h5', 'h6', 'blockquote', 'hr'];
+
+// Links with any other scheme (javascript:, data:...) are shown as their text
+const CHATBOT_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const CHATBOT_LIST_ITEM = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const CHATBOT_LIST_CONTINUATION = /^\s{2,}\S/;
+const CHATBOT_FENCE = /^\s*```/;
+const CHATBOT_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const CHATBOT_QUOTE = /^\s{0,3}>\s?(.*)$/;
+const CHATBOT_RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+
+// Inline markup; where two start at the same place, the first listed wins
+const CHATBOT_INLINE = [
+    { type: 'escape', pattern: /\\(?<text>[\\`*_[\]()#+\-.!>])/ },
+    { type: 'code', pattern: /`(?<text>[^`]+)`/ },
+    { type: 'link', pattern: /\[(?<text>[^\]]+)\]\(\s*<?(?<href>(?:[^\s()<>]|\([^\s()<>]*\))+)>?\s*\)/ },
+    { type: 'url', pattern: /(?<text>https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"*_])/ },
+    { type: 'strong', pattern: /\*\*(?<text>\S(?:[\s\S]*?\S)?)\*\*/ },
+    { type: 'strong', pattern: /(?<lead>^|\W)__(?<text>\S(?:[\s\S]*?\S)?)__(?!\w)/ },
+    { type: 'em', pattern: /\*(?<text>[^\s*](?:[^*]*[^\s*])?)\*/ },
+    { type: 'em', pattern: /(?<lead>^|\W)_(?<text>[^\s_](?:[^_]*[^\s_])?)_(?!\w)/ }
+];
+
+class ChatbotMarkdown {
+    // Relative links resolve against siteRoot
+    constructor(siteRoot) {
+        this.siteRoot = siteRoot;
+    }
+
+    // Replace the element's content with the rendered text
+    render(element, text) {
+        element.replaceChildren(this.fragment(text || ''));
+    }
+
+    // For text that grows (streamed tokens, the typing effect): returns an update(text) function.
+    // Blocks ended by a blank line are rendered once and kept; each update parses only the last one.
+    stream(element) {
+        let settledLength = 0;
+        let tail = [];
+        element.replaceChildren();
+
+        return (text) => {
+            if (text.length < settledLength) {
+                settledLength = 0;
+                tail = [];
+                element.replaceChildren();
+            }
+            let rest = text.slice(settledLength);
+            let blocks = this.splitBlocks(rest);
+            while (blocks.length > 1 && this.isSettled(rest, blocks)) {
+                tail.forEach(node => node.remove());
+                tail = [];
+                element.appendChild(this.fragment(rest.slice(blocks[0].start, blocks[0].end)));
+                settledLength += blocks[1].start;
+                rest = text.slice(settledLength);
+                blocks = this.splitBlocks(rest);
+            }
+
+            tail.forEach(node => node.remove());
+            const fragment = this.fragment(rest);
+            tail = [...fragment.childNodes];
+            element.appendChild(fragment);
+        };
+    }
+
+    // The text as plain lines, for exports that can't show markup: one line per paragraph line,
+    // heading and list item, and links followed by their address
+    plainText(text) {
+        const lines = [];
+        const inline = (node) => [...node.childNodes].map(child => {
+            if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+            if (child.tagName === 'BR') return '\n';
+            if (child.tagName === 'UL' || child.tagName === 'OL') return '';
+            const content = inline(child);
+            const address = child.tagName === 'A' ? child.href.replace(/^mailto:/, '') : '';
+            // Addresses already written out in the text aren't repeated
+            if (address && !address.startsWith('tel:') && !/^https?:\/\//.test(content) && address !== content) {
+                return `${content} (${address})`;
+            }
+            return content;
+        }).join('');
+        const blocks = (elements, prefix) => elements.forEach(child => {
+            if (child.tagName === 'PRE') {
+                child.textContent.split('\n').forEach(line => lines.push(`${prefix}    ${line}`));
+            } else if (child.tagName === 'BLOCKQUOTE') {
+                blocks([...child.children], `${prefix}> `);
+            } else if (child.tagName === 'HR') {
+                lines.push(`${prefix}---`);
+            } else if (child.tagName === 'UL' || child.tagName === 'OL') {
+                [...child.children].forEach((item, index) => {
+                    const marker = child.tagName === 'OL' ? `${child.start + index}. ` : '- ';
+                    inline(item).split('\n').forEach((line, i) => lines.push(prefix + (i === 0 ? marker : '   ') + line));
+                    blocks([...item.children].filter(el => el.tagName === 'UL' || el.tagName === 'OL'), `${prefix}   `);
+                });
+            } else {
+                inline(child).split('\n').forEach(line => lines.push(prefix + line));
+            }
+        });
+        blocks([...this.fragment(text || '').children], '');
+        return lines.join('\n');
+    }
+
+    fragment(text) {
+        const fragment = document.createDocumentFragment();
+        this.renderBlocks(this.splitInlineLists(text).split('\n'), fragment);
+        return fragment;
+    }
+
+    element(tag) {
+        if (!CHATBOT_MARKDOWN_TAGS.includes(tag)) throw new Error(`Markdown tag not allowed: ${tag}`);
+        return document.createElement(tag);
+    }
+
+    // "Steps: 1. Survey 2. Design 3. Install" puts one item on each line. Only numbers counting up from
+    // 1 are split, so "version 2. Then" stays as written.
+    splitInlineLists(text) {
+        let inFence = false;
+        return text.split('\n').map(line => {
+            if (CHATBOT_FENCE.test(line)) inFence = !inFence;
+            if (inFence) return line;
+
+            const run = [];
+            for (const marker of line.matchAll(/(^|\s)(\d{1,2})\.\s+(?=\S)/g)) {
+                if (Number(marker[2]) === run.length + 1) run.push(marker.index + marker[1].length);
+            }
+            if (run.length < 2) return line;
+            const cuts = [...new Set([0, ...run])];
+            return cuts
+                .map((start, i) => line.slice(start, cuts[i + 1]).trim())
+                .filter(Boolean)
+                .join('\n');
+        }).join('\n');
+    }
+
+    startsBlock(line) {
+        return CHATBOT_FENCE.test(line) || CHATBOT_HEADING.test(line) || CHATBOT_RULE.test(line) ||
+            CHATBOT_QUOTE.test(line) || CHATBOT_LIST_ITEM.test(line);
+    }
+
+    continuesList(line) {
+        return CHATBOT_LIST_ITEM.test(line) || CHATBOT_LIST_CONTINUATION.test(line);
+    }
+
+    renderBlocks(lines, parent) {
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            if (CHATBOT_FENCE.test(line)) {
+                const code = [];
+                for (i++; i < lines.length && !CHATBOT_FENCE.test(lines[i]); i++) code.push(lines[i]);
+                i++;
+                const pre = this.element('pre');
+                const codeElement = this.element('code');
+                codeElement.textContent = code.join('\n');
+                pre.appendChild(codeElement);
+                parent.appendChild(pre);
+                continue;
+            }
+
+            const heading = line.match(CHATBOT_HEADING);
+            if (heading) {
+                // The widget's title is an h3, so message headings start at h4
+                const element = this.element(`h${Math.min(heading[1].length + 3, 6)}`);
+                this.renderInline(heading[2], element);
+                parent.appendChild(element);
+                i++;
+                continue;
+            }
+
+            if (CHATBOT_RULE.test(line)) {
+                parent.appendChild(this.element('hr'));
+                i++;
+                continue;
+            }
+
+            if (CHATBOT_QUOTE.test(line)) {
+                const quoted = [];
+                for (; i < lines.length && CHATBOT_QUOTE.test(lines[i]); i++) quoted.push(lines[i].match(CHATBOT_QUOTE)[1]);
+                const quote = this.element('blockquote');
+                this.renderBlocks(quoted, quote);
+                parent.appendChild(quote);
+                continue;
+            }
+
+            if (CHATBOT_LIST_ITEM.test(line)) {
+                const listLines = [line];
+                // A list runs on over indented lines, text right under an item, and blank lines
+                // followed by more of the list
+                for (i++; i < lines.length; i++) {
+                    const next = lines[i];
+                    if (next.trim()) {
+                        const lazy = lines[i - 1].trim() && !this.startsBlock(next);
+                        if (!this.continuesList(next) && !lazy) break;
+                        listLines.push(next);
+                    } else {
+                        const following = lines.slice(i + 1).find(l => l.trim());
+                        if (!following || !this.continuesList(following)) break;
+                    }
+                }
+                this.renderList(listLines, parent);
+                continue;
+            }
+
+            // A paragraph runs to a blank line or another block; single newlines are line breaks
+            const paragraph = this.element('p');
+            this.renderInline(line.trim(), paragraph);
+            for (i++; i < lines.length && lines[i].trim() && !this.startsBlock(lines[i]); i++) {
+                paragraph.appendChild(this.element('br'));
+                this.renderInline(lines[i].trim(), paragraph);
+            }
+            parent.appendChild(paragraph);
+        }
+    }
+
+    // Items indented two or more spaces past the item above go in a list inside it
+    renderList(lines, parent) {
+        const open = []; // lists from the outermost in: { indent, ordered, list, item }
+
+        const openList = (container, indent, ordered, marker) => {
+            const list = this.element(ordered ? 'ol' : 'ul');
+            const start = parseInt(marker, 10);
+            if (ordered && start !== 1) {
+                list.start = start;
+                list.style.counterReset = `item ${start - 1}`;
+            }
+            container.appendChild(list);
+            open.push({ indent, ordered, list, item: null });
+        };
+
+        lines.forEach(line => {
+            const match = line.match(CHATBOT_LIST_ITEM);
+            const current = open[open.length - 1];
+            if (!match) {
+                // More text for the item above
+                current.item.appendChild(this.element('br'));
+                this.renderInline(line.trim(), current.item);
+                return;
+            }
+
+            const indent = match[1].replace(/\t/g, '    ').length;
+            const ordered = /\d/.test(match[2]);
+            while (open.length > 1 && indent < open[open.length - 1].indent) open.pop();
+            const top = open[open.length - 1];
+            if (!top) {
+                openList(parent, indent, ordered, match[2]);
+            } else if (indent >= top.indent + 2 && top.item) {
+                openList(top.item, indent, ordered, match[2]);
+            } else if (top.ordered !== ordered) {
+                // Bullets turning into numbers at the same level start a new list
+                open.pop();
+                openList(top.list.parentNode, indent, ordered, match[2]);
+            }
+
+            const list = open[open.length - 1];
+            list.item = this.element('li');
+            this.renderInline(match[3], list.item);
+            list.list.appendChild(list.item);
+        });
+    }
+
+    renderInline(text, parent, allowLinks = true) {
+        let rest = text;
+        while (rest) {
+            let next = null;
+            for (const rule of CHATBOT_INLINE) {
+                if (!allowLinks && (rule.type === 'link' || rule.type === 'url')) continue;
+                const match = rule.pattern.exec(rest);
+                if (match && (!next || match.index < next.match.index)) next = { type: rule.type, match };
+            }
+            if (!next) {
+                parent.appendChild(document.createTextNode(rest));
+                return;
+            }
+
+            const { type, match } = next;
+            const before = rest.slice(0, match.index) + (match.groups.lead || '');
+            if (before) parent.appendChild(document.createTextNode(before));
+            this.renderToken(type, match.groups, parent, allowLinks);
+            rest = rest.slice(match.index + match[0].length);
+        }
+    }
+
+    renderToken(type, { text, href }, parent, allowLinks) {
+        if (type === 'escape') {
+            parent.appendChild(document.createTextNode(text));
+        } else if (type === 'code') {
+            const code = this.element('code');
+            code.textContent = text;
+            parent.appendChild(code);
+        } else if (type === 'link' || type === 'url') {
+            const link = this.link(href || text);
+            if (type === 'url' && link) {
+                link.textContent = text;
+            } else {
+                // Link text is never itself a link; a link that isn't allowed keeps only its text
+                this.renderInline(text, link || parent, false);
+            }
+            if (link) parent.appendChild(link);
+        } else {
+            const element = this.element(type);
+            this.renderInline(text, element, allowLinks);
+            parent.appendChild(element);
+        }
+    }
+
+    // Pages on the same site as the page open in place; other sites open in a new tab that can't
+    // reach back to this one
+    link(href) {
+        let url;
+        try {
+            url = new URL(href, this.siteRoot);
+        } catch (error) {
+            return null;
+        }
+        if (!CHATBOT_LINK_PROTOCOLS.includes(url.protocol)) return null;
+
+        const link = this.element('a');
+        link.href = url.href;
+        if (/^https?:$/.test(url.protocol) && url.origin !== window.location.origin) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        return link;
+    }
+
+    // Split text at blank lines outside code blocks into { start, end } blocks, keeping a list that
+    // runs on past a blank line in one block
+    splitBlocks(text) {
+        const blocks = [];
+        let start = null;
+        let offset = 0;
+        let inFence = false;
+        text.split('\n').forEach(line => {
+            if (CHATBOT_FENCE.test(line)) inFence = !inFence;
+            if (line.trim() || inFence) {
+                if (start === null) start = offset;
+            } else if (start !== null) {
+                blocks.push({ start, end: offset - 1 });
+                start = null;
+            }
+            offset += line.length + 1;
+        });
+        if (start !== null) blocks.push({ start, end: text.length });
+
+        return blocks.reduce((merged, block) => {
+            const previous = merged[merged.length - 1];
+            if (previous && this.endsList(text.slice(previous.start, previous.end)) &&
+                this.continuesList(text.slice(block.start).split('\n')[0])) {
+                previous.end = block.end;
+            } else {
+                merged.push(block);
+            }
+            return merged;
+        }, []);
+    }
+
+    endsList(block) {
+        const lines = block.split('\n');
+        return lines.some(line => CHATBOT_LIST_ITEM.test(line)) && this.continuesList(lines[lines.length - 1]);
+    }
+
+    // The first block is finished once the next has begun, and for a list, once the next block's first
+    // line is complete and so known not to carry the list on
+    isSettled(text, blocks) {
+        if (!this.endsList(text.slice(blocks[0].start, blocks[0].end))) return true;
+        return text.indexOf('\n', blocks[1].start) !== -1;
+    }
+}
+
+// Helvetica advance widths in 1/1000 em for characters 32 to 126, for wrapping PDF text
+const CHATBOT_PDF_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters outside Latin-1 that the PDF fonts' WinAnsi encoding has
+const CHATBOT_PDF_WINANSI = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+// A text-only PDF on Letter pages in Helvetica, built without a library. Characters the standard
+// fonts can't show (emoji) are left out.
+class ChatbotPdf {
     constructor() {
+        this.width = 612;
+        this.height = 792;
+        this.margin = 54;
+        this.pages = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        this.y = this.height - this.margin;
+    }
+
+    encode(text) {
+        return [...text.normalize('NFC')].map(char => {
+            const code = char.charCodeAt(0);
+            if (CHATBOT_PDF_WINANSI[char]) return String.fromCharCode(CHATBOT_PDF_WINANSI[char]);
+            return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? char : '';
+        }).join('');
+    }
+
+    // Accented letters are as wide as their base letter; bold runs about a tenth wider
+    textWidth(text, size, bold) {
+        const units = [...text].reduce((sum, char) => {
+            const code = char.normalize('NFD').charCodeAt(0);
+            return sum + (code >= 32 && code <= 126 ? CHATBOT_PDF_WIDTHS[code - 32] : 556);
+        }, 0);
+        return units * size / 1000 * (bold ? 1.1 : 1);
+    }
+
+    // Break text into lines that fit the width, splitting words longer than a line
+    wrap(text, maxWidth, size, bold) {
+        const lines = [];
+        let line = '';
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (this.textWidth(candidate, size, bold) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = '';
+            for (const char of word) {
+                if (line && this.textWidth(line + char, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+        return lines;
+    }
+
+    // Add text, one paragraph per line, starting a new page when this one is full
+    write(text, { size = 10, bold = false, indent = 0, gap = 6 } = {}) {
+        const lineHeight = size * 1.4;
+        text.split('\n').forEach(paragraph => {
+            // Leading spaces (nested list items, code) indent the whole paragraph
+            const left = indent + this.textWidth(paragraph.match(/^ */)[0], size, bold);
+            const maxWidth = this.width - 2 * this.margin - left;
+            this.wrap(this.encode(paragraph.trimStart()), maxWidth, size, bold).forEach(line => {
+                if (this.y - lineHeight < this.margin) this.addPage();
+                this.y -= lineHeight;
+                const escaped = line.replace(/[\\()]/g, '\\$&');
+                this.page.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${(this.margin + left).toFixed(2)} ${this.y.toFixed(2)} Td (${escaped}) Tj ET`);
+            });
+        });
+        this.y -= gap;
+    }
+
+    // The finished file. Every character is one byte, so string offsets are byte offsets.
+    toBlob() {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${this.pages.map((page, i) => `${5 + 2 * i} 0 R`).join(' ')}] /Count ${this.pages.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+        this.pages.forEach((page, i) => {
+            const content = page.join('\n');
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + 2 * i} 0 R >>`,
+                `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+            );
+        });
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return new Blob([Uint8Array.from(pdf, char => char.charCodeAt(0))], { type: 'application/pdf' });
+    }
+}
+
+class LinkwaveChatbot {
+    // Mount the widget, replacing one already on the page. Every option is optional:
+    // apiUrl, locale ('en' or 'fr'), greeting, quickActions (strings or { message, label }),
+    // theme (see CHATBOT_THEME_PROPERTIES), position ('bottom-right' or 'bottom-left'),
+    // ctaLinks ({ careers, contact } page URLs), siteUrl (where source links point) and
+    // typingEffect (false to show answers at once; visitors can switch it in the header).
+    static init(options = {}) {
+        if (window.linkwaveChatbot) window.linkwaveChatbot.destroy();
+        window.linkwaveChatbot = new LinkwaveChatbot(options);
+        return window.linkwaveChatbot;
+    }
+
+    constructor(options = {}) {
+        this.options = options;
+        this.siteRoot = options.siteUrl ? new URL(options.siteUrl, window.location.href).href : CHATBOT_SITE_ROOT;
+        this.markdown = new ChatbotMarkdown(this.siteRoot);
+
         // Security: Make API URL configurable - detect from current domain or use environment
-        // In production, set window.CHATBOT_API_URL or use relative path
+        // By default the API is on the server the widget comes from, so other sites reach Linkwave's
         const defaultApiUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
             ? 'http://localhost:3000/api/chat'
-            : '/api/chat'; // Use relative path in production (assumes same domain)
+            : new URL('/api/chat', this.siteRoot).href;
         
-        this.apiUrl = window.CHATBOT_API_URL || defaultApiUrl;
+        this.apiUrl = options.apiUrl || window.CHATBOT_API_URL || defaultApiUrl;
+        // Streaming endpoint (Server-Sent Events) lives next to the JSON endpoint
+        this.streamUrl = window.CHATBOT_STREAM_URL || `${this.apiUrl.replace(/\/$/, '')}/stream`;
+        // Consultation bookings are stored by the same server
+        this.leadsUrl = window.CHATBOT_LEADS_URL || this.apiUrl.replace(/\/chat\/?$/, '/leads');
+        // ...and emails visitors their conversation
+        this.transcriptsUrl = window.CHATBOT_TRANSCRIPTS_URL || this.apiUrl.replace(/\/chat\/?$/, '/transcripts/email');
+        // Proof-of-work challenge a new session's first message must solve (404 when the server doesn't ask)
+        this.challengeUrl = window.CHATBOT_CHALLENGE_URL || `${this.apiUrl.replace(/\/$/, '')}/challenge`;
+        // Where a page collects the answer to a question asked on the page before it
+        this.sessionsUrl = window.CHATBOT_SESSIONS_URL || `${this.apiUrl.replace(/\/$/, '')}/sessions`;
+        this.proofPromise = null;
         this.isOpen = false;
         this.isProcessing = false; // Track if a message is currently being sent/processed
+        this.refocusInput = false; // Whether to focus the input again once a reply is in
         this.conversationHistory = [];
         this.storageKey = 'linkwave_chatbot_history';
         this.storageTimestampKey = 'linkwave_chatbot_timestamp';
+        this.sessionKey = 'linkwave_chatbot_session'; // Server-issued id; the server keeps the conversation history
+        this.draftKey = 'linkwave_chatbot_draft'; // sessionStorage: a message another page (the DAS calculator) left to send
+        this.typingKey = 'linkwave_chatbot_typing'; // The visitor's typing animation setting, 'on' or 'off'
+        this.openKey = 'linkwave_chatbot_open'; // 'true' while the window is open, so other tabs and the next page match
+        this.unreadKey = 'linkwave_chatbot_unread'; // Replies that came in while the window was closed
+        this.pendingKey = 'linkwave_chatbot_pending'; // { requestId, startedAt, orphaned } while a reply is being written
+        this.sessionId = null;
+        this.requestId = null; // The request whose reply this tab shows when it's done
+        this.watch = null; // A reply another tab asked for, or one the previous page left behind
+        this.pendingExpiryMs = 90000; // Stop waiting for a reply after a minute and a half
+        // Other tabs show the reply as it's written; storage events carry everything else
+        this.channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('linkwave_chatbot') : null;
         this.historyExpiryHours = 3; // Chat history expires after 3 hours
         this.maxMessageLength = 250; // Security: Limit message length (casual use case)
+        this.lang = this.normalizeLanguage(options.locale || window.CHATBOT_LANG || document.documentElement.lang);
+        this.position = options.position === 'bottom-left' ? 'left' : 'right';
+        this.ctaLinks = options.ctaLinks || {};
+        // A custom greeting and quick replies, shown instead of the built-in ones for this.lang
+        this.customStrings = {};
+        if (typeof options.greeting === 'string' && options.greeting.trim()) {
+            this.customStrings.greeting = options.greeting.trim();
+        }
+        if (Array.isArray(options.quickActions)) {
+            this.customStrings.quickActions = options.quickActions
+                .map(action => (typeof action === 'string' ? { message: action } : action))
+                .filter(action => action && typeof action.message === 'string' && action.message.trim())
+                .map(action => ({ message: action.message, label: action.label || action.message }));
+        }
+        this.typingEffect = this.loadTypingEffect(options.typingEffect);
+        this.onKeydown = (e) => {
+            if (!this.isOpen) return;
+            if (e.key === 'Escape') {
+                this.closeChatbot();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        };
+        this.onStorage = (e) => this.syncFromStorage(e);
+        this.onPageHide = () => this.handOffReply();
         this.loadHistory();
-        this.init();
+        this.mount();
+    }
+
+    // "fr-CA" -> "fr"; anything unsupported falls back to English
+    normalizeLanguage(value) {
+        const code = String(value || '').toLowerCase().split(/[-_]/)[0];
+        return CHATBOT_STRINGS[code] ? code : 'en';
+    }
+
+    // Look up interface text, filling {placeholders} from params
+    t(key, params = {}, lang = this.lang) {
+        const strings = CHATBOT_STRINGS[lang] || CHATBOT_STRINGS.en;
+        const custom = lang === this.lang ? this.customStrings[key] : undefined;
+        const text = custom !== undefined ? custom : key in strings ? strings[key] : CHATBOT_STRINGS.en[key];
+        if (typeof text !== 'string') return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
     }
 
     // Security: Sanitize user input
@@ -36,10 +838,10 @@ class LinkwaveChatbot {
     validateMessage(message) {
         const sanitized = this.sanitizeInput(message);
         if (!sanitized || sanitized.length === 0) {
-            return { valid: false, error: 'Message cannot be empty' };
+            return { valid: false, error: this.t('emptyMessage') };
         }
         if (sanitized.length > this.maxMessageLength) {
-            return { valid: false, error: `Message is too long (max ${this.maxMessageLength} characters)` };
+            return { valid: false, error: this.t('messageTooLong', { max: this.maxMessageLength }) };
         }
         return { valid: true, message: sanitized };
     }
@@ -58,6 +860,7 @@ class LinkwaveChatbot {
                 // Only load if within expiry period (few hours)
                 if (hoursSince < this.historyExpiryHours) {
                     this.conversationHistory = JSON.parse(stored);
+                    this.sessionId = localStorage.getItem(this.sessionKey);
                 } else {
                     // Expired - clear old history
                     this.clearHistory();
@@ -83,93 +886,533 @@ class LinkwaveChatbot {
     clearHistory() {
         localStorage.removeItem(this.storageKey);
         localStorage.removeItem(this.storageTimestampKey);
+        localStorage.removeItem(this.sessionKey);
         this.conversationHistory = [];
+        this.sessionId = null;
+    }
+
+    // Typing animation: the visitor's own setting, else the typingEffect option, else on unless the
+    // visitor's system asks for reduced motion
+    loadTypingEffect(option) {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.typingKey);
+        } catch (error) {
+            console.error('Error loading typing setting:', error);
+        }
+        if (saved === 'on' || saved === 'off') return saved === 'on';
+        if (typeof option === 'boolean') return option;
+        return !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    setTypingEffect(enabled) {
+        this.typingEffect = enabled;
+        this.root.getElementById('chatbot-typing').setAttribute('aria-pressed', String(enabled));
+        try {
+            localStorage.setItem(this.typingKey, enabled ? 'on' : 'off');
+        } catch (error) {
+            console.error('Error saving typing setting:', error);
+        }
+    }
+
+    // Remember the session id the server issued so the next message continues the same conversation
+    setSessionId(sessionId) {
+        if (typeof sessionId !== 'string' || !/^[0-9a-f-]{36}$/i.test(sessionId)) return;
+        this.sessionId = sessionId;
+        try {
+            localStorage.setItem(this.sessionKey, sessionId);
+        } catch (error) {
+            console.error('Error saving chat session:', error);
+        }
+    }
+
+    // State shared with other tabs and pages. null removes the key.
+    readStorage(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (error) {
+            console.error('Error loading chat state:', error);
+            return null;
+        }
+    }
+
+    writeStorage(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        } catch (error) {
+            console.error('Error saving chat state:', error);
+        }
+    }
+
+    readPending() {
+        try {
+            const pending = JSON.parse(this.readStorage(this.pendingKey));
+            return pending && typeof pending.requestId === 'string' ? pending : null;
+        } catch (error) {
+            return null;
+        }
     }
 
-    init() {
+    savePending(pending) {
+        this.writeStorage(this.pendingKey, pending ? JSON.stringify(pending) : null);
+    }
+
+    // Forget the pending reply, unless it's already a newer one
+    clearPending(requestId) {
+        const pending = this.readPending();
+        if (pending && pending.requestId === requestId) this.savePending(null);
+    }
+
+    // Add the widget to the page inside a shadow root, with the theme set on its host element
+    mount() {
+        this.host = document.createElement('div');
+        this.host.className = 'linkwave-chatbot';
+        Object.entries(this.options.theme || {}).forEach(([key, value]) => {
+            if (CHATBOT_THEME_PROPERTIES[key] && typeof value === 'string') {
+                this.host.style.setProperty(CHATBOT_THEME_PROPERTIES[key], value);
+            }
+        });
+        this.root = this.host.attachShadow({ mode: 'open' });
+        document.body.appendChild(this.host);
+
         this.createChatbotHTML();
         this.attachEventListeners();
         this.restoreMessages();
         // Initial button state will be set by restoreMessages
+        this.updateUnreadBadge();
+        this.resumePendingReply();
+        // Stay open from page to page, without taking focus from the new page
+        if (this.readStorage(this.openKey) === 'true') this.openChatbot({ focus: false });
+        this.restoreDraft();
+    }
+
+    // Take the widget off the page; the conversation stays in localStorage
+    destroy() {
+        document.removeEventListener('keydown', this.onKeydown);
+        window.removeEventListener('storage', this.onStorage);
+        window.removeEventListener('pagehide', this.onPageHide);
+        if (this.channel) this.channel.close();
+        this.stopWatching();
+        this.host.remove();
+        if (window.linkwaveChatbot === this) window.linkwaveChatbot = null;
+    }
+
+    // Open the chat with a message ready for the visitor to edit and send
+    openWithDraft(text) {
+        const draft = this.sanitizeInput(text);
+        if (!draft) return;
+        if (!this.isOpen) this.toggleChatbot();
+        const input = this.root.getElementById('chatbot-input');
+        input.value = draft;
+        input.focus();
+    }
+
+    // Pick up a draft left by another page, once
+    restoreDraft() {
+        let draft = null;
+        try {
+            draft = sessionStorage.getItem(this.draftKey);
+            sessionStorage.removeItem(this.draftKey);
+        } catch (error) {
+            console.error('Error loading chat draft:', error);
+        }
+        if (draft) this.openWithDraft(draft);
     }
 
     createChatbotHTML() {
+        if (CHATBOT_STYLES) {
+            const style = document.createElement('style');
+            style.textContent = CHATBOT_STYLES;
+            this.root.appendChild(style);
+        } else {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = new URL('chatbot.css', CHATBOT_SCRIPT ? CHATBOT_SCRIPT.src : new URL('chatbot/', this.siteRoot)).href;
+            this.root.appendChild(link);
+        }
+
         const chatbotHTML = `
-            <div id="chatbot-container" class="chatbot-container">
-                <div id="chatbot-window" class="chatbot-window">
+            <div id="chatbot-container" class="chatbot-container${this.position === 'left' ? ' chatbot-left' : ''}">
+                <div id="chatbot-window" class="chatbot-window" role="dialog" aria-modal="true" aria-labelledby="chatbot-title">
                     <div class="chatbot-header">
                         <div class="chatbot-header-content">
                             <div class="chatbot-avatar">
-                                <i class="fas fa-wifi" aria-hidden="true"></i>
+                                ${chatbotIcon('wifi')}
                             </div>
                             <div class="chatbot-header-text">
-                                <h3 class="chatbot-title">Linkwave Assistant</h3>
-                                <p class="chatbot-subtitle">Your wireless solution expert 😊</p>
+                                <h3 id="chatbot-title" class="chatbot-title">${this.t('title')}</h3>
+                                <p class="chatbot-subtitle">${this.t('subtitle')}</p>
                             </div>
                         </div>
                         <div class="chatbot-header-actions">
-                            <button id="chatbot-new-chat" class="chatbot-new-chat" aria-label="Start new chat" title="Start new chat">
-                                <i class="fas fa-plus" aria-hidden="true"></i>
+                            <button type="button" id="chatbot-typing" class="chatbot-typing-toggle" aria-pressed="${this.typingEffect}" aria-label="${this.t('typingEffect')}" title="${this.t('typingEffect')}">
+                                ${chatbotIcon('type')}
                             </button>
-                            <button id="chatbot-close" class="chatbot-close" aria-label="Close chatbot">
-                                <i class="fas fa-times" aria-hidden="true"></i>
+                            <button type="button" id="chatbot-export" class="chatbot-export" aria-label="${this.t('exportConversation')}" title="${this.t('exportConversation')}">
+                                ${chatbotIcon('download')}
+                            </button>
+                            <button type="button" id="chatbot-new-chat" class="chatbot-new-chat" aria-label="${this.t('newChat')}" title="${this.t('newChat')}">
+                                ${chatbotIcon('plus')}
+                            </button>
+                            <button type="button" id="chatbot-close" class="chatbot-close" aria-label="${this.t('close')}">
+                                ${chatbotIcon('close')}
                             </button>
                         </div>
                     </div>
-                    <div id="chatbot-messages" class="chatbot-messages"></div>
+                    <div id="chatbot-messages" class="chatbot-messages" role="region" aria-label="${this.t('conversation')}" tabindex="0"></div>
+                    <div id="chatbot-announcer" class="chatbot-sr-only" role="status" aria-live="polite" aria-atomic="true"></div>
                     <div class="chatbot-input-container">
                         <form id="chatbot-form" class="chatbot-form">
                             <input 
                                 type="text" 
                                 id="chatbot-input" 
                                 class="chatbot-input" 
-                                placeholder="Type your message..." 
+                                placeholder="${this.t('inputPlaceholder')}" 
                                 autocomplete="off"
                                 maxlength="250"
-                                aria-label="Chatbot message input"
+                                aria-label="${this.t('inputLabel')}"
                             />
-                            <button type="submit" id="chatbot-send" class="chatbot-send" aria-label="Send message">
-                                <i class="fas fa-paper-plane" aria-hidden="true"></i>
+                            <button type="submit" id="chatbot-send" class="chatbot-send" aria-label="${this.t('send')}">
+                                ${chatbotIcon('send')}
                             </button>
                         </form>
-                        <div class="chatbot-quick-actions">
-                            <button class="quick-action-btn" data-action="Who is Linkwave?">Who is Linkwave? 👋</button>
-                            <button class="quick-action-btn" data-action="What is DAS?">What is DAS? 📡</button>
-                            <button class="quick-action-btn" data-action="Tell me about your services">Our Services 🛠️</button>
-                            <button class="quick-action-btn" data-action="Book a consultation">Book Consultation 📅</button>
-                        </div>
+                        <div class="chatbot-quick-actions" role="toolbar" aria-label="${this.t('quickActionsLabel')}"></div>
                     </div>
                 </div>
-                <button id="chatbot-toggle" class="chatbot-toggle" aria-label="Open chatbot">
-                    <i class="fas fa-comments" aria-hidden="true"></i>
-                    <span class="chatbot-toggle-text">Chat with us</span>
+                <button type="button" id="chatbot-toggle" class="chatbot-toggle" aria-controls="chatbot-window" aria-expanded="false" aria-haspopup="dialog">
+                    ${chatbotIcon('chat')}
+                    <span class="chatbot-toggle-text">${this.t('toggleText')}</span>
+                    <span id="chatbot-unread" class="chatbot-unread" hidden>
+                        <span class="chatbot-unread-count" aria-hidden="true"></span>
+                        <span class="chatbot-sr-only"></span>
+                    </span>
                 </button>
             </div>
         `;
 
-        document.body.insertAdjacentHTML('beforeend', chatbotHTML);
+        const template = document.createElement('template');
+        template.innerHTML = chatbotHTML;
+        this.root.appendChild(template.content);
+    }
+
+    // Fill the quick reply buttons: the greeting's starters, or the follow-ups suggested with the last answer
+    renderQuickActions(actions = this.t('quickActions')) {
+        const container = this.root.querySelector('.chatbot-quick-actions');
+        if (!container) return;
+
+        container.innerHTML = '';
+        actions.forEach((action, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quick-action-btn';
+            button.dataset.action = action.message;
+            button.textContent = action.label;
+            button.disabled = this.isProcessing;
+            // One tab stop for the toolbar; arrow keys move between the buttons
+            button.tabIndex = index === 0 ? 0 : -1;
+            container.appendChild(button);
+        });
+    }
+
+    // Arrow keys, Home and End move focus through a row of buttons; returns the button focused
+    moveFocus(e, items) {
+        const buttons = [...items].filter(button => !button.disabled);
+        const index = buttons.indexOf(e.target);
+        if (index === -1) return null;
+        const next = {
+            ArrowRight: index + 1,
+            ArrowDown: index + 1,
+            ArrowLeft: index - 1,
+            ArrowUp: index - 1,
+            Home: 0,
+            End: buttons.length - 1
+        }[e.key];
+        if (next === undefined) return null;
+
+        e.preventDefault();
+        const button = buttons[(next + buttons.length) % buttons.length];
+        button.focus();
+        return button;
+    }
+
+    // Keep Tab and Shift+Tab inside the open window
+    trapFocus(e) {
+        const chatWindow = this.root.getElementById('chatbot-window');
+        const active = this.root.activeElement;
+        if (!active || !chatWindow.contains(active)) return;
+
+        const focusable = [...chatWindow.querySelectorAll(CHATBOT_FOCUSABLE)]
+            .filter(el => !el.disabled && el.tabIndex >= 0);
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Read a finished assistant message to screen readers. The message list isn't a live region, so
+    // the typing effect and streamed text aren't read out as they change.
+    announce(text) {
+        const announcer = this.root.getElementById('chatbot-announcer');
+        announcer.textContent = '';
+        // Set after a pause so the same text twice is read twice
+        setTimeout(() => {
+            announcer.textContent = String(text).replace(/\*\*(.*?)\*\*/g, '$1');
+        }, 100);
+    }
+
+    // Suggested follow-up questions become quick replies; keep the current ones when there are none
+    showFollowUps(followUps) {
+        const questions = this.validateFollowUps(followUps);
+        if (questions.length === 0) return;
+        this.renderQuickActions(questions.map(question => ({ message: question, label: question })));
     }
 
     // Restore messages from history
     restoreMessages() {
-        const messagesContainer = document.getElementById('chatbot-messages');
+        const messagesContainer = this.root.getElementById('chatbot-messages');
         
         if (this.conversationHistory.length > 0) {
             // Restore all messages from history
-            this.conversationHistory.forEach(msg => {
-                if (msg.role === 'assistant') {
-                    this.addMessage('assistant', msg.content, false);
-                } else if (msg.role === 'user') {
-                    this.addMessage('user', msg.content, false);
-                }
-            });
+            this.conversationHistory.forEach(msg => this.renderHistoryMessage(msg));
         } else {
             // Only show greeting if no history exists
-            this.addMessage('assistant', 'Hello! I\'m your Linkwave assistant. I can answer questions about DAS systems, wireless solutions, and help you book a consultation with our team. How can I help you today?');
+            this.addMessage('assistant', this.t('greeting'));
+        }
+
+        // Pick up where the conversation left off
+        this.renderQuickActions();
+        const lastReply = this.conversationHistory.filter(msg => msg.role === 'assistant').pop();
+        if (lastReply) this.showFollowUps(lastReply.followUps);
+        
+        // Update new chat button state after restoring messages
+        this.updateNewChatButton();
+    }
+
+    renderHistoryMessage(msg) {
+        if (msg.role === 'assistant') {
+            const messageDiv = this.addMessage('assistant', msg.content, false);
+            this.renderSources(messageDiv, msg.sources);
+            this.renderRelatedLinks(messageDiv, msg.relatedLinks);
+        } else if (msg.role === 'user') {
+            this.addMessage('user', msg.content, false);
+        }
+    }
+
+    // Another tab changed shared state. Storage events only reach the other tabs, so nothing here echoes back.
+    syncFromStorage(e) {
+        if (e.key === this.storageKey || e.key === null) {
+            this.syncHistory();
+        } else if (e.key === this.sessionKey) {
+            this.sessionId = e.newValue;
+        } else if (e.key === this.openKey) {
+            if (e.newValue === 'true' && !this.isOpen) {
+                this.openChatbot({ focus: false });
+            } else if (e.newValue !== 'true' && this.isOpen) {
+                this.closeChatbot();
+            }
+        } else if (e.key === this.unreadKey) {
+            this.updateUnreadBadge();
+        } else if (e.key === this.pendingKey) {
+            if (e.newValue) {
+                this.resumePendingReply();
+            } else if (this.watch && !this.watch.collecting) {
+                // The other tab is done; its reply, if any, came in with the history
+                this.stopWatching();
+            }
+        } else if (e.key === this.typingKey && (e.newValue === 'on' || e.newValue === 'off')) {
+            this.typingEffect = e.newValue === 'on';
+            this.root.getElementById('chatbot-typing').setAttribute('aria-pressed', String(this.typingEffect));
+        }
+    }
+
+    // The conversation saved in localStorage, or an empty one
+    readHistory() {
+        try {
+            const stored = JSON.parse(this.readStorage(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Show what another tab added to the conversation, or start over when it began a new chat
+    syncHistory() {
+        const stored = this.readHistory();
+        const current = this.conversationHistory;
+        const extendsCurrent = stored.length >= current.length &&
+            current.every((msg, i) => JSON.stringify(msg) === JSON.stringify(stored[i]));
+        this.conversationHistory = stored;
+        this.sessionId = this.readStorage(this.sessionKey);
+
+        if (!extendsCurrent) {
+            this.stopWatching();
+            this.root.getElementById('chatbot-messages').innerHTML = '';
+            this.restoreMessages();
+            return;
+        }
+
+        const added = stored.slice(current.length);
+        // A reply this tab is writing out is already on screen
+        const shown = added.filter(msg => !msg.requestId || msg.requestId !== this.requestId);
+        if (this.watch && !this.watch.collecting && shown.some(msg => msg.requestId === this.watch.requestId)) {
+            this.stopWatching();
+        }
+        shown.forEach(msg => this.renderHistoryMessage(msg));
+        const lastReply = shown.filter(msg => msg.role === 'assistant').pop();
+        if (lastReply) this.showFollowUps(lastReply.followUps);
+        this.scrollToBottom();
+        this.updateNewChatButton();
+    }
+
+    // A reply is being written for a question asked in another tab or on the page before this one.
+    // While its tab is open, that tab sends the text over as it arrives; once it has gone (or without
+    // BroadcastChannel) this tab collects the reply from the server itself.
+    resumePendingReply() {
+        const pending = this.readPending();
+        if (!pending || pending.requestId === this.requestId) return;
+        if (!(Date.now() - pending.startedAt < this.pendingExpiryMs)) {
+            this.savePending(null);
+            return;
+        }
+
+        if (!this.watch || this.watch.requestId !== pending.requestId) {
+            this.stopWatching();
+            this.isProcessing = true;
+            this.setInputState(false);
+            const watch = {
+                requestId: pending.requestId,
+                typingMessage: this.addMessage('assistant', '', true),
+                messageDiv: null,
+                render: null,
+                text: '',
+                collecting: false,
+                timer: null
+            };
+            watch.expiry = setTimeout(() => this.giveUpReply(watch), pending.startedAt + this.pendingExpiryMs - Date.now());
+            this.watch = watch;
+        }
+
+        if ((pending.orphaned || !this.channel) && !this.watch.collecting) {
+            this.watch.collecting = true;
+            this.requestId = pending.requestId;
+            this.savePending({ ...pending, orphaned: false });
+            this.collectReply(this.watch);
+        }
+    }
+
+    // Render the reply written so far; the text only grows
+    showWatchedText(text) {
+        const watch = this.watch;
+        if (typeof text !== 'string' || !text || text.length <= watch.text.length) return;
+        watch.text = text;
+        if (!watch.messageDiv) {
+            watch.typingMessage.remove();
+            watch.messageDiv = this.addMessage('assistant', '');
+            watch.messageDiv.setAttribute('aria-busy', 'true');
+            watch.render = this.markdown.stream(watch.messageDiv);
+        }
+        watch.render(text);
+        this.scrollToBottom();
+        if (watch.collecting) this.broadcast({ type: 'partial', requestId: watch.requestId, text });
+    }
+
+    // Ask the server for the reply about once a second until it's done
+    async collectReply(watch) {
+        if (!this.sessionId) {
+            this.giveUpReply(watch);
+            return;
+        }
+
+        let result = null;
+        try {
+            const response = await fetch(`${this.sessionsUrl}/${encodeURIComponent(this.sessionId)}/requests/${encodeURIComponent(watch.requestId)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            // 404: the server restarted or the session expired, so the reply is gone
+            result = response.status === 404 ? { status: 'lost' } : response.ok ? await response.json() : null;
+        } catch (error) {
+            // Offline for a moment; try again
+            console.error('Chatbot error:', error);
+        }
+        if (this.watch !== watch) return;
+
+        if (!result || result.status === 'pending') {
+            if (result) this.showWatchedText(result.response);
+            watch.timer = setTimeout(() => this.collectReply(watch), 1000);
+        } else if (result.status === 'done' && typeof result.response === 'string') {
+            // Keep the text shown so far; it becomes the finished reply
+            const messageDiv = watch.messageDiv || this.addMessage('assistant', '');
+            watch.messageDiv = null;
+            this.stopWatching();
+            this.setSessionId(result.sessionId);
+            this.finishReply(result, messageDiv, watch.requestId);
+            this.clearPending(watch.requestId);
+        } else {
+            this.giveUpReply(watch);
+        }
+    }
+
+    // The reply won't arrive: say so in place of the typing indicator
+    giveUpReply(watch) {
+        if (this.watch !== watch) return;
+        this.stopWatching();
+        this.clearPending(watch.requestId);
+        this.addMessage('assistant', this.t('replyLost'));
+        this.announce(this.t('replyLost'));
+    }
+
+    stopWatching() {
+        const watch = this.watch;
+        if (!watch) return;
+        this.watch = null;
+        clearTimeout(watch.timer);
+        clearTimeout(watch.expiry);
+        watch.typingMessage.remove();
+        if (watch.messageDiv) watch.messageDiv.remove();
+        if (this.requestId === watch.requestId) this.requestId = null;
+        this.isProcessing = false;
+        this.setInputState(true);
+    }
+
+    // Leaving the page mid-reply: another tab, or the next page, collects it from the server
+    handOffReply() {
+        const pending = this.readPending();
+        if (this.requestId && pending && pending.requestId === this.requestId) {
+            this.savePending({ ...pending, orphaned: true });
+        }
+        this.requestId = null;
+    }
+
+    broadcast(message) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage(message);
+        } catch (error) {
+            console.error('Chatbot error:', error);
         }
-        
-        // Update new chat button state after restoring messages
-        this.updateNewChatButton();
+    }
+
+    // Add a reply to the saved conversation unless another tab already has. Returns whether it was added.
+    recordReply(entry) {
+        const stored = this.readHistory();
+        if (entry.requestId && stored.some(msg => msg.requestId === entry.requestId)) {
+            this.conversationHistory = stored;
+            return false;
+        }
+        this.conversationHistory.push(entry);
+        this.saveHistory(); // Save after each message
+        if (!this.isOpen) this.setUnread(this.unreadCount() + 1);
+        return true;
     }
 
     // Check if conversation is empty (only greeting)
@@ -178,21 +1421,32 @@ class LinkwaveChatbot {
         return this.conversationHistory.filter(msg => msg.role === 'user').length === 0;
     }
 
-    // Update new chat button state
+    // Update new chat and export button state
     updateNewChatButton() {
-        const newChatBtn = document.getElementById('chatbot-new-chat');
+        const newChatBtn = this.root.getElementById('chatbot-new-chat');
         if (newChatBtn) {
             const isEmpty = this.isConversationEmpty();
             newChatBtn.disabled = isEmpty || this.isProcessing;
         }
+        const exportBtn = this.root.getElementById('chatbot-export');
+        if (exportBtn) {
+            exportBtn.disabled = this.isConversationEmpty() || this.isProcessing;
+        }
     }
 
     // Enable/disable input and buttons based on processing state
     setInputState(enabled) {
-        const input = document.getElementById('chatbot-input');
-        const sendBtn = document.getElementById('chatbot-send');
-        const quickActions = document.querySelectorAll('.quick-action-btn');
-        const newChatBtn = document.getElementById('chatbot-new-chat');
+        const input = this.root.getElementById('chatbot-input');
+        const sendBtn = this.root.getElementById('chatbot-send');
+        const quickActions = this.root.querySelectorAll('.quick-action-btn');
+        const newChatBtn = this.root.getElementById('chatbot-new-chat');
+        const exportBtn = this.root.getElementById('chatbot-export');
+
+        // Disabling the focused input or quick reply drops focus; put it back in the input afterwards
+        const active = this.root.activeElement;
+        if (!enabled) {
+            this.refocusInput = Boolean(active) && (active === input || active.classList.contains('quick-action-btn'));
+        }
         
         if (input) {
             input.disabled = !enabled;
@@ -231,6 +1485,16 @@ class LinkwaveChatbot {
             const isEmpty = this.isConversationEmpty();
             newChatBtn.disabled = isEmpty || !enabled;
         }
+
+        if (exportBtn) {
+            exportBtn.disabled = this.isConversationEmpty() || !enabled;
+        }
+
+        if (enabled && this.refocusInput && input && this.isOpen) {
+            const focused = this.root.activeElement;
+            if (!focused || !focused.isConnected || focused.disabled) input.focus();
+            this.refocusInput = false;
+        }
     }
 
     // Start a new chat session
@@ -241,21 +1505,30 @@ class LinkwaveChatbot {
         }
         
         this.clearHistory();
-        const messagesContainer = document.getElementById('chatbot-messages');
+        const messagesContainer = this.root.getElementById('chatbot-messages');
         messagesContainer.innerHTML = '';
-        this.addMessage('assistant', 'Hello! I\'m your Linkwave assistant. I can answer questions about DAS systems, wireless solutions, and help you book a consultation with our team. How can I help you today?');
+        this.addMessage('assistant', this.t('greeting'));
+        this.announce(this.t('greeting'));
+        this.renderQuickActions();
         this.updateNewChatButton(); // Update button state after clearing
+        // The new chat button is disabled now, so move focus on to the input
+        this.root.getElementById('chatbot-input').focus();
     }
 
     attachEventListeners() {
-        const toggle = document.getElementById('chatbot-toggle');
-        const close = document.getElementById('chatbot-close');
-        const newChat = document.getElementById('chatbot-new-chat');
-        const form = document.getElementById('chatbot-form');
-        const input = document.getElementById('chatbot-input');
-        const quickActions = document.querySelectorAll('.quick-action-btn');
+        const toggle = this.root.getElementById('chatbot-toggle');
+        const close = this.root.getElementById('chatbot-close');
+        const newChat = this.root.getElementById('chatbot-new-chat');
+        const form = this.root.getElementById('chatbot-form');
+        const input = this.root.getElementById('chatbot-input');
+        const quickActions = this.root.querySelector('.chatbot-quick-actions');
+        const messages = this.root.getElementById('chatbot-messages');
+        const typing = this.root.getElementById('chatbot-typing');
+        const exportBtn = this.root.getElementById('chatbot-export');
 
         toggle.addEventListener('click', () => this.toggleChatbot());
+        typing.addEventListener('click', () => this.setTypingEffect(!this.typingEffect));
+        exportBtn.addEventListener('click', () => this.showExportPanel());
         close.addEventListener('click', () => this.closeChatbot());
         if (newChat) {
             newChat.addEventListener('click', () => this.startNewChat());
@@ -270,198 +1543,125 @@ class LinkwaveChatbot {
                 this.sendMessage(validation.message);
             } else if (!validation.valid) {
                 // Show validation error to user
-                this.addMessage('assistant', validation.error || 'Please enter a valid message.');
+                const error = validation.error || this.t('invalidMessage');
+                this.addMessage('assistant', error);
+                this.announce(error);
             }
         });
 
-        quickActions.forEach(btn => {
-            btn.addEventListener('click', () => {
-                if (!this.isProcessing) {
-                    const action = btn.getAttribute('data-action');
-                    const validation = this.validateMessage(action);
-                    if (validation.valid) {
-                        this.sendMessage(validation.message);
-                    }
+        // Quick replies are replaced after each answer, so listen on their container
+        quickActions.addEventListener('click', (e) => {
+            const btn = e.target.closest('.quick-action-btn');
+            if (btn && !this.isProcessing) {
+                const action = btn.getAttribute('data-action');
+                const validation = this.validateMessage(action);
+                if (validation.valid) {
+                    this.sendMessage(validation.message);
                 }
+            }
+        });
+        quickActions.addEventListener('keydown', (e) => {
+            const button = this.moveFocus(e, quickActions.querySelectorAll('.quick-action-btn'));
+            if (!button) return;
+            quickActions.querySelectorAll('.quick-action-btn').forEach(btn => {
+                btn.tabIndex = btn === button ? 0 : -1;
             });
         });
 
-        // Close on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
-                this.closeChatbot();
-            }
+        // Arrow keys between the buttons of a call to action or the booking form
+        messages.addEventListener('keydown', (e) => {
+            const group = e.target.closest('.chatbot-cta-buttons');
+            if (group) this.moveFocus(e, group.querySelectorAll('.chatbot-cta-btn'));
         });
+
+        // Escape closes the window; Tab stays inside it
+        document.addEventListener('keydown', this.onKeydown);
+
+        // Keep in step with the widget in other tabs
+        window.addEventListener('storage', this.onStorage);
+        window.addEventListener('pagehide', this.onPageHide);
+        if (this.channel) {
+            this.channel.onmessage = (e) => {
+                const message = e.data || {};
+                if (message.type === 'partial' && this.watch && !this.watch.collecting && message.requestId === this.watch.requestId) {
+                    this.showWatchedText(message.text);
+                }
+            };
+        }
     }
 
     toggleChatbot() {
-        this.isOpen = !this.isOpen;
-        const container = document.getElementById('chatbot-container');
-        const window = document.getElementById('chatbot-window');
-        
         if (this.isOpen) {
-            container.classList.add('chatbot-open');
-            window.classList.add('chatbot-window-open');
-            document.getElementById('chatbot-input').focus();
-        } else {
             this.closeChatbot();
+        } else {
+            this.openChatbot();
         }
     }
 
+    // Focus moves into the window, except when it opens because another tab or the last page had it open
+    openChatbot({ focus = true } = {}) {
+        this.isOpen = true;
+        const container = this.root.getElementById('chatbot-container');
+        const window = this.root.getElementById('chatbot-window');
+
+        container.classList.add('chatbot-open');
+        window.classList.add('chatbot-window-open');
+        this.root.getElementById('chatbot-toggle').setAttribute('aria-expanded', 'true');
+        if (focus) this.root.getElementById('chatbot-input').focus();
+        this.writeStorage(this.openKey, 'true');
+        this.setUnread(0);
+        // Work out the proof for a new session while the visitor types
+        if (!this.sessionId) this.prepareProof();
+    }
+
     closeChatbot() {
+        // Only take focus back if it was in the widget, not when Escape was pressed elsewhere on the page
+        const hadFocus = Boolean(this.root.activeElement);
         this.isOpen = false;
-        const container = document.getElementById('chatbot-container');
-        const window = document.getElementById('chatbot-window');
+        const container = this.root.getElementById('chatbot-container');
+        const window = this.root.getElementById('chatbot-window');
+        const toggle = this.root.getElementById('chatbot-toggle');
         container.classList.remove('chatbot-open');
         window.classList.remove('chatbot-window-open');
+        toggle.setAttribute('aria-expanded', 'false');
+        this.writeStorage(this.openKey, null);
+        if (hadFocus) toggle.focus();
     }
 
-    // Normalize inline list formatting into separate lines
-    normalizeListText(text) {
-        if (!text) return text;
-        const lines = text.split('\n');
-        const normalized = lines.map((line) => {
-            const numberedMatches = line.match(/\d+\.\s+/g);
-            if (numberedMatches && numberedMatches.length > 0) {
-                let isFirst = true;
-                const needsLeadingBreak = !/^\s*\d+\.\s+/.test(line);
-                return line.replace(/(\d+)\.\s+/g, (match) => {
-                    if (isFirst) {
-                        isFirst = false;
-                        return needsLeadingBreak ? `\n${match}` : match;
-                    }
-                    return `\n${match}`;
-                });
-            }
-            return line;
-        });
-        return normalized.join('\n');
+    // The badge on the toggle counts replies that came in while the window was closed, in every tab
+    unreadCount() {
+        return parseInt(this.readStorage(this.unreadKey), 10) || 0;
     }
 
-    // Convert markdown to HTML for proper formatting
-    markdownToHTML(text) {
-        if (!text) return '';
-
-        text = this.normalizeListText(text);
-        
-        // Escape HTML to prevent XSS
-        const escapeHtml = (unsafe) => {
-            const div = document.createElement('div');
-            div.textContent = unsafe;
-            return div.innerHTML;
-        };
-        
-        const lines = text.split('\n');
-        const result = [];
-        let currentList = null; // 'ol', 'ul', or null
-        let listItems = [];
-        
-        const closeCurrentList = () => {
-            if (currentList && listItems.length > 0) {
-                result.push(`<${currentList}>${listItems.join('')}</${currentList}>`);
-                listItems = [];
-            }
-            currentList = null;
-        };
-        
-        for (let line of lines) {
-            const trimmed = line.trim();
-            
-            // Check for numbered list (1. 2. 3.)
-            const numberedMatch = trimmed.match(/^(\d+)\.\s+(.+)$/);
-            if (numberedMatch) {
-                if (currentList !== 'ol') {
-                    closeCurrentList();
-                    currentList = 'ol';
-                }
-                // Process bold within list item
-                let itemText = escapeHtml(numberedMatch[2]);
-                itemText = itemText.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-                listItems.push(`<li>${itemText}</li>`);
-                continue;
-            }
-            
-            // Check for bullet list (- or *)
-            const bulletMatch = trimmed.match(/^[-*•]\s+(.+)$/);
-            if (bulletMatch) {
-                if (currentList !== 'ul') {
-                    closeCurrentList();
-                    currentList = 'ul';
-                }
-                // Process bold within list item
-                let itemText = escapeHtml(bulletMatch[1]);
-                itemText = itemText.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-                listItems.push(`<li>${itemText}</li>`);
-                continue;
-            }
-            
-            // Ignore blank lines so lists can continue across spacing
-            if (!trimmed) {
-                continue;
-            }
+    setUnread(count) {
+        this.writeStorage(this.unreadKey, count > 0 ? String(count) : null);
+        this.updateUnreadBadge();
+    }
 
-            // Not a list item - close any open list
-            closeCurrentList();
-            
-            // Regular text line
-            let processedLine = escapeHtml(trimmed);
-            // Convert bold **text**
-            processedLine = processedLine.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-            result.push(processedLine);
-        }
-        
-        // Close any remaining list
-        closeCurrentList();
-        
-        // Join lines with proper spacing - preserve list structure
-        const output = [];
-        for (let i = 0; i < result.length; i++) {
-            const line = result[i];
-            const prev = result[i - 1];
-            
-            // If previous was a list and current is text, add spacing
-            if (i > 0 && prev && (prev.includes('<ol>') || prev.includes('<ul>'))) {
-                if (line && !line.startsWith('<')) {
-                    output.push('<br>');
-                }
-            }
-            
-            // If previous was text and current is a list, add spacing
-            if (i > 0 && prev && !prev.includes('<ol>') && !prev.includes('<ul>') && !prev.startsWith('<br>')) {
-                if (line && (line.includes('<ol>') || line.includes('<ul>'))) {
-                    output.push('<br>');
-                }
-            }
-            
-            output.push(line);
-        }
-        
-        const joined = output.filter(line => line.trim()).join('');
-        
-        // Wrap in paragraph tags if there's content and no lists
-        if (joined && !joined.includes('<ol>') && !joined.includes('<ul>')) {
-            return `<p>${joined}</p>`;
-        }
-        
-        return joined || '';
+    updateUnreadBadge() {
+        const count = this.unreadCount();
+        const badge = this.root.getElementById('chatbot-unread');
+        badge.hidden = count === 0;
+        badge.querySelector('.chatbot-unread-count').textContent = count > 9 ? '9+' : String(count);
+        badge.querySelector('.chatbot-sr-only').textContent = count === 1 ? this.t('unreadReply') : this.t('unreadReplies', { count });
     }
 
     addMessage(role, content, isTyping = false) {
-        const messagesContainer = document.getElementById('chatbot-messages');
+        const messagesContainer = this.root.getElementById('chatbot-messages');
         const messageDiv = document.createElement('div');
         messageDiv.className = `chatbot-message chatbot-message-${role}`;
         
         if (isTyping) {
             messageDiv.classList.add('chatbot-message-typing');
             messageDiv.innerHTML = `
-                <div class="chatbot-typing-indicator">
+                <div class="chatbot-typing-indicator" aria-hidden="true">
                     <span></span>
                     <span></span>
                     <span></span>
                 </div>
             `;
         } else {
-            messageDiv.innerHTML = this.markdownToHTML(content);
+            this.markdown.render(messageDiv, content);
         }
 
         messagesContainer.appendChild(messageDiv);
@@ -471,12 +1671,14 @@ class LinkwaveChatbot {
     }
 
     async addMessageWithTyping(role, content) {
-        const messagesContainer = document.getElementById('chatbot-messages');
+        const messagesContainer = this.root.getElementById('chatbot-messages');
         const messageDiv = document.createElement('div');
         messageDiv.className = `chatbot-message chatbot-message-${role}`;
+        messageDiv.setAttribute('aria-busy', 'true');
         messagesContainer.appendChild(messageDiv);
         
         const typingSpeed = 20; // milliseconds per character
+        const render = this.markdown.stream(messageDiv);
         
         // Split content into lines to process more intelligently
         const lines = content.split('\n');
@@ -487,11 +1689,14 @@ class LinkwaveChatbot {
             const line = lines[lineIndex];
             const needsNewline = lineIndex < lines.length - 1;
             
+            // Turning the animation off mid-answer shows the rest at once
+            if (!this.typingEffect) break;
+
             // Type out this line character by character
-            for (let i = 0; i <= line.length; i++) {
+            for (let i = 0; i <= line.length && this.typingEffect; i++) {
                 const currentLine = line.substring(0, i);
                 const partialContent = [...displayedLines, currentLine].join('\n');
-                messageDiv.innerHTML = this.markdownToHTML(partialContent);
+                render(partialContent);
                 messagesContainer.scrollTop = messagesContainer.scrollHeight;
                 await new Promise(resolve => setTimeout(resolve, typingSpeed));
             }
@@ -500,7 +1705,8 @@ class LinkwaveChatbot {
         }
         
         // Final render to ensure all markdown is properly formatted
-        messageDiv.innerHTML = this.markdownToHTML(content);
+        this.markdown.render(messageDiv, content);
+        messageDiv.removeAttribute('aria-busy');
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
         
         return messageDiv;
@@ -515,7 +1721,9 @@ class LinkwaveChatbot {
         // Security: Validate message again before sending
         const validation = this.validateMessage(message);
         if (!validation.valid) {
-            this.addMessage('assistant', validation.error || 'Please enter a valid message.');
+            const error = validation.error || this.t('invalidMessage');
+            this.addMessage('assistant', error);
+            this.announce(error);
             return;
         }
         message = validation.message;
@@ -534,108 +1742,752 @@ class LinkwaveChatbot {
             this.conversationHistory = this.conversationHistory.slice(-20);
         }
 
+        // Other tabs, and the next page if the visitor moves on before the reply is in, follow it by this id
+        const requestId = window.crypto && typeof crypto.randomUUID === 'function' ? crypto.randomUUID() : null;
+        this.requestId = requestId;
+        if (requestId) this.savePending({ requestId, startedAt: Date.now() });
+
         // Show typing indicator
         const typingMessage = this.addMessage('assistant', '', true);
 
         try {
-            // Security: Add timeout to fetch request (30 seconds)
+            // Security: Abort if the server stays silent for 30 seconds
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000);
+            let timeoutId = setTimeout(() => controller.abort(), 30000);
+            const resetTimeout = () => {
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(() => controller.abort(), 30000);
+            };
 
-            const response = await fetch(this.apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: message,
-                    conversationHistory: this.conversationHistory.slice(-10) // Only send last 10 messages
-                }),
-                signal: controller.signal
-            });
+            let data;
+            try {
+                let response = await this.postMessage(message, requestId, controller.signal);
+                if (response.status === 403) {
+                    // The server no longer knows our session: prove work again and start a new one
+                    this.sessionId = null;
+                    response = await this.postMessage(message, requestId, controller.signal);
+                }
 
-            clearTimeout(timeoutId);
+                if (!response.ok) {
+                    // Handle rate limiting and other HTTP errors
+                    if (response.status === 429) {
+                        throw new Error(this.t('tooManyRequests'));
+                    } else if (response.status >= 500) {
+                        throw new Error(this.t('serverError'));
+                    } else {
+                        const errorData = await response.json().catch(() => ({}));
+                        throw new Error(errorData.message || 'Failed to get response');
+                    }
+                }
 
-            if (!response.ok) {
-                // Handle rate limiting and other HTTP errors
-                if (response.status === 429) {
-                    throw new Error('Too many requests. Please wait a moment and try again.');
-                } else if (response.status >= 500) {
-                    throw new Error('Server error. Please try again later.');
+                // Known before the reply starts, so the next page can collect it
+                this.setSessionId(response.headers.get('X-Chat-Session'));
+                const contentType = response.headers.get('Content-Type') || '';
+                if (contentType.includes('text/event-stream') && response.body) {
+                    // Render tokens live as they arrive
+                    data = await this.readStream(response, typingMessage, resetTimeout);
                 } else {
-                    const errorData = await response.json().catch(() => ({}));
-                    throw new Error(errorData.message || 'Failed to get response');
+                    // Non-streaming fallback (e.g. a proxy that buffers SSE)
+                    data = await response.json();
                 }
+            } finally {
+                clearTimeout(timeoutId);
             }
-
-            const data = await response.json();
             
             // Security: Validate response structure
             if (!data || typeof data !== 'object' || typeof data.response !== 'string') {
                 throw new Error('Invalid response from server');
             }
+            this.setSessionId(data.sessionId);
             
-            // Remove typing indicator
-            typingMessage.remove();
-            
-            // Add assistant response with typing effect
-            await this.addMessageWithTyping('assistant', data.response);
-            this.conversationHistory.push({ role: 'assistant', content: data.response });
-            this.saveHistory(); // Save after each message
-            
-            // Show consultation CTA if intent detected
-            if (data.consultationIntent) {
-                setTimeout(() => {
-                    this.showConsultationCTA();
-                }, 500);
+            let messageDiv = data.messageDiv;
+            if (!messageDiv) {
+                // Remove typing indicator
+                typingMessage.remove();
+                
+                // Add assistant response with typing effect, unless the visitor turned it off
+                messageDiv = this.typingEffect
+                    ? await this.addMessageWithTyping('assistant', data.response)
+                    : this.addMessage('assistant', data.response);
             }
+            this.finishReply(data, messageDiv, requestId);
 
         } catch (error) {
             // Security: Don't expose internal error details to user
             console.error('Chatbot error:', error);
             typingMessage.remove();
             
-            let errorMessage = 'I apologize, but I\'m having trouble connecting right now. Please contact us directly at 1-888-859-2673 or info@linkwavewireless.com for immediate assistance.';
+            let errorMessage = this.t('connectionError');
             
             // Show user-friendly error for timeout
             if (error.name === 'AbortError' || error.message.includes('timeout')) {
-                errorMessage = 'The request took too long. Please try again or contact us directly at 1-888-859-2673.';
+                errorMessage = this.t('timeoutError');
             } else if (error.message && !error.message.includes('Failed to get response')) {
                 // Only show specific error if it's user-friendly (like rate limiting)
-                if (error.message.includes('Too many requests')) {
+                if (error.message === this.t('tooManyRequests')) {
                     errorMessage = error.message;
                 }
             }
             
             this.addMessage('assistant', errorMessage);
+            this.announce(errorMessage);
         } finally {
+            // Unless the page is going away and has handed the reply on
+            if (requestId && this.requestId === requestId) {
+                this.requestId = null;
+                this.clearPending(requestId);
+            }
             // Re-enable inputs after message is complete
             this.isProcessing = false;
             this.setInputState(true);
         }
     }
 
-    showConsultationCTA() {
-        const messagesContainer = document.getElementById('chatbot-messages');
+    // Show a finished reply in messageDiv (replacing any partial text) with its sources, follow-ups and call to action
+    finishReply(data, messageDiv, requestId) {
+        this.markdown.render(messageDiv, data.response);
+        messageDiv.removeAttribute('aria-busy');
+        this.announce(data.response);
+
+        // Show the site pages the answer was drawn from, then other pages worth a look
+        const sources = this.validateSources(data.sources);
+        const relatedLinks = this.validateSources(data.relatedLinks);
+        const followUps = this.validateFollowUps(data.followUps);
+        this.renderSources(messageDiv, sources);
+        this.renderRelatedLinks(messageDiv, relatedLinks);
+        this.showFollowUps(followUps);
+        this.scrollToBottom();
+
+        const entry = { role: 'assistant', content: data.response, sources, relatedLinks, followUps };
+        if (requestId) entry.requestId = requestId;
+        this.recordReply(entry);
+
+        // Show the call to action the server picked; older servers only flag consultations
+        const cta = data.cta || (data.consultationIntent ? 'consultation' : null);
+        if (cta) {
+            setTimeout(() => {
+                // Follow the language the server answered in
+                this.showCTA(cta, this.normalizeLanguage(data.lang || this.lang));
+            }, 500);
+        }
+    }
+
+    // Send one message to the streaming endpoint; a new session's first message carries a proof of work
+    async postMessage(message, requestId, signal) {
+        const proof = this.sessionId ? null : await this.takeProof();
+        return fetch(this.streamUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify({
+                // Only the new message: the server holds the conversation history
+                message: message,
+                sessionId: this.sessionId || undefined,
+                requestId: requestId || undefined,
+                lang: this.lang,
+                proof: proof || undefined
+            }),
+            signal
+        });
+    }
+
+    // Start solving a challenge in the background, once
+    prepareProof() {
+        if (!this.proofPromise) {
+            this.proofPromise = this.solveChallenge().catch(error => {
+                console.error('Chatbot challenge error:', error);
+                return null;
+            });
+        }
+    }
+
+    // The proof prepared in the background (or a fresh one); each is accepted once
+    async takeProof() {
+        this.prepareProof();
+        const proof = await this.proofPromise;
+        this.proofPromise = null;
+        return proof;
+    }
+
+    // Find a solution whose SHA-256 of "challenge:solution" starts with the requested zero bits.
+    // Resolves null when the server doesn't ask for one, or the browser can't hash (plain http).
+    async solveChallenge() {
+        const response = await fetch(this.challengeUrl, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) return null;
+        const { challenge, difficulty } = await response.json();
+        if (typeof challenge !== 'string' || !Number.isInteger(difficulty) || difficulty > 24) return null;
+        if (!window.crypto || !window.crypto.subtle) return null;
+
+        const encoder = new TextEncoder();
+        for (let solution = 0; solution < 2 ** (difficulty + 8); solution++) {
+            const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${solution}`)));
+            if (this.leadingZeroBits(digest) >= difficulty) {
+                return { challenge, solution: String(solution) };
+            }
+        }
+        return null;
+    }
+
+    leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte !== 0) return bits + Math.clz32(byte) - 24;
+            bits += 8;
+        }
+        return bits;
+    }
+
+    // Read a Server-Sent Events response, rendering partial markdown as tokens arrive.
+    // Resolves with the "done" payload plus the message element that was rendered into.
+    async readStream(response, typingMessage, onActivity) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let partial = '';
+        let messageDiv = null;
+        let renderPartial = null;
+        let frame = null;
+
+        const render = () => {
+            frame = null;
+            if (messageDiv) {
+                renderPartial(partial);
+                this.scrollToBottom();
+                this.broadcast({ type: 'partial', requestId: this.requestId, text: partial });
+            }
+        };
+        // A frame still queued when the stream ends would draw the raw partial text over (or after)
+        // the finished reply
+        const cancelRender = () => {
+            if (frame !== null) cancelAnimationFrame(frame);
+            frame = null;
+        };
+
+        // Parse one "event: x\ndata: {...}" block
+        const parseEvent = (block) => {
+            let event = 'message';
+            const dataLines = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).trim());
+                }
+            });
+            if (dataLines.length === 0) return null;
+            try {
+                return { event, data: JSON.parse(dataLines.join('\n')) };
+            } catch (error) {
+                return null;
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            if (onActivity) onActivity();
+
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            for (const block of blocks) {
+                const parsed = parseEvent(block);
+                if (!parsed) continue;
+
+                if (parsed.event === 'token' && typeof parsed.data.delta === 'string') {
+                    if (!messageDiv) {
+                        // First token: swap the typing indicator for a live message
+                        typingMessage.remove();
+                        messageDiv = this.addMessage('assistant', '');
+                        messageDiv.setAttribute('aria-busy', 'true');
+                        renderPartial = this.markdown.stream(messageDiv);
+                    }
+                    partial += parsed.data.delta;
+                    // Throttle re-renders to one per animation frame
+                    if (frame === null) frame = requestAnimationFrame(render);
+                } else if (parsed.event === 'done') {
+                    cancelRender();
+                    if (!messageDiv) {
+                        typingMessage.remove();
+                        messageDiv = this.addMessage('assistant', '');
+                    }
+                    return { ...parsed.data, messageDiv };
+                } else if (parsed.event === 'error') {
+                    cancelRender();
+                    if (messageDiv) messageDiv.remove();
+                    throw new Error((parsed.data && parsed.data.message) || 'Failed to get response');
+                }
+            }
+        }
+
+        cancelRender();
+        if (messageDiv) messageDiv.remove();
+        throw new Error('Failed to get response');
+    }
+
+    // Security: Keep only well-formed citations that point to pages on this site
+    validateSources(sources) {
+        if (!Array.isArray(sources)) return [];
+        return sources
+            .filter(source =>
+                source &&
+                typeof source.title === 'string' &&
+                typeof source.url === 'string' &&
+                /^[\w\-./]+(#[\w\-]+)?$/.test(source.url) &&
+                !source.url.includes('..')
+            )
+            .slice(0, 3);
+    }
+
+    // Render citation links under an assistant message
+    renderSources(messageDiv, sources) {
+        const validSources = this.validateSources(sources);
+        if (!messageDiv || validSources.length === 0) return;
+
+        const sourcesDiv = document.createElement('div');
+        sourcesDiv.className = 'chatbot-sources';
+
+        const label = document.createElement('span');
+        label.className = 'chatbot-sources-label';
+        label.textContent = this.t('sources');
+        sourcesDiv.appendChild(label);
+
+        validSources.forEach(source => {
+            const link = document.createElement('a');
+            link.className = 'chatbot-source-link';
+            link.href = new URL(source.url, this.siteRoot).href;
+            link.textContent = source.title;
+            // Case studies are PDFs - open them in a new tab
+            if (/\.pdf$/i.test(source.url)) {
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+            sourcesDiv.appendChild(link);
+        });
+
+        messageDiv.appendChild(sourcesDiv);
+    }
+
+    // Security: Follow-ups are sent back as messages, so keep only short plain strings
+    validateFollowUps(followUps) {
+        if (!Array.isArray(followUps)) return [];
+        return followUps
+            .filter(question => typeof question === 'string' && question.trim().length > 0 && question.length <= 200)
+            .slice(0, 3);
+    }
+
+    // Render related page chips under an assistant message
+    renderRelatedLinks(messageDiv, links) {
+        const validLinks = this.validateSources(links);
+        if (!messageDiv || validLinks.length === 0) return;
+
+        const chipsDiv = document.createElement('div');
+        chipsDiv.className = 'chatbot-link-chips';
+
+        const label = document.createElement('span');
+        label.className = 'chatbot-link-chips-label';
+        label.textContent = this.t('related');
+        chipsDiv.appendChild(label);
+
+        validLinks.forEach(item => {
+            const link = document.createElement('a');
+            link.className = 'chatbot-link-chip';
+            link.href = new URL(item.url, this.siteRoot).href;
+            link.textContent = item.title;
+            chipsDiv.appendChild(link);
+        });
+
+        messageDiv.appendChild(chipsDiv);
+    }
+
+    scrollToBottom() {
+        const messagesContainer = this.root.getElementById('chatbot-messages');
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
+
+    // Call to action under an answer: the booking form for consultations, a page link otherwise
+    showCTA(cta, lang = this.lang) {
+        if (cta === 'consultation') {
+            this.showConsultationCTA(lang);
+        } else if (cta === 'careers') {
+            this.showLinkCTA('careers', 'ctaCareersPrompt', 'ctaCareers', lang);
+        } else if (cta === 'contact') {
+            this.showLinkCTA('contact', 'ctaContactPrompt', 'ctaContact', lang);
+        }
+    }
+
+    // A call to action's page: the ctaLinks option (web pages only), or the site page in the answer's
+    // language (fr/careers.html...)
+    ctaUrl(name, lang) {
+        if (typeof this.ctaLinks[name] === 'string') {
+            const url = new URL(this.ctaLinks[name], this.siteRoot);
+            if (/^https?:$/.test(url.protocol)) return url.href;
+        }
+        const page = CHATBOT_CTA_PAGES[name];
+        return new URL(lang === 'en' ? page : `${lang}/${page}`, this.siteRoot).href;
+    }
+
+    showLinkCTA(name, promptKey, linkKey, lang) {
+        const messagesContainer = this.root.getElementById('chatbot-messages');
+        const href = this.ctaUrl(name, lang);
         const ctaDiv = document.createElement('div');
         ctaDiv.className = 'chatbot-cta';
         ctaDiv.innerHTML = `
             <div class="chatbot-cta-content">
-                <p>Ready to discuss your wireless needs?</p>
+                <p>${this.t(promptKey, {}, lang)}</p>
                 <div class="chatbot-cta-buttons">
-                    <a href="contact_us.html" class="chatbot-cta-btn chatbot-cta-btn-primary">Book Consultation</a>
-                    <a href="tel:1-888-859-2673" class="chatbot-cta-btn chatbot-cta-btn-secondary">Call Us: 1-888-859-2673</a>
+                    <a href="${href}" class="chatbot-cta-btn chatbot-cta-btn-primary">${this.t(linkKey, {}, lang)}</a>
+                    <a href="tel:1-888-859-2673" class="chatbot-cta-btn chatbot-cta-btn-secondary">${this.t('ctaCall', {}, lang)}</a>
                 </div>
             </div>
         `;
         messagesContainer.appendChild(ctaDiv);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        this.announce(this.t(promptKey, {}, lang));
     }
-}
 
-// Initialize chatbot when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    if (typeof LinkwaveChatbot !== 'undefined') {
-        window.linkwaveChatbot = new LinkwaveChatbot();
+    showConsultationCTA(lang = this.lang) {
+        const messagesContainer = this.root.getElementById('chatbot-messages');
+        const ctaDiv = document.createElement('div');
+        ctaDiv.className = 'chatbot-cta';
+        ctaDiv.innerHTML = `
+            <div class="chatbot-cta-content">
+                <p>${this.t('ctaPrompt', {}, lang)}</p>
+                <div class="chatbot-cta-buttons">
+                    <button type="button" class="chatbot-cta-btn chatbot-cta-btn-primary">${this.t('ctaBook', {}, lang)}</button>
+                    <a href="tel:1-888-859-2673" class="chatbot-cta-btn chatbot-cta-btn-secondary">${this.t('ctaCall', {}, lang)}</a>
+                </div>
+            </div>
+        `;
+        ctaDiv.querySelector('button').addEventListener('click', () => this.showLeadForm(lang));
+        messagesContainer.appendChild(ctaDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        this.announce(this.t('ctaPrompt', {}, lang));
+    }
+
+    // In-chat booking form; only one is shown at a time
+    showLeadForm(lang = this.lang) {
+        const messagesContainer = this.root.getElementById('chatbot-messages');
+        const existing = messagesContainer.querySelector('.chatbot-lead-form');
+        if (existing) {
+            existing.querySelector('input').focus();
+            return;
+        }
+
+        const t = (key) => this.t(key, {}, lang);
+        const options = (labels) => Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        const form = document.createElement('form');
+        form.className = 'chatbot-lead-form';
+        form.noValidate = true;
+        form.dataset.lang = lang;
+        form.innerHTML = `
+            <p class="chatbot-lead-title">${t('leadTitle')}</p>
+            <label>${t('leadName')}<input type="text" name="name" maxlength="100" autocomplete="name" required></label>
+            <label>${t('leadCompany')}<input type="text" name="company" maxlength="150" autocomplete="organization"></label>
+            <label>${t('leadEmail')}<input type="email" name="email" maxlength="254" autocomplete="email" required></label>
+            <label>${t('leadPhone')}<input type="tel" name="phone" maxlength="25" autocomplete="tel"></label>
+            <label>${t('leadBuildingType')}
+                <select name="buildingType">
+                    <option value="">${t('leadSelect')}</option>
+                    ${options(t('buildingTypes'))}
+                </select>
+            </label>
+            <label>${t('leadSquareFootage')}<input type="number" name="squareFootage" min="1" step="1" inputmode="numeric"></label>
+            <fieldset>
+                <legend>${t('leadCarriers')}</legend>
+                <label class="chatbot-lead-check"><input type="checkbox" name="carriers" value="bell">Bell</label>
+                <label class="chatbot-lead-check"><input type="checkbox" name="carriers" value="rogers">Rogers</label>
+                <label class="chatbot-lead-check"><input type="checkbox" name="carriers" value="telus">Telus</label>
+                <label class="chatbot-lead-check"><input type="checkbox" name="carriers" value="freedom">Freedom</label>
+                <label class="chatbot-lead-check"><input type="checkbox" name="carriers" value="videotron">Vidéotron</label>
+                <label class="chatbot-lead-check"><input type="checkbox" name="carriers" value="other">${t('leadCarrierOther')}</label>
+            </fieldset>
+            <label>${t('leadPublicSafety')}
+                <select name="publicSafety">
+                    <option value="">${t('leadSelect')}</option>
+                    ${options(t('publicSafetyOptions'))}
+                </select>
+            </label>
+            <label>${t('leadNotes')}<textarea name="notes" maxlength="1000" rows="2"></textarea></label>
+            <p class="chatbot-lead-status" role="status" aria-live="polite"></p>
+            <div class="chatbot-cta-buttons">
+                <button type="submit" class="chatbot-cta-btn chatbot-cta-btn-primary">${t('leadSubmit')}</button>
+                <button type="button" class="chatbot-cta-btn chatbot-cta-btn-secondary chatbot-lead-cancel">${t('leadCancel')}</button>
+            </div>
+        `;
+
+        form.querySelector('.chatbot-lead-cancel').addEventListener('click', () => {
+            form.remove();
+            this.root.getElementById('chatbot-input').focus();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLead(form);
+        });
+
+        messagesContainer.appendChild(form);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        form.querySelector('input[name="name"]').focus();
+    }
+
+    showLeadFieldErrors(form, fields = {}) {
+        form.querySelectorAll('.chatbot-lead-error').forEach(el => el.remove());
+        form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+
+        Object.entries(fields).forEach(([name, message]) => {
+            const input = form.querySelector(`[name="${name}"]`);
+            if (!input) return;
+            const container = input.closest('fieldset') || input.closest('label');
+            const error = document.createElement('span');
+            error.className = 'chatbot-lead-error';
+            error.textContent = message;
+            container.appendChild(error);
+            input.setAttribute('aria-invalid', 'true');
+        });
+
+        const firstInvalid = form.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) firstInvalid.focus();
+    }
+
+    async submitLead(form) {
+        const lang = form.dataset.lang || this.lang;
+        const status = form.querySelector('.chatbot-lead-status');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const data = new FormData(form);
+        const value = (name) => this.sanitizeInput(data.get(name) || '');
+
+        const lead = {
+            name: value('name'),
+            company: value('company'),
+            email: value('email'),
+            phone: value('phone'),
+            buildingType: value('buildingType'),
+            squareFootage: value('squareFootage'),
+            carriers: data.getAll('carriers'),
+            publicSafety: value('publicSafety'),
+            notes: (data.get('notes') || '').trim().slice(0, 1000),
+            page: window.location.pathname,
+            // The server attaches this session's conversation
+            sessionId: this.sessionId || undefined
+        };
+
+        // Quick client-side check; the server validates everything again
+        const fields = {};
+        if (!lead.name) fields.name = this.t('leadNameRequired', {}, lang);
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(lead.email)) fields.email = this.t('leadEmailInvalid', {}, lang);
+        if (Object.keys(fields).length > 0) {
+            this.showLeadFieldErrors(form, fields);
+            return;
+        }
+
+        this.showLeadFieldErrors(form);
+        submitButton.disabled = true;
+        status.className = 'chatbot-lead-status';
+        status.textContent = this.t('leadSending', {}, lang);
+
+        try {
+            const response = await fetch(this.leadsUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(lead)
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                if (result.fields) this.showLeadFieldErrors(form, result.fields);
+                throw new Error(result.message || (result.fields ? this.t('leadCheckFields', {}, lang) : `HTTP error! status: ${response.status}`));
+            }
+
+            const success = document.createElement('div');
+            success.className = 'chatbot-lead-success';
+            success.setAttribute('role', 'status');
+            success.textContent = this.t('leadSuccess', { name: lead.name }, lang);
+            form.replaceWith(success);
+            this.scrollToBottom();
+            this.root.getElementById('chatbot-input').focus();
+        } catch (error) {
+            console.error('Lead submission error:', error);
+            status.className = 'chatbot-lead-status chatbot-lead-status-error';
+            status.textContent = error instanceof TypeError
+                ? this.t('leadUnreachable', {}, lang)
+                : error.message;
+            submitButton.disabled = false;
+        }
+    }
+
+    // In-chat panel to download the conversation or have it emailed; only one is shown at a time
+    showExportPanel() {
+        const messagesContainer = this.root.getElementById('chatbot-messages');
+        const existing = messagesContainer.querySelector('.chatbot-export-form');
+        if (existing) existing.remove();
+
+        const form = document.createElement('form');
+        form.className = 'chatbot-export-form';
+        form.noValidate = true;
+        form.innerHTML = `
+            <p class="chatbot-lead-title">${this.t('exportTitle')}</p>
+            <div class="chatbot-cta-buttons">
+                <button type="button" class="chatbot-cta-btn chatbot-cta-btn-secondary" data-format="markdown">${this.t('exportMarkdown')}</button>
+                <button type="button" class="chatbot-cta-btn chatbot-cta-btn-secondary" data-format="pdf">${this.t('exportPdf')}</button>
+            </div>
+            <label>${this.t('exportEmail')}<input type="email" name="email" maxlength="254" autocomplete="email" required></label>
+            <p class="chatbot-lead-status" role="status" aria-live="polite"></p>
+            <div class="chatbot-cta-buttons">
+                <button type="submit" class="chatbot-cta-btn chatbot-cta-btn-primary">${this.t('exportSend')}</button>
+                <button type="button" class="chatbot-cta-btn chatbot-cta-btn-secondary chatbot-export-close">${this.t('exportClose')}</button>
+            </div>
+        `;
+
+        form.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => this.downloadTranscript(button.dataset.format));
+        });
+        form.querySelector('.chatbot-export-close').addEventListener('click', () => {
+            form.remove();
+            this.root.getElementById('chatbot-input').focus();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.emailTranscript(form);
+        });
+
+        messagesContainer.appendChild(form);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        form.querySelector('button').focus();
+    }
+
+    // The conversation as it was shown, with the consultation call to action and contact details at the end
+    transcript() {
+        const date = new Date().toLocaleDateString(this.lang === 'fr' ? 'fr-CA' : 'en-CA', { dateStyle: 'long' });
+        return {
+            saved: this.t('transcriptSaved', { date }),
+            messages: this.conversationHistory.map(msg => ({
+                speaker: msg.role === 'user' ? this.t('transcriptUser') : this.t('title'),
+                content: msg.content,
+                sources: msg.role === 'assistant'
+                    ? this.validateSources(msg.sources).map(source => ({ title: source.title, url: new URL(source.url, this.siteRoot).href }))
+                    : []
+            })),
+            bookUrl: this.ctaUrl('contact', this.lang)
+        };
+    }
+
+    transcriptMarkdown() {
+        const { saved, messages, bookUrl } = this.transcript();
+        const sections = messages.map(msg => {
+            const sources = msg.sources.length > 0
+                ? `\n\n${this.t('sources')} ${msg.sources.map(source => `[${source.title}](${source.url})`).join(', ')}`
+                : '';
+            return `**${msg.speaker}:**\n\n${msg.content}${sources}`;
+        });
+        return [
+            `# ${this.t('title')}`,
+            `_${saved}_`,
+            ...sections,
+            '---',
+            `**${this.t('ctaPrompt')}**`,
+            `- [${this.t('ctaBook')}](${bookUrl})\n- ${this.t('ctaCall')}\n- ${this.t('transcriptEmail')}\n- ${this.siteRoot}`
+        ].join('\n\n') + '\n';
+    }
+
+    transcriptPdf() {
+        const { saved, messages, bookUrl } = this.transcript();
+        const pdf = new ChatbotPdf();
+        pdf.write(this.t('title'), { size: 16, bold: true, gap: 2 });
+        pdf.write(saved, { size: 9, gap: 14 });
+        messages.forEach(msg => {
+            pdf.write(msg.speaker, { bold: true, gap: 2 });
+            pdf.write(this.markdown.plainText(msg.content), { gap: msg.sources.length > 0 ? 4 : 12 });
+            if (msg.sources.length > 0) {
+                pdf.write(`${this.t('sources')} ${msg.sources.map(source => `${source.title} (${source.url})`).join(', ')}`, { size: 8, gap: 12 });
+            }
+        });
+        pdf.write(this.t('ctaPrompt'), { size: 12, bold: true, gap: 4 });
+        pdf.write([`${this.t('ctaBook')}: ${bookUrl}`, this.t('ctaCall'), this.t('transcriptEmail'), this.siteRoot].join('\n'));
+        return pdf.toBlob();
+    }
+
+    // Save the conversation as linkwave-conversation-<date>.md or .pdf
+    downloadTranscript(format) {
+        const blob = format === 'pdf'
+            ? this.transcriptPdf()
+            : new Blob([this.transcriptMarkdown()], { type: 'text/markdown;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `linkwave-conversation-${new Date().toISOString().slice(0, 10)}.${format === 'pdf' ? 'pdf' : 'md'}`;
+        this.root.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // The server emails its own copy of the session, so only the address and session id are sent
+    async emailTranscript(form) {
+        const status = form.querySelector('.chatbot-lead-status');
+        const submitButton = form.querySelector('button[type="submit"]');
+        const email = this.sanitizeInput(form.querySelector('input[name="email"]').value);
+
+        status.className = 'chatbot-lead-status';
+        status.textContent = '';
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            this.showLeadFieldErrors(form, { email: this.t('leadEmailInvalid') });
+            return;
+        }
+        this.showLeadFieldErrors(form);
+        if (!this.sessionId) {
+            status.className = 'chatbot-lead-status chatbot-lead-status-error';
+            status.textContent = this.t('exportExpired');
+            return;
+        }
+
+        submitButton.disabled = true;
+        status.textContent = this.t('leadSending');
+
+        try {
+            const response = await fetch(this.transcriptsUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId: this.sessionId, email, lang: this.lang })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                if (result.fields && result.fields.email) this.showLeadFieldErrors(form, { email: result.fields.email });
+                if (response.status === 404) throw new Error(this.t('exportExpired'));
+                if (response.status === 409) throw new Error(this.t('exportAlreadySent'));
+                if (response.status === 429) throw new Error(this.t('tooManyRequests'));
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            status.textContent = this.t('exportSent', { email });
+        } catch (error) {
+            console.error('Transcript email error:', error);
+            status.className = 'chatbot-lead-status chatbot-lead-status-error';
+            status.textContent = error instanceof TypeError
+                ? this.t('leadUnreachable')
+                : error.message;
+        } finally {
+            submitButton.disabled = false;
+        }
     }
-});
+}
+
+window.LinkwaveChatbot = LinkwaveChatbot;
+
+// A plain script tag mounts the widget with its defaults once the page is ready. Pages that configure it
+// add data-auto-init="false" to the script tag and call LinkwaveChatbot.init themselves.
+function autoInitChatbot() {
+    if (window.linkwaveChatbot || (CHATBOT_SCRIPT && CHATBOT_SCRIPT.dataset.autoInit === 'false')) return;
+    LinkwaveChatbot.init();
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoInitChatbot);
+} else {
+    autoInitChatbot();
+}
@@ -5,8 +5,10 @@ module.exports = {
     apps: [{
         name: 'linkwave-chatbot',
         script: './server.js',
-        instances: 1, // Use 'max' for cluster mode
-        exec_mode: 'fork', // or 'cluster'
+        // Only one process is supported: the answer cache and canonical answers are held in memory
+        // (see CHATBOT_SETUP.md, Chat Sessions)
+        instances: 1,
+        exec_mode: 'fork',
         watch: false, // Set to true for development
         max_memory_restart: '500M',
         env: {
@@ -19,6 +21,8 @@ module.exports = {
             // Add your production environment variables here
             // OPENAI_API_KEY: 'your-key-here',
             // ALLOWED_ORIGINS: 'https://your-domain.com,https://www.your-domain.com'
+            // MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.your-provider.com', SMTP_USER: '...', SMTP_PASS: '...'
+            // RATE_LIMIT_STORE: 'redis', REDIS_URL: 'redis://localhost:6379', CHAT_TOKEN_SECRET: 'long-random-string'
         },
         error_file: './logs/err.log',
         out_file: './logs/out.log',
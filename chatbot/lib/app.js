@@ -0,0 +1,228 @@
+// Express app factory: security middleware and routes
+// Dependencies are injected so tests can run the app with a mock LLM
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const config = require('./config');
+const { createLimiter } = require('./rate-limit');
+const { createChatRouter } = require('./routes/chat');
+const { createLeadsRouter } = require('./routes/leads');
+const { createContactRouter } = require('./routes/contact');
+const { createApplicationsRouter } = require('./routes/applications');
+const { createTranscriptsRouter } = require('./routes/transcripts');
+const { createAdminRouter } = require('./routes/admin');
+const { createJsonlStore } = require('./stores/jsonl');
+const { createFileStore } = require('./stores/files');
+const { createMemorySessionStore } = require('./stores/sessions');
+const { createMemoryCounterStore } = require('./stores/counters');
+const { createMailer } = require('./mail');
+
+function createApp({
+    llm,
+    siteIndex = null,
+    // Intent and topic classifier; without one the keyword rules label messages
+    classifier = null,
+    llmConfig = config.llm,
+    // Chat sessions; server.js passes the store selected by SESSION_STORE
+    sessionStore = createMemorySessionStore({
+        ttlMs: config.sessions.ttlHours * 60 * 60 * 1000,
+        maxMessages: config.sessions.maxMessages,
+        maxSessions: config.sessions.maxSessions
+    }),
+    leadStore = createJsonlStore(config.leads.storePath),
+    contactStore = createJsonlStore(config.contact.storePath),
+    applicationStore = createJsonlStore(config.applications.storePath),
+    resumeFiles = createFileStore(config.applications.uploadDir),
+    applicationsConfig = config.applications,
+    // Titles of the open jobs (npm run build-careers); applications for any other position are refused
+    positions = [],
+    conversationStore = createJsonlStore(config.conversations.storePath),
+    transcriptsConfig = config.transcripts,
+    adminConfig = config.admin,
+    mailer = createMailer(config.mail),
+    // Rate limit counts; server.js passes the shared store selected by RATE_LIMIT_STORE
+    counterStore = createMemoryCounterStore(),
+    // Session token budgets and the daily spend cap; without one chat usage is not limited
+    usage = null,
+    // Proof-of-work check for new chat sessions; without one sessions start freely
+    botGuard = null,
+    // Canonical answers managed from the admin dashboard; without them every question goes to the model
+    canonicalAnswers = null,
+    // FAQ entries from faq.html (lib/faq.js); without them FAQ questions go to the model
+    faq = null,
+    faqMinScore = config.answers.faqMinScore,
+    // Project portfolio (lib/projects.js); without it requests for projects go to the model
+    projects = null,
+    // Cache of answers to opening questions; without one nothing is reused
+    responseCache = null
+}) {
+    const app = express();
+
+    // Security: Helmet for security headers
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                styleSrc: ["'self'", "'unsafe-inline'"],
+                scriptSrc: ["'self'", "'unsafe-inline'"],
+                imgSrc: ["'self'", "data:", "https:"],
+            },
+        },
+        crossOriginEmbedderPolicy: false
+    }));
+
+    // Security: Configure CORS to only allow specific origins
+    const allowedOrigins = process.env.ALLOWED_ORIGINS 
+        ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
+        : ['http://localhost:3000', 'http://localhost:8080', 'http://127.0.0.1:8080', 'http://localhost', 'http://127.0.0.1'];
+
+    const corsOptions = {
+        origin: function (origin, callback) {
+            // In development, allow all origins for easier testing
+            if (process.env.NODE_ENV !== 'production') {
+                return callback(null, true);
+            }
+
+            // In production, only allow specified origins
+            if (!origin || allowedOrigins.indexOf(origin) !== -1) {
+                callback(null, true);
+            } else {
+                callback(new Error('Not allowed by CORS'));
+            }
+        },
+        credentials: true,
+        methods: ['GET', 'POST'],
+        allowedHeaders: ['Content-Type'],
+        // The widget reads a new chat session's id before the streamed answer arrives
+        exposedHeaders: ['X-Chat-Session']
+    };
+
+    app.use(cors(corsOptions));
+
+    // Security: Limit request body size (prevent DoS)
+    // Canonical answers hold a full reply and its phrasings
+    app.use('/admin/api/answers', express.json({ limit: '50kb' }));
+    app.use(express.json({ limit: '10kb' }));
+
+    // Security: Rate limiting, counted in counterStore so limits can be shared and survive restarts
+    // Chat - 20 requests per 15 minutes per IP
+    const chatLimiter = createLimiter(counterStore, 'chat', {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 20, // Limit each IP to 20 requests per windowMs
+        message: 'Too many requests from this IP, please try again later.',
+        skip: (req) => {
+            // Skip rate limiting for health checks
+            return req.path === '/health';
+        }
+    });
+
+    // Security: Proof-of-work challenges - 20 per 15 minutes per IP, apart from the chat allowance
+    const challengeLimiter = createLimiter(counterStore, 'challenge', {
+        windowMs: 15 * 60 * 1000,
+        max: 20,
+        message: { error: 'Too many requests', message: 'Too many requests from this IP, please try again later.' }
+    });
+
+    // Security: Collecting an answer after a page reload - 120 polls per 15 minutes per IP
+    const requestLimiter = createLimiter(counterStore, 'chat-requests', {
+        windowMs: 15 * 60 * 1000,
+        max: 120,
+        message: { error: 'Too many requests', message: 'Too many requests from this IP, please try again later.' }
+    });
+
+    // Security: Health check rate limiter (more lenient)
+    const healthLimiter = createLimiter(counterStore, 'health', {
+        windowMs: 1 * 60 * 1000, // 1 minute
+        max: 30 // 30 health checks per minute
+    });
+
+    // Security: Lead submissions - 5 per hour per IP
+    const leadsLimiter = createLimiter(counterStore, 'leads', {
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 5,
+        message: { error: 'Too many requests', message: 'Too many submissions from this IP, please try again later.' }
+    });
+
+    // Security: Contact form - 5 messages per hour per IP
+    const contactLimiter = createLimiter(counterStore, 'contact', {
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 5,
+        message: { error: 'Too many requests', message: 'Too many messages from this IP, please try again later.' }
+    });
+
+    // Security: Job applications - 5 per hour per IP
+    const applicationsLimiter = createLimiter(counterStore, 'applications', {
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 5,
+        message: { error: 'Too many requests', message: 'Too many applications from this IP, please try again later.' }
+    });
+
+    // Security: Transcript emails - 5 per hour per IP
+    const transcriptsLimiter = createLimiter(counterStore, 'transcripts', {
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 5,
+        message: { error: 'Too many requests', message: 'Too many emails from this IP, please try again later.' }
+    });
+
+    // Security: Admin dashboard - 100 requests per 15 minutes per IP (slows password guessing)
+    const adminLimiter = createLimiter(counterStore, 'admin', {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 100,
+        message: { error: 'Too many requests', message: 'Too many requests from this IP, please try again later.' }
+    });
+
+    // Health check
+    app.get('/health', healthLimiter, (req, res) => {
+        res.json({ status: 'ok', service: 'Linkwave Chatbot API' });
+    });
+
+    app.use(createChatRouter({
+        llm,
+        llmConfig,
+        siteIndex,
+        classifier,
+        limiter: chatLimiter,
+        challengeLimiter,
+        requestLimiter,
+        sessions: sessionStore,
+        conversationLog: conversationStore,
+        usage,
+        botGuard,
+        canonicalAnswers,
+        faq,
+        faqMinScore,
+        projects,
+        responseCache
+    }));
+    app.use(createLeadsRouter({ store: leadStore, sessions: sessionStore, limiter: leadsLimiter }));
+    app.use(createContactRouter({ store: contactStore, mailer, limiter: contactLimiter }));
+    app.use(createApplicationsRouter({
+        store: applicationStore,
+        files: resumeFiles,
+        mailer,
+        limiter: applicationsLimiter,
+        maxFileBytes: applicationsConfig.maxFileBytes,
+        notifyTo: applicationsConfig.notifyTo,
+        positions
+    }));
+    app.use(createTranscriptsRouter({
+        sessions: sessionStore,
+        mailer,
+        limiter: transcriptsLimiter,
+        siteUrl: transcriptsConfig.siteUrl
+    }));
+    app.use(createAdminRouter({
+        conversationStore,
+        leadStore,
+        canonicalAnswers,
+        responseCache,
+        adminConfig,
+        limiter: adminLimiter
+    }));
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
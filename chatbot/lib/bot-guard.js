@@ -0,0 +1,76 @@
+// Proof-of-work check for new chat sessions
+// GET /api/chat/challenge hands out a signed challenge; the widget finds a solution whose
+// SHA-256 hash of "challenge:solution" starts with `difficulty` zero bits (about a second in a browser)
+// and sends it with its first message. Scripts have to pay that for every session they open,
+// and each session is then held to its token budget.
+const crypto = require('crypto');
+
+// Solutions are decimal counters; anything longer is not a real attempt
+const MAX_SOLUTION_LENGTH = 16;
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+const hashSolution = (challenge, solution) => crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+
+// Brute-force a solution the way the widget does
+function solveChallenge(challenge, difficulty) {
+    for (let solution = 0; ; solution++) {
+        if (leadingZeroBits(hashSolution(challenge, solution)) >= difficulty) return String(solution);
+    }
+}
+
+function createBotGuard({ secret, difficulty, ttlMs, counters, now = Date.now }) {
+    const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    return {
+        // Challenge "<expiresAt>.<nonce>.<signature>"; the difficulty is signed in so it can't be lowered
+        issue() {
+            const expiresAt = now() + ttlMs;
+            const payload = `${expiresAt}.${crypto.randomBytes(12).toString('base64url')}`;
+            return { challenge: `${payload}.${sign(`${payload}.${difficulty}`)}`, difficulty, expiresAt };
+        },
+
+        // Resolves { ok: true } or { ok: false, reason } for logging; a challenge is accepted once
+        async verify(proof) {
+            if (!proof || typeof proof.challenge !== 'string' || typeof proof.solution !== 'string') {
+                return { ok: false, reason: 'missing' };
+            }
+            const { challenge, solution } = proof;
+            const [expiresAt, nonce, signature] = challenge.split('.');
+            if (!signature || solution.length > MAX_SOLUTION_LENGTH) return { ok: false, reason: 'malformed' };
+
+            const expected = Buffer.from(sign(`${expiresAt}.${nonce}.${difficulty}`));
+            const given = Buffer.from(signature);
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+                return { ok: false, reason: 'signature' };
+            }
+            if (Number(expiresAt) <= now()) return { ok: false, reason: 'expired' };
+            if (leadingZeroBits(hashSolution(challenge, solution)) < difficulty) return { ok: false, reason: 'solution' };
+
+            // Without the counter store a challenge can be replayed until it expires, rather than block visitors
+            try {
+                const { total } = await counters.increment(`challenge:${nonce}`, ttlMs);
+                if (total > 1) return { ok: false, reason: 'reused' };
+            } catch (error) {
+                console.error('Challenge replay check failed:', error.message);
+            }
+            return { ok: true };
+        }
+    };
+}
+
+module.exports = {
+    leadingZeroBits,
+    solveChallenge,
+    createBotGuard
+};
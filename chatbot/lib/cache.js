@@ -0,0 +1,115 @@
+// Response cache for questions asked at the start of a conversation
+// Follow-ups depend on what came before, so only turns without earlier questions are cached.
+// Questions match on their normalized wording (case, punctuation and spacing ignored) or,
+// with a similarity threshold and a provider that can embed, on how close their embeddings are.
+// Entries live in this process and expire after ttlMs; the oldest go first once maxEntries is reached.
+const { normalizeQuestion } = require('./conversations');
+const { unescapeHtml } = require('./sanitize');
+
+// Wording key for a sanitized message: the same question asked in another language is a different entry
+const cacheKey = (lang, message) => `${lang}:${normalizeQuestion(unescapeHtml(message))}`;
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function createResponseCache({ ttlMs, maxEntries = 500, similarity = 0, embed = null, now = Date.now }) {
+    // Map order is insertion order, so the first entry is the oldest
+    const entries = new Map();
+    const counts = { hits: 0, similarHits: 0, misses: 0 };
+    const matchSimilar = similarity > 0 && typeof embed === 'function';
+
+    const expired = entry => entry.expiresAt <= now();
+
+    function sweep() {
+        for (const [key, entry] of entries) {
+            if (expired(entry)) entries.delete(key);
+        }
+    }
+
+    // A failed embedding only costs the similar match; the wording still counts
+    async function embedQuestion(message) {
+        try {
+            const [vector] = await embed([normalizeQuestion(unescapeHtml(message))]);
+            return vector || null;
+        } catch (error) {
+            console.warn('Response cache embedding failed:', error.message);
+            return null;
+        }
+    }
+
+    function closest(lang, vector) {
+        let best = null;
+        let bestScore = similarity;
+        for (const entry of entries.values()) {
+            if (entry.lang !== lang || !entry.vector || expired(entry)) continue;
+            const score = cosineSimilarity(vector, entry.vector);
+            if (score >= bestScore) {
+                best = entry;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    return {
+        // Resolves { value, match: 'exact' | 'similar' } on a hit, or { miss } to hand to set() with the answer
+        async lookup(lang, message) {
+            const key = cacheKey(lang, message);
+            const entry = entries.get(key);
+            if (entry && !expired(entry)) {
+                counts.hits += 1;
+                return { value: entry.value, match: 'exact' };
+            }
+
+            const vector = matchSimilar ? await embedQuestion(message) : null;
+            const similar = vector && closest(lang, vector);
+            if (similar) {
+                counts.similarHits += 1;
+                return { value: similar.value, match: 'similar' };
+            }
+
+            counts.misses += 1;
+            return { miss: { key, lang, vector } };
+        },
+
+        set(miss, value) {
+            entries.delete(miss.key);
+            if (entries.size >= maxEntries) sweep();
+            if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+            entries.set(miss.key, { lang: miss.lang, vector: miss.vector, value, expiresAt: now() + ttlMs });
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        // Counts since the process started, for the admin dashboard
+        stats() {
+            sweep();
+            const lookups = counts.hits + counts.similarHits + counts.misses;
+            return {
+                entries: entries.size,
+                maxEntries,
+                ttlHours: ttlMs / (60 * 60 * 1000),
+                similarity: matchSimilar ? similarity : 0,
+                ...counts,
+                hitRate: lookups ? (counts.hits + counts.similarHits) / lookups : 0
+            };
+        }
+    };
+}
+
+module.exports = {
+    cacheKey,
+    cosineSimilarity,
+    createResponseCache
+};
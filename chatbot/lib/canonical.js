@@ -0,0 +1,137 @@
+// Canonical answers: replies written in the admin dashboard for questions the team wants answered
+// the same way every time. A message whose wording matches one of an answer's questions (as the
+// response cache compares them) gets that reply without calling the model, at any point in a conversation.
+// Kept in a JSON file (CANONICAL_ANSWERS_PATH) that is read once at startup and rewritten on every change.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cacheKey } = require('./cache');
+
+function duplicateError(question) {
+    const error = new Error(`"${question}" already has a canonical answer`);
+    error.code = 'DUPLICATE_QUESTION';
+    return error;
+}
+
+function readAnswers(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) {
+        throw new Error('Canonical answers file must contain an array');
+    }
+    return data;
+}
+
+function createCanonicalAnswers({ filePath }) {
+    let answers = readAnswers(filePath);
+    // cacheKey(lang, question) -> answer
+    let index = new Map();
+    // Matches per answer id since the process started
+    const hits = new Map();
+    // Serialize writes so concurrent edits never overwrite each other
+    let queue = Promise.resolve();
+
+    function reindex() {
+        index = new Map();
+        answers.forEach(answer => {
+            answer.questions.forEach(question => index.set(cacheKey(answer.lang, question), answer));
+        });
+    }
+    reindex();
+
+    // Questions may belong to a single answer per language
+    function checkQuestions(fields, id) {
+        fields.questions.forEach(question => {
+            const owner = index.get(cacheKey(fields.lang, question));
+            if (owner && owner.id !== id) throw duplicateError(question);
+        });
+    }
+
+    // Apply a change and write the whole file through a temp file, so readers never see half of it
+    function write(change) {
+        const result = queue.then(async () => {
+            const next = change(answers);
+            if (!next) return null;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, `${JSON.stringify(next.answers, null, 2)}\n`, 'utf8');
+            await fs.promises.rename(tempPath, filePath);
+            answers = next.answers;
+            reindex();
+            return next.result;
+        });
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    const withHits = (answer) => {
+        const hit = hits.get(answer.id);
+        return { ...answer, hits: hit ? hit.count : 0, lastHitAt: hit ? hit.at : null };
+    };
+
+    const toAnswer = (fields, id) => ({
+        id,
+        lang: fields.lang,
+        questions: fields.questions,
+        answer: fields.answer,
+        intent: fields.intent || 'info',
+        topic: fields.topic || 'general',
+        sources: fields.sources || [],
+        updatedAt: new Date().toISOString()
+    });
+
+    return {
+        filePath,
+
+        // The answer for a sanitized message in the reply language, or null
+        match(lang, message) {
+            const answer = index.get(cacheKey(lang, message));
+            if (!answer) return null;
+            const hit = hits.get(answer.id) || { count: 0 };
+            hits.set(answer.id, { count: hit.count + 1, at: new Date().toISOString() });
+            return answer;
+        },
+
+        list() {
+            return answers.map(withHits);
+        },
+
+        // Resolves with the stored answer; rejects with code DUPLICATE_QUESTION if a question is taken
+        add(fields) {
+            return write(current => {
+                checkQuestions(fields, null);
+                const answer = toAnswer(fields, crypto.randomUUID());
+                return { answers: [...current, answer], result: answer };
+            });
+        },
+
+        // Resolves with the updated answer, or null when there is no answer with that id
+        update(id, fields) {
+            return write(current => {
+                if (!current.some(answer => answer.id === id)) return null;
+                checkQuestions(fields, id);
+                const answer = toAnswer(fields, id);
+                return { answers: current.map(existing => (existing.id === id ? answer : existing)), result: answer };
+            });
+        },
+
+        // Resolves true when the answer existed
+        remove(id) {
+            return write(current => {
+                if (!current.some(answer => answer.id === id)) return null;
+                hits.delete(id);
+                return { answers: current.filter(answer => answer.id !== id), result: true };
+            }).then(Boolean);
+        }
+    };
+}
+
+module.exports = {
+    createCanonicalAnswers
+};
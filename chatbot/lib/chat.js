@@ -0,0 +1,216 @@
+// Chat pipeline: input checks, canned replies, retrieval, prompt building and post-processing
+const retrieval = require('./retrieval');
+const { sanitizeString } = require('./sanitize');
+const { classifyByKeywords, isRepeated } = require('./heuristics');
+const {
+    fixNumberedLists,
+    fixSpacing,
+    limitList,
+    removeContactInfo,
+    fixButtonReferences,
+    appendConsultationCTA
+} = require('./postprocess');
+const {
+    SYSTEM_PROMPT,
+    CONTEXT_PROMPT,
+    LANGUAGE_PROMPTS,
+    CANNED_REPLIES
+} = require('./prompts');
+const { resolveLanguage } = require('./language');
+const { matchFaq } = require('./faq');
+const { matchProjectRequest, listProjects } = require('./projects');
+
+// A retrieval score at or above this counts as an on-topic question
+const CONFIDENT_MATCH_SCORE = 5;
+
+// Find site passages relevant to the question, falling back to the previous user turn for short follow-ups.
+// Only pages in the reply language are searched.
+function retrieveContext(siteIndex, message, history, lang) {
+    if (!siteIndex) return [];
+    let results = retrieval.search(siteIndex, message, 3, { lang });
+    if (results.length === 0) {
+        const previous = history.filter(m => m.role === 'user').slice(-1)[0];
+        if (previous) {
+            results = retrieval.search(siteIndex, `${previous.content} ${message}`, 3, { lang });
+        }
+    }
+    return results;
+}
+
+// Sanitize the new message and decide how to answer it, given the session's history.
+// Returns { error } for bad input, { reply } for canned, canonical, FAQ, project list and cached replies,
+// or the LLM request parameters otherwise. outcome labels the turn for the conversation log,
+// message is the sanitized text to record in the session history, lang the reply language
+// and classification the intent and topic labels (keyword rules when no classifier is given).
+// A cache miss comes back as cacheMiss, for the caller to store the answer once it has one.
+async function prepareChat({ message, history = [], pageLanguage }, {
+    siteIndex = null,
+    llmConfig,
+    classifier = null,
+    canonicalAnswers = null,
+    // FAQ entries (lib/faq.js) and the score a match needs
+    faq = null,
+    faqMinScore = 0.6,
+    // Project portfolio (lib/projects.js), listed by industry on request
+    projects = null,
+    responseCache = null
+}) {
+    // Additional sanitization
+    message = sanitizeString(message, 250);
+
+    if (!message || message.length === 0) {
+        return { error: 'Message is required' };
+    }
+
+    const lang = resolveLanguage(message, pageLanguage);
+    const replies = CANNED_REPLIES[lang];
+
+    // Check for repeated question
+    if (isRepeated(message, history)) {
+        return { message, lang, reply: replies.repeat, consultationIntent: false, outcome: 'repeat' };
+    }
+
+    // Answers curated in the admin dashboard win over the model
+    const canonical = canonicalAnswers && canonicalAnswers.match(lang, message);
+    if (canonical) {
+        return {
+            message,
+            lang,
+            reply: canonical.answer,
+            sources: canonical.sources,
+            consultationIntent: canonical.intent === 'consultation',
+            classification: { intent: canonical.intent, topic: canonical.topic, confidence: 1, source: 'canonical' },
+            outcome: 'canonical'
+        };
+    }
+
+    // Questions the FAQ page answers get its answer, with a link to the entry
+    const faqMatch = faq && faqMinScore > 0 && matchFaq(faq, message, lang, { minScore: faqMinScore });
+    if (faqMatch) {
+        const { entry } = faqMatch;
+        return {
+            message,
+            lang,
+            reply: entry.answer,
+            sources: [{ title: entry.title, url: entry.url }],
+            consultationIntent: false,
+            classification: { intent: 'info', topic: entry.topic, confidence: faqMatch.score, source: 'faq' },
+            outcome: 'faq'
+        };
+    }
+
+    // Requests for projects in an industry get the list from the portfolio
+    const projectRequest = matchProjectRequest(projects, message, lang);
+    if (projectRequest) {
+        const { reply, sources } = listProjects(projects, projectRequest, lang);
+        return {
+            message,
+            lang,
+            reply,
+            sources,
+            consultationIntent: false,
+            classification: { intent: 'info', topic: 'projects', confidence: 1, source: 'projects' },
+            outcome: 'projects'
+        };
+    }
+
+    // Only opening questions are cached: a follow-up's answer depends on the conversation so far
+    let cacheMiss = null;
+    if (responseCache && !history.some(m => m.role === 'user')) {
+        const cached = await responseCache.lookup(lang, message);
+        if (cached.value) {
+            const { response, sources, consultationIntent, classification } = cached.value;
+            return { message, lang, reply: response, sources, consultationIntent, classification, outcome: 'cached' };
+        }
+        cacheMiss = cached.miss;
+    }
+
+    const classification = classifier
+        ? await classifier.classify({ message, history })
+        : classifyByKeywords(message, history);
+    const consultationIntent = classification.intent === 'consultation';
+    const context = retrieveContext(siteIndex, message, history, lang);
+    const confidentMatch = context.some(result => result.score >= CONFIDENT_MATCH_SCORE);
+
+    // Check for off-topic (allow consultation intent and questions the site answers through)
+    if (!consultationIntent && !confidentMatch && classification.topic === 'offTopic') {
+        return { message, lang, reply: replies.offTopic, consultationIntent: false, classification, outcome: 'offTopic' };
+    }
+
+    // Build messages for the LLM
+    const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        ...(LANGUAGE_PROMPTS[lang] ? [{ role: 'system', content: LANGUAGE_PROMPTS[lang] }] : []),
+        ...(context.length > 0
+            ? [{ role: 'system', content: `${CONTEXT_PROMPT}\n\n${retrieval.formatContext(context)}` }]
+            : []),
+        ...history,
+        { role: 'user', content: message }
+    ];
+
+    const isShortQuery = message.trim().split(/\s+/).length <= 6;
+
+    return {
+        message,
+        lang,
+        messages,
+        context,
+        consultationIntent,
+        classification,
+        outcome: 'answered',
+        maxTokens: isShortQuery ? llmConfig.maxTokensShort : llmConfig.maxTokens,
+        cacheMiss
+    };
+}
+
+// Canned reply for a turn the usage limits keep from the model (lib/usage.js): the session's token
+// budget is used up, or the day's spend cap is reached and the pages the question matched stand in for an answer
+function limitedReply(chat, limit) {
+    const replies = CANNED_REPLIES[chat.lang];
+    if (limit === 'sessionBudget') {
+        return { ...chat, reply: replies.sessionBudget, sources: [], outcome: 'sessionBudget' };
+    }
+
+    const sources = [];
+    (chat.context || []).forEach(result => {
+        if (!sources.some(source => source.url === result.url)) {
+            sources.push({ title: result.title, url: result.url });
+        }
+    });
+    return {
+        ...chat,
+        reply: sources.length > 0 ? replies.spendCap : replies.spendCapNoPages,
+        sources,
+        outcome: 'spendCap'
+    };
+}
+
+// Post-process the full model response
+// Returns the cleaned response text and the site pages it cited
+function postProcessResponse(response, chat) {
+    const { consultationIntent } = chat;
+    const cited = retrieval.extractCitations(response, chat.context || []);
+
+    response = fixSpacing(cited.text);
+    response = fixNumberedLists(response);
+    response = limitList(response);
+
+    if (consultationIntent) {
+        response = removeContactInfo(response);
+        response = fixButtonReferences(response); // Fix incorrect button location references
+        response = appendConsultationCTA(response, chat.lang);
+    } else {
+        // Also fix button references even when not consultation intent (in case AI mentions buttons)
+        response = fixButtonReferences(response);
+    }
+
+    return { response, sources: cited.sources };
+}
+
+module.exports = {
+    CONFIDENT_MATCH_SCORE,
+    retrieveContext,
+    prepareChat,
+    limitedReply,
+    postProcessResponse
+};
@@ -0,0 +1,104 @@
+// Intent and topic classification for chat messages
+// A short JSON-only model call labels each message; the keyword rules in heuristics.js
+// take over when the call fails, times out or comes back unsure
+const { classifyByKeywords } = require('./heuristics');
+const { CLASSIFIER_PROMPT } = require('./prompts');
+const { unescapeHtml } = require('./sanitize');
+
+const INTENTS = ['info', 'consultation', 'careers', 'support', 'smalltalk'];
+const TOPICS = [
+    'das', 'publicSafety', 'cellular', 'wifi', 'private5g', 'lmr', 'transit',
+    'projects', 'careers', 'company', 'general', 'offTopic'
+];
+
+// Earlier visitor messages sent along to resolve follow-ups
+const CONTEXT_MESSAGES = 2;
+const MAX_TOKENS = 60;
+
+// Read the model's labels, or throw when the reply isn't a valid classification
+function parseClassification(text) {
+    const json = (text || '').match(/\{[\s\S]*\}/);
+    if (!json) throw new Error('no JSON object in reply');
+
+    const labels = JSON.parse(json[0]);
+    if (!INTENTS.includes(labels.intent)) throw new Error(`unknown intent "${labels.intent}"`);
+    if (!TOPICS.includes(labels.topic)) throw new Error(`unknown topic "${labels.topic}"`);
+
+    const confidence = Number(labels.confidence);
+    return {
+        intent: labels.intent,
+        topic: labels.topic,
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+        source: 'llm'
+    };
+}
+
+// Recent visitor messages and the new one, as a single classifier input
+// Messages arrive HTML-escaped by the route validators; the model reads them as typed
+function classifierInput(message, history) {
+    const previous = history.filter(m => m.role === 'user').slice(-CONTEXT_MESSAGES);
+    const latest = `Latest message: ${unescapeHtml(message)}`;
+    if (previous.length === 0) return latest;
+    return [
+        'Earlier messages:',
+        ...previous.map(m => `- ${unescapeHtml(m.content)}`),
+        '',
+        latest
+    ].join('\n');
+}
+
+function createClassifier({ mode, timeoutMs, minConfidence, llm }) {
+    if (mode === 'keywords') {
+        return {
+            name: 'keywords',
+            async classify({ message, history = [] }) {
+                return classifyByKeywords(message, history);
+            }
+        };
+    }
+    if (mode !== 'llm') {
+        throw new Error(`Unknown classifier mode "${mode}". Use llm or keywords.`);
+    }
+
+    return {
+        name: 'llm',
+
+        // Always resolves: errors are logged and answered with the keyword labels
+        async classify({ message, history = [] }) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const reply = await llm.complete({
+                    messages: [
+                        { role: 'system', content: CLASSIFIER_PROMPT },
+                        { role: 'user', content: classifierInput(message, history) }
+                    ],
+                    maxTokens: MAX_TOKENS,
+                    temperature: 0,
+                    json: true,
+                    signal: controller.signal
+                });
+                const labels = parseClassification(reply);
+                if (labels.confidence >= minConfidence) return labels;
+                return { ...classifyByKeywords(message, history), fallback: 'lowConfidence' };
+            } catch (error) {
+                const reason = controller.signal.aborted ? 'timeout' : 'error';
+                console.warn('Classifier fallback:', {
+                    reason,
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                });
+                return { ...classifyByKeywords(message, history), fallback: reason };
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+    };
+}
+
+module.exports = {
+    INTENTS,
+    TOPICS,
+    parseClassification,
+    createClassifier
+};
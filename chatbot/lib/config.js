@@ -0,0 +1,178 @@
+// Runtime configuration read from environment variables
+// Load .env before requiring this module (server.js does this first)
+const path = require('path');
+
+// Visitor data (leads, inquiries, resumes, conversation logs) is written here unless overridden.
+// Kept apart from data/, which only holds build outputs, so it never ends up in the image.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'storage');
+
+function toNumber(value, fallback) {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const llm = {
+    // openai | azure | local | mock
+    provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    // Only used when the response cache matches similar questions (RESPONSE_CACHE_SIMILARITY)
+    embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    temperature: toNumber(process.env.LLM_TEMPERATURE, 0.7),
+    maxTokens: toNumber(process.env.LLM_MAX_TOKENS, 500),
+    maxTokensShort: toNumber(process.env.LLM_MAX_TOKENS_SHORT, 180),
+    timeoutMs: toNumber(process.env.LLM_TIMEOUT_MS, 20000),
+
+    openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL || undefined
+    },
+
+    azure: {
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+        embeddingDeployment: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+    },
+
+    // Any OpenAI-compatible server (Ollama, llama.cpp server, vLLM)
+    local: {
+        baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LLM_API_KEY || 'local'
+    },
+
+    mock: {
+        // Optional JSON file of [{ "pattern": "regex", "reply": "text" }]
+        repliesPath: process.env.MOCK_REPLIES_PATH
+    }
+};
+
+const classifier = {
+    // llm: a short JSON-only call to the chat model labels each message; keywords: keyword rules only
+    mode: (process.env.CLASSIFIER_MODE || 'llm').toLowerCase(),
+    timeoutMs: toNumber(process.env.CLASSIFIER_TIMEOUT_MS, 4000),
+    // Model labels below this confidence fall back to the keyword rules
+    minConfidence: toNumber(process.env.CLASSIFIER_MIN_CONFIDENCE, 0.6)
+};
+
+const sessions = {
+    // Where chat sessions and answers waiting to be collected are kept: memory (lost on restart) or
+    // redis (kept across restarts, on REDIS_URL). Follows RATE_LIMIT_STORE unless set.
+    store: (process.env.SESSION_STORE || process.env.RATE_LIMIT_STORE || 'memory').toLowerCase(),
+    // Server-side chat history expires after this much inactivity (matches the widget's historyExpiryHours)
+    ttlHours: toNumber(process.env.CHAT_SESSION_TTL_HOURS, 3),
+    // Messages kept per session and sent to the model with each question
+    maxMessages: toNumber(process.env.CHAT_SESSION_MAX_MESSAGES, 20),
+    maxSessions: toNumber(process.env.CHAT_MAX_SESSIONS, 10000)
+};
+
+const limits = {
+    // Where rate limits, token budgets and the spend cap are counted:
+    // memory (reset on restart) or redis (kept across restarts)
+    store: (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase(),
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    // Estimated model tokens (prompts and replies) one chat session may use; 0 for no budget
+    sessionTokenBudget: toNumber(process.env.CHAT_SESSION_TOKEN_BUDGET, 20000),
+    // Once the day's estimated model spend (UTC) reaches this, chat answers come from site search only; 0 for no cap
+    dailySpendCapUsd: toNumber(process.env.LLM_DAILY_SPEND_CAP_USD, 5),
+    // USD per million tokens, for the spend estimate (defaults are gpt-4o-mini prices)
+    inputPricePerMillion: toNumber(process.env.LLM_INPUT_PRICE_PER_M, 0.15),
+    outputPricePerMillion: toNumber(process.env.LLM_OUTPUT_PRICE_PER_M, 0.6)
+};
+
+const botProtection = {
+    // pow: a new chat session needs a solved proof-of-work challenge; off: no check
+    mode: (process.env.CHAT_BOT_PROTECTION || 'pow').toLowerCase(),
+    // Signs challenges; set it so challenges issued before a restart are still accepted
+    secret: process.env.CHAT_TOKEN_SECRET,
+    // Leading zero bits required; each extra bit doubles the widget's work
+    difficulty: toNumber(process.env.CHAT_POW_DIFFICULTY, 14),
+    ttlMs: toNumber(process.env.CHAT_POW_TTL_MINUTES, 10) * 60 * 1000
+};
+
+const answers = {
+    // Canonical answers curated in the admin dashboard, given without calling the model
+    canonicalPath: process.env.CANONICAL_ANSWERS_PATH || path.join(DATA_DIR, 'canonical-answers.json'),
+    // FAQ entries from faq.html (built by `npm run build-faq`), answered directly when a question matches one
+    faqPath: process.env.FAQ_PATH || path.join(__dirname, '..', 'data', 'faq.json'),
+    // Match score (0 to 1) a question needs to get the FAQ answer; 0 turns FAQ answers off
+    faqMinScore: toNumber(process.env.FAQ_MIN_SCORE, 0.6),
+    // Project portfolio (built by `npm run build-projects`), listed by industry when a visitor asks for projects
+    projectsPath: process.env.PROJECTS_PATH || path.join(__dirname, '..', 'data', 'projects.json'),
+    // Answers to questions asked at the start of a conversation are reused for this long; 0 turns the cache off
+    cacheTtlHours: toNumber(process.env.RESPONSE_CACHE_TTL_HOURS, 24),
+    cacheMaxEntries: toNumber(process.env.RESPONSE_CACHE_MAX_ENTRIES, 500),
+    // Also reuse answers for differently worded questions this similar (0 to 1, via embeddings); 0 matches wording only
+    cacheSimilarity: toNumber(process.env.RESPONSE_CACHE_SIMILARITY, 0)
+};
+
+const leads = {
+    storePath: process.env.LEADS_STORE_PATH || path.join(DATA_DIR, 'leads.jsonl')
+};
+
+const contact = {
+    storePath: process.env.CONTACT_STORE_PATH || path.join(DATA_DIR, 'inquiries.jsonl')
+};
+
+const applications = {
+    storePath: process.env.APPLICATIONS_STORE_PATH || path.join(DATA_DIR, 'applications.jsonl'),
+    uploadDir: process.env.APPLICATIONS_UPLOAD_DIR || path.join(DATA_DIR, 'resumes'),
+    maxFileBytes: toNumber(process.env.APPLICATION_MAX_FILE_MB, 10) * 1024 * 1024,
+    // Open positions from careers/jobs.json (npm run build-careers); applications must name one
+    positionsPath: process.env.POSITIONS_PATH || path.join(__dirname, '..', 'data', 'positions.json'),
+    // Each application is emailed here with the resume attached
+    notifyTo: process.env.HR_EMAIL || 'hr@linkwavewireless.com'
+};
+
+const transcripts = {
+    // Links in emailed chat transcripts point to this site
+    siteUrl: process.env.SITE_URL || 'https://linkwavewireless.com/'
+};
+
+const conversations = {
+    // Every chat turn is logged here for the admin dashboard
+    storePath: process.env.CONVERSATIONS_STORE_PATH || path.join(DATA_DIR, 'conversations.jsonl'),
+    // Turns older than this are deleted (daily and at startup)
+    retentionDays: toNumber(process.env.CONVERSATION_RETENTION_DAYS, 90)
+};
+
+const admin = {
+    username: process.env.ADMIN_USERNAME || 'admin',
+    // The admin dashboard is disabled until this is set
+    password: process.env.ADMIN_PASSWORD
+};
+
+const mail = {
+    // smtp | file | console
+    transport: (process.env.MAIL_TRANSPORT || 'console').toLowerCase(),
+    from: process.env.MAIL_FROM || 'Linkwave Website <no-reply@linkwavewireless.com>',
+    to: process.env.MAIL_TO || 'info@linkwavewireless.com',
+
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: toNumber(process.env.SMTP_PORT, 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    },
+
+    // file transport writes one JSON file per message here
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox')
+};
+
+module.exports = {
+    DATA_DIR,
+    llm,
+    classifier,
+    sessions,
+    limits,
+    botProtection,
+    answers,
+    leads,
+    contact,
+    applications,
+    transcripts,
+    conversations,
+    admin,
+    mail
+};
@@ -0,0 +1,127 @@
+// Conversation log analytics for the admin dashboard, plus the retention policy
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Turns answered without a model call: from the response cache, a canonical answer, the FAQ or the project list
+const MODEL_FREE_OUTCOMES = ['cached', 'canonical', 'faq', 'projects'];
+
+// Collapse case, punctuation and spacing so near-identical questions group together
+function normalizeQuestion(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Group turns into sessions, newest activity first
+// Turns logged without a session id each form their own session
+function summarizeSessions(records) {
+    const sessions = new Map();
+
+    for (const record of records) {
+        const key = record.sessionId || `turn-${record.id}`;
+        if (!sessions.has(key)) {
+            sessions.set(key, {
+                sessionId: key,
+                startedAt: record.createdAt,
+                lastActivityAt: record.createdAt,
+                turns: 0,
+                consultationIntent: false,
+                offTopicTurns: 0,
+                errorTurns: 0,
+                firstQuestion: record.message
+            });
+        }
+        const session = sessions.get(key);
+        session.turns += 1;
+        if (record.createdAt < session.startedAt) session.startedAt = record.createdAt;
+        if (record.createdAt > session.lastActivityAt) session.lastActivityAt = record.createdAt;
+        if (record.consultationIntent) session.consultationIntent = true;
+        if (record.outcome === 'offTopic') session.offTopicTurns += 1;
+        if (record.outcome === 'error') session.errorTurns += 1;
+    }
+
+    return [...sessions.values()].sort((a, b) => (a.lastActivityAt < b.lastActivityAt ? 1 : -1));
+}
+
+// Every turn of one session in the order it happened
+function sessionTranscript(records, sessionId) {
+    return records
+        .filter(record => (record.sessionId || `turn-${record.id}`) === sessionId)
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+// Daily turn, session, consultation and off-topic counts for the last `days` days (UTC)
+function computeStats(records, { days = 30, now = Date.now() } = {}) {
+    const daily = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(now - i * DAY_MS).toISOString().slice(0, 10);
+        daily.set(date, { date, turns: 0, sessions: new Set(), consultation: 0, offTopic: 0, reused: 0 });
+    }
+
+    for (const record of records) {
+        const bucket = daily.get(String(record.createdAt).slice(0, 10));
+        if (!bucket) continue;
+        bucket.turns += 1;
+        bucket.sessions.add(record.sessionId || record.id);
+        if (record.consultationIntent) bucket.consultation += 1;
+        if (record.outcome === 'offTopic') bucket.offTopic += 1;
+        if (MODEL_FREE_OUTCOMES.includes(record.outcome)) bucket.reused += 1;
+    }
+
+    const series = [...daily.values()].map(bucket => ({ ...bucket, sessions: bucket.sessions.size }));
+    const totals = series.reduce((sum, day) => ({
+        turns: sum.turns + day.turns,
+        sessions: sum.sessions + day.sessions,
+        consultation: sum.consultation + day.consultation,
+        offTopic: sum.offTopic + day.offTopic,
+        reused: sum.reused + day.reused
+    }), { turns: 0, sessions: 0, consultation: 0, offTopic: 0, reused: 0 });
+
+    return { days, totals, daily: series };
+}
+
+// Most frequently asked questions, keeping the first wording seen for display
+function topQuestions(records, limit = 10) {
+    const counts = new Map();
+    for (const record of records) {
+        const key = normalizeQuestion(record.message);
+        if (!key) continue;
+        const entry = counts.get(key) || { question: record.message, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+    }
+    return [...counts.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+// Drop records older than the retention window; resolves with the number removed
+function pruneExpired(store, retentionDays, now = Date.now()) {
+    const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+    return store.prune(record => record.createdAt >= cutoff);
+}
+
+// Apply the retention policy now and then once a day
+// Returns the timer so callers (and tests) can stop it
+function scheduleRetention(store, retentionDays) {
+    const run = () => pruneExpired(store, retentionDays)
+        .then(removed => {
+            if (removed > 0) console.log(`Conversation retention: removed ${removed} turn(s) older than ${retentionDays} days`);
+        })
+        .catch(error => console.error('Conversation retention error:', error.message));
+
+    run();
+    const timer = setInterval(run, DAY_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    normalizeQuestion,
+    summarizeSessions,
+    sessionTranscript,
+    computeStats,
+    topQuestions,
+    pruneExpired,
+    scheduleRetention
+};
@@ -0,0 +1,28 @@
+// CSV export helpers for the admin dashboard
+
+// Quote a value for CSV, neutralising cells a spreadsheet would run as a formula
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// columns: [{ header, value: record => cell }]
+function toCsv(records, columns) {
+    const lines = [columns.map(column => csvCell(column.header)).join(',')];
+    for (const record of records) {
+        lines.push(columns.map(column => csvCell(column.value(record))).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    csvCell,
+    toCsv
+};
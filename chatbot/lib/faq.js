@@ -0,0 +1,119 @@
+// FAQ ruleset: answers questions that closely match an entry of faq.html straight from the page
+// Entries come from data/faq.json (built by `npm run build-faq`). A message is scored against each
+// question in its language by the content words they share, weighted so words that appear in few
+// questions count more; small typos still match. Only a confident match is answered, linking back
+// to the entry; anything else goes to the model.
+const fs = require('fs');
+const retrieval = require('./retrieval');
+const { unescapeHtml } = require('./sanitize');
+
+// Matches need at least this many shared words, so a single topic word never answers
+const MIN_SHARED_TERMS = 2;
+// Words this long may differ by one letter
+const FUZZY_MIN_LENGTH = 5;
+
+// Content words, plurals as the singular; short hyphenated prefixes are joined so "Wi-Fi" is "wifi"
+// and "by-law" matches "bylaws", while "non-compliant" stays two words
+function terms(text) {
+    const joined = unescapeHtml(text || '').replace(/(^|[^\p{L}])(\p{L}{1,2})-(\p{L})/gu, '$1$2$3');
+    return [...new Set(retrieval.tokenize(joined).map(term => (term.length > 3 ? term.replace(/s$/, '') : term)))];
+}
+
+// True when a and b differ by at most one inserted, removed or replaced letter
+function withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else {
+            i++;
+            j++;
+        }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// The question term a message term stands for, if any
+function matchTerm(term, questionTerms) {
+    if (questionTerms.includes(term)) return term;
+    if (term.length < FUZZY_MIN_LENGTH) return null;
+    return questionTerms.find(candidate => candidate.length >= FUZZY_MIN_LENGTH && withinOneEdit(term, candidate)) || null;
+}
+
+// Entries grouped by language, with each question's terms and the weight of every term
+function createFaq(entries) {
+    const languages = new Map();
+    entries.forEach(entry => {
+        if (!languages.has(entry.lang)) languages.set(entry.lang, { entries: [], documentFrequency: new Map() });
+        const language = languages.get(entry.lang);
+        const questionTerms = terms(entry.question);
+        language.entries.push({ entry, terms: questionTerms });
+        questionTerms.forEach(term => language.documentFrequency.set(term, (language.documentFrequency.get(term) || 0) + 1));
+    });
+
+    // Words no question uses weigh as much as the rarest ones
+    languages.forEach(language => {
+        const count = language.entries.length;
+        language.weight = term => Math.log(1 + count / (language.documentFrequency.get(term) || 1));
+    });
+    return { languages, size: entries.length };
+}
+
+// Load data/faq.json; returns null if it hasn't been built
+function loadFaq(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || !Array.isArray(data.entries)) {
+        throw new Error('FAQ file must contain an "entries" array');
+    }
+    return createFaq(data.entries);
+}
+
+// Weighted overlap (Dice coefficient) between the message and one question, 0 to 1
+function scoreQuestion(messageTerms, candidate, weight) {
+    let shared = 0;
+    let sharedWeight = 0;
+    messageTerms.forEach(term => {
+        const match = matchTerm(term, candidate.terms);
+        if (!match) return;
+        shared += 1;
+        sharedWeight += weight(match);
+    });
+    const total = messageTerms.reduce((sum, term) => sum + weight(term), 0)
+        + candidate.terms.reduce((sum, term) => sum + weight(term), 0);
+    return { shared, score: total > 0 ? (2 * sharedWeight) / total : 0 };
+}
+
+// The best entry for a message in the reply language as { entry, score }, or null below minScore
+function matchFaq(faq, message, lang, { minScore = 0.6 } = {}) {
+    const language = faq && faq.languages.get(lang);
+    if (!language) return null;
+    const messageTerms = terms(message);
+    if (messageTerms.length < MIN_SHARED_TERMS) return null;
+
+    let best = null;
+    language.entries.forEach(candidate => {
+        const { shared, score } = scoreQuestion(messageTerms, candidate, language.weight);
+        if (shared >= MIN_SHARED_TERMS && score >= minScore && (!best || score > best.score)) {
+            best = { entry: candidate.entry, score };
+        }
+    });
+    return best;
+}
+
+module.exports = {
+    terms,
+    withinOneEdit,
+    createFaq,
+    loadFaq,
+    matchFaq
+};
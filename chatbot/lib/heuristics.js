@@ -0,0 +1,153 @@
+// Intent and topic heuristics based on keyword lists
+// Keywords match at the start of a word, so "rf" matches "RF design" but not "surf"
+
+// Keywords
+// "talk", "speak" and "project" are too common on their own ("let's talk about DAS",
+// "what projects have you done?"), so only phrases that ask for a person or quote count
+const CONSULTATION_KEYWORDS = [
+    'consultation', 'consult', 'meeting', 'discuss',
+    'talk to', 'talk with', 'speak to', 'speak with',
+    'quote', 'pricing', 'cost', 'price', 'estimate',
+    'my project', 'our project', 'new project', 'upcoming project',
+    'book', 'schedule', 'appointment', 'contact', 'reach out',
+    'interested', 'learn more',
+    // French
+    'rendez-vous', 'rencontre', 'réunion', 'discuter',
+    'parler à', 'parler avec', 'parler au', 'joindre',
+    'soumission', 'devis', 'prix', 'tarif', 'coût', 'cout', 'estimation',
+    'mon projet', 'notre projet', 'nouveau projet', 'projet à venir',
+    'réserver', 'planifier', 'contacter', 'intéressé', 'en savoir plus'
+];
+
+const DOMAIN_KEYWORDS = [
+    'das', 'distributed antenna', 'in-building', 'signal', 'coverage',
+    'carrier', 'cellular', '5g', 'lte', 'public safety', 'radio',
+    'wifi', 'wireless', 'linkwave', 'network', 'installation',
+    'design', 'testing', 'maintenance', 'deployment', 'building',
+    'tunnel', 'transit', 'hospital', 'stadium', 'campus', 'office',
+    'rf', 'antenna', 'website', 'services', 'careers', 'projects',
+    'team', 'faq', 'learn', 'company',
+    // French
+    'antenne', 'couverture', 'cellulaire', 'sécurité publique', 'sans fil',
+    'réseau', 'opérateur', 'fournisseur', 'bâtiment', 'immeuble', 'édifice',
+    'hôpital', 'hopital', 'stade', 'bureau', 'conception', 'essai', 'entretien',
+    'déploiement', 'site web', 'carrière', 'emploi', 'projet', 'équipe', 'entreprise'
+];
+
+const CAREERS_KEYWORDS = [
+    'career', 'job', 'hiring', 'open position', 'apply for', 'how to apply', 'my application',
+    'resume', 'internship', 'work for you', 'work at linkwave',
+    // French
+    'carrière', 'emploi', 'poste', 'embauche', 'postuler', 'candidature', 'cv'
+];
+
+const SUPPORT_KEYWORDS = [
+    'not working', 'stopped working', "doesn't work", 'broken', 'outage',
+    'issue with', 'problem with', 'troubleshoot', 'service call', 'alarm', 'existing system',
+    // French
+    'ne fonctionne pas', 'en panne', 'panne', 'problème avec', 'dépannage', 'alarme', 'système existant'
+];
+
+const SMALLTALK_PATTERN = /^(hi|hello|hey|good\s*(morning|afternoon|evening)|thanks|thank you|bye|bonjour|bonsoir|salut|allô|allo|merci|au revoir)(?![\p{L}\p{N}])/iu;
+
+// Topic labels shared with the classifier prompt; the first matching topic wins
+const TOPIC_KEYWORDS = {
+    publicSafety: ['public safety', 'first responder', 'bda', 'by-law', 'bylaw', 'fire code', 'sécurité publique', 'premiers répondants'],
+    das: ['das', 'distributed antenna', 'in-building', 'booster', 'antenna', 'antenne'],
+    cellular: ['cellular', 'cell signal', 'carrier', 'lte', 'cellulaire', 'opérateur'],
+    wifi: ['wifi', 'wi-fi', 'wireless network', 'access point', 'réseau sans fil'],
+    private5g: ['private 5g', 'private lte', 'cbrs', '5g privé'],
+    lmr: ['lmr', 'two-way radio', 'land mobile', 'radio bidirectionnelle'],
+    transit: ['transit', 'tunnel', 'subway', 'rail', 'métro', 'train'],
+    projects: ['project', 'case study', 'portfolio', 'projet', 'étude de cas'],
+    careers: CAREERS_KEYWORDS,
+    company: ['linkwave', 'your team', 'your company', 'about you', 'who are you', 'votre équipe', 'votre entreprise']
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Precompile one pattern per keyword list
+// \b only knows ASCII letters, so accented keywords ("édifice") use a Unicode lookbehind
+function keywordPattern(keywords) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${keywords.map(escapeRegExp).join('|')})`, 'iu');
+}
+
+const CONSULTATION_PATTERN = keywordPattern(CONSULTATION_KEYWORDS);
+const DOMAIN_PATTERN = keywordPattern(DOMAIN_KEYWORDS);
+const CAREERS_PATTERN = keywordPattern(CAREERS_KEYWORDS);
+const SUPPORT_PATTERN = keywordPattern(SUPPORT_KEYWORDS);
+const TOPIC_PATTERNS = Object.entries(TOPIC_KEYWORDS).map(([topic, keywords]) => [topic, keywordPattern(keywords)]);
+
+// Detect consultation intent
+function detectConsultationIntent(message, history) {
+    if (CONSULTATION_PATTERN.test(message)) return true;
+    
+    const recent = history.slice(-3).filter(m => m.role === 'user');
+    return recent.some(m => CONSULTATION_PATTERN.test(m.content || ''));
+}
+
+// Check domain context
+function hasDomainContext(history) {
+    const recent = history.slice(-3).filter(m => m.role === 'user');
+    return recent.some(m => DOMAIN_PATTERN.test(m.content || ''));
+}
+
+// Off-topic check
+function isOffTopic(message, history) {
+    const lower = message.toLowerCase().trim();
+    
+    // Allow greetings
+    if (/^(hi|hello|hey|good\s*(morning|afternoon|evening)|bonjour|bonsoir|salut|allô|allo)(?![\p{L}\p{N}])/iu.test(lower)) {
+        return false;
+    }
+    
+    // Allow meta follow-ups with context
+    if (/^(list|summarize|summary|bullet|outline|liste|résume|résumé)/i.test(lower) && hasDomainContext(history)) {
+        return false;
+    }
+    
+    // On-topic if contains domain keyword
+    if (DOMAIN_PATTERN.test(lower)) {
+        return false;
+    }
+    
+    // On-topic if recent context exists
+    return !hasDomainContext(history);
+}
+
+// Intent and topic labels from the keyword rules, in the classifier's format
+// Used when the model classifier is off, fails or is unsure; keywords carry no real confidence
+function classifyByKeywords(message, history) {
+    let intent = 'info';
+    if (detectConsultationIntent(message, history)) intent = 'consultation';
+    else if (CAREERS_PATTERN.test(message)) intent = 'careers';
+    else if (SUPPORT_PATTERN.test(message)) intent = 'support';
+    else if (SMALLTALK_PATTERN.test(message.trim())) intent = 'smalltalk';
+
+    const match = TOPIC_PATTERNS.find(([, pattern]) => pattern.test(message));
+    let topic = match ? match[0] : 'general';
+    if (!match && intent === 'info' && isOffTopic(message, history)) topic = 'offTopic';
+
+    return { intent, topic, confidence: 0.5, source: 'keywords' };
+}
+
+// Repeated question check
+function isRepeated(message, history) {
+    const norm = message.toLowerCase().trim();
+    const recent = history.filter(m => m.role === 'user').slice(-3);
+    if (recent.length < 3) return false;
+    return recent.every(m => (m.content || '').toLowerCase().trim() === norm);
+}
+
+module.exports = {
+    CONSULTATION_KEYWORDS,
+    DOMAIN_KEYWORDS,
+    TOPIC_KEYWORDS,
+    classifyByKeywords,
+    detectConsultationIntent,
+    hasDomainContext,
+    isOffTopic,
+    isRepeated
+};
@@ -0,0 +1,64 @@
+// Reply language: detected from the visitor's message, falling back to the page language
+const { unescapeHtml } = require('./sanitize');
+
+const SUPPORTED_LANGUAGES = ['en', 'fr'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Common function words; a message needs a clear lead of one language to count as detected
+const LANGUAGE_WORDS = {
+    en: [
+        'the', 'is', 'are', 'what', 'how', 'do', 'does', 'can', 'you', 'your', 'my', 'we', 'our',
+        'for', 'with', 'and', 'need', 'want', 'which', 'who', 'why', 'when', 'where', 'about', 'have', 'this'
+    ],
+    fr: [
+        'le', 'la', 'les', 'un', 'une', 'des', 'du', 'est', 'sont', 'quoi', 'que', 'qui', 'comment',
+        'pourquoi', 'quand', 'où', 'vous', 'votre', 'vos', 'nous', 'notre', 'je', 'mon', 'ma', 'mes',
+        'pour', 'avec', 'et', 'dans', 'sur', 'besoin', 'faites', 'offrez', 'pouvez', 'avez', 'quel',
+        'quelle', 'quels', 'quelles', 'bonjour', 'salut', 'merci', 'oui', 'non', 'ce', 'cette', 'au', 'aux'
+    ]
+};
+
+const WORD_SETS = Object.fromEntries(
+    Object.entries(LANGUAGE_WORDS).map(([lang, words]) => [lang, new Set(words)])
+);
+
+// Letters that only show up in French text
+const FRENCH_LETTERS = /[àâæçéèêëîïôœùûüÿ]/i;
+
+// Map "fr-CA", "FR" etc. to a supported code, or null
+function normalizeLanguage(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+// Returns 'en', 'fr' or null when the message is too short or mixed to tell
+function detectLanguage(message) {
+    const text = unescapeHtml(message).toLowerCase();
+    // Elisions such as "qu'est-ce" and "l'antenne" split into their own words
+    const words = text.split(/[^\p{L}]+/u).filter(Boolean);
+
+    const scores = { en: 0, fr: FRENCH_LETTERS.test(text) ? 2 : 0 };
+    for (const word of words) {
+        if (WORD_SETS.en.has(word)) scores.en += 1;
+        if (WORD_SETS.fr.has(word)) scores.fr += 1;
+    }
+    if (/\b(qu|l|d|j|c|n|s)'/.test(text)) scores.fr += 1;
+
+    if (scores.fr >= 2 && scores.fr > scores.en) return 'fr';
+    if (scores.en >= 2 && scores.en > scores.fr) return 'en';
+    return null;
+}
+
+// Language to answer in: what the visitor wrote in, else the page they are on
+function resolveLanguage(message, pageLanguage) {
+    return detectLanguage(message) || normalizeLanguage(pageLanguage) || DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    detectLanguage,
+    resolveLanguage
+};
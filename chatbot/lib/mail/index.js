@@ -0,0 +1,31 @@
+// Mail transport factory
+// Every transport exposes:
+//   send({ to, from, replyTo, subject, text }) -> Promise<{ id }>
+const { createSmtpTransport } = require('./smtp');
+const { createFileTransport, createConsoleTransport } = require('./local');
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+function createMailer(config) {
+    const factory = TRANSPORTS[config.transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${config.transport}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    const transport = factory(config);
+
+    return {
+        name: transport.name,
+        // Fill in the configured sender and recipient unless the caller overrides them
+        send(message) {
+            return transport.send({ from: config.from, to: config.to, ...message });
+        }
+    };
+}
+
+module.exports = {
+    createMailer
+};
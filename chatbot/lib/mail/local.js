@@ -0,0 +1,42 @@
+// Development transports: nothing leaves the machine
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message to <outboxDir>/<timestamp>-<id>.json
+function createFileTransport(config) {
+    return {
+        name: 'file',
+
+        async send(message) {
+            const id = crypto.randomUUID();
+            const sentAt = new Date().toISOString();
+            const fileName = `${sentAt.replace(/[:.]/g, '-')}-${id}.json`;
+            await fs.promises.mkdir(config.outboxDir, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(config.outboxDir, fileName),
+                JSON.stringify({ id, sentAt, ...message }, null, 2),
+                'utf8'
+            );
+            return { id };
+        }
+    };
+}
+
+// Logs each message to stdout
+function createConsoleTransport() {
+    return {
+        name: 'console',
+
+        async send(message) {
+            const id = crypto.randomUUID();
+            console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+            return { id };
+        }
+    };
+}
+
+module.exports = {
+    createFileTransport,
+    createConsoleTransport
+};
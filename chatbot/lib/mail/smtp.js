@@ -0,0 +1,35 @@
+// SMTP delivery through nodemailer
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport(config) {
+    let transporter = null;
+
+    // Create the transporter on first use so missing settings fail the send, not startup
+    const getTransporter = () => {
+        if (!transporter) {
+            if (!config.smtp.host) {
+                throw new Error('SMTP_HOST is not set');
+            }
+            transporter = nodemailer.createTransport({
+                host: config.smtp.host,
+                port: config.smtp.port,
+                secure: config.smtp.secure,
+                auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined
+            });
+        }
+        return transporter;
+    };
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const info = await getTransporter().sendMail(message);
+            return { id: info.messageId };
+        }
+    };
+}
+
+module.exports = {
+    createSmtpTransport
+};
@@ -0,0 +1,160 @@
+// Post-processors applied to every model response
+
+// Fix numbered lists - simple and robust
+function fixNumberedLists(text) {
+    const lines = text.split('\n');
+    let num = 1;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        
+        // Match any line starting with a number followed by . or ) and content
+        // Examples: "1. text", "1) text", "  1. text", "**1.** text"
+        const match = line.match(/^(\s*)(\*\*)?(\d+)([.\)])(\*\*)?\s+(.*)$/);
+        
+        if (match) {
+            const indent = match[1];
+            const content = match[6];
+            lines[i] = `${indent}${num}. ${content}`;
+            num++;
+        } else if (line.trim() === '') {
+            // Reset on empty line (new list)
+            num = 1;
+        }
+    }
+    
+    return lines.join('\n');
+}
+
+// Fix spacing after punctuation
+function fixSpacing(text) {
+    return text.replace(/([.!?])([A-Za-z])/g, '$1 $2');
+}
+
+// Limit list to 3 items
+function limitList(text) {
+    const lines = text.split('\n');
+    const result = [];
+    let listCount = 0;
+    let inList = false;
+    
+    for (const line of lines) {
+        const isListItem = /^\s*(\d+[.\)]|[-*])\s+/.test(line);
+        
+        if (isListItem) {
+            if (!inList) {
+                inList = true;
+                listCount = 0;
+            }
+            listCount++;
+            if (listCount <= 3) {
+                result.push(line);
+            }
+        } else {
+            if (line.trim() === '' && inList) {
+                inList = false;
+                listCount = 0;
+            }
+            result.push(line);
+        }
+    }
+    
+    return result.join('\n');
+}
+
+// North American phone numbers: 1-888-859-2673, (416) 555-1234, 416.555.1234
+// Groups must be separated by - or . (or use parentheses) so runs of
+// space-separated numbers like "100 200 300 4000" are left alone
+const PHONE_PATTERN = /(?:\+?1[-.\s]?)?(?:\(\d{3}\)[-.\s]?|\b\d{3}[-.])\d{3}[-.]\d{4}\b/g;
+
+// Collapse runs of spaces without touching line breaks (lists and paragraphs)
+function collapseSpaces(text) {
+    return text
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/[ \t]+([,.!?])/g, '$1')
+        .replace(/[ \t]+\n/g, '\n');
+}
+
+// Remove contact info when consultation intent detected
+function removeContactInfo(text) {
+    return collapseSpaces(text
+        .replace(PHONE_PATTERN, '')
+        .replace(/\b[\w.+-]+@[\w.-]+\.[a-z]{2,}\b/gi, '')
+        .replace(/\b(call|phone)\s+(us\s+)?(directly\s+)?(at\s*)?\b/gi, '')
+        .replace(/\bor\s+you\s+can\s+call\b/gi, '')
+        .replace(/\b(appelez|téléphonez)[-\s]nous\s+(directement\s+)?(au\s*)?/gi, ''))
+        .trim();
+}
+
+// Remove incorrect references to buttons being "on the website" - they're in the chatbot interface
+function fixButtonReferences(text) {
+    if (!text) return text;
+    
+    let fixed = text;
+    
+    // Pattern: "button below on our website" or "button below on the website" etc.
+    // Replace with just "button below"
+    const patterns = [
+        { 
+            regex: /(click|use|press|select)\s+(the\s+)?["']?Book Consultation["']?\s+button\s+below\s+on\s+(our|the|this)\s+(website|site)/gi,
+            replacement: '$1 $2"Book Consultation" button below'
+        },
+        {
+            regex: /button\s+below\s+on\s+(our|the|this)\s+(website|site)/gi,
+            replacement: 'button below'
+        },
+        {
+            regex: /on\s+(our|the|this)\s+(website|site)\s+below/gi,
+            replacement: 'below'
+        },
+        {
+            regex: /bouton\s+ci-dessous\s+sur\s+(notre|le|ce)\s+site(\s+web)?/gi,
+            replacement: 'bouton ci-dessous'
+        }
+    ];
+    
+    patterns.forEach(({ regex, replacement }) => {
+        fixed = fixed.replace(regex, replacement);
+    });
+    
+    // Clean up extra spaces and punctuation
+    fixed = collapseSpaces(fixed).replace(/\.{2,}/g, '.').trim();
+    
+    return fixed;
+}
+
+// Consultation nudge per reply language
+const CONSULTATION_CTA = {
+    en: {
+        thanks: 'Thanks for your interest.',
+        cta: 'Please click the "Book Consultation" button below to connect with our team.'
+    },
+    fr: {
+        thanks: 'Merci de votre intérêt.',
+        cta: 'Cliquez sur le bouton « Réserver une consultation » ci-dessous pour joindre notre équipe.'
+    }
+};
+
+// Add a CTA nudge when consultation intent is detected
+function appendConsultationCTA(text, lang = 'en') {
+    const base = (text || '').trim();
+    const { cta, thanks } = CONSULTATION_CTA[lang] || CONSULTATION_CTA.en;
+    if (!base) {
+        return `${thanks} ${cta}`;
+    }
+    // Avoid redundancy if the assistant already referenced the button below
+    const alreadyMentionsButton = /book consultation|button below|click the button|use the button|press the button|select the button|réserver une consultation|bouton ci-dessous/i.test(base);
+    if (alreadyMentionsButton) {
+        return base;
+    }
+    return `${base}\n\n${cta}`;
+}
+
+module.exports = {
+    fixNumberedLists,
+    fixSpacing,
+    limitList,
+    removeContactInfo,
+    fixButtonReferences,
+    appendConsultationCTA
+};
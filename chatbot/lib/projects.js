@@ -0,0 +1,146 @@
+// Project portfolio: lists Linkwave's projects by industry without the model
+// Entries come from data/projects.json (built by `npm run build-projects` from our_projects/projects.json).
+// A message asking for projects in an industry ("any hospital projects?") gets that industry's
+// projects with links to their case studies; one asking for projects in general gets the industries
+// with their project counts. Questions about one project by name go to the model, which has its page.
+const fs = require('fs');
+const { terms } = require('./faq');
+
+// Words that make a message about the portfolio (faq.terms form: lowercase, no accents, singular)
+const PROJECT_TERMS = new Set(['project', 'projet', 'portfolio', 'reference', 'realisation', 'experience', 'deployment']);
+// Words about work already done; with an industry they ask for projects too ("worked with hospitals?")
+const PAST_WORK_TERMS = new Set(['example', 'exemple', 'done', 'completed', 'worked', 'delivered', 'realise']);
+// Words that ask for a list; a message naming no industry needs one of these or a past-work word
+const LISTING_TERMS = new Set(['list', 'liste', 'show', 'montrer', 'montrez', 'all', 'tou', 'toute', 'portfolio']);
+// Filler that leaves a message about projects in general ("tell me about your projects")
+const FILLER_TERMS = new Set([
+    'tell', 'about', 'any', 'some', 'see', 'give', 'recent', 'past', 'major', 'notable', 'key', 'linkwave',
+    'parlez', 'parle', 'quelque', 'voir', 'principaux', 'principal'
+]);
+
+// Other words for each vertical (slugs as in the project data); the vertical's label words count too
+const SYNONYMS = {
+    healthcare: ['hospital', 'hopital', 'hopitaux', 'health', 'care', 'sante', 'medical', 'clinic', 'clinique', 'soin'],
+    transit: ['transportation', 'transport', 'train', 'rail', 'railway', 'subway', 'metro', 'station', 'gare', 'tunnel', 'lrt'],
+    government: ['gouvernement', 'federal', 'municipal'],
+    residential: ['residentiel', 'condo', 'condominium', 'apartment', 'appartement'],
+    'data-centres': ['data', 'datacentre', 'datacenter', 'donnee'],
+    energy: ['energie', 'power', 'nuclear', 'nucleaire', 'utility', 'electricite'],
+    retail: ['store', 'warehouse', 'entrepot', 'commerce', 'magasin', 'shopping'],
+    manufacturing: ['fabrication', 'factory', 'usine', 'plant', 'industrial', 'industriel']
+};
+
+const REPLIES = {
+    en: {
+        vertical: 'Here are our projects in {vertical}:',
+        verticals: 'Here are our projects in those industries:',
+        overview: "We've delivered projects across these industries:",
+        count: { one: '{count} project', other: '{count} projects' },
+        more: 'Ask me about any of them, or browse them all on our projects page.',
+        projectsPage: 'Our Projects'
+    },
+    fr: {
+        vertical: 'Voici nos projets dans le secteur {vertical} :',
+        verticals: 'Voici nos projets dans ces secteurs :',
+        overview: 'Nous avons réalisé des projets dans ces secteurs :',
+        count: { one: '{count} projet', other: '{count} projets' },
+        more: "Posez-moi une question sur l'un d'eux, ou parcourez-les tous sur notre page de projets.",
+        projectsPage: 'Nos projets'
+    }
+};
+
+const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => values[key]);
+
+// Entries grouped by language, then by vertical in the order the projects page lists them
+function createPortfolio(entries) {
+    const languages = new Map();
+    entries.forEach(entry => {
+        if (!languages.has(entry.lang)) languages.set(entry.lang, { verticals: new Map(), entries: [] });
+        const language = languages.get(entry.lang);
+        if (!language.verticals.has(entry.vertical)) {
+            language.verticals.set(entry.vertical, { slug: entry.vertical, label: entry.verticalLabel, projects: [] });
+        }
+        language.verticals.get(entry.vertical).projects.push(entry);
+        language.entries.push(entry);
+    });
+
+    // A vertical's synonyms and label words, in every language, point to it
+    const verticalTerms = new Map();
+    entries.forEach(entry => {
+        [...(SYNONYMS[entry.vertical] || []), ...terms(entry.verticalLabel), ...terms(entry.vertical)]
+            .forEach(term => verticalTerms.set(term, entry.vertical));
+    });
+
+    // Name words only one project uses ("humber", "toyota") identify it
+    const nameCounts = new Map();
+    entries.forEach(entry => terms(entry.name).forEach(term => {
+        const slugs = nameCounts.get(term) || new Set();
+        nameCounts.set(term, slugs.add(entry.slug));
+    }));
+    const nameTerms = new Set([...nameCounts.entries()]
+        .filter(([term, slugs]) => slugs.size === 1 && term.length > 2 && !verticalTerms.has(term))
+        .map(([term]) => term));
+
+    return { languages, verticalTerms, nameTerms, size: entries.length };
+}
+
+// Load data/projects.json; returns null if it hasn't been built
+function loadProjects(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || !Array.isArray(data.entries)) {
+        throw new Error('Projects file must contain an "entries" array');
+    }
+    return createPortfolio(data.entries);
+}
+
+// The verticals a message asks for projects in, as { verticals: [slugs] } (empty for every vertical),
+// or null when it isn't a request for a list of projects
+function matchProjectRequest(portfolio, message, lang) {
+    if (!portfolio || !portfolio.languages.has(lang)) return null;
+    const messageTerms = terms(message);
+    if (messageTerms.some(term => portfolio.nameTerms.has(term))) return null;
+
+    const verticals = [...new Set(messageTerms.map(term => portfolio.verticalTerms.get(term)).filter(Boolean))];
+    const has = (set) => messageTerms.some(term => set.has(term));
+    const aboutProjects = has(PROJECT_TERMS);
+    const pastWork = has(PAST_WORK_TERMS);
+
+    if (verticals.length > 0 && (aboutProjects || pastWork)) return { verticals };
+    const general = messageTerms.every(term =>
+        PROJECT_TERMS.has(term) || PAST_WORK_TERMS.has(term) || LISTING_TERMS.has(term) || FILLER_TERMS.has(term));
+    if (verticals.length === 0 && aboutProjects && (pastWork || has(LISTING_TERMS) || general)) return { verticals: [] };
+    return null;
+}
+
+const projectLine = (project) => `- **${project.name}** – ${project.region} · ${project.technologies.join(', ')}`;
+
+// Chat reply for a matched request as { reply, sources }
+function listProjects(portfolio, request, lang) {
+    const language = portfolio.languages.get(lang);
+    const text = REPLIES[lang] || REPLIES.en;
+    const projectsPage = { title: text.projectsPage, url: lang === 'en' ? 'our_projects.html' : `${lang}/our_projects.html` };
+
+    if (request.verticals.length === 0) {
+        const lines = [...language.verticals.values()].map(vertical => {
+            const count = vertical.projects.length;
+            return `- **${vertical.label}** – ${fill(count === 1 ? text.count.one : text.count.other, { count })}`;
+        });
+        return { reply: [text.overview, lines.join('\n'), text.more].join('\n\n'), sources: [projectsPage] };
+    }
+
+    const verticals = request.verticals.map(slug => language.verticals.get(slug)).filter(Boolean);
+    const blocks = verticals.length === 1
+        ? [fill(text.vertical, { vertical: verticals[0].label }), verticals[0].projects.map(projectLine).join('\n')]
+        : [text.verticals, ...verticals.map(vertical => `**${vertical.label}**\n${vertical.projects.map(projectLine).join('\n')}`)];
+    const sources = verticals.flatMap(vertical => vertical.projects)
+        .map(project => ({ title: project.name, url: project.url }));
+    return { reply: blocks.join('\n\n'), sources: [...sources, projectsPage] };
+}
+
+module.exports = {
+    createPortfolio,
+    loadProjects,
+    matchProjectRequest,
+    listProjects
+};
@@ -0,0 +1,27 @@
+// LLM provider factory
+// Every provider exposes:
+//   complete({ messages, maxTokens, signal }) -> Promise<string>
+//   stream({ messages, maxTokens, signal })   -> async iterable of text deltas
+// Requests may also set temperature, and json: true to ask for a JSON object reply
+// Providers with an embeddings API also expose embed(texts, { signal }) -> Promise<number[][]>
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const PROVIDERS = {
+    openai: createOpenAIProvider,
+    azure: createOpenAIProvider,
+    local: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+function createProvider(config) {
+    const factory = PROVIDERS[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${config.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(config);
+}
+
+module.exports = {
+    createProvider
+};
@@ -0,0 +1,106 @@
+// Deterministic mock provider for tests and offline development
+// Replies are matched against the latest user message; the first matching pattern wins
+const fs = require('fs');
+
+const DEFAULT_REPLIES = [
+    {
+        pattern: '\\b(hi|hello|hey)\\b',
+        reply: 'Hello! I can help with DAS, in-building coverage, public safety radio and Linkwave services. What are you working on?'
+    },
+    {
+        pattern: '\\bdas\\b|distributed antenna',
+        reply: 'A Distributed Antenna System (DAS) is a network of antennas that brings strong cellular or radio signal inside a building. Want me to explain active vs. passive DAS?'
+    },
+    {
+        pattern: 'public safety|first responder|by-?law',
+        reply: 'Public safety radio coverage lets first responders communicate reliably inside a building. Key steps are:\n\n1. Measure existing signal\n2. Design the system with a P.Eng.\n3. Install, test and certify'
+    },
+    {
+        pattern: 'consult|quote|pricing|price|cost',
+        reply: 'Happy to help with that. Our team can review your building and coverage goals.'
+    },
+    {
+        pattern: 'service',
+        reply: 'Linkwave covers the full lifecycle:\n\n1. Consulting and RF design\n2. Installation and commissioning\n3. Monitoring and maintenance'
+    }
+];
+
+const FALLBACK_REPLY = 'This is a mock response from the Linkwave assistant. Set LLM_PROVIDER to a real provider for live answers.';
+
+// Load replies from a JSON file, falling back to the built-in script
+function loadReplies(repliesPath) {
+    if (!repliesPath) return DEFAULT_REPLIES;
+    const data = JSON.parse(fs.readFileSync(repliesPath, 'utf8'));
+    if (!Array.isArray(data)) {
+        throw new Error('Mock replies file must contain an array');
+    }
+    return data;
+}
+
+// Size of the mock's bag-of-words vectors
+const EMBEDDING_SIZE = 64;
+
+// Hash each word into a slot so texts sharing most of their words get similar vectors
+function embedText(text) {
+    const vector = new Array(EMBEDDING_SIZE).fill(0);
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        let hash = 0;
+        for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        vector[hash % EMBEDDING_SIZE] += 1;
+    }
+    return vector;
+}
+
+function abortError() {
+    const error = new Error('Request was aborted.');
+    error.name = 'AbortError';
+    return error;
+}
+
+function createMockProvider(config) {
+    const replies = loadReplies(config.mock.repliesPath).map(entry => ({
+        pattern: new RegExp(entry.pattern, 'i'),
+        reply: entry.reply
+    }));
+
+    // Every request is recorded so tests can assert on what the model was sent
+    const calls = [];
+
+    const replyFor = (messages) => {
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        const text = lastUser ? lastUser.content : '';
+        const match = replies.find(entry => entry.pattern.test(text));
+        return match ? match.reply : FALLBACK_REPLY;
+    };
+
+    return {
+        name: 'mock',
+        calls,
+
+        async complete(request) {
+            if (request.signal && request.signal.aborted) throw abortError();
+            calls.push(request);
+            return replyFor(request.messages);
+        },
+
+        // Stream the scripted reply word by word, keeping whitespace intact
+        async *stream(request) {
+            if (request.signal && request.signal.aborted) throw abortError();
+            calls.push(request);
+            const tokens = replyFor(request.messages).match(/\S+\s*|\s+/g) || [];
+            for (const token of tokens) {
+                if (request.signal && request.signal.aborted) throw abortError();
+                yield token;
+            }
+        },
+
+        async embed(texts, { signal } = {}) {
+            if (signal && signal.aborted) throw abortError();
+            return texts.map(embedText);
+        }
+    };
+}
+
+module.exports = {
+    createMockProvider
+};
@@ -0,0 +1,88 @@
+// OpenAI, Azure OpenAI and OpenAI-compatible local providers
+// All three speak the Chat Completions API through the openai SDK
+const OpenAI = require('openai');
+
+// Build the SDK client for the configured provider
+// Azure serves embeddings from their own deployment, so that one gets a second client
+function createClient(config, deployment = config.azure.deployment) {
+    if (config.provider === 'azure') {
+        return new OpenAI.AzureOpenAI({
+            apiKey: config.azure.apiKey,
+            endpoint: config.azure.endpoint,
+            deployment,
+            apiVersion: config.azure.apiVersion
+        });
+    }
+
+    if (config.provider === 'local') {
+        return new OpenAI({
+            apiKey: config.local.apiKey,
+            baseURL: config.local.baseURL
+        });
+    }
+
+    return new OpenAI(config.openai);
+}
+
+function createOpenAIProvider(config) {
+    let client = null;
+    let embeddingClient = null;
+
+    // Create the client on first use so a missing key fails the request, not startup
+    const getClient = () => {
+        if (!client) client = createClient(config);
+        return client;
+    };
+    const getEmbeddingClient = () => {
+        if (config.provider !== 'azure') return getClient();
+        if (!embeddingClient) embeddingClient = createClient(config, config.azure.embeddingDeployment);
+        return embeddingClient;
+    };
+
+    const params = ({ messages, maxTokens, temperature, json }) => ({
+        // Azure routes by deployment; the model field is still required by the API
+        model: config.provider === 'azure' ? (config.azure.deployment || config.model) : config.model,
+        messages,
+        temperature: temperature === undefined ? config.temperature : temperature,
+        max_tokens: maxTokens || config.maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+        name: config.provider,
+
+        async complete(request) {
+            const completion = await getClient().chat.completions.create(params(request), {
+                signal: request.signal
+            });
+            return completion.choices[0].message.content || '';
+        },
+
+        async *stream(request) {
+            const stream = await getClient().chat.completions.create({
+                ...params(request),
+                stream: true
+            }, {
+                signal: request.signal
+            });
+
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+                if (delta) yield delta;
+            }
+        },
+
+        // One vector per text, for the response cache's similar-question matching
+        async embed(texts, { signal } = {}) {
+            const model = config.provider === 'azure'
+                ? (config.azure.embeddingDeployment || config.embeddingModel)
+                : config.embeddingModel;
+            const result = await getEmbeddingClient().embeddings.create({ model, input: texts }, { signal });
+            return result.data.map(item => item.embedding);
+        }
+    };
+}
+
+module.exports = {
+    createOpenAIProvider
+};
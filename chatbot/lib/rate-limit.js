@@ -0,0 +1,41 @@
+// express-rate-limit middleware counting in a shared counter store (lib/stores/counters.js)
+// so limits hold across restarts when the store is Redis
+const rateLimit = require('express-rate-limit');
+
+// express-rate-limit Store backed by the counter store; each limiter needs its own prefix
+function createLimiterStore(counters, prefix) {
+    let windowMs = 60 * 1000;
+    return {
+        prefix: `ratelimit:${prefix}:`,
+        init(options) {
+            windowMs = options.windowMs;
+        },
+        async increment(key) {
+            const { total, resetAt } = await counters.increment(this.prefix + key, windowMs);
+            return { totalHits: total, resetTime: new Date(resetAt) };
+        },
+        async decrement(key) {
+            await counters.decrement(this.prefix + key);
+        },
+        async resetKey(key) {
+            await counters.reset(this.prefix + key);
+        }
+    };
+}
+
+// A rate limiter named for its route, e.g. createLimiter(counters, 'chat', { windowMs, max })
+// If the store is unreachable requests are let through rather than failing
+function createLimiter(counters, name, options) {
+    return rateLimit({
+        standardHeaders: true,
+        legacyHeaders: false,
+        passOnStoreError: true,
+        ...options,
+        store: createLimiterStore(counters, name)
+    });
+}
+
+module.exports = {
+    createLimiterStore,
+    createLimiter
+};
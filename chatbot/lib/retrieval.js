@@ -0,0 +1,125 @@
+// BM25 retrieval over passages extracted from the Linkwave website
+// The index file is produced by scripts/build-index.js
+const fs = require('fs');
+
+// BM25 tuning parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does',
+    'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+    'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+    'them', 'there', 'these', 'they', 'this', 'to', 'us', 'was', 'we', 'what',
+    'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+    // French
+    'au', 'aux', 'avec', 'ce', 'ces', 'cette', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est',
+    'et', 'il', 'je', 'la', 'le', 'les', 'leur', 'ma', 'mes', 'mon', 'ne', 'nos', 'notre', 'nous',
+    'ou', 'par', 'pas', 'pour', 'qu', 'que', 'quel', 'quelle', 'qui', 'sa', 'se', 'ses', 'son',
+    'sont', 'sur', 'un', 'une', 'vos', 'votre', 'vous'
+]);
+
+// Lowercase, strip accents and split into searchable terms
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+// Build in-memory BM25 statistics for a list of passages
+// Each passage: { id, title, url, text, lang }; lang is absent on passages that serve every language
+function createIndex(passages) {
+    const docs = passages.map(passage => {
+        const terms = tokenize(`${passage.title} ${passage.text}`);
+        const freq = new Map();
+        terms.forEach(term => freq.set(term, (freq.get(term) || 0) + 1));
+        return { passage, freq, length: terms.length };
+    });
+
+    const docFreq = new Map();
+    docs.forEach(doc => {
+        doc.freq.forEach((count, term) => docFreq.set(term, (docFreq.get(term) || 0) + 1));
+    });
+
+    const avgLength = docs.length
+        ? docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length
+        : 0;
+
+    return { docs, docFreq, avgLength };
+}
+
+// Return the top passages for a query, best first.
+// With lang, passages tagged with another language are left out.
+function search(index, query, limit = 3, { minScore = 1, lang = null } = {}) {
+    if (!index || index.docs.length === 0) return [];
+
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const total = index.docs.length;
+    const docs = lang ? index.docs.filter(doc => !doc.passage.lang || doc.passage.lang === lang) : index.docs;
+    const scored = docs.map(doc => {
+        let score = 0;
+        queryTerms.forEach(term => {
+            const tf = doc.freq.get(term);
+            if (!tf) return;
+            const df = index.docFreq.get(term) || 0;
+            const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / index.avgLength));
+        });
+        return { ...doc.passage, score };
+    });
+
+    return scored
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// Load a previously built index file; returns null if it does not exist
+function loadIndex(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return createIndex(Array.isArray(data.passages) ? data.passages : []);
+}
+
+// Format retrieved passages as numbered context for the system prompt
+function formatContext(results) {
+    return results
+        .map((result, i) => `[${i + 1}] ${result.title} (${result.url})\n${result.text}`)
+        .join('\n\n');
+}
+
+// Map [n] citation markers in the answer back to their sources.
+// Returns the answer with markers removed and a de-duplicated list of cited pages.
+function extractCitations(text, results) {
+    const cited = [];
+    const cleaned = (text || '').replace(/\s*\[(\d+(?:\s*,\s*\d+)*)\]/g, (match, group) => {
+        group.split(',').forEach(n => {
+            const result = results[parseInt(n, 10) - 1];
+            if (result && !cited.includes(result)) cited.push(result);
+        });
+        return '';
+    });
+
+    const sources = [];
+    cited.forEach(result => {
+        if (!sources.some(source => source.url === result.url)) {
+            sources.push({ title: result.title, url: result.url });
+        }
+    });
+
+    return { text: cleaned, sources };
+}
+
+module.exports = {
+    tokenize,
+    createIndex,
+    search,
+    loadIndex,
+    formatContext,
+    extractCitations
+};
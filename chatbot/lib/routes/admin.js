@@ -0,0 +1,313 @@
+// Admin dashboard: conversation analytics, session transcripts, leads, CSV exports,
+// canonical answers and response cache metrics
+// Everything under /admin sits behind HTTP Basic auth (ADMIN_USERNAME / ADMIN_PASSWORD)
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    summarizeSessions,
+    sessionTranscript,
+    computeStats,
+    topQuestions
+} = require('../conversations');
+const { toCsv } = require('../csv');
+const { validationErrors } = require('../validation');
+const { INTENTS, TOPICS } = require('../classifier');
+
+const ADMIN_UI_DIR = path.join(__dirname, '..', '..', 'admin');
+
+// Session list filters: ?flag=consultation|offTopic|error
+const SESSION_FLAGS = {
+    consultation: session => session.consultationIntent,
+    offTopic: session => session.offTopicTurns > 0,
+    error: session => session.errorTurns > 0
+};
+
+const CONVERSATION_COLUMNS = [
+    { header: 'Time', value: r => r.createdAt },
+    { header: 'Session', value: r => r.sessionId },
+    { header: 'Outcome', value: r => r.outcome },
+    { header: 'Consultation intent', value: r => (r.consultationIntent ? 'yes' : 'no') },
+    { header: 'Intent', value: r => r.intent },
+    { header: 'Topic', value: r => r.topic },
+    { header: 'Confidence', value: r => r.confidence },
+    { header: 'Classifier', value: r => (r.classifierFallback ? `${r.classifier} (${r.classifierFallback})` : r.classifier) },
+    { header: 'Question', value: r => r.message },
+    { header: 'Response', value: r => r.response },
+    { header: 'Sources', value: r => r.sources }
+];
+
+const LEAD_COLUMNS = [
+    { header: 'Time', value: r => r.createdAt },
+    { header: 'Name', value: r => r.name },
+    { header: 'Company', value: r => r.company },
+    { header: 'Email', value: r => r.email },
+    { header: 'Phone', value: r => r.phone },
+    { header: 'Building type', value: r => r.buildingType },
+    { header: 'Square footage', value: r => r.squareFootage },
+    { header: 'Carriers', value: r => r.carriers },
+    { header: 'Public safety', value: r => r.publicSafety },
+    { header: 'Notes', value: r => r.notes },
+    { header: 'Page', value: r => r.page },
+    { header: 'Chat summary', value: r => r.transcriptSummary }
+];
+
+// A canonical answer: its phrasings, the reply and the site pages it points to
+// Replies are shown as the widget's markdown, which escapes any HTML
+const answerValidators = [
+    body('lang')
+        .isIn(['en', 'fr'])
+        .withMessage('Language must be en or fr'),
+    body('questions')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('Add between 1 and 20 questions'),
+    body('questions.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 250 })
+        .withMessage('Questions must be between 1 and 250 characters'),
+    body('answer')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 4000 })
+        .withMessage('Answer must be between 1 and 4000 characters'),
+    body('intent')
+        .optional()
+        .isIn(INTENTS)
+        .withMessage(`Intent must be one of: ${INTENTS.join(', ')}`),
+    body('topic')
+        .optional()
+        .isIn(TOPICS.filter(topic => topic !== 'offTopic'))
+        .withMessage('Topic must be a site topic'),
+    body('sources')
+        .optional()
+        .isArray({ max: 3 })
+        .withMessage('Add at most 3 sources'),
+    body('sources.*.title')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Source titles must be between 1 and 100 characters'),
+    // Site pages only, as retrieval cites them ("fr/private-5g.html#deployment")
+    body('sources.*.url')
+        .matches(/^(fr\/)?[\w-]+\.html(#[\w-]+)?$/)
+        .withMessage('Source links must be site pages such as our_services.html')
+];
+
+const answerFields = ({ lang, questions, answer, intent, topic, sources }) => ({
+    lang,
+    questions,
+    answer,
+    intent,
+    topic,
+    sources: (sources || []).map(source => ({ title: source.title, url: source.url }))
+});
+
+// Constant-time string comparison that tolerates different lengths
+function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(String(a)).digest();
+    const right = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+function parseBasicAuth(header) {
+    const match = /^Basic\s+(.+)$/i.exec(header || '');
+    if (!match) return null;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) return null;
+    return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+function basicAuth({ username, password }) {
+    return (req, res, next) => {
+        // The dashboard stays off until a password is configured
+        if (!password) {
+            return res.status(503).json({
+                error: 'Admin disabled',
+                message: 'Set ADMIN_PASSWORD to enable the admin dashboard.'
+            });
+        }
+
+        const credentials = parseBasicAuth(req.get('Authorization'));
+        const userOk = credentials && safeEqual(credentials.username, username);
+        const passOk = credentials && safeEqual(credentials.password, password);
+        if (!userOk || !passOk) {
+            res.set('WWW-Authenticate', 'Basic realm="Linkwave Admin", charset="UTF-8"');
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        next();
+    };
+}
+
+function sendCsv(res, fileName, csv) {
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(csv);
+}
+
+// Canonical answer writes: a phrasing already used by another answer is a conflict
+function saveAnswer(save) {
+    return async (req, res, next) => {
+        const invalid = validationErrors(req);
+        if (invalid) return res.status(400).json(invalid);
+        try {
+            const answer = await save(req);
+            if (!answer) return res.status(404).json({ error: 'Not found' });
+            res.status(req.method === 'POST' ? 201 : 200).json(answer);
+        } catch (error) {
+            if (error.code === 'DUPLICATE_QUESTION') {
+                return res.status(409).json({ error: 'Duplicate question', message: error.message });
+            }
+            next(error);
+        }
+    };
+}
+
+function createAdminRouter({
+    conversationStore,
+    leadStore,
+    // Canonical answers (lib/canonical.js) and the response cache (lib/cache.js), when enabled
+    canonicalAnswers = null,
+    responseCache = null,
+    adminConfig,
+    limiter
+}) {
+    const router = express.Router();
+
+    // Admin responses contain visitor data: keep them out of shared caches
+    router.use('/admin', limiter, basicAuth(adminConfig), (req, res, next) => {
+        res.set('Cache-Control', 'no-store');
+        next();
+    });
+
+    router.get('/admin/api/stats', async (req, res, next) => {
+        try {
+            const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+            const records = await conversationStore.readAll();
+            const stats = computeStats(records, { days });
+            const cutoff = stats.daily[0].date;
+            const recent = records.filter(record => record.createdAt >= cutoff);
+            const leads = (await leadStore.readAll()).filter(lead => lead.createdAt >= cutoff);
+
+            res.json({
+                ...stats,
+                totals: { ...stats.totals, leads: leads.length },
+                topQuestions: topQuestions(recent.filter(record => record.outcome !== 'repeat'), 10)
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/admin/api/sessions', async (req, res, next) => {
+        try {
+            const filter = SESSION_FLAGS[req.query.flag];
+            let sessions = summarizeSessions(await conversationStore.readAll());
+            if (filter) sessions = sessions.filter(filter);
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+            res.json({ total: sessions.length, sessions: sessions.slice(0, limit) });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/admin/api/sessions/:id', async (req, res, next) => {
+        try {
+            const turns = sessionTranscript(await conversationStore.readAll(), req.params.id);
+            if (turns.length === 0) {
+                return res.status(404).json({ error: 'Not found' });
+            }
+            res.json({ sessionId: req.params.id, turns });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/admin/api/leads', async (req, res, next) => {
+        try {
+            const leads = (await leadStore.readAll()).reverse();
+            res.json({ total: leads.length, leads });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Cache hit rates since the process started, with each canonical answer's matches
+    router.get('/admin/api/cache', (req, res) => {
+        res.json({
+            cache: responseCache ? { enabled: true, ...responseCache.stats() } : { enabled: false },
+            canonical: canonicalAnswers
+                ? canonicalAnswers.list().map(answer => ({ id: answer.id, hits: answer.hits, lastHitAt: answer.lastHitAt }))
+                : []
+        });
+    });
+
+    // Drop every cached answer, e.g. after site content changed
+    router.post('/admin/api/cache/clear', (req, res) => {
+        if (responseCache) responseCache.clear();
+        res.status(204).end();
+    });
+
+    if (canonicalAnswers) {
+        router.get('/admin/api/answers', (req, res) => {
+            const answers = canonicalAnswers.list();
+            res.json({ total: answers.length, answers });
+        });
+
+        router.post('/admin/api/answers', answerValidators, saveAnswer(req => canonicalAnswers.add(answerFields(req.body))));
+
+        router.put('/admin/api/answers/:id', answerValidators, saveAnswer(req => canonicalAnswers.update(req.params.id, answerFields(req.body))));
+
+        router.delete('/admin/api/answers/:id', async (req, res, next) => {
+            try {
+                if (!(await canonicalAnswers.remove(req.params.id))) {
+                    return res.status(404).json({ error: 'Not found' });
+                }
+                res.status(204).end();
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
+
+    router.get('/admin/export/conversations.csv', async (req, res, next) => {
+        try {
+            sendCsv(res, 'conversations.csv', toCsv(await conversationStore.readAll(), CONVERSATION_COLUMNS));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/admin/export/leads.csv', async (req, res, next) => {
+        try {
+            sendCsv(res, 'leads.csv', toCsv(await leadStore.readAll(), LEAD_COLUMNS));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.use('/admin', express.static(ADMIN_UI_DIR));
+
+    // Store read and write failures
+    router.use('/admin', (error, req, res, next) => {
+        console.error('Admin API error:', {
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+        const message = req.method === 'GET' ? 'Could not read stored data.' : 'Could not save the change.';
+        res.status(500).json({ error: 'Request failed', message });
+    });
+
+    return router;
+}
+
+module.exports = {
+    SESSION_FLAGS,
+    createAdminRouter
+};
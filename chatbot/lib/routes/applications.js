@@ -0,0 +1,242 @@
+// Job applications: POST /api/applications accepts the careers form with a resume upload
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { body } = require('express-validator');
+const { validationErrors } = require('../validation');
+
+// Accepted resume formats, checked by extension and by the file's leading bytes
+const RESUME_TYPES = {
+    '.pdf': Buffer.from('%PDF'),
+    '.doc': Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]),
+    '.docx': Buffer.from([0x50, 0x4B, 0x03, 0x04])
+};
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+// Returns an error message, or null when the upload looks like a real resume
+function resumeError(file) {
+    if (!file) return 'Please attach your resume';
+    const extension = path.extname(file.originalname).toLowerCase();
+    const signature = RESUME_TYPES[extension];
+    if (!signature) return 'Resume must be a PDF, DOC or DOCX file';
+    if (!file.buffer.subarray(0, signature.length).equals(signature)) {
+        return `This file does not look like a valid ${extension.slice(1).toUpperCase()} document`;
+    }
+    return null;
+}
+
+// Keep the applicant's file name readable in emails without trusting it
+function safeFileName(name) {
+    return path.basename(name).replace(/[^\w.\- ()]/g, '_').slice(-100);
+}
+
+// Titles of the open jobs in careers/jobs.json, as written by npm run build-careers; null when the
+// file hasn't been built
+function loadPositions(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data || !Array.isArray(data.positions)) {
+        throw new Error('Positions file must contain a "positions" array');
+    }
+    return data.positions;
+}
+
+const applicationValidators = (positions) => [
+    body('position')
+        .trim()
+        .notEmpty()
+        .withMessage('Please select a position')
+        .bail()
+        .isIn(positions)
+        .withMessage('Select a position from the list'),
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your name')
+        .isLength({ max: 100 })
+        .withMessage('Name must be 100 characters or fewer'),
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your email')
+        .isEmail()
+        .withMessage('Enter a valid email address')
+        .normalizeEmail({ gmail_remove_dots: false }),
+    body('phone')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your phone number')
+        .matches(/^\+?[\d\s().-]{7,25}$/)
+        .withMessage('Enter a valid phone number'),
+    body('address')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your street address')
+        .isLength({ max: 200 }),
+    body('address2')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 200 }),
+    body('city')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your city')
+        .isLength({ max: 100 }),
+    body('province')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your province or state')
+        .isLength({ max: 100 }),
+    body('postal')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your postal code')
+        .isLength({ max: 20 }),
+    body('country')
+        .trim()
+        .notEmpty()
+        .withMessage('Please select your country')
+        .isLength({ max: 100 }),
+    body('coverLetter')
+        .trim()
+        .notEmpty()
+        .withMessage('Please write a short cover letter')
+        .isLength({ max: 10000 })
+        .withMessage('Cover letter must be 10,000 characters or fewer'),
+    body('linkedin')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your LinkedIn profile URL')
+        // Accept "linkedin.com/in/name" without the protocol
+        .customSanitizer(value => (/^https?:\/\//i.test(value) ? value : `https://${value}`))
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Enter a valid LinkedIn profile URL')
+        .bail()
+        .custom(value => /(^|\.)linkedin\.com$/i.test(new URL(value).hostname))
+        .withMessage('Enter a valid LinkedIn profile URL'),
+    body('resume').custom((value, { req }) => {
+        const error = resumeError(req.file);
+        if (error) throw new Error(error);
+        return true;
+    })
+];
+
+function formatApplicationEmail(application) {
+    const { address } = application;
+    return [
+        `Position: ${application.position}`,
+        `Name: ${application.name}`,
+        `Email: ${application.email}`,
+        `Phone: ${application.phone}`,
+        '',
+        'Address:',
+        address.line1,
+        address.line2,
+        `${address.city}, ${address.province} ${address.postal}`,
+        address.country,
+        '',
+        `LinkedIn: ${application.linkedin}`,
+        '',
+        'Cover Letter:',
+        application.coverLetter,
+        '',
+        `Resume: ${application.resume.originalName} (stored as ${application.resume.fileName})`,
+        `Application ID: ${application.id}`
+    ].filter(line => line !== null).join('\n');
+}
+
+function createApplicationsRouter({ store, files, mailer, limiter, maxFileBytes, notifyTo, positions }) {
+    const router = express.Router();
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxFileBytes, files: 1, fields: 30 }
+    }).single('resume');
+
+    // Turn upload limit errors into the same 400 shape as validation errors
+    const parseUpload = (req, res, next) => {
+        upload(req, res, (error) => {
+            if (!error) return next();
+            if (!(error instanceof multer.MulterError)) return next(error);
+
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `Resume must be ${formatMegabytes(maxFileBytes)} or smaller`
+                : 'Please attach a single resume file';
+            res.status(400).json({ error: 'Invalid input', details: [message], fields: { resume: message } });
+        });
+    };
+
+    router.post('/api/applications', limiter, parseUpload, applicationValidators(positions), async (req, res) => {
+        const invalid = validationErrors(req);
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
+
+        const originalName = safeFileName(req.file.originalname);
+        let saved;
+        let application;
+        try {
+            saved = await files.save(req.file.buffer, path.extname(originalName).toLowerCase());
+            application = await store.append({
+                position: req.body.position,
+                name: req.body.name,
+                email: req.body.email,
+                phone: req.body.phone,
+                address: {
+                    line1: req.body.address,
+                    line2: req.body.address2 || null,
+                    city: req.body.city,
+                    province: req.body.province,
+                    postal: req.body.postal,
+                    country: req.body.country
+                },
+                linkedin: req.body.linkedin,
+                coverLetter: req.body.coverLetter,
+                resume: {
+                    fileName: saved.fileName,
+                    originalName,
+                    size: req.file.size
+                }
+            });
+        } catch (error) {
+            console.error('Application store error:', {
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+            if (saved) await files.remove(saved.fileName).catch(() => {});
+            return res.status(500).json({
+                error: 'Request failed',
+                message: 'We could not save your application. Please try again later or email hr@linkwavewireless.com.'
+            });
+        }
+
+        // The application is already saved, so a delivery failure is logged rather than surfaced
+        try {
+            await mailer.send({
+                to: notifyTo,
+                replyTo: `${application.name.replace(/["<>]/g, '')} <${application.email}>`,
+                subject: `Job application: ${application.position} - ${application.name}`.replace(/[\r\n]+/g, ' '),
+                text: formatApplicationEmail(application),
+                attachments: [{ filename: originalName, path: saved.filePath }]
+            });
+        } catch (error) {
+            console.error('Application mail error:', {
+                applicationId: application.id,
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(201).json({ success: true, applicationId: application.id });
+    });
+
+    return router;
+}
+
+module.exports = {
+    RESUME_TYPES,
+    createApplicationsRouter,
+    loadPositions
+};
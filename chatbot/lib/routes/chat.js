@@ -0,0 +1,464 @@
+// Chat routes: POST /api/chat (JSON), POST /api/chat/stream (Server-Sent Events) and
+// GET /api/chat/sessions/:sessionId/requests/:requestId, which collects an answer a page left behind
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { prepareChat, limitedReply, postProcessResponse } = require('../chat');
+const { sanitizeString, unescapeHtml } = require('../sanitize');
+const { buildSuggestions } = require('../suggestions');
+const { estimateTokens, promptTokens } = require('../usage');
+
+// Request validation shared by /api/chat and /api/chat/stream
+const chatValidators = [
+    body('message')
+        .trim()
+        .notEmpty()
+        .withMessage('Message is required')
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Message must be between 1 and 2000 characters')
+        .escape(), // Escape HTML to prevent XSS
+    // Server-issued id from a previous response; history is never taken from the client
+    body('sessionId')
+        .optional()
+        .isUUID()
+        .withMessage('Session id must be a UUID'),
+    // Chosen by the widget for each message, so a page that reloads mid-answer can collect the answer
+    body('requestId')
+        .optional()
+        .isUUID()
+        .withMessage('Request id must be a UUID'),
+    // Page language ("en", "fr-CA"...); the message's own language takes precedence
+    body('lang')
+        .optional()
+        .isString()
+        .isLength({ max: 10 })
+        .withMessage('Language must be a language code'),
+    // Solved proof-of-work challenge, required to start a session when bot protection is on
+    body('proof')
+        .optional()
+        .isObject()
+        .withMessage('Proof must be an object'),
+    body(['proof.challenge', 'proof.solution'])
+        .optional()
+        .isString()
+        .isLength({ max: 200 })
+        .withMessage('Proof must be a challenge and a solution')
+];
+
+// Sent when a new session comes without a valid proof of work; the widget fetches a challenge and retries
+const VERIFICATION_ERROR = {
+    error: 'Verification required',
+    message: 'Please reload the page and try again.'
+};
+
+// Longest assistant reply kept in a session's history
+const MAX_HISTORY_REPLY_LENGTH = 2000;
+
+// Log error details server-side only and build a generic client-facing error
+function toClientError(error) {
+    console.error('Chat API error:', {
+        message: error.message,
+        type: error.constructor.name,
+        timestamp: new Date().toISOString()
+    });
+
+    // Return generic error message to prevent information leakage
+    const statusCode = error.status || 500;
+    const errorMessage = statusCode === 500
+        ? 'An error occurred. Please try again later.'
+        : (error.message || 'An error occurred');
+
+    return { statusCode, body: { error: 'Request failed', message: errorMessage } };
+}
+
+// Write a single Server-Sent Event; nothing once the client has gone
+function sendEvent(res, event, data) {
+    if (res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// A streamed answer's text so far is saved for a widget that comes back for it at most this often;
+// the widget asks about once a second
+const REQUEST_SAVE_INTERVAL_MS = 500;
+
+// Keep a session's latest request and how far its answer has got, for a widget that reloads before
+// the answer arrives: { id, status: 'pending' | 'done' | 'error', text, answer, error }.
+// The visitor still gets the answer on this connection when the store fails, so errors are only logged.
+function saveRequest(sessions, session, request) {
+    return sessions.saveRequest(session.id, request)
+        .catch(error => console.error('Session store error:', error.message));
+}
+
+async function trackRequest(sessions, session, requestId) {
+    if (!requestId) return null;
+    const request = { id: requestId, status: 'pending', text: '' };
+    await saveRequest(sessions, session, request);
+    return request;
+}
+
+// Body of a chat answer, for /api/chat and the stream's "done" event
+// Built before the turn joins the session so follow-ups skip only earlier questions
+function answerBody(session, chat, response, sources) {
+    const suggestions = buildSuggestions({
+        classification: chat.classification,
+        lang: chat.lang,
+        message: chat.message,
+        history: session.history,
+        sources,
+        consultationIntent: chat.consultationIntent
+    });
+    return {
+        response,
+        consultationIntent: chat.consultationIntent,
+        sources,
+        ...suggestions,
+        sessionId: session.id,
+        lang: chat.lang
+    };
+}
+
+// Record one chat turn for the admin dashboard; logging never affects the visitor's response
+// The classifier labels are kept so keyword fallbacks and low-confidence calls can be reviewed
+function logTurn(conversationLog, req, session, chat, turn) {
+    if (!conversationLog) return;
+    const labels = (chat && chat.classification) || {};
+    conversationLog.append({
+        sessionId: session.id,
+        message: unescapeHtml(sanitizeString(req.body.message, 250)),
+        response: turn.response || '',
+        outcome: turn.outcome,
+        consultationIntent: Boolean(chat && chat.consultationIntent),
+        lang: (chat && chat.lang) || null,
+        intent: labels.intent || null,
+        topic: labels.topic || null,
+        confidence: typeof labels.confidence === 'number' ? labels.confidence : null,
+        classifier: labels.source || null,
+        classifierFallback: labels.fallback || null,
+        sources: (turn.sources || []).map(source => source.url)
+    }).catch(error => {
+        console.error('Conversation log error:', error.message);
+    });
+}
+
+function createChatRouter({
+    llm,
+    llmConfig,
+    siteIndex,
+    classifier = null,
+    limiter,
+    challengeLimiter = limiter,
+    // Polling for an answer a page left behind
+    requestLimiter = limiter,
+    sessions,
+    conversationLog = null,
+    // Session token budgets and the daily spend cap (lib/usage.js); no limits without one
+    usage = null,
+    // Proof-of-work check for new sessions (lib/bot-guard.js); no check without one
+    botGuard = null,
+    // Admin-curated replies (lib/canonical.js), the FAQ ruleset (lib/faq.js), the project portfolio
+    // (lib/projects.js) and reused opening answers (lib/cache.js)
+    canonicalAnswers = null,
+    faq = null,
+    faqMinScore,
+    projects = null,
+    responseCache = null
+}) {
+    const router = express.Router();
+    const pipelineOptions = { siteIndex, llmConfig, classifier, canonicalAnswers, faq, faqMinScore, projects, responseCache };
+
+    // Continue the visitor's session (or start one) and decide how to answer.
+    // Resolves { rejected } instead when a new session comes without a valid proof of work.
+    async function startTurn(req) {
+        let session = await sessions.get(req.body.sessionId);
+        if (!session) {
+            if (botGuard) {
+                const check = await botGuard.verify(req.body.proof);
+                if (!check.ok) {
+                    console.warn('Chat verification failed:', { reason: check.reason, timestamp: new Date().toISOString() });
+                    return { rejected: check.reason };
+                }
+            }
+            session = await sessions.create();
+        }
+
+        let chat = await prepareChat({
+            message: req.body.message,
+            history: session.history,
+            pageLanguage: req.body.lang
+        }, pipelineOptions);
+
+        // Turns headed for the model may be over the session's budget or the day's spend
+        if (usage && chat.messages) {
+            if (await usage.sessionExhausted(session.id)) {
+                chat = limitedReply(chat, 'sessionBudget');
+            } else if (await usage.capReached()) {
+                chat = limitedReply(chat, 'spendCap');
+            }
+        }
+        return { session, chat };
+    }
+
+    // Count a model call against the session's token budget
+    function recordTokens(session, chat, response) {
+        if (usage) usage.recordSessionTokens(session.id, promptTokens(chat.messages) + estimateTokens(response));
+    }
+
+    // Keep a model answer to an opening question for the next visitor who asks it
+    function cacheAnswer(chat, response, sources) {
+        if (!responseCache || !chat.cacheMiss) return;
+        responseCache.set(chat.cacheMiss, {
+            response,
+            sources,
+            consultationIntent: chat.consultationIntent,
+            classification: chat.classification
+        });
+    }
+
+    // Add a completed exchange to the session so the next request sees it, and keep the answer
+    // for a widget that comes back for it. The answer is sent even when the store fails.
+    async function finishTurn(session, chat, response, request = null, answer = null) {
+        try {
+            await sessions.append(
+                session,
+                { role: 'user', content: chat.message },
+                { role: 'assistant', content: sanitizeString(response, MAX_HISTORY_REPLY_LENGTH) }
+            );
+        } catch (error) {
+            console.error('Session store error:', error.message);
+        }
+        if (request) {
+            request.status = 'done';
+            request.answer = answer;
+            await saveRequest(sessions, session, request);
+        }
+    }
+
+    async function failRequest(session, request, error) {
+        if (!request) return;
+        request.status = 'error';
+        request.error = error;
+        await saveRequest(sessions, session, request);
+    }
+
+    // Proof-of-work challenge for a new session's first message
+    if (botGuard) {
+        router.get('/api/chat/challenge', challengeLimiter, (req, res) => {
+            res.set('Cache-Control', 'no-store');
+            res.json(botGuard.issue());
+        });
+    }
+
+    // Chat endpoint with rate limiting and validation
+    router.post('/api/chat', limiter, chatValidators, async (req, res) => {
+        let turn = null;
+        let request = null;
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Invalid input',
+                    details: errors.array().map(e => e.msg)
+                });
+            }
+
+            const started = await startTurn(req);
+            if (started.rejected) {
+                return res.status(403).json(VERIFICATION_ERROR);
+            }
+            turn = started;
+            const { session, chat } = turn;
+
+            if (chat.error) {
+                return res.status(400).json({ error: chat.error });
+            }
+            request = await trackRequest(sessions, session, req.body.requestId);
+
+            if (chat.reply) {
+                const answer = answerBody(session, chat, chat.reply, chat.sources || []);
+                await finishTurn(session, chat, chat.reply, request, answer);
+                logTurn(conversationLog, req, session, chat, { response: chat.reply, sources: chat.sources, outcome: chat.outcome });
+                return res.json(answer);
+            }
+
+            // Call the LLM with timeout
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), llmConfig.timeoutMs);
+
+            let completion;
+            try {
+                completion = await llm.complete({
+                    messages: chat.messages,
+                    maxTokens: chat.maxTokens,
+                    signal: controller.signal
+                });
+                clearTimeout(timeoutId);
+            } catch (llmError) {
+                clearTimeout(timeoutId);
+                if (controller.signal.aborted) {
+                    throw new Error('Request timeout');
+                }
+                throw llmError;
+            }
+
+            const { response, sources } = postProcessResponse(completion, chat);
+            const answer = answerBody(session, chat, response, sources);
+            recordTokens(session, chat, completion);
+            cacheAnswer(chat, response, sources);
+            await finishTurn(session, chat, response, request, answer);
+            logTurn(conversationLog, req, session, chat, { response, sources, outcome: chat.outcome });
+
+            res.json(answer);
+
+        } catch (error) {
+            if (turn) logTurn(conversationLog, req, turn.session, turn.chat, { outcome: 'error' });
+            const { statusCode, body } = toClientError(error);
+            if (turn) await failRequest(turn.session, request, body);
+            res.status(statusCode).json(body);
+        }
+    });
+
+    // Streaming chat endpoint (Server-Sent Events)
+    // Emits "token" events with raw deltas as they arrive, then a single "done"
+    // event carrying the post-processed response, or an "error" event.
+    router.post('/api/chat/stream', limiter, chatValidators, async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Invalid input',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        // The bot guard, classifier and usage meter may call out (Redis, the model); nothing is streamed
+        // yet, so a failure gets a plain JSON error like /api/chat
+        let started;
+        try {
+            started = await startTurn(req);
+        } catch (error) {
+            const { statusCode, body } = toClientError(error);
+            return res.status(statusCode).json(body);
+        }
+        if (started.rejected) {
+            return res.status(403).json(VERIFICATION_ERROR);
+        }
+        const { session, chat } = started;
+
+        if (chat.error) {
+            return res.status(400).json({ error: chat.error });
+        }
+        const request = await trackRequest(sessions, session, req.body.requestId);
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+            // A new session's id, before the answer, so a page that reloads mid-answer can collect it
+            'X-Chat-Session': session.id
+        });
+        res.flushHeaders();
+
+        if (chat.reply) {
+            const answer = answerBody(session, chat, chat.reply, chat.sources || []);
+            await finishTurn(session, chat, chat.reply, request, answer);
+            logTurn(conversationLog, req, session, chat, { response: chat.reply, sources: chat.sources, outcome: chat.outcome });
+            sendEvent(res, 'token', { delta: chat.reply });
+            sendEvent(res, 'done', answer);
+            return res.end();
+        }
+
+        // Abort if no token arrives within the timeout, or if the client goes away without a request
+        // id to come back with; with one, the answer is finished for it to collect
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), llmConfig.timeoutMs);
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), llmConfig.timeoutMs);
+        };
+
+        res.on('close', () => {
+            if (res.writableEnded) return;
+            if (!request) {
+                controller.abort();
+            } else if (request.status === 'pending') {
+                // The page comes back for the answer now, so it gets the text so far straight away
+                saveRequest(sessions, session, request);
+            }
+        });
+
+        try {
+            const stream = llm.stream({
+                messages: chat.messages,
+                maxTokens: chat.maxTokens,
+                signal: controller.signal
+            });
+
+            let fullText = '';
+            let savedAt = Date.now();
+            for await (const delta of stream) {
+                fullText += delta;
+                if (request) request.text = fullText;
+                if (request && Date.now() - savedAt >= REQUEST_SAVE_INTERVAL_MS) {
+                    savedAt = Date.now();
+                    // Not awaited: the stream doesn't wait for the store
+                    saveRequest(sessions, session, request);
+                }
+                sendEvent(res, 'token', { delta });
+                resetTimeout();
+            }
+            clearTimeout(timeoutId);
+
+            const { response, sources } = postProcessResponse(fullText, chat);
+            const answer = answerBody(session, chat, response, sources);
+            recordTokens(session, chat, fullText);
+            cacheAnswer(chat, response, sources);
+            await finishTurn(session, chat, response, request, answer);
+            logTurn(conversationLog, req, session, chat, { response, sources, outcome: chat.outcome });
+            sendEvent(res, 'done', answer);
+            res.end();
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+            logTurn(conversationLog, req, session, chat, { outcome: 'error' });
+            if (res.writableEnded || (res.destroyed && !request)) return;
+
+            const clientError = controller.signal.aborted ? new Error('Request timeout') : error;
+            const { body } = toClientError(clientError);
+            await failRequest(session, request, body);
+            sendEvent(res, 'error', body);
+            res.end();
+        }
+    });
+
+    // An answer still being written, or finished, for a request whose page went away:
+    // { status: 'pending', response } with the text so far, { status: 'done', ...answer } or { status: 'error', ...error }
+    router.get('/api/chat/sessions/:sessionId/requests/:requestId', requestLimiter, async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        let request;
+        try {
+            request = await sessions.getRequest(req.params.sessionId);
+        } catch (error) {
+            const { statusCode, body } = toClientError(error);
+            return res.status(statusCode).json(body);
+        }
+        if (!request || request.id !== req.params.requestId) {
+            return res.status(404).json({ error: 'Not found', message: 'No answer is waiting for this request.' });
+        }
+
+        if (request.status === 'done') {
+            return res.json({ status: 'done', ...request.answer });
+        }
+        if (request.status === 'error') {
+            return res.json({ status: 'error', ...request.error });
+        }
+        res.json({ status: 'pending', response: request.text });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createChatRouter,
+    toClientError,
+    sendEvent
+};
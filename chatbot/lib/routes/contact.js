@@ -0,0 +1,110 @@
+// Contact form: POST /api/contact stores the inquiry and emails it to the team
+const express = require('express');
+const { body } = require('express-validator');
+const { validationErrors } = require('../validation');
+
+// Hidden field that people never see; bots that fill every input fill this too
+const HONEYPOT_FIELD = 'website';
+
+const contactValidators = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your name')
+        .isLength({ max: 100 })
+        .withMessage('Name must be 100 characters or fewer'),
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter your email')
+        .isEmail()
+        .withMessage('Enter a valid email address')
+        .normalizeEmail({ gmail_remove_dots: false }),
+    body('subject')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter a subject')
+        .isLength({ max: 150 })
+        .withMessage('Subject must be 150 characters or fewer'),
+    body('message')
+        .trim()
+        .notEmpty()
+        .withMessage('Please enter a message')
+        .isLength({ max: 5000 })
+        .withMessage('Message must be 5000 characters or fewer')
+];
+
+function formatInquiryEmail(inquiry) {
+    return [
+        `Name: ${inquiry.name}`,
+        `Email: ${inquiry.email}`,
+        `Subject: ${inquiry.subject}`,
+        inquiry.page ? `Page: ${inquiry.page}` : null,
+        '',
+        inquiry.message,
+        '',
+        `Inquiry ID: ${inquiry.id}`
+    ].filter(line => line !== null).join('\n');
+}
+
+function createContactRouter({ store, mailer, limiter }) {
+    const router = express.Router();
+
+    router.post('/api/contact', limiter, contactValidators, async (req, res) => {
+        // Pretend to succeed so bots don't learn to skip the field
+        if (req.body[HONEYPOT_FIELD]) {
+            console.warn('Contact form honeypot triggered:', { timestamp: new Date().toISOString() });
+            return res.status(201).json({ success: true });
+        }
+
+        const invalid = validationErrors(req);
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
+
+        let inquiry;
+        try {
+            inquiry = await store.append({
+                name: req.body.name,
+                email: req.body.email,
+                // Headers must stay on one line
+                subject: req.body.subject.replace(/[\r\n]+/g, ' '),
+                message: req.body.message,
+                page: typeof req.body.page === 'string' ? req.body.page.slice(0, 200) : null
+            });
+        } catch (error) {
+            console.error('Contact store error:', {
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+            return res.status(500).json({
+                error: 'Request failed',
+                message: 'We could not send your message. Please email info@linkwavewireless.com or call 1-888-859-2673.'
+            });
+        }
+
+        // The inquiry is already saved, so a delivery failure is logged rather than surfaced
+        try {
+            await mailer.send({
+                replyTo: `${inquiry.name.replace(/["<>]/g, '')} <${inquiry.email}>`,
+                subject: `Website inquiry: ${inquiry.subject}`,
+                text: formatInquiryEmail(inquiry)
+            });
+        } catch (error) {
+            console.error('Contact mail error:', {
+                inquiryId: inquiry.id,
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(201).json({ success: true, inquiryId: inquiry.id });
+    });
+
+    return router;
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    createContactRouter
+};
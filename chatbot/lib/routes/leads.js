@@ -0,0 +1,137 @@
+// Lead capture: POST /api/leads stores consultation requests from the chat widget.
+// The transcript comes from the server's copy of the visitor's chat session, never from the request.
+const express = require('express');
+const { body } = require('express-validator');
+const { validationErrors } = require('../validation');
+const { unescapeHtml } = require('../sanitize');
+const { sanitizeTranscript, summarizeTranscript } = require('../transcript');
+
+const BUILDING_TYPES = [
+    'office', 'hospital', 'transit', 'industrial', 'data-centre',
+    'education', 'government', 'residential', 'retail', 'other'
+];
+const CARRIERS = ['bell', 'rogers', 'telus', 'freedom', 'videotron', 'other'];
+const PUBLIC_SAFETY_OPTIONS = ['yes', 'no', 'unsure'];
+
+const leadValidators = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Name is required')
+        .isLength({ max: 100 })
+        .withMessage('Name must be 100 characters or fewer'),
+    body('company')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 150 })
+        .withMessage('Company must be 150 characters or fewer'),
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email is required')
+        .isEmail()
+        .withMessage('Enter a valid email address')
+        .normalizeEmail({ gmail_remove_dots: false }),
+    body('phone')
+        .optional({ values: 'falsy' })
+        .trim()
+        .matches(/^\+?[\d\s().-]{7,25}$/)
+        .withMessage('Enter a valid phone number'),
+    body('buildingType')
+        .optional({ values: 'falsy' })
+        .isIn(BUILDING_TYPES)
+        .withMessage('Select a building type from the list'),
+    body('squareFootage')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1, max: 100000000 })
+        .withMessage('Square footage must be a whole number')
+        .toInt(),
+    body('carriers')
+        .optional()
+        .isArray({ max: CARRIERS.length })
+        .withMessage('Carriers must be a list'),
+    body('carriers.*')
+        .isIn(CARRIERS)
+        .withMessage('Select carriers from the list'),
+    body('publicSafety')
+        .optional({ values: 'falsy' })
+        .isIn(PUBLIC_SAFETY_OPTIONS)
+        .withMessage('Select a public safety option'),
+    body('notes')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Notes must be 1000 characters or fewer'),
+    body('sessionId')
+        .optional({ values: 'falsy' })
+        .isString()
+        .matches(/^[0-9a-f-]{36}$/i)
+        .withMessage('Unknown conversation')
+];
+
+// The session's conversation as the visitor saw it; user turns are stored HTML-escaped.
+// Empty when there is no session id or its session has expired; a lead is still worth saving
+// without one when the session store fails.
+async function sessionTranscript(sessions, sessionId) {
+    if (!sessionId) return [];
+    let session;
+    try {
+        session = await sessions.get(sessionId);
+    } catch (error) {
+        console.error('Session store error:', error.message);
+    }
+    if (!session) return [];
+    return sanitizeTranscript(session.history.map(msg => (msg.role === 'user'
+        ? { ...msg, content: unescapeHtml(msg.content) }
+        : msg)));
+}
+
+function createLeadsRouter({ store, sessions, limiter }) {
+    const router = express.Router();
+
+    router.post('/api/leads', limiter, leadValidators, async (req, res) => {
+        const invalid = validationErrors(req);
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
+
+        const transcript = await sessionTranscript(sessions, req.body.sessionId);
+        try {
+            const lead = await store.append({
+                source: 'chatbot',
+                name: req.body.name,
+                company: req.body.company || null,
+                email: req.body.email,
+                phone: req.body.phone || null,
+                buildingType: req.body.buildingType || null,
+                squareFootage: req.body.squareFootage || null,
+                carriers: req.body.carriers || [],
+                publicSafety: req.body.publicSafety || null,
+                notes: req.body.notes || null,
+                page: typeof req.body.page === 'string' ? req.body.page.slice(0, 200) : null,
+                transcriptSummary: summarizeTranscript(transcript),
+                transcript
+            });
+
+            res.status(201).json({ success: true, leadId: lead.id });
+        } catch (error) {
+            console.error('Lead store error:', {
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+            res.status(500).json({
+                error: 'Request failed',
+                message: 'We could not save your request. Please call us at 1-888-859-2673.'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    BUILDING_TYPES,
+    CARRIERS,
+    PUBLIC_SAFETY_OPTIONS,
+    createLeadsRouter
+};
@@ -0,0 +1,93 @@
+// Chat transcripts: POST /api/transcripts/email sends a visitor their conversation.
+// The server's copy of the session is sent, never text from the request. Its user turns are still
+// whatever the visitor typed, so they are quoted in the email and each session can be emailed once,
+// which keeps the endpoint from being much use for mailing chosen text to chosen addresses.
+const express = require('express');
+const { body } = require('express-validator');
+const { validationErrors } = require('../validation');
+const { formatTranscriptEmail } = require('../transcript');
+
+const transcriptValidators = [
+    body('sessionId')
+        .isString()
+        .matches(/^[0-9a-f-]{36}$/i)
+        .withMessage('Unknown conversation'),
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email is required')
+        .isEmail()
+        .withMessage('Enter a valid email address')
+        .normalizeEmail({ gmail_remove_dots: false }),
+    body('lang')
+        .optional()
+        .isIn(['en', 'fr'])
+        .withMessage('Unsupported language')
+];
+
+function createTranscriptsRouter({ sessions, mailer, limiter, siteUrl }) {
+    const router = express.Router();
+
+    router.post('/api/transcripts/email', limiter, transcriptValidators, async (req, res) => {
+        const invalid = validationErrors(req);
+        if (invalid) {
+            return res.status(400).json(invalid);
+        }
+
+        const failed = (error, message) => {
+            console.error('Transcript mail error:', {
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+            return res.status(500).json({ error: 'Request failed', message });
+        };
+
+        let session;
+        try {
+            session = await sessions.get(req.body.sessionId);
+        } catch (error) {
+            return failed(error, 'We could not find this conversation. Please download it instead.');
+        }
+        if (!session || session.history.length === 0) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'This conversation has expired. Please download it instead.'
+            });
+        }
+
+        // Claimed in the session store before sending, so two requests at once can't both send
+        let claimed;
+        try {
+            claimed = await sessions.claim(session.id, 'transcript');
+        } catch (error) {
+            return failed(error, 'We could not send the email. Please download the conversation instead.');
+        }
+        if (!claimed) {
+            return res.status(409).json({
+                error: 'Already sent',
+                message: 'This conversation has already been emailed. Please download it instead.'
+            });
+        }
+
+        const { subject, text } = formatTranscriptEmail(session.history, {
+            lang: req.body.lang,
+            siteUrl,
+            omitted: session.droppedMessages
+        });
+        try {
+            await mailer.send({ to: req.body.email, subject, text });
+        } catch (error) {
+            sessions.release(session.id, 'transcript')
+                .catch(releaseError => console.error('Session store error:', releaseError.message));
+            return failed(error, 'We could not send the email. Please download the conversation instead.');
+        }
+
+        res.status(201).json({ success: true });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createTranscriptsRouter
+};
@@ -0,0 +1,30 @@
+// Input validation helpers
+function sanitizeString(str, maxLength = 250) {
+    if (typeof str !== 'string') return '';
+    // Remove null bytes and trim
+    let sanitized = str.replace(/\0/g, '').trim();
+    // Limit length
+    if (sanitized.length > maxLength) {
+        sanitized = sanitized.substring(0, maxLength);
+    }
+    return sanitized;
+}
+
+// Undo express-validator's escape() so stored text reads as the visitor typed it
+function unescapeHtml(str) {
+    if (typeof str !== 'string') return '';
+    return str
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#x2F;/g, '/')
+        .replace(/&#x5C;/g, '\\')
+        .replace(/&#96;/g, '`')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    sanitizeString,
+    unescapeHtml
+};
@@ -0,0 +1,118 @@
+// Expiring counters for rate limits, token budgets and the daily spend cap
+//   increment(key, windowMs, by) -> Promise<{ total, resetAt }>  (the window starts with the first increment)
+//   decrement(key), get(key) -> Promise<number>, reset(key)
+// memory: per process and lost on restart, for development and tests
+// redis: kept across restarts (any Redis-compatible server: Redis, Valkey, KeyDB)
+
+const { createRedisClient, connectRedisClient } = require('./redis');
+
+// Expired memory counters are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryCounterStore({ now = Date.now } = {}) {
+    const counters = new Map();
+    let lastSweep = now();
+
+    function live(key) {
+        const counter = counters.get(key);
+        if (counter && counter.resetAt <= now()) {
+            counters.delete(key);
+            return null;
+        }
+        return counter || null;
+    }
+
+    function sweep() {
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now()) counters.delete(key);
+        }
+        lastSweep = now();
+    }
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs, by = 1) {
+            if (now() - lastSweep >= SWEEP_INTERVAL_MS) sweep();
+            const counter = live(key) || { total: 0, resetAt: now() + windowMs };
+            counter.total += by;
+            counters.set(key, counter);
+            return { total: counter.total, resetAt: counter.resetAt };
+        },
+
+        async decrement(key) {
+            const counter = live(key);
+            if (counter && counter.total > 0) counter.total -= 1;
+        },
+
+        async get(key) {
+            const counter = live(key);
+            return counter ? counter.total : 0;
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        },
+
+        async close() {
+            counters.clear();
+        }
+    };
+}
+
+// Add to a counter and start its expiry if it's new, in one round trip
+const INCREMENT_SCRIPT = `
+local total = redis.call('INCRBY', KEYS[1], ARGV[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    ttl = tonumber(ARGV[2])
+end
+return { total, ttl }`;
+
+// Takes a node-redis client, connecting it if needed; createCounterStore builds one from REDIS_URL
+function createRedisCounterStore({ client, prefix = 'linkwave:' }) {
+    connectRedisClient(client, 'Counter store');
+
+    return {
+        name: 'redis',
+
+        async increment(key, windowMs, by = 1) {
+            const [total, ttl] = await client.eval(INCREMENT_SCRIPT, {
+                keys: [prefix + key],
+                arguments: [String(by), String(windowMs)]
+            });
+            return { total: Number(total), resetAt: Date.now() + Number(ttl) };
+        },
+
+        async decrement(key) {
+            await client.decr(prefix + key);
+        },
+
+        async get(key) {
+            return Number(await client.get(prefix + key)) || 0;
+        },
+
+        async reset(key) {
+            await client.del(prefix + key);
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+}
+
+function createCounterStore({ store, redisUrl }) {
+    if (store === 'memory') return createMemoryCounterStore();
+    if (store === 'redis') {
+        return createRedisCounterStore({ client: createRedisClient({ url: redisUrl, label: 'Counter store' }) });
+    }
+    throw new Error(`Unknown counter store "${store}". Use memory or redis.`);
+}
+
+module.exports = {
+    createMemoryCounterStore,
+    createRedisCounterStore,
+    createCounterStore
+};
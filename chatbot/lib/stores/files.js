@@ -0,0 +1,26 @@
+// Stores uploaded files under random names so user-supplied names never touch the filesystem
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createFileStore(dir) {
+    return {
+        dir,
+
+        // Write a buffer and resolve with the generated file name
+        async save(buffer, extension = '') {
+            const fileName = `${crypto.randomUUID()}${extension}`;
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(path.join(dir, fileName), buffer, { flag: 'wx' });
+            return { fileName, filePath: path.join(dir, fileName) };
+        },
+
+        async remove(fileName) {
+            await fs.promises.rm(path.join(dir, path.basename(fileName)), { force: true });
+        }
+    };
+}
+
+module.exports = {
+    createFileStore
+};
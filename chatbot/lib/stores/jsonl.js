@@ -0,0 +1,78 @@
+// Append-only JSON-lines store: one JSON record per line
+// Suitable for low-volume data (leads, inquiries) on a single server
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+async function readRecords(filePath) {
+    let content;
+    try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    return content
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+function createJsonlStore(filePath) {
+    // Serialize writes so concurrent requests never interleave lines
+    let queue = Promise.resolve();
+
+    return {
+        filePath,
+
+        // Append a record, adding an id and timestamp; resolves with the stored record
+        append(record) {
+            const stored = {
+                id: crypto.randomUUID(),
+                createdAt: new Date().toISOString(),
+                ...record
+            };
+            const write = queue.then(async () => {
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.appendFile(filePath, `${JSON.stringify(stored)}\n`, 'utf8');
+                return stored;
+            });
+            queue = write.catch(() => {});
+            return write;
+        },
+
+        // Read every record, skipping lines that fail to parse
+        async readAll() {
+            await queue;
+            return readRecords(filePath);
+        },
+
+        // Rewrite the file keeping only records for which keep(record) is true; resolves with the number removed
+        prune(keep) {
+            const rewrite = queue.then(async () => {
+                const records = await readRecords(filePath);
+                const kept = records.filter(keep);
+                if (kept.length === records.length) return 0;
+
+                // Write a temp file and rename it so a crash never leaves a half-written store
+                const tempPath = `${filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, kept.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+                await fs.promises.rename(tempPath, filePath);
+                return records.length - kept.length;
+            });
+            queue = rewrite.catch(() => {});
+            return rewrite;
+        }
+    };
+}
+
+module.exports = {
+    createJsonlStore
+};
@@ -0,0 +1,21 @@
+// node-redis client for REDIS_URL, used by the counter and session stores
+// Commands fail straight away while Redis is unreachable instead of queueing until it's back
+function createRedisClient({ url, label }) {
+    const { createClient } = require('redis');
+    const client = createClient({ url, disableOfflineQueue: true });
+    // Without a listener node-redis throws on connection errors; it keeps reconnecting in the background
+    client.on('error', error => console.error(`${label} error:`, error.message));
+    return client;
+}
+
+// Connect a client a store was given, unless the caller already has
+function connectRedisClient(client, label) {
+    if (!client.isOpen) {
+        client.connect().catch(error => console.error(`${label} connection error:`, error.message));
+    }
+}
+
+module.exports = {
+    createRedisClient,
+    connectRedisClient
+};
@@ -0,0 +1,218 @@
+// Chat sessions: the server keeps each conversation's history so clients only send their new
+// message. Sessions expire after a period of inactivity. Every method returns a promise:
+//   get(id) -> session or null, create(), resume(id), append(session, ...messages)
+//   getRequest(id), saveRequest(id, request): the session's latest request and how far its answer
+//     has got, for a page that comes back for it
+//   claim(id, name) -> true for the first caller only, release(id, name): one-off actions such as
+//     emailing the transcript
+// A session is plain data ({ id, history, droppedMessages, createdAt, lastActivityAt }); append
+// keeps it, other changes to the object are not saved.
+// memory: per process and lost on restart, for development and tests
+// redis: kept across restarts (any Redis-compatible server: Redis, Valkey, KeyDB)
+const crypto = require('crypto');
+const { createRedisClient, connectRedisClient } = require('./redis');
+
+// Expired memory sessions are swept at most this often, when new sessions are created
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const isSessionId = id => typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+
+function newSession(now) {
+    return {
+        id: crypto.randomUUID(),
+        history: [],
+        // Messages trimmed off the front of history, so a transcript can say it is partial
+        droppedMessages: 0,
+        createdAt: now,
+        lastActivityAt: now
+    };
+}
+
+// Add turns to a session's history, keeping the most recent maxMessages
+function addMessages(session, messages, maxMessages, now) {
+    session.history.push(...messages);
+    if (session.history.length > maxMessages) {
+        session.droppedMessages += session.history.length - maxMessages;
+        session.history = session.history.slice(-maxMessages);
+    }
+    session.lastActivityAt = now;
+}
+
+// Sessions are kept as JSON, as Redis keeps them, so a change that isn't saved is lost here too
+function createMemorySessionStore({ ttlMs, maxMessages = 20, maxSessions = 10000, now = Date.now }) {
+    // id -> { session (JSON), request (JSON), claims, lastActivityAt }. Map keeps insertion order;
+    // entries are re-inserted when their session is saved, so the first is the least recently used
+    const entries = new Map();
+    let lastSweep = now();
+
+    const isExpired = entry => now() - entry.lastActivityAt >= ttlMs;
+
+    function sweep() {
+        for (const [id, entry] of entries) {
+            if (isExpired(entry)) entries.delete(id);
+        }
+        lastSweep = now();
+    }
+
+    function live(id) {
+        if (!isSessionId(id)) return null;
+        const entry = entries.get(id);
+        if (!entry) return null;
+        if (isExpired(entry)) {
+            entries.delete(id);
+            return null;
+        }
+        return entry;
+    }
+
+    function save(session) {
+        const entry = entries.get(session.id) || { request: null, claims: new Set() };
+        entries.delete(session.id);
+        entries.set(session.id, { ...entry, session: JSON.stringify(session), lastActivityAt: session.lastActivityAt });
+    }
+
+    const store = {
+        name: 'memory',
+
+        async get(id) {
+            const entry = live(id);
+            return entry ? JSON.parse(entry.session) : null;
+        },
+
+        async create() {
+            if (now() - lastSweep >= SWEEP_INTERVAL_MS) sweep();
+            // Evict the least recently used session rather than grow without bound
+            if (entries.size >= maxSessions) {
+                entries.delete(entries.keys().next().value);
+            }
+            const session = newSession(now());
+            save(session);
+            return session;
+        },
+
+        // Continue a live session, or start a new one when the id is unknown or expired
+        async resume(id) {
+            return (await store.get(id)) || store.create();
+        },
+
+        async append(session, ...messages) {
+            addMessages(session, messages, maxMessages, now());
+            save(session);
+        },
+
+        async getRequest(id) {
+            const entry = live(id);
+            return entry && entry.request ? JSON.parse(entry.request) : null;
+        },
+
+        async saveRequest(id, request) {
+            const entry = live(id);
+            if (entry) entry.request = JSON.stringify(request);
+        },
+
+        async claim(id, name) {
+            const entry = live(id);
+            if (!entry || entry.claims.has(name)) return false;
+            entry.claims.add(name);
+            return true;
+        },
+
+        async release(id, name) {
+            const entry = live(id);
+            if (entry) entry.claims.delete(name);
+        },
+
+        async close() {
+            entries.clear();
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+    return store;
+}
+
+// Each session is a JSON string that expires ttlMs after it was last saved; its request and claims
+// are kept beside it and expire with it. Redis's own memory limits take the place of maxSessions.
+// Takes a node-redis client, connecting it if needed; createSessionStore builds one from REDIS_URL
+function createRedisSessionStore({ client, ttlMs, maxMessages = 20, prefix = 'linkwave:session:' }) {
+    connectRedisClient(client, 'Session store');
+    const keys = id => ({
+        session: prefix + id,
+        request: `${prefix}${id}:request`,
+        claims: `${prefix}${id}:claims`
+    });
+
+    async function read(key) {
+        const value = await client.get(key);
+        return value ? JSON.parse(value) : null;
+    }
+
+    const store = {
+        name: 'redis',
+
+        async get(id) {
+            if (!isSessionId(id)) return null;
+            return read(keys(id).session);
+        },
+
+        async create() {
+            const session = newSession(Date.now());
+            await client.set(keys(session.id).session, JSON.stringify(session), { PX: ttlMs });
+            return session;
+        },
+
+        async resume(id) {
+            return (await store.get(id)) || store.create();
+        },
+
+        async append(session, ...messages) {
+            addMessages(session, messages, maxMessages, Date.now());
+            const { session: sessionKey, request, claims } = keys(session.id);
+            await client.multi()
+                .set(sessionKey, JSON.stringify(session), { PX: ttlMs })
+                .pExpire(request, ttlMs)
+                .pExpire(claims, ttlMs)
+                .exec();
+        },
+
+        async getRequest(id) {
+            if (!isSessionId(id)) return null;
+            return read(keys(id).request);
+        },
+
+        async saveRequest(id, request) {
+            await client.set(keys(id).request, JSON.stringify(request), { PX: ttlMs });
+        },
+
+        async claim(id, name) {
+            const { claims } = keys(id);
+            const [added] = await client.multi().sAdd(claims, name).pExpire(claims, ttlMs).exec();
+            return Number(added) === 1;
+        },
+
+        async release(id, name) {
+            await client.sRem(keys(id).claims, name);
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+    return store;
+}
+
+function createSessionStore({ store, redisUrl, ...options }) {
+    if (store === 'memory') return createMemorySessionStore(options);
+    if (store === 'redis') {
+        return createRedisSessionStore({ ...options, client: createRedisClient({ url: redisUrl, label: 'Session store' }) });
+    }
+    throw new Error(`Unknown session store "${store}". Use memory or redis.`);
+}
+
+module.exports = {
+    createMemorySessionStore,
+    createRedisSessionStore,
+    createSessionStore
+};
@@ -0,0 +1,232 @@
+// Suggested follow-up questions, related site pages and the call to action sent with each answer
+// Chosen from the message's intent and topic labels, in the reply language
+const { unescapeHtml } = require('./sanitize');
+
+const CTA_TYPES = ['consultation', 'careers', 'contact'];
+const MAX_FOLLOW_UPS = 3;
+const MAX_RELATED_LINKS = 2;
+
+// Follow-ups by intent (consultation, careers, support) or else by topic
+const FOLLOW_UPS = {
+    en: {
+        consultation: [
+            'What happens during a site survey?',
+            'How long does a DAS installation take?',
+            'What information do you need for a quote?'
+        ],
+        careers: [
+            'What positions are open right now?',
+            'How do I apply for a job at Linkwave?',
+            'Do you hire bilingual project managers?'
+        ],
+        support: [
+            'Do you offer maintenance plans?',
+            'How do you monitor installed systems?',
+            'How can I contact the Linkwave team?'
+        ],
+        das: [
+            'What is the difference between active and passive DAS?',
+            'How long does a DAS installation take?',
+            'Do I need carrier approval for a DAS?'
+        ],
+        publicSafety: [
+            'Which buildings need public safety radio coverage?',
+            'How is public safety coverage tested?',
+            'What is a BDA?'
+        ],
+        cellular: [
+            'Why is cellular signal weak inside my building?',
+            'Can one system cover Rogers, Bell and Telus?',
+            'What is a cellular booster?'
+        ],
+        wifi: [
+            'How do you plan enterprise Wi-Fi coverage?',
+            'What does a wireless site survey include?',
+            'Can Wi-Fi and DAS share cabling?'
+        ],
+        private5g: [
+            'What is the difference between private 5G and Wi-Fi?',
+            'Which sites benefit from private 5G?',
+            'How is a private 5G network deployed?'
+        ],
+        lmr: [
+            'What is operational LMR radio?',
+            'Can LMR radio share a DAS with public safety?',
+            'How do you test two-way radio coverage?'
+        ],
+        transit: [
+            'How do you bring coverage into tunnels?',
+            'Which transit projects has Linkwave completed?',
+            'What is a leaky feeder cable?'
+        ],
+        projects: [
+            'Which hospital projects has Linkwave completed?',
+            'Tell me about the Union Station project',
+            'Do you work on transit projects?'
+        ],
+        company: [
+            'What services does Linkwave offer?',
+            'Where does Linkwave work?',
+            'Who is on the Linkwave team?'
+        ],
+        general: [
+            'What is DAS?',
+            'What services does Linkwave offer?',
+            'Which buildings need public safety radio coverage?'
+        ]
+    },
+    fr: {
+        consultation: [
+            'Que se passe-t-il lors d\'une étude de site?',
+            'Combien de temps prend l\'installation d\'un DAS?',
+            'De quelles informations avez-vous besoin pour une soumission?'
+        ],
+        careers: [
+            'Quels postes sont ouverts en ce moment?',
+            'Comment postuler chez Linkwave?',
+            'Embauchez-vous des gestionnaires de projet bilingues?'
+        ],
+        support: [
+            'Offrez-vous des contrats d\'entretien?',
+            'Comment surveillez-vous les systèmes installés?',
+            'Comment joindre l\'équipe de Linkwave?'
+        ],
+        das: [
+            'Quelle est la différence entre un DAS actif et un DAS passif?',
+            'Combien de temps prend l\'installation d\'un DAS?',
+            'Faut-il l\'approbation des opérateurs pour un DAS?'
+        ],
+        publicSafety: [
+            'Quels bâtiments ont besoin d\'une couverture radio de sécurité publique?',
+            'Comment teste-t-on la couverture de sécurité publique?',
+            'Qu\'est-ce qu\'un BDA?'
+        ],
+        cellular: [
+            'Pourquoi le signal cellulaire est-il faible dans mon immeuble?',
+            'Un seul système peut-il couvrir Rogers, Bell et Telus?',
+            'Qu\'est-ce qu\'un amplificateur cellulaire?'
+        ],
+        wifi: [
+            'Comment planifiez-vous la couverture Wi-Fi d\'entreprise?',
+            'Que comprend une étude de site sans fil?',
+            'Le Wi-Fi et le DAS peuvent-ils partager le câblage?'
+        ],
+        private5g: [
+            'Quelle est la différence entre la 5G privée et le Wi-Fi?',
+            'Quels sites profitent d\'un réseau 5G privé?',
+            'Comment déploie-t-on un réseau 5G privé?'
+        ],
+        lmr: [
+            'Qu\'est-ce que la radio opérationnelle LMR?',
+            'La radio LMR peut-elle partager un DAS avec la sécurité publique?',
+            'Comment testez-vous la couverture radio bidirectionnelle?'
+        ],
+        transit: [
+            'Comment assurez-vous la couverture dans les tunnels?',
+            'Quels projets de transport en commun Linkwave a-t-elle réalisés?',
+            'Qu\'est-ce qu\'un câble rayonnant?'
+        ],
+        projects: [
+            'Quels projets d\'hôpitaux Linkwave a-t-elle réalisés?',
+            'Parlez-moi du projet de la gare Union',
+            'Travaillez-vous sur des projets de transport en commun?'
+        ],
+        company: [
+            'Quels services Linkwave offre-t-elle?',
+            'Où Linkwave travaille-t-elle?',
+            'Qui fait partie de l\'équipe de Linkwave?'
+        ],
+        general: [
+            'Qu\'est-ce qu\'un DAS?',
+            'Quels services Linkwave offre-t-elle?',
+            'Quels bâtiments ont besoin d\'une couverture radio de sécurité publique?'
+        ]
+    }
+};
+
+const PAGE_TITLES = {
+    'about_us.html': { en: 'Who We Are', fr: 'Qui sommes-nous' },
+    'careers.html': { en: 'Careers', fr: 'Carrières' },
+    'commercial-cellular.html': { en: 'Commercial Cellular', fr: 'Cellulaire commercial' },
+    'contact_us.html': { en: 'Contact Us', fr: 'Contactez-nous' },
+    'enterprise-wifi.html': { en: 'Enterprise Wi-Fi', fr: 'Wi-Fi d\'entreprise' },
+    'learn.html': { en: 'Wireless Guide', fr: 'Guide du sans-fil' },
+    'operational-lmr-radio.html': { en: 'Operational (LMR) Radio', fr: 'Radio opérationnelle (LMR)' },
+    'our_projects.html': { en: 'Our Projects', fr: 'Nos projets' },
+    'our_services.html': { en: 'Our Services', fr: 'Nos services' },
+    'our_team.html': { en: 'Our Team', fr: 'Notre équipe' },
+    'private-5g.html': { en: 'Private 5G', fr: '5G privée' },
+    'public-safety-radio.html': { en: 'Public Safety Radio', fr: 'Radio de sécurité publique' },
+    'transit-connectivity.html': { en: 'Transit Connectivity', fr: 'Connectivité pour le transport en commun' },
+    'wireless_network_consulting.html': { en: 'Wireless Network Consulting', fr: 'Services-conseils en réseaux sans fil' }
+};
+
+// Pages worth a visit, by intent first and then by topic
+const RELATED_PAGES = {
+    consultation: ['wireless_network_consulting.html'],
+    careers: ['careers.html'],
+    support: ['contact_us.html'],
+    das: ['learn.html', 'commercial-cellular.html'],
+    publicSafety: ['public-safety-radio.html'],
+    cellular: ['commercial-cellular.html'],
+    wifi: ['enterprise-wifi.html'],
+    private5g: ['private-5g.html'],
+    lmr: ['operational-lmr-radio.html'],
+    transit: ['transit-connectivity.html'],
+    projects: ['our_projects.html'],
+    company: ['about_us.html', 'our_team.html'],
+    general: ['our_services.html']
+};
+
+const CTA_BY_INTENT = {
+    consultation: 'consultation',
+    careers: 'careers',
+    support: 'contact'
+};
+
+const normalize = (text) => unescapeHtml(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// The English page's path in the reply language ("fr/private-5g.html")
+const localizedUrl = (page, lang) => (lang === 'en' ? page : `${lang}/${page}`);
+
+// Up to three follow-ups the visitor hasn't already asked
+function pickFollowUps(keys, lang, asked) {
+    const catalog = FOLLOW_UPS[lang] || FOLLOW_UPS.en;
+    const seen = new Set(asked.map(normalize));
+    const questions = [...new Set(keys.flatMap(key => catalog[key] || []))];
+    return questions.filter(question => !seen.has(normalize(question))).slice(0, MAX_FOLLOW_UPS);
+}
+
+// Related pages for the labels, leaving out pages the answer already cites
+function pickRelatedLinks(keys, lang, sources) {
+    const cited = new Set(sources.map(source => source.url.split('#')[0]));
+    const pages = [...new Set(keys.flatMap(key => RELATED_PAGES[key] || []))];
+    return pages
+        .map(page => ({ title: PAGE_TITLES[page][lang] || PAGE_TITLES[page].en, url: localizedUrl(page, lang) }))
+        .filter(link => !cited.has(link.url))
+        .slice(0, MAX_RELATED_LINKS);
+}
+
+// { followUps, relatedLinks, cta } for one answer.
+// Off-topic and unclassified turns get general follow-ups only, to steer back to what the assistant covers.
+function buildSuggestions({ classification, lang = 'en', message = '', history = [], sources = [], consultationIntent = false }) {
+    const asked = [message, ...history.filter(m => m.role === 'user').map(m => m.content)];
+    const { intent, topic } = classification || {};
+
+    if (!topic || topic === 'offTopic') {
+        return { followUps: pickFollowUps(['general'], lang, asked), relatedLinks: [], cta: null };
+    }
+
+    const keys = [intent, topic, 'general'];
+    return {
+        followUps: pickFollowUps(keys, lang, asked),
+        relatedLinks: pickRelatedLinks([intent, topic], lang, sources),
+        cta: consultationIntent ? 'consultation' : (CTA_BY_INTENT[intent] || null)
+    };
+}
+
+module.exports = {
+    CTA_TYPES,
+    FOLLOW_UPS,
+    buildSuggestions
+};
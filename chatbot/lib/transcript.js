@@ -0,0 +1,95 @@
+// Chat transcript helpers shared by lead capture and exports
+const { sanitizeString, unescapeHtml } = require('./sanitize');
+
+// Wording of the transcript email, in the widget's languages
+const TRANSCRIPT_EMAIL_TEXT = {
+    en: {
+        subject: 'Your conversation with the Linkwave Assistant',
+        intro: 'Here is your conversation with the Linkwave Assistant.',
+        quoted: 'Lines starting with ">" are the messages typed in the chat window, not text from Linkwave.',
+        trimmed: 'Only the last {count} messages of a longer conversation are included.',
+        user: 'You',
+        assistant: 'Linkwave Assistant',
+        ctaPrompt: 'Ready to discuss your wireless needs?',
+        ctaBook: 'Book a consultation',
+        call: 'Call us',
+        email: 'Email',
+        contactPage: 'contact_us.html'
+    },
+    fr: {
+        subject: 'Votre conversation avec l\'Assistant Linkwave',
+        intro: 'Voici votre conversation avec l\'Assistant Linkwave.',
+        quoted: 'Les lignes commençant par « > » sont les messages tapés dans la fenêtre de clavardage, pas un texte de Linkwave.',
+        trimmed: 'Seuls les {count} derniers messages d\'une conversation plus longue sont inclus.',
+        user: 'Vous',
+        assistant: 'Assistant Linkwave',
+        ctaPrompt: 'Prêt à discuter de vos besoins sans fil?',
+        ctaBook: 'Réserver une consultation',
+        call: 'Appelez-nous',
+        email: 'Courriel',
+        contactPage: 'fr/contact_us.html'
+    }
+};
+
+// Keep only well-formed user/assistant turns, trimmed to a safe size
+function sanitizeTranscript(transcript, maxMessages = 40) {
+    if (!Array.isArray(transcript)) return [];
+    return transcript
+        .filter(msg =>
+            msg &&
+            typeof msg === 'object' &&
+            (msg.role === 'user' || msg.role === 'assistant') &&
+            typeof msg.content === 'string' &&
+            msg.content.trim().length > 0
+        )
+        .slice(-maxMessages)
+        .map(msg => ({
+            role: msg.role,
+            content: sanitizeString(msg.content, 2000)
+        }));
+}
+
+// One-paragraph summary of what the visitor asked, for sales follow-up
+function summarizeTranscript(transcript, maxQuestions = 10) {
+    const questions = transcript
+        .filter(msg => msg.role === 'user')
+        .map(msg => sanitizeString(msg.content, 250).replace(/\s+/g, ' '))
+        .slice(-maxQuestions);
+
+    if (questions.length === 0) return 'No chat questions before booking.';
+    return `Visitor asked ${questions.length} question${questions.length === 1 ? '' : 's'}: ${questions.map(q => `"${q}"`).join('; ')}`;
+}
+
+// Plain text email of a conversation, ending with the consultation call to action and contact details.
+// User turns are whatever the visitor typed, so they are quoted line by line to set them apart from
+// Linkwave's text. They are stored HTML-escaped in a chat session, so they are unescaped here.
+// omitted is how many earlier messages the session no longer holds.
+function formatTranscriptEmail(transcript, { lang = 'en', siteUrl, omitted = 0 }) {
+    const text = TRANSCRIPT_EMAIL_TEXT[lang] || TRANSCRIPT_EMAIL_TEXT.en;
+    const turns = transcript.map(msg => (msg.role === 'user'
+        ? `${text.user}:\n${unescapeHtml(msg.content).split('\n').map(line => `> ${line}`).join('\n')}`
+        : `${text.assistant}:\n${msg.content}`));
+
+    return {
+        subject: text.subject,
+        text: [
+            text.intro,
+            text.quoted,
+            ...(omitted > 0 ? [text.trimmed.replace('{count}', transcript.length)] : []),
+            '',
+            turns.join('\n\n'),
+            '',
+            '---',
+            text.ctaPrompt,
+            `${text.ctaBook}: ${new URL(text.contactPage, siteUrl).href}`,
+            `${text.call}: 1-888-859-2673`,
+            `${text.email}: info@linkwavewireless.com`
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    sanitizeTranscript,
+    summarizeTranscript,
+    formatTranscriptEmail
+};
@@ -0,0 +1,112 @@
+// Model usage limits: a token budget per chat session and a daily spend cap across every model call
+// Tokens are estimated from text length since streamed replies don't report usage
+const CHARS_PER_TOKEN = 4;
+// Per-message overhead of the chat format
+const MESSAGE_TOKENS = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const estimateTokens = text => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+const promptTokens = messages => messages.reduce((sum, m) => sum + MESSAGE_TOKENS + estimateTokens(m.content), 0);
+
+function spendCapError() {
+    const error = new Error('Daily model spend cap reached');
+    error.code = 'SPEND_CAP';
+    return error;
+}
+
+// Spend is counted in millionths of a dollar so counters stay integers: tokens x price per million tokens
+function createUsageMeter({
+    counters,
+    sessionTokenBudget,
+    dailySpendCapUsd,
+    inputPricePerMillion,
+    outputPricePerMillion,
+    now = Date.now
+}) {
+    const capMicros = Math.round(dailySpendCapUsd * 1e6);
+    // UTC day, so the cap rolls over at midnight UTC whatever the server's time zone
+    const spendKey = () => `spend:${new Date(now()).toISOString().slice(0, 10)}`;
+
+    // Counter store errors never block an answer: limits are skipped until the store is back
+    async function safely(check) {
+        try {
+            return await check();
+        } catch (error) {
+            console.error('Usage counter error:', error.message);
+            return false;
+        }
+    }
+
+    const meter = {
+        async sessionExhausted(sessionId) {
+            if (!sessionTokenBudget) return false;
+            return safely(async () => await counters.get(`tokens:${sessionId}`) >= sessionTokenBudget);
+        },
+
+        async recordSessionTokens(sessionId, tokens) {
+            if (!sessionTokenBudget) return;
+            await safely(() => counters.increment(`tokens:${sessionId}`, DAY_MS, tokens));
+        },
+
+        async capReached() {
+            if (!capMicros) return false;
+            return safely(async () => await counters.get(spendKey()) >= capMicros);
+        },
+
+        async recordSpend({ inputTokens, outputTokens }) {
+            if (!capMicros) return;
+            const micros = Math.ceil(inputTokens * inputPricePerMillion + outputTokens * outputPricePerMillion);
+            if (micros > 0) await safely(() => counters.increment(spendKey(), 2 * DAY_MS, micros));
+        },
+
+        // The provider with every call counted towards the daily cap, and refused once it's reached
+        // (the classifier then falls back to the keyword rules)
+        wrap(llm) {
+            const record = (request, reply) => meter.recordSpend({
+                inputTokens: promptTokens(request.messages),
+                outputTokens: estimateTokens(reply)
+            });
+
+            return {
+                ...llm,
+                async complete(request) {
+                    if (await meter.capReached()) throw spendCapError();
+                    const reply = await llm.complete(request);
+                    record(request, reply);
+                    return reply;
+                },
+                async *stream(request) {
+                    if (await meter.capReached()) throw spendCapError();
+                    let text = '';
+                    try {
+                        for await (const delta of llm.stream(request)) {
+                            text += delta;
+                            yield delta;
+                        }
+                    } finally {
+                        // Aborted streams were still paid for
+                        record(request, text);
+                    }
+                },
+                ...(llm.embed ? {
+                    async embed(texts, options) {
+                        if (await meter.capReached()) throw spendCapError();
+                        const vectors = await llm.embed(texts, options);
+                        meter.recordSpend({
+                            inputTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0),
+                            outputTokens: 0
+                        });
+                        return vectors;
+                    }
+                } : {})
+            };
+        }
+    };
+    return meter;
+}
+
+module.exports = {
+    estimateTokens,
+    promptTokens,
+    createUsageMeter
+};
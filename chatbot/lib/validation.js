@@ -0,0 +1,27 @@
+// Shared formatting of express-validator errors
+const { validationResult } = require('express-validator');
+
+// Returns null when the request is valid, otherwise a 400 response body with
+// a flat list of messages and a per-field map for inline form errors
+function validationErrors(req) {
+    const result = validationResult(req);
+    if (result.isEmpty()) return null;
+
+    const errors = result.array();
+    const fields = {};
+    errors.forEach(error => {
+        // "carriers[1]" reports against the "carriers" field
+        const field = (error.path || error.param || '').replace(/\[\d+\]$/, '');
+        if (field && !fields[field]) fields[field] = error.msg;
+    });
+
+    return {
+        error: 'Invalid input',
+        details: errors.map(error => error.msg),
+        fields
+    };
+}
+
+module.exports = {
+    validationErrors
+};
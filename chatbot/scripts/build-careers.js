@@ -0,0 +1,399 @@
+// Build the careers pages from careers/jobs.json
+// Writes one careers/<slug>.html page per job and the job card grid in careers.html, and
+// data/positions.json, the open positions the chatbot server accepts applications for
+// Usage: npm run build-careers
+const path = require('path');
+const fs = require('fs');
+
+const SITE_ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '..');
+const JOBS_PATH = path.join(SITE_ROOT, 'careers', 'jobs.json');
+const TEMPLATE_PATH = path.join(__dirname, 'templates', 'job-posting.html');
+const POSITIONS_PATH = path.resolve(__dirname, '..', 'data', 'positions.json');
+const GENERATED_NOTICE = '<!-- Generated by chatbot/scripts/build-careers.js from careers/jobs.json - edit those, not this file -->';
+
+const STATUSES = ['open', 'closed'];
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Indent every line of a block by the given number of spaces
+function indent(lines, spaces) {
+    const pad = ' '.repeat(spaces);
+    return lines.map(line => (line ? pad + line : line)).join('\n');
+}
+
+// Check the fields the pages and filters depend on; throws listing every problem
+function validateJobs(data) {
+    const problems = [];
+    if (!data || !Array.isArray(data.jobs)) {
+        throw new Error('jobs.json must contain a "jobs" array');
+    }
+
+    const slugs = new Set();
+    data.jobs.forEach((job, i) => {
+        const name = job.slug || `jobs[${i}]`;
+        if (!/^[a-z0-9-]+$/.test(job.slug || '')) problems.push(`${name}: slug must be lowercase letters, numbers and dashes`);
+        if (slugs.has(job.slug)) problems.push(`${name}: duplicate slug`);
+        slugs.add(job.slug);
+        if (!job.title) problems.push(`${name}: title is required`);
+        if (!STATUSES.includes(job.status)) problems.push(`${name}: status must be one of ${STATUSES.join(', ')}`);
+        if (!job.type) problems.push(`${name}: type is required`);
+        if (!job.location || !job.location.city || !job.location.province) {
+            problems.push(`${name}: location.city and location.province are required`);
+        }
+        if (!Array.isArray(job.languages) || job.languages.length === 0) {
+            problems.push(`${name}: languages must list at least one language`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid careers/jobs.json:\n  ${problems.join('\n  ')}`);
+    }
+    return data;
+}
+
+function loadJobs(filePath = JOBS_PATH) {
+    return validateJobs(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+const openJobs = (jobs) => jobs.filter(job => job.status === 'open');
+// The titles the application forms offer, and so the only positions the server accepts
+const openPositions = (jobs) => openJobs(jobs).map(job => job.title);
+const locationLabel = (job) => `${job.location.city}, ${job.location.province}`;
+
+function languageLabel(job) {
+    return job.languages.length > 1 ? `Bilingual (${job.languages.join('/')})` : job.languages[0];
+}
+
+// Unique filter options in first-seen order
+function filterOptions(jobs) {
+    const unique = (values) => [...new Map(values.map(label => [slugify(label), label])).entries()]
+        .map(([value, label]) => ({ value, label }));
+    return {
+        location: unique(jobs.map(locationLabel)),
+        type: unique(jobs.map(job => job.type))
+    };
+}
+
+function renderJobCard(job) {
+    const details = [locationLabel(job), job.location.arrangement].filter(Boolean).join(' · ');
+    return [
+        `<div class="job-card" data-location="${slugify(locationLabel(job))}" data-type="${slugify(job.type)}">`,
+        '    <div class="job-card-image">',
+        '        <div class="job-image-placeholder">',
+        `            <i class="fas ${escapeHtml(job.icon || 'fa-briefcase')}"></i>`,
+        '        </div>',
+        '    </div>',
+        '    <div class="job-card-content">',
+        `        <h3 class="job-title">${escapeHtml(job.cardTitle || job.title)}</h3>`,
+        `        <p class="job-type">${escapeHtml(job.type)}</p>`,
+        `        <p class="job-location">${escapeHtml(details)}</p>`,
+        `        <p class="job-languages">${escapeHtml(languageLabel(job))}</p>`,
+        `        <a href="careers/${job.slug}.html" class="job-apply-btn">Apply Now</a>`,
+        '    </div>',
+        '</div>'
+    ];
+}
+
+function renderFilterSelect(name, label, allLabel, options) {
+    return [
+        '    <label class="job-filter">',
+        `        <span class="job-filter-label">${label}</span>`,
+        `        <select data-job-filter="${name}">`,
+        `            <option value="">${allLabel}</option>`,
+        ...options.map(option => `            <option value="${option.value}">${escapeHtml(option.label)}</option>`),
+        '        </select>',
+        '    </label>'
+    ];
+}
+
+// Filters, card grid and empty states for careers.html
+function renderCareersListing(jobs) {
+    const open = openJobs(jobs);
+    if (open.length === 0) {
+        return [
+            '<p class="job-filters-empty">There are no open positions right now. We are always happy to hear from talented people: send your resume to <a href="mailto:hr@linkwavewireless.com">hr@linkwavewireless.com</a>.</p>'
+        ];
+    }
+
+    const options = filterOptions(open);
+    const cards = open.map(renderJobCard).map((lines, i) => (i === 0 ? lines : ['', ...lines]));
+
+    return [
+        '<div class="job-filters" role="group" aria-label="Filter job postings">',
+        ...renderFilterSelect('location', 'Location', 'All locations', options.location),
+        ...renderFilterSelect('type', 'Job type', 'All job types', options.type),
+        `    <p class="job-filters-count" aria-live="polite">${open.length} open position${open.length === 1 ? '' : 's'}</p>`,
+        '</div>',
+        '',
+        '<div class="job-cards-grid">',
+        ...cards.flat().map(line => (line ? `    ${line}` : line)),
+        '</div>',
+        '<p class="job-filters-empty" hidden>No open positions match these filters. Try a different location or job type.</p>'
+    ];
+}
+
+function renderSection(title, body) {
+    return [
+        '<div class="job-section">',
+        `    <h2 class="job-section-title">${escapeHtml(title)}</h2>`,
+        ...body.map(line => (line ? `    ${line}` : line)),
+        '</div>'
+    ];
+}
+
+function renderList(items) {
+    return [
+        '<ul class="job-list">',
+        ...items.map(item => `    <li>${escapeHtml(item)}</li>`),
+        '</ul>'
+    ];
+}
+
+// Responsibility and qualification groups: optional heading and intro, then a list
+function renderGroups(groups) {
+    return groups.flatMap((group, i) => [
+        ...(i > 0 ? [''] : []),
+        ...(group.heading ? [`<h3 class="job-subsection-title">${escapeHtml(group.heading)}</h3>`] : []),
+        ...(group.intro ? [`<p><strong>${escapeHtml(group.intro)}</strong></p>`] : []),
+        ...renderList(group.items || [])
+    ]);
+}
+
+function renderParagraph(paragraph) {
+    return typeof paragraph === 'string'
+        ? `<p>${escapeHtml(paragraph)}</p>`
+        : `<p><strong>${escapeHtml(paragraph.strong)}</strong></p>`;
+}
+
+function renderApplicationForm(job, jobs) {
+    const positions = openJobs(jobs).map(other =>
+        `            <option value="${escapeHtml(other.title)}"${other.slug === job.slug ? ' selected' : ''}>${escapeHtml(other.title)}</option>`
+    );
+
+    return [
+        '<form class="job-application-form" id="jobApplicationForm" action="#" method="post" enctype="multipart/form-data" novalidate>',
+        '    <div class="form-group">',
+        '        <label for="position">Position Applying For <span class="required">*</span></label>',
+        '        <select id="position" name="position" required>',
+        ...positions,
+        '        </select>',
+        '    </div>',
+        '',
+        '    <div class="form-group">',
+        '        <label for="name">Name <span class="required">*</span></label>',
+        '        <input type="text" id="name" name="name" required>',
+        '    </div>',
+        '',
+        '    <div class="form-group">',
+        '        <label for="email">Email <span class="required">*</span></label>',
+        '        <input type="email" id="email" name="email" required>',
+        '    </div>',
+        '',
+        '    <div class="form-group">',
+        '        <label for="phone">Phone <span class="required">*</span></label>',
+        '        <input type="tel" id="phone" name="phone" required>',
+        '    </div>',
+        '',
+        '    <div class="form-group">',
+        '        <label for="address">Address <span class="required">*</span></label>',
+        '        <input type="text" id="address" name="address" placeholder="Street Address" required>',
+        '        <input type="text" id="address2" name="address2" placeholder="Address Line 2" class="form-input-spacing">',
+        '        <div class="address-row">',
+        '            <input type="text" id="city" name="city" placeholder="City" required>',
+        '            <input type="text" id="province" name="province" placeholder="Province/State" required>',
+        '        </div>',
+        '        <input type="text" id="postal" name="postal" placeholder="ZIP / Postal Code" required class="form-input-spacing">',
+        '        <select id="country" name="country" required class="form-input-spacing">',
+        '            <option value="">Select Country</option>',
+        '            <option value="Canada" selected>Canada</option>',
+        '            <option value="United States">United States</option>',
+        '        </select>',
+        '    </div>',
+        '',
+        '    <div class="form-group">',
+        '        <label for="coverLetter">Cover Letter <span class="required">*</span></label>',
+        '        <textarea id="coverLetter" name="coverLetter" rows="6" required></textarea>',
+        '    </div>',
+        '',
+        '    <div class="form-group">',
+        '        <label for="linkedin">LinkedIn Profile URL <span class="required">*</span></label>',
+        '        <input type="url" id="linkedin" name="linkedin" placeholder="https://linkedin.com/in/yourprofile" required>',
+        '    </div>',
+        '',
+        '    <div class="form-group">',
+        '        <label for="resume">Attach Resume <span class="required">*</span></label>',
+        '        <input type="file" id="resume" name="resume" accept=".pdf,.doc,.docx" required>',
+        '        <small>Max. file size: 10 MB. Accepted formats: PDF, DOC, DOCX</small>',
+        '    </div>',
+        '',
+        '    <button type="submit" class="application-submit-btn">',
+        '        <span>Submit Application</span>',
+        '        <i class="fas fa-paper-plane"></i>',
+        '    </button>',
+        '</form>'
+    ];
+}
+
+// The <section> between the page header and footer
+function renderPostingContent(job, jobs, shared = {}) {
+    const meta = [job.type, job.employment].filter(Boolean).join(' | ');
+    const location = [locationLabel(job), job.location.arrangement].filter(Boolean).join(' · ');
+    const isOpen = job.status === 'open';
+
+    const main = [
+        // Shared paragraphs are trusted HTML written by the team
+        ...(shared.about ? renderSection('About Us', shared.about.map(html => `<p>${html}</p>`)) : []),
+        ...(shared.commitments ? ['', ...renderSection('Our Commitments', shared.commitments.map(html => `<p>${html}</p>`))] : []),
+        ...(job.summary ? ['', ...renderSection('Position Summary', job.summary.map(renderParagraph))] : []),
+        ...(job.responsibilities ? ['', ...renderSection('Key Responsibilities', renderGroups(job.responsibilities))] : []),
+        ...(shared.values ? ['', ...renderSection('Linkwave Values Statement', [`<p>${shared.values}</p>`])] : []),
+        ...(job.qualifications ? ['', ...renderSection('Knowledge Requirements', renderGroups(job.qualifications))] : []),
+        ...(job.benefits ? ['', ...renderSection('Benefits', [
+            '<div class="benefits-grid-job">',
+            ...job.benefits.map(benefit => `    <span class="benefit-tag">${escapeHtml(benefit)}</span>`),
+            '</div>'
+        ])] : []),
+        ...(job.schedule ? ['', ...renderSection('Schedule', [
+            ...renderList(job.schedule),
+            ...(job.supplementalPay ? [`<p><strong>Supplemental pay types:</strong> ${escapeHtml(job.supplementalPay)}</p>`] : [])
+        ])] : []),
+        ...(job.workLocation ? ['', ...renderSection('Work Location', [
+            `<p><strong>${escapeHtml(job.workLocation.address)}</strong></p>`,
+            ...(job.workLocation.details || []).map(detail =>
+                `<p><strong>${escapeHtml(detail.label)}:</strong> ${escapeHtml(detail.value)}</p>`)
+        ])] : [])
+    ];
+
+    const sidebar = isOpen
+        ? [
+            '<div class="application-card">',
+            '    <h3 class="application-title">Apply for this Position</h3>',
+            ...renderApplicationForm(job, jobs).map(line => (line ? `    ${line}` : line)),
+            '</div>'
+        ]
+        : [
+            '<div class="application-card application-card-closed">',
+            '    <h3 class="application-title">This position is closed</h3>',
+            '    <p>We are no longer accepting applications for this role. See our current openings on the careers page.</p>',
+            '</div>'
+        ];
+
+    return indent([
+        '<section class="job-details-section">',
+        '    <div class="container">',
+        '        <!-- Job Header -->',
+        '        <div class="job-header">',
+        '            <div class="job-breadcrumb">',
+        '                <a href="../../careers.html">Careers</a>',
+        '                <span class="breadcrumb-separator">></span>',
+        `                <span>${escapeHtml(job.title)}</span>`,
+        '            </div>',
+        `            <h1 class="job-page-title">${escapeHtml(job.title)}</h1>`,
+        '            <div class="job-meta">',
+        `                <span class="job-meta-item">${escapeHtml(meta)}${job.salary ? `<br>${escapeHtml(job.salary)}` : ''}</span>`,
+        `                <span class="job-meta-item">${escapeHtml(location)}<br>${escapeHtml(languageLabel(job))}</span>`,
+        ...(isOpen ? [] : ['                <span class="job-meta-item job-meta-closed">Closed</span>']),
+        '            </div>',
+        '        </div>',
+        '',
+        '        <div class="job-details-content">',
+        '            <!-- Main Content -->',
+        '            <div class="job-main-content">',
+        ...main.map(line => (line ? `                ${line}` : line)),
+        '            </div>',
+        '',
+        '            <!-- Application Form Sidebar -->',
+        '            <div class="job-application-sidebar">',
+        ...sidebar.map(line => (line ? `                ${line}` : line)),
+        '',
+        '                <div class="back-to-careers">',
+        '                    <a href="../../careers.html" class="back-link">',
+        '                        <i class="fas fa-arrow-left"></i>',
+        '                        <span>Back to Careers</span>',
+        '                    </a>',
+        '                </div>',
+        '            </div>',
+        '        </div>',
+        '    </div>',
+        '</section>'
+    ], 4) + '\n';
+}
+
+function renderPostingPage(template, job, jobs, shared) {
+    const values = {
+        pageTitle: escapeHtml(job.title),
+        description: escapeHtml(job.meta && job.meta.description ? job.meta.description : `Join Linkwave Wireless as a ${job.title}.`),
+        keywords: escapeHtml(job.meta && job.meta.keywords ? job.meta.keywords : `${job.title}, Linkwave careers`),
+        content: renderPostingContent(job, jobs, shared)
+    };
+    return template
+        .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match))
+        .replace(/^<!DOCTYPE html>\n/i, match => `${match}${GENERATED_NOTICE}\n`);
+}
+
+// Replace everything between <!-- name:start --> and <!-- name:end -->, keeping the markers' indentation
+function replaceBetweenMarkers(html, name, lines, note = 'generated from careers/jobs.json by npm run build-careers') {
+    const pattern = new RegExp(`([ \\t]*)<!-- ${name}:start[^>]*-->[\\s\\S]*?<!-- ${name}:end -->`);
+    const match = html.match(pattern);
+    if (!match) {
+        throw new Error(`Markers <!-- ${name}:start --> and <!-- ${name}:end --> not found`);
+    }
+    const pad = match[1];
+    const body = lines.map(line => (line ? pad + line : line)).join('\n');
+    return html.replace(pattern, () =>
+        `${pad}<!-- ${name}:start - ${note} -->\n${body}\n${pad}<!-- ${name}:end -->`);
+}
+
+function main() {
+    const data = loadJobs();
+    const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+
+    data.jobs.forEach(job => {
+        const outputPath = path.join(SITE_ROOT, 'careers', `${job.slug}.html`);
+        fs.writeFileSync(outputPath, renderPostingPage(template, job, data.jobs, data.shared));
+        console.log(`Wrote careers/${job.slug}.html (${job.status})`);
+    });
+
+    const careersPath = path.join(SITE_ROOT, 'careers.html');
+    const careersHtml = fs.readFileSync(careersPath, 'utf8');
+    fs.writeFileSync(careersPath, replaceBetweenMarkers(careersHtml, 'jobs', renderCareersListing(data.jobs)));
+    console.log(`Updated careers.html with ${openJobs(data.jobs).length} open position(s)`);
+
+    fs.mkdirSync(path.dirname(POSITIONS_PATH), { recursive: true });
+    fs.writeFileSync(POSITIONS_PATH, JSON.stringify({
+        builtAt: new Date().toISOString(),
+        positions: openPositions(data.jobs)
+    }, null, 2));
+    console.log(`Wrote ${path.relative(process.cwd(), POSITIONS_PATH)}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    escapeHtml,
+    filterOptions,
+    loadJobs,
+    openPositions,
+    renderCareersListing,
+    renderPostingContent,
+    renderPostingPage,
+    replaceBetweenMarkers,
+    validateJobs
+};
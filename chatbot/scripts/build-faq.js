@@ -0,0 +1,87 @@
+// Build the chatbot's FAQ knowledge file from faq.html and its translations
+// Each .faq-item becomes one entry with its question, plain-text answer, topic and anchor link,
+// which lib/faq.js matches questions against to answer without the model.
+// Usage: npm run build-faq
+const path = require('path');
+const fs = require('fs');
+const cheerio = require('cheerio');
+
+const SITE_ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '..');
+const OUTPUT_PATH = path.resolve(__dirname, '..', 'data', 'faq.json');
+// faq.html and its copies written by build-i18n
+const FAQ_PAGES = ['faq.html', 'fr/faq.html'];
+
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Answer markup as the chat widget's markdown: paragraphs apart, list items as "- " lines
+function answerText($, answer) {
+    const blocks = [];
+    answer.children().each((i, el) => {
+        const node = $(el);
+        if (node.is('ul, ol')) {
+            blocks.push(node.children('li').map((j, li) => `- ${collapseWhitespace($(li).text())}`).get().join('\n'));
+        } else {
+            blocks.push(collapseWhitespace(node.text()));
+        }
+    });
+    return blocks.filter(Boolean).join('\n\n');
+}
+
+// Entries of one FAQ page; every item needs an id for the answer to link to
+function extractFaq(html, url) {
+    const $ = cheerio.load(html);
+    const lang = ($('html').attr('lang') || 'en').toLowerCase().split('-')[0];
+    const problems = [];
+
+    const entries = $('.faq-item').map((i, el) => {
+        const item = $(el);
+        const question = collapseWhitespace(item.find('.faq-question').text());
+        const id = item.attr('id');
+        if (!id) problems.push(`${url}: "${question}" has no id`);
+        return {
+            id,
+            lang,
+            topic: item.closest('.faq-category').attr('data-topic') || 'general',
+            question,
+            answer: answerText($, item.find('.faq-answer')),
+            title: `FAQ - ${question}`,
+            url: `${url}#${id}`
+        };
+    }).get();
+
+    if (problems.length > 0) {
+        throw new Error(`FAQ entries need an id to link to:\n${problems.join('\n')}`);
+    }
+    return entries;
+}
+
+function main() {
+    const pages = FAQ_PAGES.filter(page => fs.existsSync(path.join(SITE_ROOT, page)));
+    const entries = pages.flatMap(page => extractFaq(fs.readFileSync(path.join(SITE_ROOT, page), 'utf8'), page));
+
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify({
+        builtAt: new Date().toISOString(),
+        entries
+    }, null, 2));
+
+    console.log(`Extracted ${entries.length} FAQ entries from ${pages.join(', ')}`);
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    FAQ_PAGES,
+    SITE_ROOT,
+    extractFaq
+};
@@ -0,0 +1,262 @@
+// Build the French site from the English pages and the i18n/fr.json catalog
+// Writes fr/<page>.html for every page, and refreshes the hreflang links and the
+// language switcher on both versions
+// Usage: npm run build-i18n (after npm run build-careers, which rewrites the postings)
+const path = require('path');
+const fs = require('fs');
+const cheerio = require('cheerio');
+const { replaceBetweenMarkers } = require('./build-careers');
+
+const SITE_ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '..');
+const CATALOG_PATH = path.join(SITE_ROOT, 'i18n', 'fr.json');
+const SITE_URL = 'https://linkwavewireless.com';
+const LANG = 'fr';
+const MARKER_NOTE = 'generated by npm run build-i18n';
+
+// Directories whose pages are translated, relative to the site root
+const PAGE_DIRS = ['', 'careers', 'our_projects'];
+
+// Switcher labels: each page links to the other language
+const SWITCH_TO = {
+    en: { lang: 'fr', short: 'FR', label: 'Français' },
+    fr: { lang: 'en', short: 'EN', label: 'English' }
+};
+
+// Inline elements that stay inside a translated sentence
+const INLINE_TAGS = new Set([
+    'a', 'abbr', 'b', 'br', 'code', 'em', 'i', 'mark', 'small', 'span', 'strong', 'sub', 'sup', 'u'
+]);
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'svg', 'template']);
+const TRANSLATED_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+const TRANSLATED_META = [
+    'meta[name="description"]', 'meta[name="keywords"]',
+    'meta[property="og:title"]', 'meta[property="og:description"]',
+    'meta[name="twitter:title"]', 'meta[name="twitter:description"]'
+].join(', ');
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'action', 'data-logo-dark', 'data-logo-light'];
+
+const collapseWhitespace = (text) => (text || '').replace(/\s+/g, ' ').trim();
+const hasLetters = (text) => /\p{L}/u.test(text);
+
+// Serialize text the way cheerio writes it, so catalog keys look like the page source
+function textToHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\u00a0/g, '&nbsp;');
+}
+
+function listPages() {
+    return PAGE_DIRS.flatMap(dir => fs.readdirSync(path.join(SITE_ROOT, dir))
+        .filter(file => file.endsWith('.html'))
+        .sort()
+        .map(file => (dir ? `${dir}/${file}` : file)));
+}
+
+const hasText = (node) => node.type === 'text' && hasLetters(node.data);
+const nodeText = (node) => (node.type === 'text' ? node.data : (node.children || []).map(nodeText).join(''));
+
+function isInlineOnly(node) {
+    if (node.type === 'text' || node.type === 'comment') return true;
+    return node.type === 'tag' && INLINE_TAGS.has(node.name) && node.children.every(isInlineOnly);
+}
+
+// Text such as "Call <a href="tel:...">1-888...</a> today" is translated as one unit,
+// so translators can move the link within the sentence. Icon-only children do not count.
+function isSentence(el) {
+    const children = el.children || [];
+    return children.some(hasText) &&
+        children.some(child => child.type === 'tag' && hasLetters(nodeText(child))) &&
+        children.every(isInlineOnly);
+}
+
+// Walk a page and call visit(key, apply) for every translatable string, where
+// apply(translation) writes the translation back in place
+function walkPage($, visit) {
+    const isSkipped = (el) => SKIPPED_TAGS.has(el.name) || $(el).attr('translate') === 'no';
+
+    function visitText(node) {
+        if (!hasLetters(node.data)) return;
+        const key = collapseWhitespace(textToHtml(node.data));
+        const [, leading, trailing] = node.data.match(/^(\s*)[\s\S]*?(\s*)$/);
+        visit(key, (translation) => $(node).replaceWith(`${textToHtml(leading)}${translation}${textToHtml(trailing)}`));
+    }
+
+    function visitElement(el) {
+        if (isSkipped(el)) return;
+
+        TRANSLATED_ATTRIBUTES.forEach(name => {
+            const value = collapseWhitespace($(el).attr(name));
+            if (hasLetters(value)) visit(value, (translation) => $(el).attr(name, translation), true);
+        });
+
+        if (isSentence(el)) {
+            visit(collapseWhitespace($(el).html()), (translation) => $(el).html(translation));
+            return;
+        }
+        [...el.children].forEach(child => {
+            if (child.type === 'text') visitText(child);
+            else if (child.type === 'tag' || child.type === 'script' || child.type === 'style') visitElement(child);
+        });
+    }
+
+    $(TRANSLATED_META).each((i, el) => {
+        const value = collapseWhitespace($(el).attr('content'));
+        if (hasLetters(value)) visit(value, (translation) => $(el).attr('content', translation), true);
+    });
+    visitElement($('html').get(0));
+}
+
+// Every string on the given pages, in first-seen order: { html: [...], text: [...] }
+// html strings are element content; text strings are attribute values
+function collectStrings(pages) {
+    const strings = { html: new Set(), text: new Set() };
+    pages.forEach(({ html }) => {
+        walkPage(cheerio.load(html), (key, apply, isAttribute) => strings[isAttribute ? 'text' : 'html'].add(key));
+    });
+    return { html: [...strings.html], text: [...strings.text] };
+}
+
+// Point a URL from an English page at its French counterpart, or back at the shared
+// asset, relative to the French page. Absolute URLs, anchors and mailto/tel links are kept.
+function localizeUrl(value, enPath, translated) {
+    if (!value || /^(#|[a-z][a-z0-9+.-]*:|\/)/i.test(value.trim())) return value;
+
+    const url = new URL(value.trim(), `https://site.invalid/${enPath}`);
+    const target = url.pathname.slice(1);
+    const localized = translated.has(decodeURIComponent(target)) ? `${LANG}/${target}` : target;
+    const relative = path.posix.relative(path.posix.dirname(`${LANG}/${enPath}`), localized) || path.posix.basename(localized);
+    return `${relative}${url.search}${url.hash}`;
+}
+
+function localizeUrls($, enPath, translated) {
+    const localize = (value) => localizeUrl(value, enPath, translated);
+
+    URL_ATTRIBUTES.forEach(name => {
+        $(`[${name}]`).each((i, el) => { $(el).attr(name, localize($(el).attr(name))); });
+    });
+    $('[srcset]').each((i, el) => {
+        const srcset = $(el).attr('srcset').split(',').map(candidate => {
+            const [url, ...descriptor] = candidate.trim().split(/\s+/);
+            return [localize(url), ...descriptor].join(' ');
+        });
+        $(el).attr('srcset', srcset.join(', '));
+    });
+    $('[style*="url("]').each((i, el) => {
+        $(el).attr('style', $(el).attr('style').replace(/url\((['"]?)([^'")]+)\1\)/g,
+            (match, quote, url) => `url(${quote}${localize(url)}${quote})`));
+    });
+
+    // Canonical and Open Graph URLs are absolute
+    $('link[rel="canonical"], meta[property="og:url"]').each((i, el) => {
+        const name = el.name === 'link' ? 'href' : 'content';
+        const value = $(el).attr(name) || '';
+        if (value.startsWith(`${SITE_URL}/`)) {
+            $(el).attr(name, `${SITE_URL}/${LANG}/${value.slice(SITE_URL.length + 1)}`);
+        }
+    });
+}
+
+// hreflang links, identical on both versions of a page
+function renderAlternates(enPath) {
+    return [
+        `<link rel="alternate" hreflang="en" href="${SITE_URL}/${enPath}">`,
+        `<link rel="alternate" hreflang="${LANG}" href="${SITE_URL}/${LANG}/${enPath}">`,
+        `<link rel="alternate" hreflang="x-default" href="${SITE_URL}/${enPath}">`
+    ];
+}
+
+// Link from a page in `lang` to the same page in the other language
+function renderSwitch(enPath, lang, mobile) {
+    const other = SWITCH_TO[lang];
+    const from = lang === 'en' ? enPath : `${LANG}/${enPath}`;
+    const to = other.lang === 'en' ? enPath : `${LANG}/${enPath}`;
+    const href = path.posix.relative(path.posix.dirname(from), to);
+    return mobile
+        ? [`<a href="${href}" class="mobile-nav__link lang-switch" hreflang="${other.lang}" lang="${other.lang}" translate="no">${other.label}</a>`]
+        : [`<a href="${href}" class="lang-switch" hreflang="${other.lang}" lang="${other.lang}" translate="no" aria-label="${other.label}">${other.short}</a>`];
+}
+
+function addLanguageLinks(html, enPath, lang) {
+    let result = replaceBetweenMarkers(html, 'i18n:alternates', renderAlternates(enPath), MARKER_NOTE);
+    result = replaceBetweenMarkers(result, 'i18n:switch', renderSwitch(enPath, lang, false), MARKER_NOTE);
+    return replaceBetweenMarkers(result, 'i18n:switch-mobile', renderSwitch(enPath, lang, true), MARKER_NOTE);
+}
+
+// The French version of one English page. `translated` holds the English paths that have
+// a French version; strings missing from the catalog stay in English and are added to `missing`
+function translatePage(html, enPath, { catalog, translated, missing = new Set(), used = new Set() }) {
+    const $ = cheerio.load(html);
+
+    walkPage($, (key, apply) => {
+        if (Object.prototype.hasOwnProperty.call(catalog, key)) {
+            used.add(key);
+            apply(catalog[key]);
+        } else {
+            missing.add(key);
+        }
+    });
+    localizeUrls($, enPath, translated);
+    $('html').attr('lang', LANG);
+    // Replace any generated-file notice with our own
+    $.root().contents().filter((i, node) => node.type === 'comment' && /^\s*Generated by/.test(node.data)).remove();
+
+    const body = $.html()
+        .replace(/^<!DOCTYPE html>/i, `<!DOCTYPE html>\n<!-- Generated by chatbot/scripts/build-i18n.js from ${enPath} and i18n/${LANG}.json - edit those, not this file -->\n`)
+        .replace(/<head>/, '\n<head>')
+        .replace(/\s*((?:<\/\w+>)*)<\/body><\/html>$/, (match, unclosed) => `\n${unclosed}</body>\n</html>\n`);
+    return addLanguageLinks(body, enPath, LANG);
+}
+
+function loadCatalog(filePath = CATALOG_PATH) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function main() {
+    const catalog = loadCatalog();
+    const enPaths = listPages();
+    const translated = new Set(enPaths);
+    const missing = new Set();
+    const used = new Set();
+
+    enPaths.forEach(enPath => {
+        const sourcePath = path.join(SITE_ROOT, enPath);
+        const html = addLanguageLinks(fs.readFileSync(sourcePath, 'utf8'), enPath, 'en');
+        fs.writeFileSync(sourcePath, html);
+
+        const outputPath = path.join(SITE_ROOT, LANG, enPath);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, translatePage(html, enPath, { catalog, translated, missing, used }));
+    });
+    console.log(`Wrote ${enPaths.length} pages to ${LANG}/`);
+
+    const unused = Object.keys(catalog).filter(key => !used.has(key));
+    if (unused.length > 0) {
+        console.warn(`${unused.length} unused string(s) in i18n/${LANG}.json:\n  ${unused.join('\n  ')}`);
+    }
+    if (missing.size > 0) {
+        console.warn(`${missing.size} string(s) have no translation and were left in English:\n  ${[...missing].join('\n  ')}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    collectStrings,
+    listPages,
+    loadCatalog,
+    localizeUrl,
+    renderAlternates,
+    renderSwitch,
+    translatePage,
+    walkPage
+};
@@ -0,0 +1,148 @@
+// Build the retrieval index from the site's HTML pages (English and French) and case-study PDFs
+// Usage: npm run build-index
+const path = require('path');
+const fs = require('fs');
+const cheerio = require('cheerio');
+// Require the library entry directly (the package index runs a debug self-test)
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const SITE_ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '..');
+const OUTPUT_PATH = path.resolve(__dirname, '..', 'data', 'site-index.json');
+const CASE_STUDY_DIR = 'our_projects/casestudies';
+// Translated copies of the root pages, written by build-i18n
+const TRANSLATION_DIRS = ['fr'];
+
+// Passage size in words, with overlap between consecutive chunks
+const CHUNK_WORDS = 150;
+const CHUNK_OVERLAP = 30;
+
+// Page chrome and widgets that carry no answerable content
+const IGNORED_SELECTORS = [
+    'script', 'style', 'noscript', 'svg', 'header.header', 'nav',
+    '.mobile-menu-overlay', 'footer', 'form', '.contact-form', 'section.contact',
+    '.case-study-gallery', '.case-study-viewer', '.case-study-similar', '.case-study-consult',
+    '.das-calculator'
+].join(', ');
+
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Split long text into overlapping word windows
+function chunkText(text) {
+    const words = collapseWhitespace(text).split(' ').filter(Boolean);
+    if (words.length <= CHUNK_WORDS) return words.length ? [words.join(' ')] : [];
+
+    const chunks = [];
+    for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP) {
+        chunks.push(words.slice(start, start + CHUNK_WORDS).join(' '));
+        if (start + CHUNK_WORDS >= words.length) break;
+    }
+    return chunks;
+}
+
+// Page title without the "Linkwave Wireless" brand part
+function pageTitle($, fileName) {
+    const parts = collapseWhitespace($('title').first().text())
+        .split(/\s[|–-]\s/)
+        .filter(part => !/^linkwave( wireless)?$/i.test(part));
+    return parts[0] || fileName;
+}
+
+// Extract one passage per innermost <section>, chunked if long
+function extractHtmlPassages(fileName) {
+    const html = fs.readFileSync(path.join(SITE_ROOT, fileName), 'utf8');
+    const $ = cheerio.load(html);
+    const title = pageTitle($, fileName);
+    // Tagged so the chatbot can answer from pages in the visitor's language
+    const lang = ($('html').attr('lang') || 'en').toLowerCase().split('-')[0];
+    const passages = [];
+
+    $(IGNORED_SELECTORS).remove();
+
+    // FAQ entries become one passage each, titled by their question
+    $('.faq-item').each((i, el) => {
+        const item = $(el);
+        const question = collapseWhitespace(item.find('.faq-question').text());
+        const anchor = item.attr('id') || item.closest('[id]').attr('id');
+        chunkText(item.find('.faq-answer').text()).forEach(text => {
+            passages.push({
+                title: `${title} - ${question}`,
+                url: anchor ? `${fileName}#${anchor}` : fileName,
+                text: `${question} ${text}`,
+                lang
+            });
+        });
+    });
+    $('.faq-item').remove();
+
+    $('section').filter((i, el) => $(el).find('section').length === 0).each((i, el) => {
+        const section = $(el);
+        const heading = collapseWhitespace(section.find('h1, h2, h3').first().text());
+        const anchor = section.attr('id') || section.find('[id]').first().attr('id');
+        const url = anchor ? `${fileName}#${anchor}` : fileName;
+
+        chunkText(section.text()).forEach(text => {
+            passages.push({
+                title: heading && heading !== title ? `${title} - ${heading}` : title,
+                url,
+                text,
+                lang
+            });
+        });
+    });
+
+    return passages;
+}
+
+// Extract chunked passages from a case-study PDF
+async function extractPdfPassages(fileName) {
+    const relativePath = `${CASE_STUDY_DIR}/${fileName}`;
+    const data = await pdfParse(fs.readFileSync(path.join(SITE_ROOT, relativePath)));
+    const lines = data.text.split('\n').map(collapseWhitespace).filter(Boolean);
+
+    // Case studies open with "CASE STUDY" followed by the project name
+    const nameIndex = lines[0] && /^case study$/i.test(lines[0]) ? 1 : 0;
+    const projectName = lines[nameIndex] || fileName.replace(/\.pdf$/i, '');
+    const title = `Case Study - ${projectName.replace(/\b\w+/g, w => w.charAt(0) + w.slice(1).toLowerCase())}`;
+
+    return chunkText(lines.join(' ')).map(text => ({ title, url: relativePath, text }));
+}
+
+async function buildIndex() {
+    const htmlFiles = ['', ...TRANSLATION_DIRS]
+        .filter(dir => fs.existsSync(path.join(SITE_ROOT, dir)))
+        .flatMap(dir => fs.readdirSync(path.join(SITE_ROOT, dir))
+            .filter(file => file.endsWith('.html'))
+            .sort()
+            .map(file => (dir ? `${dir}/${file}` : file)));
+    const pdfFiles = fs.existsSync(path.join(SITE_ROOT, CASE_STUDY_DIR))
+        ? fs.readdirSync(path.join(SITE_ROOT, CASE_STUDY_DIR)).filter(file => file.endsWith('.pdf')).sort()
+        : [];
+
+    const passages = [];
+    htmlFiles.forEach(file => passages.push(...extractHtmlPassages(file)));
+    for (const file of pdfFiles) {
+        try {
+            passages.push(...await extractPdfPassages(file));
+        } catch (error) {
+            console.warn(`Skipping ${file}: ${error.message}`);
+        }
+    }
+
+    passages.forEach((passage, i) => { passage.id = i + 1; });
+
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify({
+        builtAt: new Date().toISOString(),
+        passages
+    }, null, 2));
+
+    console.log(`Indexed ${passages.length} passages from ${htmlFiles.length} pages and ${pdfFiles.length} case studies`);
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
+
+buildIndex().catch(error => {
+    console.error('Index build failed:', error.message);
+    process.exit(1);
+});
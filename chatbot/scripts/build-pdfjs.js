@@ -0,0 +1,35 @@
+// Copy pdf.js, which script.js draws the case study PDFs with, from the pinned pdfjs-dist package
+// to vendor/pdfjs/ so the site serves it itself rather than running a CDN's copy
+// Usage: npm run build-pdfjs (after changing the pdfjs-dist version in package.json)
+const path = require('path');
+const fs = require('fs');
+
+const SITE_ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '..');
+const PACKAGE_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const OUTPUT_DIR = path.join(SITE_ROOT, 'vendor', 'pdfjs');
+// The UMD build that sets window.pdfjsLib, its worker, and the licence they are distributed under
+const FILES = ['build/pdf.min.js', 'build/pdf.worker.min.js', 'LICENSE'];
+
+function main() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    FILES.forEach(file => {
+        const outputPath = path.join(OUTPUT_DIR, path.basename(file));
+        fs.copyFileSync(path.join(PACKAGE_DIR, file), outputPath);
+        console.log(`Wrote ${path.relative(process.cwd(), outputPath)}`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    PACKAGE_DIR,
+    OUTPUT_DIR,
+    FILES
+};
@@ -0,0 +1,403 @@
+// Build the project portfolio from our_projects/projects.json
+// Rewrites the filterable card list in our_projects.html, the featured project carousel in
+// index.html and the generated sections of each case study page (summary, gallery, PDF viewer,
+// similar projects and consultation call to action), and writes data/projects.json, which the
+// chatbot lists projects by industry from.
+// Usage: npm run build-projects (then npm run build-i18n and npm run build-search)
+const path = require('path');
+const fs = require('fs');
+const { escapeHtml, replaceBetweenMarkers } = require('./build-careers');
+
+const SITE_ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '..');
+const PROJECTS_PATH = path.join(SITE_ROOT, 'our_projects', 'projects.json');
+const CATALOG_PATH = path.join(SITE_ROOT, 'i18n', 'fr.json');
+const OUTPUT_PATH = path.resolve(__dirname, '..', 'data', 'projects.json');
+const MARKER_NOTE = 'generated from our_projects/projects.json by npm run build-projects';
+
+const IMAGE_STYLE = 'width: 100%; height: 100%; object-fit: cover;';
+// Case study pages show this many other projects, those in the same industry first
+const SIMILAR_COUNT = 3;
+
+// Same values as the careers filters, so "Data Centres" filters as data-centres
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// "#" in a file name ("Brentwood Tower #6 option 1.jpg") would start the fragment
+const assetUrl = (value) => value.replace(/#/g, '%23');
+// A site path as linked from a case study page in our_projects/
+const pageUrl = (project, sitePath) => assetUrl(path.posix.relative(path.posix.dirname(project.page), sitePath));
+
+// Check the fields the pages, filters and chatbot depend on; throws listing every problem
+function validateProjects(data) {
+    const problems = [];
+    if (!data || !Array.isArray(data.projects)) {
+        throw new Error('projects.json must contain a "projects" array');
+    }
+    const verticals = data.verticals || {};
+
+    const slugs = new Set();
+    data.projects.forEach((project, i) => {
+        const name = project.slug || `projects[${i}]`;
+        if (!/^[a-z0-9-]+$/.test(project.slug || '')) problems.push(`${name}: slug must be lowercase letters, numbers and dashes`);
+        if (slugs.has(project.slug)) problems.push(`${name}: duplicate slug`);
+        slugs.add(project.slug);
+        ['name', 'vertical', 'region', 'image', 'page', 'caseStudy', 'description'].forEach(field => {
+            if (!project[field]) problems.push(`${name}: ${field} is required`);
+        });
+        const vertical = verticals[project.vertical];
+        if (project.vertical && !(vertical && vertical.heading && vertical.text)) {
+            problems.push(`${name}: vertical ${project.vertical} needs a heading and text under "verticals"`);
+        }
+        if (!Array.isArray(project.technologies) || project.technologies.length === 0) {
+            problems.push(`${name}: technologies must list at least one technology`);
+        }
+        if (project.year !== null && project.year !== undefined && !Number.isInteger(project.year)) {
+            problems.push(`${name}: year must be a whole number or null`);
+        }
+        // The card image isn't checked: a few cards still point at photos that haven't been supplied
+        const files = [
+            ['page', project.page],
+            ['caseStudy', project.caseStudy],
+            ...(project.gallery || []).map(item => ['gallery', item.image])
+        ];
+        files.filter(([, file]) => file).forEach(([field, file]) => {
+            if (!fs.existsSync(path.join(SITE_ROOT, file))) problems.push(`${name}: ${field} ${file} does not exist`);
+        });
+    });
+
+    Object.entries(verticals).forEach(([label, vertical]) => {
+        if (vertical.service && !fs.existsSync(path.join(SITE_ROOT, vertical.service.page))) {
+            problems.push(`verticals.${label}: service page ${vertical.service.page} does not exist`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid our_projects/projects.json:\n  ${problems.join('\n  ')}`);
+    }
+    return data;
+}
+
+function loadProjects(filePath = PROJECTS_PATH) {
+    return validateProjects(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+// Unique filter options in first-seen order
+function filterOptions(projects) {
+    const unique = (values) => [...new Map(values.map(label => [slugify(label), label])).entries()]
+        .map(([value, label]) => ({ value, label }));
+    return {
+        vertical: unique(projects.map(project => project.vertical)),
+        technology: unique(projects.flatMap(project => project.technologies)),
+        region: unique(projects.map(project => project.region))
+    };
+}
+
+const renderTechnologies = (project) => [
+    '<ul class="project-tech" aria-label="Technologies">',
+    ...project.technologies.map(technology => `    <li>${escapeHtml(technology)}</li>`),
+    '</ul>'
+];
+
+const renderStats = (project) => (project.stats && project.stats.length > 0 ? [
+    '<div class="project-stats">',
+    ...project.stats.flatMap(stat => [
+        '    <div class="stat">',
+        `        <span class="stat-number">${escapeHtml(stat.value)}</span>`,
+        `        <span class="stat-label">${escapeHtml(stat.label)}</span>`,
+        '    </div>'
+    ]),
+    '</div>'
+] : []);
+
+const indent = (lines, pad = '    ') => lines.map(line => (line ? pad + line : line));
+
+// Cards alternate the side their image is on
+function renderProjectCard(project, i) {
+    const side = i % 2 === 0 ? 'left' : 'right';
+    const info = [
+        '<div class="project-info">',
+        `    <div class="project-badge">${escapeHtml(project.vertical)}</div>`,
+        `    <h3 class="project-title">${escapeHtml(project.name)}</h3>`,
+        '    <p class="project-description">',
+        `        ${escapeHtml(project.description)}`,
+        '    </p>',
+        ...indent(renderTechnologies(project)),
+        ...indent(renderStats(project)),
+        '    <div class="project-links">',
+        `        <a href="${assetUrl(project.page)}" class="project-link">`,
+        '            <span>Read Full Case Study</span>',
+        '            <i class="fas fa-arrow-right"></i>',
+        '        </a>',
+        ...(project.caseStudy ? [
+            `        <a href="${assetUrl(project.caseStudy)}" class="project-link project-link--pdf" target="_blank" rel="noopener">`,
+            '            <i class="fas fa-file-pdf"></i>',
+            '            <span>Case Study PDF</span>',
+            '        </a>'
+        ] : []),
+        '    </div>',
+        '</div>'
+    ];
+    const image = [
+        '<div class="project-image">',
+        `    <img src="${assetUrl(project.image)}" alt="${escapeHtml(project.imageAlt || project.name)}" style="${IMAGE_STYLE}">`,
+        '</div>'
+    ];
+    const attributes = [
+        `id="${project.slug}"`,
+        `class="project-section project-section--${side}"`,
+        `data-vertical="${slugify(project.vertical)}"`,
+        `data-technology="${project.technologies.map(slugify).join(' ')}"`,
+        `data-region="${slugify(project.region)}"`,
+        `data-year="${project.year || ''}"`
+    ];
+
+    return [
+        `<section ${attributes.join(' ')}>`,
+        '    <div class="project-content">',
+        ...indent(side === 'left' ? [...info, ...image] : [...image, ...info], '        '),
+        '    </div>',
+        '</section>'
+    ];
+}
+
+// One row of chips; the first clears the filter
+function renderChips(name, label, allLabel, options) {
+    const chip = (value, text, pressed) =>
+        `        <button type="button" class="project-chip" data-project-filter="${name}" data-value="${value}" aria-pressed="${pressed}">${escapeHtml(text)}</button>`;
+    return [
+        `    <div class="project-filter-group" role="group" aria-label="${label}">`,
+        `        <span class="project-filter-label">${label}</span>`,
+        chip('', allLabel, true),
+        ...options.map(option => chip(option.value, option.label, false)),
+        '    </div>'
+    ];
+}
+
+// Filters, sort, card list and empty state for our_projects.html
+function renderProjectListing(projects) {
+    const options = filterOptions(projects);
+    const cards = projects.map(renderProjectCard).map((lines, i) => (i === 0 ? lines : ['', ...lines]));
+
+    return [
+        '<div class="project-filters" role="group" aria-label="Filter projects">',
+        ...renderChips('vertical', 'Industry', 'All industries', options.vertical),
+        ...renderChips('technology', 'Technology', 'All technologies', options.technology),
+        ...renderChips('region', 'Region', 'All regions', options.region),
+        '    <div class="project-filters-footer">',
+        `        <p class="project-filters-count" aria-live="polite">${projects.length} project${projects.length === 1 ? '' : 's'}</p>`,
+        '        <label class="project-sort">',
+        '            <span class="project-filter-label">Sort by</span>',
+        '            <select data-project-sort>',
+        '                <option value="featured">Featured</option>',
+        '                <option value="name">Name (A-Z)</option>',
+        '                <option value="year">Newest first</option>',
+        '            </select>',
+        '        </label>',
+        '    </div>',
+        '</div>',
+        '',
+        '<div class="project-list">',
+        ...cards.flat().map(line => (line ? `    ${line}` : line)),
+        '</div>',
+        '<p class="project-filters-empty" hidden>No projects match these filters. Try another industry, technology or region.</p>'
+    ];
+}
+
+// Carousel slides on index.html for the projects with a featured summary
+function renderFeaturedSlides(projects) {
+    return projects.filter(project => project.featured).flatMap((project, i) => [
+        ...(i > 0 ? [''] : []),
+        '<article class="swiper-slide cs-card">',
+        `    <a href="our_projects.html#${project.slug}" class="cs-card-link">`,
+        `        <div class="cs-card-media" style="--cs-bg:url('${assetUrl(project.image)}')">`,
+        `            <span class="industry-tag">${escapeHtml(project.vertical)}</span>`,
+        '            <div class="cs-card-overlay"></div>',
+        '            <div class="cs-card-body">',
+        `                <h3 class="cs-card-title">${escapeHtml(project.name)}</h3>`,
+        '                <p class="cs-card-text">',
+        `                    ${escapeHtml(project.featured)}`,
+        '                </p>',
+        '            </div>',
+        '        </div>',
+        '    </a>',
+        '</article>'
+    ]);
+}
+
+// The other projects most like this one: same industry first, then the most technologies in common
+function similarProjects(project, projects, count = SIMILAR_COUNT) {
+    const score = (other) => (other.vertical === project.vertical ? 100 : 0)
+        + other.technologies.filter(technology => project.technologies.includes(technology)).length;
+    return projects
+        .filter(other => other.slug !== project.slug)
+        .map((other, i) => ({ other, i, score: score(other) }))
+        .sort((a, b) => b.score - a.score || a.i - b.i)
+        .slice(0, count)
+        .map(({ other }) => other);
+}
+
+// Summary, technologies and key stats under the case study page's header
+function renderCaseStudySummary(project) {
+    return [
+        '<section class="case-study-summary">',
+        '    <div class="case-study-summary__header">',
+        '        <h3 class="case-study-summary__title">At a Glance</h3>',
+        '    </div>',
+        '    <p class="case-study-summary__text">',
+        `        ${escapeHtml(project.description)}`,
+        '    </p>',
+        ...indent(renderTechnologies(project)),
+        ...indent(renderStats(project)),
+        '</section>'
+    ];
+}
+
+// Gallery, PDF viewer, similar projects and the consultation call to action for the industry.
+// script.js renders the PDF into the viewer; the link under it opens the file on its own.
+function renderCaseStudyDetails(project, projects, verticals) {
+    const vertical = verticals[project.vertical];
+    const pdf = pageUrl(project, project.caseStudy);
+    const gallery = project.gallery || [];
+
+    return [
+        ...(gallery.length > 0 ? [
+            '<section class="case-study-gallery">',
+            '    <div class="case-study-gallery__header">',
+            '        <h3 class="case-study-gallery__title">Gallery</h3>',
+            '    </div>',
+            '    <div class="case-study-gallery__grid">',
+            ...gallery.flatMap(item => [
+                '        <figure class="case-study-gallery__item">',
+                `            <a href="${pageUrl(project, item.image)}" class="case-study-gallery__link" data-gallery-image>`,
+                `                <img src="${pageUrl(project, item.image)}" alt="${escapeHtml(item.caption)}" loading="lazy">`,
+                '            </a>',
+                `            <figcaption>${escapeHtml(item.caption)}</figcaption>`,
+                '        </figure>'
+            ]),
+            '    </div>',
+            '</section>',
+            ''
+        ] : []),
+        '<section class="case-study-viewer">',
+        '    <div class="case-study-viewer__header">',
+        '        <h3 class="case-study-viewer__title">Case Study PDF</h3>',
+        `        <a href="${pdf}" class="case-study-viewer__download" download>`,
+        '            <i class="fas fa-download" aria-hidden="true"></i>',
+        '            <span>Download PDF</span>',
+        '        </a>',
+        '    </div>',
+        '    <div class="case-study-viewer__stage" data-pdf-viewer>',
+        `        <a href="${pdf}" class="case-study-viewer__open" target="_blank" rel="noopener">Open the PDF in a new tab</a>`,
+        '    </div>',
+        '</section>',
+        '',
+        '<section class="case-study-similar">',
+        '    <div class="case-study-similar__header">',
+        '        <h3 class="case-study-similar__title">Similar Projects</h3>',
+        '    </div>',
+        '    <div class="case-study-similar__rail">',
+        ...similarProjects(project, projects).flatMap(other => [
+            `        <a href="${pageUrl(project, other.page)}" class="case-study-similar__card">`,
+            // Projects whose photo hasn't been supplied get the placeholder background
+            ...(fs.existsSync(path.join(SITE_ROOT, other.image))
+                ? [
+                    '            <div class="case-study-similar__image">',
+                    `                <img src="${pageUrl(project, other.image)}" alt="" loading="lazy">`,
+                    '            </div>'
+                ]
+                : ['            <div class="case-study-similar__image"></div>']),
+            `            <span class="case-study-similar__tag">${escapeHtml(other.vertical)}</span>`,
+            `            <span class="case-study-similar__name">${escapeHtml(other.name)}</span>`,
+            '        </a>'
+        ]),
+        '    </div>',
+        '</section>',
+        '',
+        '<section class="case-study-consult">',
+        `    <h3 class="case-study-consult__title">${escapeHtml(vertical.heading)}</h3>`,
+        `    <p class="case-study-consult__text">${escapeHtml(vertical.text)}</p>`,
+        '    <div class="case-study-consult__actions">',
+        `        <a href="${pageUrl(project, 'contact_us.html')}" class="case-study-consult__button">Book a Consultation</a>`,
+        ...(vertical.service ? [
+            `        <a href="${pageUrl(project, vertical.service.page)}" class="case-study-consult__link">`,
+            `            <span>${escapeHtml(vertical.service.label)}</span>`,
+            '            <i class="fas fa-arrow-right" aria-hidden="true"></i>',
+            '        </a>'
+        ] : []),
+        '    </div>',
+        '</section>'
+    ];
+}
+
+// The chatbot's copy: one entry per project and language, with labels as the pages show them.
+// French labels come from the i18n catalog; any it lacks stay in English.
+function chatbotEntries(projects, catalog = {}) {
+    const languages = {
+        en: { translate: label => label, url: page => page },
+        fr: { translate: label => catalog[label] || label, url: page => `fr/${page}` }
+    };
+    return Object.entries(languages).flatMap(([lang, { translate, url }]) => projects.map(project => ({
+        lang,
+        slug: project.slug,
+        name: translate(project.name),
+        vertical: slugify(project.vertical),
+        verticalLabel: translate(project.vertical),
+        technologies: project.technologies.map(translate),
+        region: translate(project.region),
+        year: project.year || null,
+        url: url(project.page)
+    })));
+}
+
+function main() {
+    const { projects, verticals } = loadProjects();
+    const catalog = fs.existsSync(CATALOG_PATH) ? JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8')) : {};
+
+    const listingPath = path.join(SITE_ROOT, 'our_projects.html');
+    fs.writeFileSync(listingPath, replaceBetweenMarkers(fs.readFileSync(listingPath, 'utf8'),
+        'projects', renderProjectListing(projects), MARKER_NOTE));
+    console.log(`Updated our_projects.html with ${projects.length} project(s)`);
+
+    const homePath = path.join(SITE_ROOT, 'index.html');
+    fs.writeFileSync(homePath, replaceBetweenMarkers(fs.readFileSync(homePath, 'utf8'),
+        'featured-projects', renderFeaturedSlides(projects), MARKER_NOTE));
+    console.log(`Updated index.html with ${projects.filter(project => project.featured).length} featured project(s)`);
+
+    projects.forEach(project => {
+        const casePath = path.join(SITE_ROOT, project.page);
+        let html = fs.readFileSync(casePath, 'utf8');
+        html = replaceBetweenMarkers(html, 'case-study-summary', renderCaseStudySummary(project), MARKER_NOTE);
+        html = replaceBetweenMarkers(html, 'case-study-details', renderCaseStudyDetails(project, projects, verticals), MARKER_NOTE);
+        fs.writeFileSync(casePath, html);
+    });
+    console.log(`Updated ${projects.length} case study page(s)`);
+
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify({
+        builtAt: new Date().toISOString(),
+        entries: chatbotEntries(projects, catalog)
+    }, null, 2));
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_PATH)}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    chatbotEntries,
+    filterOptions,
+    loadProjects,
+    renderCaseStudyDetails,
+    renderCaseStudySummary,
+    renderFeaturedSlides,
+    renderProjectListing,
+    similarProjects,
+    validateProjects
+};
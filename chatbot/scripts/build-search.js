@@ -0,0 +1,133 @@
+// Build the site search index from the English pages and their French copies
+// Each page contributes an entry for itself, one per section with a heading, one per FAQ
+// question and one per project card, linking to the closest anchor. script.js loads the
+// index of the page's language when a visitor opens the search overlay.
+// Usage: npm run build-search (after npm run build-i18n, so fr/ is current)
+const path = require('path');
+const fs = require('fs');
+const cheerio = require('cheerio');
+const { listPages } = require('./build-i18n');
+
+const SITE_ROOT = path.resolve(__dirname, '..', process.env.SITE_ROOT || '..');
+const INDEX_FILE = 'search-index.json';
+// Translated copies of the pages, written by build-i18n; each gets its own index
+const TRANSLATION_DIRS = ['fr'];
+
+// Entry text is for matching and snippets; the rest of a long section is left out
+const MAX_TEXT_LENGTH = 1000;
+
+// Page chrome and widgets that carry no searchable content
+const IGNORED_SELECTORS = [
+    'script', 'style', 'noscript', 'svg', 'video', 'header.header', 'nav',
+    '.mobile-menu-overlay', 'footer', 'form', '.contact-form',
+    // Case study parts that repeat other pages: gallery captions, the PDF viewer, related projects, the CTA
+    '.case-study-gallery', '.case-study-viewer', '.case-study-similar', '.case-study-consult',
+    // learn.html's calculator widget; its heading and intro stay
+    '.das-calculator'
+].join(', ');
+
+function collapseWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Cut at a word boundary
+function truncate(text, length = MAX_TEXT_LENGTH) {
+    if (text.length <= length) return text;
+    const cut = text.slice(0, length);
+    return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : length);
+}
+
+// Page title without the "Linkwave Wireless" brand part
+function pageTitle($, url) {
+    const parts = collapseWhitespace($('title').first().text())
+        .split(/\s[|–-]\s/)
+        .filter(part => !/^linkwave( wireless)?$/i.test(part));
+    return parts[0] || url;
+}
+
+// Search entries of one page; url is its path from the site root (fr/faq.html)
+function extractEntries(html, url) {
+    const $ = cheerio.load(html);
+    const page = pageTitle($, url);
+    const description = $('meta[name="description"]').attr('content') || $('main p, section p').first().text();
+    const entries = [{ type: 'page', title: page, page, url, text: truncate(collapseWhitespace(description)) }];
+    const add = (type, title, anchor, text, extra = {}) => {
+        entries.push({ type, title, page, url: anchor ? `${url}#${anchor}` : url, text: truncate(text), ...extra });
+    };
+
+    $(IGNORED_SELECTORS).remove();
+
+    // Questions on faq.html and learn.html; items without an id link to their section
+    $('.faq-item').each((i, el) => {
+        const item = $(el);
+        add('faq', collapseWhitespace(item.find('.faq-question').text()),
+            item.attr('id') || item.closest('[id]').attr('id'),
+            collapseWhitespace(item.find('.faq-answer').text()));
+    });
+    $('.faq-item').remove();
+
+    // Project cards on our_projects.html, tagged with their vertical
+    $('.project-section').each((i, el) => {
+        const card = $(el);
+        add('project', collapseWhitespace(card.find('.project-title').text()), card.attr('id'),
+            collapseWhitespace(card.find('.project-description').text()),
+            { tag: collapseWhitespace(card.find('.project-badge').text()) });
+    });
+    $('.project-section').remove();
+
+    $('section').filter((i, el) => $(el).find('section').length === 0).each((i, el) => {
+        const section = $(el);
+        const heading = section.find('h1, h2, h3').first();
+        const title = collapseWhitespace(heading.text());
+        const anchor = section.attr('id') || section.find('[id]').first().attr('id');
+        heading.remove();
+        const text = collapseWhitespace(section.text());
+        if (title && text) add('section', title, anchor, text);
+    });
+
+    return entries;
+}
+
+// { lang: [entries] } for every page, by the language of each copy
+function buildIndexes() {
+    const indexes = {};
+    listPages().forEach(enPath => {
+        ['', ...TRANSLATION_DIRS].forEach(dir => {
+            const url = dir ? `${dir}/${enPath}` : enPath;
+            const filePath = path.join(SITE_ROOT, url);
+            if (!fs.existsSync(filePath)) return;
+            const html = fs.readFileSync(filePath, 'utf8');
+            const lang = (cheerio.load(html)('html').attr('lang') || 'en').toLowerCase().split('-')[0];
+            (indexes[lang] = indexes[lang] || []).push(...extractEntries(html, url));
+        });
+    });
+    return indexes;
+}
+
+// search-index.json for English, fr/search-index.json for French
+const indexPath = (lang) => (lang === 'en' ? INDEX_FILE : `${lang}/${INDEX_FILE}`);
+
+function main() {
+    const indexes = buildIndexes();
+    Object.entries(indexes).forEach(([lang, entries]) => {
+        const outputPath = path.join(SITE_ROOT, indexPath(lang));
+        fs.writeFileSync(outputPath, `${JSON.stringify({ lang, entries })}\n`);
+        console.log(`Wrote ${entries.length} entries to ${path.relative(process.cwd(), outputPath)}`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    SITE_ROOT,
+    extractEntries,
+    buildIndexes,
+    indexPath
+};
@@ -0,0 +1,54 @@
+// Build the embeddable chat widget, linkwave-chatbot.js, from chatbot.js and chatbot.css
+// The styles are inlined so one script tag is all a page needs, and the code is wrapped in a
+// function so the widget's names don't clash with the page's.
+// Usage: npm run build-widget
+const path = require('path');
+const fs = require('fs');
+
+const CHATBOT_DIR = path.resolve(__dirname, '..');
+const SOURCE_FILE = 'chatbot.js';
+const STYLES_FILE = 'chatbot.css';
+const BUNDLE_FILE = 'linkwave-chatbot.js';
+const STYLES_PLACEHOLDER = 'const CHATBOT_STYLES = null;';
+
+function buildWidget(source, styles) {
+    if (!source.includes(STYLES_PLACEHOLDER)) {
+        throw new Error(`${SOURCE_FILE} has no "${STYLES_PLACEHOLDER}" line to put ${STYLES_FILE} in`);
+    }
+    const code = source.replace(STYLES_PLACEHOLDER, () => `const CHATBOT_STYLES = ${JSON.stringify(styles)};`);
+    return [
+        `// Generated by chatbot/scripts/build-widget.js from chatbot/${SOURCE_FILE} and chatbot/${STYLES_FILE} - edit those, not this file`,
+        '(function () {',
+        '\'use strict\';',
+        '',
+        code.trimEnd(),
+        '})();',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const source = fs.readFileSync(path.join(CHATBOT_DIR, SOURCE_FILE), 'utf8');
+    const styles = fs.readFileSync(path.join(CHATBOT_DIR, STYLES_FILE), 'utf8');
+    const outputPath = path.join(CHATBOT_DIR, BUNDLE_FILE);
+
+    fs.writeFileSync(outputPath, buildWidget(source, styles));
+    console.log(`Wrote ${path.relative(process.cwd(), outputPath)}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    CHATBOT_DIR,
+    SOURCE_FILE,
+    STYLES_FILE,
+    BUNDLE_FILE,
+    buildWidget
+};
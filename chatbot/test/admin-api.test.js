@@ -0,0 +1,348 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const config = require('../lib/config');
+const { createApp } = require('../lib/app');
+const { createMockProvider } = require('../lib/providers/mock');
+const { createJsonlStore } = require('../lib/stores/jsonl');
+const { computeStats, topQuestions, summarizeSessions, pruneExpired } = require('../lib/conversations');
+const { toCsv } = require('../lib/csv');
+const { unescapeHtml } = require('../lib/sanitize');
+const { createCanonicalAnswers } = require('../lib/canonical');
+const { createResponseCache } = require('../lib/cache');
+
+const llmConfig = { ...config.llm, provider: 'mock', mock: {} };
+const adminConfig = { username: 'admin', password: 'correct horse' };
+const SESSION = '6f1c2a1e-8b1d-4d8e-9a52-2f0b8f3c9d10';
+
+function setup(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkwave-admin-'));
+    const conversationStore = createJsonlStore(path.join(dir, 'conversations.jsonl'));
+    const leadStore = createJsonlStore(path.join(dir, 'leads.jsonl'));
+    const canonicalAnswers = createCanonicalAnswers({ filePath: path.join(dir, 'canonical-answers.json') });
+    const responseCache = createResponseCache({ ttlMs: 60000 });
+    const app = createApp({
+        llm: createMockProvider(llmConfig),
+        llmConfig,
+        conversationStore,
+        leadStore,
+        canonicalAnswers,
+        responseCache,
+        adminConfig: options.adminConfig || adminConfig
+    });
+    return {
+        app,
+        conversationStore,
+        leadStore,
+        canonicalAnswers,
+        responseCache,
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+function turn(overrides) {
+    return {
+        sessionId: SESSION,
+        message: 'What is DAS?',
+        response: 'A Distributed Antenna System...',
+        outcome: 'answered',
+        consultationIntent: false,
+        sources: [],
+        ...overrides
+    };
+}
+
+test('admin authentication', async (t) => {
+    const cases = [
+        { name: 'no credentials', auth: null, status: 401 },
+        { name: 'wrong password', auth: ['admin', 'wrong'], status: 401 },
+        { name: 'wrong username', auth: ['root', 'correct horse'], status: 401 },
+        { name: 'valid credentials', auth: ['admin', 'correct horse'], status: 200 }
+    ];
+
+    for (const { name, auth, status } of cases) {
+        await t.test(name, async () => {
+            const { app, cleanup } = setup();
+            t.after(cleanup);
+            const req = request(app).get('/admin/api/stats');
+            if (auth) req.auth(...auth);
+            const res = await req;
+
+            assert.equal(res.status, status);
+            if (status === 401) assert.match(res.headers['www-authenticate'], /^Basic/);
+        });
+    }
+
+    await t.test('is disabled when no password is configured', async () => {
+        const { app, cleanup } = setup({ adminConfig: { username: 'admin', password: undefined } });
+        t.after(cleanup);
+        const res = await request(app).get('/admin/api/stats').auth('admin', '');
+
+        assert.equal(res.status, 503);
+    });
+
+    await t.test('protects the dashboard page', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+
+        assert.equal((await request(app).get('/admin/')).status, 401);
+        const res = await request(app).get('/admin/').auth('admin', 'correct horse');
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Linkwave Chatbot Admin/);
+        assert.equal(res.headers['cache-control'], 'no-store');
+    });
+});
+
+test('chat turns are logged', async (t) => {
+    await t.test('records answered turns with the session id and unescaped text', async () => {
+        const { app, conversationStore, cleanup } = setup();
+        t.after(cleanup);
+        const res = await request(app).post('/api/chat').send({ message: 'What\'s DAS & BDA?' });
+
+        const [logged] = await conversationStore.readAll();
+        assert.equal(logged.sessionId, res.body.sessionId);
+        assert.equal(logged.message, 'What\'s DAS & BDA?');
+        assert.equal(logged.outcome, 'answered');
+        assert.ok(logged.response.length > 0);
+    });
+
+    await t.test('flags off-topic and consultation turns from the stream endpoint', async () => {
+        const { app, conversationStore, cleanup } = setup();
+        t.after(cleanup);
+        const first = await request(app).post('/api/chat/stream').send({ message: 'What is the capital of France?' });
+        const sessionId = JSON.parse(first.text.match(/event: done\ndata: (.*)/)[1]).sessionId;
+        await request(app).post('/api/chat/stream').send({ message: 'Can I get a quote?', sessionId });
+
+        const turns = await conversationStore.readAll();
+        assert.deepEqual(turns.map(r => r.sessionId), [sessionId, sessionId]);
+        assert.deepEqual(turns.map(r => r.outcome), ['offTopic', 'answered']);
+        assert.deepEqual(turns.map(r => r.consultationIntent), [false, true]);
+    });
+
+    await t.test('rejects a malformed session id', async () => {
+        const { app, conversationStore, cleanup } = setup();
+        t.after(cleanup);
+        const res = await request(app).post('/api/chat').send({ message: 'What is DAS?', sessionId: '../etc' });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(await conversationStore.readAll(), []);
+    });
+});
+
+test('admin API', async (t) => {
+    const auth = ['admin', 'correct horse'];
+
+    await t.test('lists sessions and filters by flag', async () => {
+        const { app, conversationStore, cleanup } = setup();
+        t.after(cleanup);
+        await conversationStore.append(turn({}));
+        await conversationStore.append(turn({ message: 'Book a consultation', consultationIntent: true }));
+        await conversationStore.append(turn({ sessionId: null, message: 'Best pizza?', outcome: 'offTopic' }));
+
+        const all = await request(app).get('/admin/api/sessions').auth(...auth);
+        assert.equal(all.body.total, 2);
+
+        const consultation = await request(app).get('/admin/api/sessions?flag=consultation').auth(...auth);
+        assert.equal(consultation.body.total, 1);
+        assert.equal(consultation.body.sessions[0].sessionId, SESSION);
+        assert.equal(consultation.body.sessions[0].turns, 2);
+
+        const offTopic = await request(app).get('/admin/api/sessions?flag=offTopic').auth(...auth);
+        assert.equal(offTopic.body.sessions[0].firstQuestion, 'Best pizza?');
+
+        const transcript = await request(app).get(`/admin/api/sessions/${SESSION}`).auth(...auth);
+        assert.deepEqual(transcript.body.turns.map(r => r.message), ['What is DAS?', 'Book a consultation']);
+
+        const missing = await request(app).get('/admin/api/sessions/nope').auth(...auth);
+        assert.equal(missing.status, 404);
+    });
+
+    await t.test('reports stats with lead counts and top questions', async () => {
+        const { app, conversationStore, leadStore, cleanup } = setup();
+        t.after(cleanup);
+        await conversationStore.append(turn({}));
+        await conversationStore.append(turn({ sessionId: null, message: 'what is das' }));
+        await conversationStore.append(turn({ message: 'Can I get a quote?', consultationIntent: true }));
+        await leadStore.append({ name: 'Jordan Lee', email: 'jordan@example.com' });
+
+        const res = await request(app).get('/admin/api/stats?days=7').auth(...auth);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.daily.length, 7);
+        assert.deepEqual(res.body.totals, { turns: 3, sessions: 2, consultation: 1, offTopic: 0, reused: 0, leads: 1 });
+        assert.deepEqual(res.body.topQuestions[0], { question: 'What is DAS?', count: 2 });
+    });
+
+    await t.test('exports conversations and leads as CSV', async () => {
+        const { app, conversationStore, leadStore, cleanup } = setup();
+        t.after(cleanup);
+        await conversationStore.append(turn({ message: 'Does DAS need "permits", really?' }));
+        await leadStore.append({ name: '=HYPERLINK("x")', email: 'a@example.com', carriers: ['bell', 'telus'] });
+
+        const conversations = await request(app).get('/admin/export/conversations.csv').auth(...auth);
+        assert.equal(conversations.status, 200);
+        assert.match(conversations.headers['content-type'], /^text\/csv/);
+        assert.match(conversations.headers['content-disposition'], /conversations\.csv/);
+        assert.match(conversations.text, /"Does DAS need ""permits"", really\?"/);
+
+        const leads = await request(app).get('/admin/export/leads.csv').auth(...auth);
+        assert.match(leads.text, /^Time,Name,Company,Email/);
+        assert.match(leads.text, /"'=HYPERLINK\(""x""\)"/);
+        assert.match(leads.text, /bell; telus/);
+    });
+});
+
+test('canonical answers API', async (t) => {
+    const auth = ['admin', 'correct horse'];
+    const answer = {
+        lang: 'en',
+        questions: ['Do you work in Quebec?'],
+        answer: 'Yes, across Ontario and Quebec.',
+        intent: 'info',
+        topic: 'company',
+        sources: [{ title: 'Who We Are', url: 'about_us.html' }]
+    };
+
+    await t.test('creates, updates and deletes answers', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+
+        const created = await request(app).post('/admin/api/answers').auth(...auth).send(answer);
+        assert.equal(created.status, 201);
+        const { id } = created.body;
+
+        const updated = await request(app).put(`/admin/api/answers/${id}`).auth(...auth)
+            .send({ ...answer, answer: 'Yes, from Windsor to Quebec City.' });
+        assert.equal(updated.status, 200);
+
+        const chat = await request(app).post('/api/chat').send({ message: 'Do you work in Quebec?' });
+        assert.equal(chat.body.response, 'Yes, from Windsor to Quebec City.');
+
+        const list = await request(app).get('/admin/api/answers').auth(...auth);
+        assert.equal(list.body.total, 1);
+        assert.equal(list.body.answers[0].hits, 1);
+
+        assert.equal((await request(app).delete(`/admin/api/answers/${id}`).auth(...auth)).status, 204);
+        assert.equal((await request(app).delete(`/admin/api/answers/${id}`).auth(...auth)).status, 404);
+    });
+
+    await t.test('validates answers', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+
+        const res = await request(app).post('/admin/api/answers').auth(...auth)
+            .send({ ...answer, questions: [], sources: [{ title: 'Elsewhere', url: 'https://example.com' }] });
+        assert.equal(res.status, 400);
+        assert.ok(res.body.fields.questions);
+        assert.ok(res.body.fields['sources[0].url']);
+
+        await request(app).post('/admin/api/answers').auth(...auth).send(answer);
+        const duplicate = await request(app).post('/admin/api/answers').auth(...auth).send(answer);
+        assert.equal(duplicate.status, 409);
+    });
+
+    await t.test('needs admin credentials', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+        assert.equal((await request(app).post('/admin/api/answers').send(answer)).status, 401);
+    });
+
+    await t.test('reports and clears the response cache', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+        await request(app).post('/api/chat').send({ message: 'What is DAS?' });
+        await request(app).post('/api/chat').send({ message: 'What is DAS?' });
+
+        const metrics = await request(app).get('/admin/api/cache').auth(...auth);
+        assert.equal(metrics.body.cache.enabled, true);
+        assert.deepEqual([metrics.body.cache.entries, metrics.body.cache.hits, metrics.body.cache.misses], [1, 1, 1]);
+
+        assert.equal((await request(app).post('/admin/api/cache/clear').auth(...auth)).status, 204);
+        const cleared = await request(app).get('/admin/api/cache').auth(...auth);
+        assert.equal(cleared.body.cache.entries, 0);
+
+        const stats = await request(app).get('/admin/api/stats').auth(...auth);
+        assert.equal(stats.body.totals.reused, 1);
+    });
+});
+
+test('conversation analytics', async (t) => {
+    await t.test('computeStats buckets turns by UTC day', () => {
+        const now = Date.parse('2026-03-10T12:00:00Z');
+        const records = [
+            { id: '1', sessionId: 'a', createdAt: '2026-03-10T09:00:00Z', outcome: 'answered' },
+            { id: '2', sessionId: 'a', createdAt: '2026-03-09T09:00:00Z', outcome: 'offTopic' },
+            { id: '3', sessionId: 'b', createdAt: '2026-02-01T09:00:00Z', outcome: 'answered' }
+        ];
+        const stats = computeStats(records, { days: 2, now });
+
+        assert.deepEqual(stats.daily.map(d => [d.date, d.turns, d.offTopic]), [
+            ['2026-03-09', 1, 1],
+            ['2026-03-10', 1, 0]
+        ]);
+        assert.equal(stats.totals.turns, 2);
+    });
+
+    await t.test('summarizeSessions orders by latest activity', () => {
+        const sessions = summarizeSessions([
+            { id: '1', sessionId: 'a', createdAt: '2026-03-01T00:00:00Z', message: 'first' },
+            { id: '2', sessionId: 'b', createdAt: '2026-03-02T00:00:00Z', message: 'second' },
+            { id: '3', sessionId: 'a', createdAt: '2026-03-03T00:00:00Z', message: 'third', outcome: 'error' }
+        ]);
+
+        assert.deepEqual(sessions.map(s => [s.sessionId, s.turns, s.errorTurns]), [['a', 2, 1], ['b', 1, 0]]);
+        assert.equal(sessions[0].firstQuestion, 'first');
+    });
+
+    await t.test('topQuestions groups by normalized wording', () => {
+        const top = topQuestions([
+            { message: 'What is DAS?' },
+            { message: 'what is  das' },
+            { message: 'Do you do BDA?' }
+        ], 1);
+
+        assert.deepEqual(top, [{ question: 'What is DAS?', count: 2 }]);
+    });
+
+    await t.test('pruneExpired removes turns older than the retention window', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkwave-retention-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const store = createJsonlStore(path.join(dir, 'conversations.jsonl'));
+        const now = Date.parse('2026-03-10T00:00:00Z');
+        fs.writeFileSync(store.filePath, [
+            { id: 'old', createdAt: '2025-11-01T00:00:00Z' },
+            { id: 'recent', createdAt: '2026-03-01T00:00:00Z' }
+        ].map(r => `${JSON.stringify(r)}\n`).join(''));
+
+        assert.equal(await pruneExpired(store, 90, now), 1);
+        assert.deepEqual((await store.readAll()).map(r => r.id), ['recent']);
+        assert.equal(await pruneExpired(store, 90, now), 0);
+
+        // Appends queued behind a prune are kept
+        const appended = store.append({ id: 'new' });
+        await Promise.all([pruneExpired(store, 90, now), appended]);
+        assert.deepEqual((await store.readAll()).map(r => r.id), ['recent', 'new']);
+    });
+});
+
+test('helpers', async (t) => {
+    await t.test('unescapeHtml reverses express-validator escape()', () => {
+        assert.equal(
+            unescapeHtml('&lt;b&gt; &amp;lt; &quot;x&quot; &#x27;y&#x27; &#x2F; &#x5C; &#96;'),
+            '<b> &lt; "x" \'y\' / \\ `'
+        );
+    });
+
+    await t.test('toCsv quotes and guards cells', () => {
+        const csv = toCsv([{ a: 'x,y', b: '+1 416', c: null }], [
+            { header: 'A', value: r => r.a },
+            { header: 'B', value: r => r.b },
+            { header: 'C', value: r => r.c }
+        ]);
+
+        assert.equal(csv, 'A,B,C\r\n"x,y",\'+1 416,\r\n');
+    });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const config = require('../lib/config');
+const { createApp } = require('../lib/app');
+const { createMockProvider } = require('../lib/providers/mock');
+const { createJsonlStore } = require('../lib/stores/jsonl');
+const { createFileStore } = require('../lib/stores/files');
+
+const llmConfig = { ...config.llm, provider: 'mock', mock: {} };
+const PDF = Buffer.from('%PDF-1.4\n%fake resume\n');
+
+function setup(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkwave-applications-'));
+    const sent = [];
+    const mailer = options.mailer || { name: 'recording', send: async (message) => { sent.push(message); return { id: '1' }; } };
+    const app = createApp({
+        llm: createMockProvider(llmConfig),
+        llmConfig,
+        mailer,
+        applicationStore: createJsonlStore(path.join(dir, 'applications.jsonl')),
+        resumeFiles: createFileStore(path.join(dir, 'resumes')),
+        applicationsConfig: { maxFileBytes: options.maxFileBytes || 1024, notifyTo: 'hr@example.com' },
+        positions: ['RF Designer', 'Bilingual Project Manager']
+    });
+    return {
+        app,
+        sent,
+        readApplications: () => createJsonlStore(path.join(dir, 'applications.jsonl')).readAll(),
+        listResumes: () => (fs.existsSync(path.join(dir, 'resumes')) ? fs.readdirSync(path.join(dir, 'resumes')) : []),
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+const fields = {
+    position: 'RF Designer',
+    name: 'Priya Shah',
+    email: 'priya@example.com',
+    phone: '647-555-0199',
+    address: '155 Gordon Baker Rd',
+    city: 'North York',
+    province: 'ON',
+    postal: 'M2H 3N5',
+    country: 'Canada',
+    coverLetter: 'I have five years of iBwave design experience.',
+    linkedin: 'linkedin.com/in/priyashah'
+};
+
+function apply(app, overrides = {}, resume = { buffer: PDF, filename: 'Priya Shah Resume.pdf' }) {
+    const req = request(app).post('/api/applications');
+    Object.entries({ ...fields, ...overrides }).forEach(([key, value]) => req.field(key, value));
+    if (resume) req.attach('resume', resume.buffer, resume.filename);
+    return req;
+}
+
+test('POST /api/applications', async (t) => {
+    await t.test('stores the application and resume, then emails HR', async () => {
+        const { app, sent, readApplications, listResumes, cleanup } = setup();
+        t.after(cleanup);
+        const res = await apply(app);
+
+        assert.equal(res.status, 201);
+        const [application] = await readApplications();
+        assert.equal(application.id, res.body.applicationId);
+        assert.equal(application.address.city, 'North York');
+        assert.equal(application.linkedin, 'https://linkedin.com/in/priyashah');
+        assert.equal(application.resume.originalName, 'Priya Shah Resume.pdf');
+        assert.deepEqual(listResumes(), [application.resume.fileName]);
+        assert.match(application.resume.fileName, /^[0-9a-f-]{36}\.pdf$/);
+
+        assert.equal(sent[0].to, 'hr@example.com');
+        assert.equal(sent[0].subject, 'Job application: RF Designer - Priya Shah');
+        assert.equal(sent[0].attachments[0].filename, 'Priya Shah Resume.pdf');
+    });
+
+    await t.test('requires a resume', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+        const res = await apply(app, {}, null);
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.fields.resume, 'Please attach your resume');
+    });
+
+    await t.test('rejects unsupported file types', async () => {
+        const { app, listResumes, cleanup } = setup();
+        t.after(cleanup);
+        const res = await apply(app, {}, { buffer: Buffer.from('MZ...'), filename: 'resume.exe' });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.fields.resume, 'Resume must be a PDF, DOC or DOCX file');
+        assert.deepEqual(listResumes(), []);
+    });
+
+    await t.test('rejects files whose contents do not match the extension', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+        const res = await apply(app, {}, { buffer: Buffer.from('<html>'), filename: 'resume.pdf' });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.fields.resume, /does not look like a valid PDF/);
+    });
+
+    await t.test('rejects files over the size limit', async () => {
+        const { app, cleanup } = setup({ maxFileBytes: 10 });
+        t.after(cleanup);
+        const res = await apply(app);
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.fields.resume, /or smaller$/);
+    });
+
+    await t.test('reports field-level errors', async () => {
+        const { app, readApplications, cleanup } = setup();
+        t.after(cleanup);
+        const res = await apply(app, { email: 'nope', linkedin: 'https://example.com/me', city: '' });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(Object.keys(res.body.fields).sort(), ['city', 'email', 'linkedin']);
+        assert.deepEqual(await readApplications(), []);
+    });
+
+    await t.test('accepts only the open jobs\' titles as the position', async () => {
+        const { app, sent, cleanup } = setup();
+        t.after(cleanup);
+
+        for (const position of ['RF Technician', 'Urgent: wire transfer needed', 'RF Designer\nBcc: everyone@example.com']) {
+            const res = await apply(app, { position });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.fields.position, 'Select a position from the list');
+        }
+        assert.equal((await apply(app, { position: 'Bilingual Project Manager' })).status, 201);
+        assert.equal(sent.length, 1);
+    });
+});
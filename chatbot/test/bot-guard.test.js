@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryCounterStore } = require('../lib/stores/counters');
+const { createBotGuard, leadingZeroBits, solveChallenge } = require('../lib/bot-guard');
+
+const MINUTE = 60 * 1000;
+
+function setup(options = {}) {
+    let clock = Date.parse('2026-03-10T12:00:00Z');
+    const guard = createBotGuard({
+        secret: 'test-secret',
+        difficulty: 8,
+        ttlMs: 10 * MINUTE,
+        counters: createMemoryCounterStore({ now: () => clock }),
+        now: () => clock,
+        ...options
+    });
+    return { guard, advance: ms => { clock += ms; } };
+}
+
+function solved(guard) {
+    const { challenge, difficulty } = guard.issue();
+    return { challenge, solution: solveChallenge(challenge, difficulty) };
+}
+
+test('leadingZeroBits', () => {
+    assert.equal(leadingZeroBits(Buffer.from([0x00, 0x0f])), 12);
+    assert.equal(leadingZeroBits(Buffer.from([0x80])), 0);
+    assert.equal(leadingZeroBits(Buffer.from([0x00, 0x00])), 16);
+});
+
+test('createBotGuard', async (t) => {
+    await t.test('accepts a solved challenge once', async () => {
+        const { guard } = setup();
+        const proof = solved(guard);
+
+        assert.deepEqual(await guard.verify(proof), { ok: true });
+        assert.deepEqual(await guard.verify(proof), { ok: false, reason: 'reused' });
+    });
+
+    await t.test('rejects missing, wrong and expired proofs', async () => {
+        const { guard, advance } = setup({ difficulty: 12 });
+        const proof = solved(guard);
+
+        assert.equal((await guard.verify(undefined)).reason, 'missing');
+        assert.equal((await guard.verify({ challenge: 'x', solution: '1' })).reason, 'malformed');
+        assert.equal((await guard.verify({ ...proof, solution: String(Number(proof.solution) + 1) })).reason, 'solution');
+
+        const [expiresAt, nonce, signature] = proof.challenge.split('.');
+        assert.equal((await guard.verify({ ...proof, challenge: `${Number(expiresAt) + MINUTE}.${nonce}.${signature}` })).reason, 'signature');
+
+        advance(10 * MINUTE);
+        assert.equal((await guard.verify(proof)).reason, 'expired');
+    });
+
+    await t.test('rejects challenges signed for an easier difficulty', async () => {
+        const easy = setup({ difficulty: 1 }).guard;
+        const { guard } = setup({ difficulty: 16 });
+        const { challenge } = easy.issue();
+        const solution = solveChallenge(challenge, 1);
+
+        assert.equal((await guard.verify({ challenge, solution })).reason, 'signature');
+    });
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    filterOptions,
+    loadJobs,
+    openPositions,
+    renderCareersListing,
+    renderPostingContent,
+    replaceBetweenMarkers,
+    validateJobs
+} = require('../scripts/build-careers');
+
+function job(overrides = {}) {
+    return {
+        slug: 'rf-designer',
+        title: 'RF Designer',
+        status: 'open',
+        type: 'Full-time',
+        location: { city: 'North York', province: 'ON', arrangement: 'On-site' },
+        languages: ['English'],
+        ...overrides
+    };
+}
+
+test('careers/jobs.json is valid', () => {
+    const { jobs } = loadJobs();
+    assert.ok(jobs.length > 0);
+});
+
+test('validateJobs', async (t) => {
+    await t.test('lists every problem', () => {
+        const data = { jobs: [job({ slug: 'Bad Slug', status: 'draft' }), job({ slug: 'x', languages: [] })] };
+        assert.throws(() => validateJobs(data), (error) =>
+            /slug must be lowercase/.test(error.message) &&
+            /status must be one of open, closed/.test(error.message) &&
+            /languages must list at least one language/.test(error.message));
+    });
+
+    await t.test('rejects duplicate slugs', () => {
+        assert.throws(() => validateJobs({ jobs: [job(), job()] }), /duplicate slug/);
+    });
+});
+
+test('filterOptions', () => {
+    const options = filterOptions([
+        job(),
+        job({ slug: 'a', location: { city: 'Montréal', province: 'QC' }, type: 'Contract' }),
+        job({ slug: 'b' })
+    ]);
+
+    assert.deepEqual(options.location, [
+        { value: 'north-york-on', label: 'North York, ON' },
+        { value: 'montr-al-qc', label: 'Montréal, QC' }
+    ]);
+    assert.deepEqual(options.type, [
+        { value: 'full-time', label: 'Full-time' },
+        { value: 'contract', label: 'Contract' }
+    ]);
+});
+
+test('openPositions lists the open jobs\' titles the forms offer', () => {
+    const jobs = [job(), job({ slug: 'rf-technician', title: 'RF Technician', status: 'closed' })];
+    assert.deepEqual(openPositions(jobs), ['RF Designer']);
+});
+
+test('renderCareersListing', async (t) => {
+    await t.test('renders open jobs only, with filter data', () => {
+        const html = renderCareersListing([
+            job(),
+            job({ slug: 'closed-role', title: 'Closed Role', status: 'closed' })
+        ]).join('\n');
+
+        assert.match(html, /data-location="north-york-on" data-type="full-time"/);
+        assert.match(html, /href="careers\/rf-designer.html"/);
+        assert.doesNotMatch(html, /Closed Role/);
+        assert.match(html, /1 open position</);
+    });
+
+    await t.test('shows a message when nothing is open', () => {
+        const html = renderCareersListing([job({ status: 'closed' })]).join('\n');
+        assert.doesNotMatch(html, /job-cards-grid/);
+        assert.match(html, /no open positions right now/);
+    });
+
+    await t.test('escapes job text', () => {
+        const html = renderCareersListing([job({ title: '<script>alert(1)</script>' })]).join('\n');
+        assert.doesNotMatch(html, /<script>/);
+    });
+});
+
+test('renderPostingContent', async (t) => {
+    await t.test('includes the application form for open jobs', () => {
+        const other = job({ slug: 'rf-technician', title: 'RF Technician' });
+        const html = renderPostingContent(job(), [job(), other]);
+
+        assert.match(html, /id="jobApplicationForm"/);
+        assert.match(html, /<option value="RF Designer" selected>/);
+        assert.match(html, /<option value="RF Technician">/);
+    });
+
+    await t.test('replaces the form with a notice for closed jobs', () => {
+        const closed = job({ status: 'closed' });
+        const html = renderPostingContent(closed, [closed]);
+
+        assert.doesNotMatch(html, /jobApplicationForm/);
+        assert.match(html, /This position is closed/);
+    });
+
+    await t.test('renders grouped responsibilities', () => {
+        const html = renderPostingContent(job({
+            responsibilities: [{ items: ['Design'] }, { heading: 'Ad-hoc Tasks', items: ['Reporting'] }]
+        }), []);
+
+        assert.match(html, /<li>Design<\/li>/);
+        assert.match(html, /<h3 class="job-subsection-title">Ad-hoc Tasks<\/h3>/);
+    });
+});
+
+test('replaceBetweenMarkers', async (t) => {
+    const html = '<div>\n    <!-- jobs:start -->\n    <!-- jobs:end -->\n</div>';
+
+    await t.test('keeps the markers so it can run again', () => {
+        const once = replaceBetweenMarkers(html, 'jobs', ['<p>A</p>']);
+        const twice = replaceBetweenMarkers(once, 'jobs', ['<p>B</p>']);
+
+        assert.match(twice, /^ {4}<p>B<\/p>$/m);
+        assert.doesNotMatch(twice, /<p>A<\/p>/);
+        assert.match(twice, /<!-- jobs:end -->/);
+    });
+
+    await t.test('fails loudly without markers', () => {
+        assert.throws(() => replaceBetweenMarkers('<div></div>', 'jobs', []), /Markers/);
+    });
+});
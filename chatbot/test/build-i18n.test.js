@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    collectStrings,
+    listPages,
+    loadCatalog,
+    localizeUrl,
+    renderAlternates,
+    renderSwitch,
+    translatePage
+} = require('../scripts/build-i18n');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <title>About Us</title>
+    <meta name="description" content="Who we are">
+    <link rel="canonical" href="https://linkwavewireless.com/about_us.html">
+    <link rel="stylesheet" href="style.css">
+    <!-- i18n:alternates:start -->
+    <!-- i18n:alternates:end -->
+</head>
+<body>
+    <nav class="nav">
+        <a href="index.html">Home</a>
+        <!-- i18n:switch:start -->
+        <!-- i18n:switch:end -->
+    </nav>
+    <p>Read our <a href="faq.html">FAQ</a> first.</p>
+    <img src="images/team.jpg" alt="Our team">
+    <span translate="no">Linkwave</span>
+    <script>const label = 'Home';</script>
+    <!-- i18n:switch-mobile:start -->
+    <!-- i18n:switch-mobile:end -->
+</body>
+</html>
+`;
+
+const CATALOG = {
+    'About Us': 'À propos',
+    'Who we are': 'Qui nous sommes',
+    'Home': 'Accueil',
+    'Read our <a href="faq.html">FAQ</a> first.': 'Consultez d\'abord notre <a href="faq.html">FAQ</a>.',
+    'Our team': 'Notre équipe'
+};
+
+test('i18n/fr.json covers every page', () => {
+    const pages = listPages().map(enPath => ({ html: fs.readFileSync(path.join(SITE_ROOT, enPath), 'utf8') }));
+    const catalog = loadCatalog();
+    const strings = collectStrings(pages);
+
+    const missing = [...strings.html, ...strings.text].filter(key => !(key in catalog));
+    assert.deepEqual(missing, []);
+});
+
+test('collectStrings', () => {
+    const strings = collectStrings([{ html: PAGE }]);
+
+    assert.deepEqual(strings.text, ['Who we are', 'Our team']);
+    assert.ok(strings.html.includes('Read our <a href="faq.html">FAQ</a> first.'), 'sentences keep their links');
+    assert.ok(!strings.html.includes('Linkwave'), 'translate="no" is skipped');
+    assert.ok(!strings.html.some(key => key.includes('label')), 'scripts are skipped');
+});
+
+test('localizeUrl', async (t) => {
+    const translated = new Set(['index.html', 'about_us.html', 'our_projects/costco.html']);
+    const cases = [
+        ['translated page', 'about_us.html', 'index.html', 'about_us.html'],
+        ['translated page with anchor', 'index.html#services', 'index.html', 'index.html#services'],
+        ['shared asset', 'style.css', 'index.html', '../style.css'],
+        ['asset from a nested page', '../../images/logo.png', 'our_projects/costco.html', '../../images/logo.png'],
+        ['page from a nested page', '../../about_us.html', 'our_projects/costco.html', '../about_us.html'],
+        ['sibling page', 'costco.html', 'our_projects/costco.html', 'costco.html'],
+        ['untranslated page', 'careers/closed.html', 'index.html', '../careers/closed.html'],
+        ['absolute URL', 'https://example.com/a.html', 'index.html', 'https://example.com/a.html'],
+        ['anchor', '#top', 'index.html', '#top'],
+        ['phone link', 'tel:1-888-859-2673', 'index.html', 'tel:1-888-859-2673']
+    ];
+
+    for (const [name, value, enPath, expected] of cases) {
+        await t.test(name, () => {
+            assert.equal(localizeUrl(value, enPath, translated), expected);
+        });
+    }
+});
+
+test('language links', async (t) => {
+    await t.test('switch between the two versions of a page', () => {
+        assert.match(renderSwitch('our_projects/costco.html', 'en', false)[0], /href="\.\.\/fr\/our_projects\/costco.html"[^>]*>FR</);
+        assert.match(renderSwitch('our_projects/costco.html', 'fr', false)[0], /href="\.\.\/\.\.\/our_projects\/costco.html"[^>]*>EN</);
+        assert.match(renderSwitch('index.html', 'fr', true)[0], /class="mobile-nav__link lang-switch"[^>]*>English</);
+    });
+
+    await t.test('hreflang alternates are absolute', () => {
+        assert.deepEqual(renderAlternates('faq.html').map(line => line.match(/hreflang="([^"]+)" href="([^"]+)"/).slice(1)), [
+            ['en', 'https://linkwavewireless.com/faq.html'],
+            ['fr', 'https://linkwavewireless.com/fr/faq.html'],
+            ['x-default', 'https://linkwavewireless.com/faq.html']
+        ]);
+    });
+});
+
+test('translatePage', async (t) => {
+    const translated = new Set(['index.html', 'about_us.html', 'faq.html']);
+
+    await t.test('translates text, attributes and links', () => {
+        const html = translatePage(PAGE, 'about_us.html', { catalog: CATALOG, translated });
+
+        assert.match(html, /^<!DOCTYPE html>\n<!-- Generated by/);
+        assert.match(html, /<html lang="fr">/);
+        assert.match(html, /<title>À propos<\/title>/);
+        assert.match(html, /content="Qui nous sommes"/);
+        assert.match(html, /href="https:\/\/linkwavewireless.com\/fr\/about_us.html"/);
+        assert.match(html, /href="\.\.\/style.css"/);
+        assert.match(html, /<a href="index.html">Accueil<\/a>/);
+        assert.match(html, /<p>Consultez d'abord notre <a href="faq.html">FAQ<\/a>.<\/p>/);
+        assert.match(html, /src="\.\.\/images\/team.jpg" alt="Notre équipe"/);
+        assert.match(html, /<span translate="no">Linkwave<\/span>/);
+        assert.match(html, /const label = 'Home';/);
+        assert.match(html, /<a href="\.\.\/about_us.html" class="lang-switch"/);
+        assert.match(html, /hreflang="x-default"/);
+    });
+
+    await t.test('reports strings missing from the catalog', () => {
+        const missing = new Set();
+        const { Home, ...catalog } = CATALOG;
+        const html = translatePage(PAGE, 'about_us.html', { catalog, translated, missing });
+
+        assert.deepEqual([...missing], ['Home']);
+        assert.match(html, /<a href="index.html">Home<\/a>/);
+    });
+});
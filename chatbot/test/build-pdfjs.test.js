@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PACKAGE_DIR, OUTPUT_DIR, FILES } = require('../scripts/build-pdfjs');
+
+test('vendor/pdfjs is the pinned pdfjs-dist build', () => {
+    const { version } = require('pdfjs-dist/package.json');
+    assert.equal(version, require('../package.json').devDependencies['pdfjs-dist']);
+    FILES.forEach(file => {
+        const copy = fs.readFileSync(path.join(OUTPUT_DIR, path.basename(file)));
+        assert.ok(copy.equals(fs.readFileSync(path.join(PACKAGE_DIR, file))), `${file} differs: run npm run build-pdfjs`);
+    });
+});
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    chatbotEntries,
+    filterOptions,
+    loadProjects,
+    renderCaseStudyDetails,
+    renderCaseStudySummary,
+    renderFeaturedSlides,
+    renderProjectListing,
+    similarProjects,
+    validateProjects
+} = require('../scripts/build-projects');
+const { replaceBetweenMarkers } = require('../scripts/build-careers');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+const VERTICALS = {
+    Healthcare: {
+        heading: 'Planning coverage for a hospital?',
+        text: 'We design DAS for hospitals.',
+        service: { label: 'Commercial Cellular', page: 'commercial-cellular.html' }
+    }
+};
+
+function project(overrides = {}) {
+    return {
+        slug: 'humber-river-hospital',
+        name: 'Humber River Hospital',
+        vertical: 'Healthcare',
+        technologies: ['DAS', 'Public Safety Radio'],
+        region: 'Ontario',
+        year: null,
+        image: 'our_projects_images/Humber River Hospital.jpg',
+        page: 'our_projects/humber-river-hospital.html',
+        caseStudy: 'our_projects/casestudies/humber.pdf',
+        description: 'Indoor cellular coverage for all major carriers.',
+        stats: [{ value: 'Turnkey', label: 'Solution' }],
+        gallery: [{ image: 'our_projects_images/Humber River Hospital.jpg', caption: 'Humber River Hospital' }],
+        ...overrides
+    };
+}
+
+test('our_projects/projects.json is valid', () => {
+    const { projects } = loadProjects();
+    assert.equal(projects.length, 14);
+});
+
+test('validateProjects', async (t) => {
+    await t.test('lists every problem', () => {
+        const data = { projects: [project({ slug: 'Bad Slug', technologies: [] }), project({ slug: 'x', year: '2020', caseStudy: 'missing.pdf' })] };
+        assert.throws(() => validateProjects(data), (error) =>
+            /slug must be lowercase/.test(error.message) &&
+            /technologies must list at least one technology/.test(error.message) &&
+            /year must be a whole number or null/.test(error.message) &&
+            /caseStudy missing.pdf does not exist/.test(error.message));
+    });
+
+    await t.test('rejects duplicate slugs', () => {
+        assert.throws(() => validateProjects({ projects: [project(), project()] }), /duplicate slug/);
+    });
+
+    await t.test('needs copy for each vertical and existing gallery and service pages', () => {
+        const data = {
+            verticals: { ...VERTICALS, Energy: { heading: 'Energy?', text: 'Yes.', service: { label: 'X', page: 'missing.html' } } },
+            projects: [
+                project({ gallery: [{ image: 'our_projects_images/missing.jpg', caption: 'Missing' }] }),
+                project({ slug: 'b', vertical: 'Retail' })
+            ]
+        };
+        assert.throws(() => validateProjects(data), (error) =>
+            /gallery our_projects_images\/missing.jpg does not exist/.test(error.message) &&
+            /b: vertical Retail needs a heading and text/.test(error.message) &&
+            /verticals.Energy: service page missing.html does not exist/.test(error.message) &&
+            !/humber-river-hospital: vertical/.test(error.message));
+    });
+});
+
+test('filterOptions', () => {
+    const options = filterOptions([
+        project(),
+        project({ slug: 'a', vertical: 'Data Centres', technologies: ['DAS', 'Wi-Fi'], region: 'British Columbia' })
+    ]);
+
+    assert.deepEqual(options.vertical.map(option => option.value), ['healthcare', 'data-centres']);
+    assert.deepEqual(options.technology, [
+        { value: 'das', label: 'DAS' },
+        { value: 'public-safety-radio', label: 'Public Safety Radio' },
+        { value: 'wi-fi', label: 'Wi-Fi' }
+    ]);
+    assert.deepEqual(options.region.map(option => option.label), ['Ontario', 'British Columbia']);
+});
+
+test('renderProjectListing', async (t) => {
+    await t.test('renders chips and cards with filter data', () => {
+        const html = renderProjectListing([project(), project({ slug: 'b', region: 'Quebec', year: 2020 })]).join('\n');
+
+        assert.match(html, /data-project-filter="region" data-value="quebec" aria-pressed="false">Quebec</);
+        assert.match(html, /data-vertical="healthcare" data-technology="das public-safety-radio" data-region="ontario" data-year=""/);
+        assert.match(html, /id="b" class="project-section project-section--right"[^>]*data-year="2020"/);
+        assert.match(html, /href="our_projects\/casestudies\/humber.pdf" class="project-link project-link--pdf"/);
+        assert.match(html, />2 projects</);
+    });
+
+    await t.test('keeps "#" in image names from starting a fragment', () => {
+        const html = renderProjectListing([project({ image: 'our_projects_images/Tower #6.jpg' })]).join('\n');
+        assert.match(html, /src="our_projects_images\/Tower %236.jpg"/);
+    });
+
+    await t.test('escapes project text', () => {
+        const html = renderProjectListing([project({ name: '<script>alert(1)</script>' })]).join('\n');
+        assert.doesNotMatch(html, /<script>/);
+    });
+});
+
+test('renderFeaturedSlides', () => {
+    const html = renderFeaturedSlides([project({ featured: 'Full in-building DAS.' }), project({ slug: 'b' })]).join('\n');
+
+    assert.equal(html.match(/<article/g).length, 1);
+    assert.match(html, /href="our_projects.html#humber-river-hospital"/);
+    assert.match(html, /<span class="industry-tag">Healthcare<\/span>/);
+    assert.match(html, /Full in-building DAS\./);
+});
+
+test('similarProjects', () => {
+    const projects = [
+        project(),
+        project({ slug: 'a', vertical: 'Transit', technologies: ['DAS', 'Public Safety Radio'] }),
+        project({ slug: 'b', vertical: 'Transit', technologies: ['Wi-Fi'] }),
+        project({ slug: 'c', technologies: ['Wi-Fi'] }),
+        project({ slug: 'd', vertical: 'Energy', technologies: ['DAS'] })
+    ];
+
+    assert.deepEqual(similarProjects(projects[0], projects).map(other => other.slug), ['c', 'a', 'd']);
+    assert.deepEqual(similarProjects(projects[0], projects, 1).map(other => other.slug), ['c']);
+});
+
+test('renderCaseStudySummary', () => {
+    const html = renderCaseStudySummary(project()).join('\n');
+
+    assert.match(html, /<h3 class="case-study-summary__title">At a Glance<\/h3>/);
+    assert.match(html, /Indoor cellular coverage for all major carriers\./);
+    assert.match(html, /<span class="stat-number">Turnkey<\/span>/);
+});
+
+test('renderCaseStudyDetails', async (t) => {
+    const projects = [project(), project({ slug: 'b', page: 'our_projects/b.html', image: 'our_projects_images/missing.jpg' })];
+
+    await t.test('links the gallery and PDF from the case study page', () => {
+        const html = renderCaseStudyDetails(projects[0], projects, VERTICALS).join('\n');
+
+        assert.match(html, /href="\.\.\/our_projects_images\/Humber River Hospital.jpg" class="case-study-gallery__link" data-gallery-image>/);
+        assert.match(html, /href="casestudies\/humber.pdf" class="case-study-viewer__download" download>/);
+        assert.match(html, /<div class="case-study-viewer__stage" data-pdf-viewer>\n\s+<a href="casestudies\/humber.pdf"/);
+    });
+
+    await t.test('lists similar projects without photos that are missing', () => {
+        const html = renderCaseStudyDetails(projects[0], projects, VERTICALS).join('\n');
+
+        assert.match(html, /<a href="b.html" class="case-study-similar__card">\n\s+<div class="case-study-similar__image"><\/div>/);
+        assert.doesNotMatch(html, /missing.jpg/);
+    });
+
+    await t.test('ends with the consultation call to action for the vertical', () => {
+        const html = renderCaseStudyDetails(projects[0], projects, VERTICALS).join('\n');
+
+        assert.match(html, /case-study-consult__title">Planning coverage for a hospital\?</);
+        assert.match(html, /href="\.\.\/contact_us.html" class="case-study-consult__button"/);
+        assert.match(html, /href="\.\.\/commercial-cellular.html" class="case-study-consult__link">\n\s+<span>Commercial Cellular<\/span>/);
+    });
+
+    await t.test('leaves out an empty gallery', () => {
+        const html = renderCaseStudyDetails(project({ gallery: [] }), projects, VERTICALS).join('\n');
+        assert.doesNotMatch(html, /case-study-gallery/);
+    });
+});
+
+test('chatbotEntries', () => {
+    const [english, french] = chatbotEntries([project()], { Healthcare: 'Santé', 'Public Safety Radio': 'Radio de sécurité publique' });
+
+    assert.deepEqual(english, {
+        lang: 'en',
+        slug: 'humber-river-hospital',
+        name: 'Humber River Hospital',
+        vertical: 'healthcare',
+        verticalLabel: 'Healthcare',
+        technologies: ['DAS', 'Public Safety Radio'],
+        region: 'Ontario',
+        year: null,
+        url: 'our_projects/humber-river-hospital.html'
+    });
+    assert.equal(french.verticalLabel, 'Santé');
+    assert.deepEqual(french.technologies, ['DAS', 'Radio de sécurité publique']);
+    assert.equal(french.name, 'Humber River Hospital');
+    assert.equal(french.url, 'fr/our_projects/humber-river-hospital.html');
+});
+
+test('the committed pages are current', () => {
+    const { projects, verticals } = loadProjects();
+    [
+        ['our_projects.html', 'projects', renderProjectListing(projects)],
+        ['index.html', 'featured-projects', renderFeaturedSlides(projects)],
+        ...projects.flatMap(project => [
+            [project.page, 'case-study-summary', renderCaseStudySummary(project)],
+            [project.page, 'case-study-details', renderCaseStudyDetails(project, projects, verticals)]
+        ])
+    ].forEach(([page, name, lines]) => {
+        const html = fs.readFileSync(path.join(SITE_ROOT, page), 'utf8');
+        const note = 'generated from our_projects/projects.json by npm run build-projects';
+        assert.equal(replaceBetweenMarkers(html, name, lines, note), html, `${page} is out of date; run npm run build-projects`);
+    });
+});
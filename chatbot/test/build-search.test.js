@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { SITE_ROOT, extractEntries, buildIndexes, indexPath } = require('../scripts/build-search');
+
+const read = (url) => fs.readFileSync(path.join(SITE_ROOT, url), 'utf8');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <title>Public Safety Radio - Linkwave Wireless</title>
+    <meta name="description" content="Radio systems for first responders.">
+</head>
+<body>
+    <header class="header"><nav class="nav"><a href="index.html">Home</a></nav></header>
+    <section id="overview">
+        <h2>Overview</h2>
+        <p>We design   BDA systems.</p>
+        <video><p>Your browser does not support the video tag.</p></video>
+    </section>
+    <section>
+        <h2>Compliance</h2>
+        <div class="faq-item" id="faq-bylaw">
+            <button class="faq-question">Which bylaws apply?</button>
+            <div class="faq-answer"><p>Fire codes do.</p></div>
+        </div>
+        <p>We handle permits.</p>
+    </section>
+    <section><p>No heading here.</p></section>
+    <footer><p>Footer text</p></footer>
+</body>
+</html>`;
+
+test('extractEntries', async (t) => {
+    await t.test('indexes the page, its sections and FAQ questions with their anchors', () => {
+        assert.deepEqual(extractEntries(PAGE, 'public-safety-radio.html'), [
+            { type: 'page', title: 'Public Safety Radio', page: 'Public Safety Radio', url: 'public-safety-radio.html', text: 'Radio systems for first responders.' },
+            { type: 'faq', title: 'Which bylaws apply?', page: 'Public Safety Radio', url: 'public-safety-radio.html#faq-bylaw', text: 'Fire codes do.' },
+            { type: 'section', title: 'Overview', page: 'Public Safety Radio', url: 'public-safety-radio.html#overview', text: 'We design BDA systems.' },
+            { type: 'section', title: 'Compliance', page: 'Public Safety Radio', url: 'public-safety-radio.html', text: 'We handle permits.' }
+        ]);
+    });
+
+    await t.test('reads the project cards with their vertical', () => {
+        const projects = extractEntries(read('our_projects.html'), 'our_projects.html').filter(entry => entry.type === 'project');
+        assert.equal(projects.length, 14);
+        assert.deepEqual(projects.filter(entry => !entry.url.includes('#')), []);
+        const { title, url, tag } = projects[0];
+        assert.deepEqual({ title, url, tag }, {
+            title: 'Humber River Hospital',
+            url: 'our_projects.html#humber-river-hospital',
+            tag: 'Healthcare'
+        });
+    });
+
+    await t.test('links FAQ entries to their anchors', () => {
+        const faq = extractEntries(read('fr/faq.html'), 'fr/faq.html').filter(entry => entry.type === 'faq');
+        assert.equal(faq.length, 11);
+        assert.equal(faq[0].url, 'fr/faq.html#faq-booster-install');
+    });
+
+    await t.test('keeps entry text short', () => {
+        const long = PAGE.replace('We design   BDA systems.', 'word '.repeat(400));
+        const overview = extractEntries(long, 'a.html').find(entry => entry.title === 'Overview');
+        assert.ok(overview.text.length <= 1000);
+        assert.match(overview.text, /word$/);
+    });
+});
+
+test('the committed search indexes are current', () => {
+    Object.entries(buildIndexes()).forEach(([lang, entries]) => {
+        // Nothing else in the file either, so rebuilding an unchanged site changes nothing
+        const committed = JSON.parse(read(indexPath(lang)));
+        assert.deepEqual(committed, { lang, entries }, `${indexPath(lang)} is out of date; run npm run build-search`);
+    });
+});
+
+test('indexPath', () => {
+    assert.equal(indexPath('en'), 'search-index.json');
+    assert.equal(indexPath('fr'), 'fr/search-index.json');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { CHATBOT_DIR, SOURCE_FILE, STYLES_FILE, BUNDLE_FILE, buildWidget } = require('../scripts/build-widget');
+const { listPages } = require('../scripts/build-i18n');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+
+const read = (file) => fs.readFileSync(path.join(CHATBOT_DIR, file), 'utf8');
+
+test('buildWidget', async (t) => {
+    const source = 'const CHATBOT_STYLES = null;\nclass LinkwaveChatbot {}\n';
+
+    await t.test('inlines the styles and wraps the code in a function', () => {
+        const bundle = buildWidget(source, ':host { content: "$&"; }\n');
+
+        assert.ok(bundle.includes('const CHATBOT_STYLES = ":host { content: \\"$&\\"; }\\n";'));
+        assert.ok(bundle.includes('(function () {\n\'use strict\';\n'));
+        assert.ok(bundle.trimEnd().endsWith('})();'));
+        assert.doesNotThrow(() => new vm.Script(bundle));
+    });
+
+    await t.test('fails when the source has nowhere to put the styles', () => {
+        assert.throws(() => buildWidget('class LinkwaveChatbot {}\n', ''), /CHATBOT_STYLES/);
+    });
+});
+
+test('linkwave-chatbot.js is current', () => {
+    assert.equal(read(BUNDLE_FILE), buildWidget(read(SOURCE_FILE), read(STYLES_FILE)),
+        'run npm run build-widget');
+});
+
+test('every page loads the widget', () => {
+    const bundleUrl = new URL(`chatbot/${BUNDLE_FILE}`, 'https://site.test/').href;
+    const pages = listPages().flatMap(page => [page, `fr/${page}`]);
+
+    const missing = pages.filter(page => {
+        const html = fs.readFileSync(path.join(SITE_ROOT, page), 'utf8');
+        const sources = [...html.matchAll(/<script[^>]*\ssrc="([^"]+)"/g)]
+            .map(match => new URL(match[1], `https://site.test/${page}`).href);
+        return !sources.includes(bundleUrl);
+    });
+    assert.deepEqual(missing, []);
+});
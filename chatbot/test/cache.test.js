@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cacheKey, cosineSimilarity, createResponseCache } = require('../lib/cache');
+const { createMockProvider } = require('../lib/providers/mock');
+
+const ANSWER = { response: 'A DAS brings signal indoors.', sources: [], consultationIntent: false, classification: null };
+
+function setup(options = {}) {
+    let clock = Date.parse('2026-03-10T12:00:00Z');
+    const cache = createResponseCache({ ttlMs: 60000, now: () => clock, ...options });
+    return { cache, advance: ms => { clock += ms; } };
+}
+
+test('cacheKey ignores case, punctuation, spacing and HTML escaping', () => {
+    assert.equal(cacheKey('en', 'What&#x27;s  a DAS?'), cacheKey('en', "what's a das"));
+    assert.notEqual(cacheKey('en', 'DAS'), cacheKey('fr', 'DAS'));
+});
+
+test('cosineSimilarity', () => {
+    assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 1]), 0);
+});
+
+test('createResponseCache', async (t) => {
+    await t.test('returns stored answers for the same wording', async () => {
+        const { cache } = setup();
+        const first = await cache.lookup('en', 'What is DAS?');
+        cache.set(first.miss, ANSWER);
+
+        const hit = await cache.lookup('en', 'what is das');
+        assert.deepEqual(hit, { value: ANSWER, match: 'exact' });
+        assert.ok((await cache.lookup('fr', 'what is das')).miss);
+    });
+
+    await t.test('expires entries after the TTL', async () => {
+        const { cache, advance } = setup();
+        cache.set((await cache.lookup('en', 'What is DAS?')).miss, ANSWER);
+        advance(60000);
+
+        assert.ok((await cache.lookup('en', 'What is DAS?')).miss);
+        assert.equal(cache.stats().entries, 0);
+    });
+
+    await t.test('drops the oldest entry when full', async () => {
+        const { cache } = setup({ maxEntries: 2 });
+        for (const question of ['one', 'two', 'three']) {
+            cache.set((await cache.lookup('en', question)).miss, ANSWER);
+        }
+
+        assert.ok((await cache.lookup('en', 'one')).miss);
+        assert.ok((await cache.lookup('en', 'three')).value);
+    });
+
+    await t.test('matches similar questions through embeddings', async () => {
+        const llm = createMockProvider({ mock: {} });
+        const { cache } = setup({ similarity: 0.8, embed: texts => llm.embed(texts) });
+        cache.set((await cache.lookup('en', 'How long does a DAS installation take?')).miss, ANSWER);
+
+        const similar = await cache.lookup('en', 'How long does a DAS installation usually take?');
+        assert.equal(similar.match, 'similar');
+        assert.ok((await cache.lookup('en', 'Are you hiring technicians?')).miss);
+    });
+
+    await t.test('falls back to the wording when embedding fails', async () => {
+        const { cache } = setup({ similarity: 0.8, embed: async () => { throw new Error('offline'); } });
+        const miss = await cache.lookup('en', 'What is DAS?');
+        cache.set(miss.miss, ANSWER);
+
+        assert.equal(miss.miss.vector, null);
+        assert.equal((await cache.lookup('en', 'What is DAS?')).match, 'exact');
+    });
+
+    await t.test('counts hits and misses', async () => {
+        const { cache } = setup();
+        cache.set((await cache.lookup('en', 'What is DAS?')).miss, ANSWER);
+        await cache.lookup('en', 'What is DAS?');
+        await cache.lookup('en', 'What is BDA?');
+        await cache.lookup('en', 'What is DAS?');
+
+        const stats = cache.stats();
+        assert.deepEqual([stats.entries, stats.hits, stats.misses], [1, 2, 2]);
+        assert.equal(stats.hitRate, 0.5);
+
+        cache.clear();
+        assert.equal(cache.stats().entries, 0);
+    });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCanonicalAnswers } = require('../lib/canonical');
+
+const SURVEY = {
+    lang: 'en',
+    questions: ['How do I book a site survey?', 'Can you survey my building?'],
+    answer: 'Use the consultation form and we will schedule a visit.',
+    intent: 'consultation',
+    topic: 'das'
+};
+
+function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkwave-canonical-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'canonical-answers.json');
+    return { filePath, answers: createCanonicalAnswers({ filePath }) };
+}
+
+test('createCanonicalAnswers', async (t) => {
+    await t.test('matches any listed phrasing in its language', async (t) => {
+        const { answers } = setup(t);
+        const stored = await answers.add(SURVEY);
+
+        assert.equal(answers.match('en', 'can you survey my building').id, stored.id);
+        assert.equal(answers.match('fr', 'Can you survey my building?'), null);
+        assert.equal(answers.match('en', 'Can you survey my house?'), null);
+        assert.equal(answers.list()[0].hits, 1);
+        assert.deepEqual(stored.sources, []);
+    });
+
+    await t.test('persists changes for the next start', async (t) => {
+        const { answers, filePath } = setup(t);
+        const stored = await answers.add(SURVEY);
+        await answers.update(stored.id, { ...SURVEY, answer: 'Call us to book a survey.' });
+
+        const reloaded = createCanonicalAnswers({ filePath });
+        assert.equal(reloaded.match('en', 'How do I book a site survey?').answer, 'Call us to book a survey.');
+
+        assert.equal(await reloaded.remove(stored.id), true);
+        assert.equal(reloaded.match('en', 'How do I book a site survey?'), null);
+        assert.deepEqual(createCanonicalAnswers({ filePath }).list(), []);
+    });
+
+    await t.test('refuses a phrasing another answer already has', async (t) => {
+        const { answers } = setup(t);
+        const stored = await answers.add(SURVEY);
+
+        await assert.rejects(
+            answers.add({ ...SURVEY, questions: ['how do i book a site survey'] }),
+            { code: 'DUPLICATE_QUESTION' }
+        );
+        await answers.update(stored.id, { ...SURVEY, questions: ['How do I book a site survey?'] });
+        assert.ok(await answers.add({ ...SURVEY, lang: 'fr' }));
+    });
+
+    await t.test('reports unknown ids', async (t) => {
+        const { answers } = setup(t);
+        assert.equal(await answers.update('missing', SURVEY), null);
+        assert.equal(await answers.remove('missing'), false);
+    });
+
+    await t.test('rejects a file that is not a list', (t) => {
+        const { filePath } = setup(t);
+        fs.writeFileSync(filePath, '{}');
+        assert.throws(() => createCanonicalAnswers({ filePath }), /must contain an array/);
+    });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSiteScript, wait } = require('./helpers');
+
+const PAGE = `<!DOCTYPE html><html lang="en"><body>
+<div class="case-study-viewer__stage" data-pdf-viewer><a class="case-study-viewer__open" href="case-study.pdf">Open the PDF</a></div>
+</body></html>`;
+
+// A two-page PDF whose pages render at once, or when released, or not at all
+function createPdf() {
+    const pdf = { numPages: 2, widths: [], active: 0, maxActive: 0, held: null, failing: false };
+    pdf.getPage = async () => ({
+        getViewport: ({ scale }) => ({ width: 100 * scale, height: 130 * scale }),
+        render: ({ viewport }) => {
+            pdf.widths.push(viewport.width);
+            if (pdf.failing) return { promise: Promise.reject(new Error('render failed')) };
+            pdf.active += 1;
+            pdf.maxActive = Math.max(pdf.maxActive, pdf.active);
+            return { promise: (pdf.held || Promise.resolve()).then(() => { pdf.active -= 1; }) };
+        }
+    });
+    return pdf;
+}
+
+// The viewer on a case study page with pdf.js already loaded; the stage's width is set by the test
+async function mountViewer(pdf) {
+    const window = loadSiteScript(PAGE, { pagePath: 'case-study.html' });
+    const viewer = { window, width: 800 };
+    window.loadPdfjs = async () => ({ getDocument: () => ({ promise: Promise.resolve(pdf) }) });
+    Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => viewer.width });
+    await wait(20);
+    viewer.stage = window.document.querySelector('[data-pdf-viewer]');
+    viewer.pages = () => [...window.document.querySelectorAll('.case-study-viewer__page')].map(canvas => canvas.width);
+    viewer.status = () => window.document.querySelector('.case-study-viewer__status').textContent;
+    viewer.resize = async (width) => {
+        viewer.width = width;
+        window.dispatchEvent(new window.Event('resize'));
+        await wait(300);
+    };
+    return viewer;
+}
+
+test('the case study is drawn at the width of the page', async () => {
+    const pdf = createPdf();
+    const { window, stage, pages, status } = await mountViewer(pdf);
+    try {
+        assert.deepEqual(pages(), [800, 800]);
+        assert.equal(status(), '');
+        assert.ok(stage.classList.contains('is-loaded'));
+    } finally {
+        window.close();
+    }
+});
+
+test('a resize while the pages are drawn waits for them and is drawn after', async () => {
+    const pdf = createPdf();
+    const viewer = await mountViewer(pdf);
+    try {
+        let release;
+        pdf.held = new Promise(resolve => { release = resolve; });
+        await viewer.resize(400);
+        await viewer.resize(600);
+        assert.deepEqual(pdf.widths, [800, 800, 400]);
+
+        pdf.held = null;
+        release();
+        await wait(20);
+        assert.deepEqual(pdf.widths, [800, 800, 400, 400, 600, 600]);
+        assert.equal(pdf.maxActive, 1, 'one page is drawn at a time');
+        assert.deepEqual(viewer.pages(), [600, 600]);
+
+        // Small changes, e.g. a scrollbar appearing, aren't worth a redraw
+        await viewer.resize(590);
+        assert.equal(pdf.widths.length, 6);
+    } finally {
+        viewer.window.close();
+    }
+});
+
+test('a redraw that fails shows the link to the PDF instead', async () => {
+    const pdf = createPdf();
+    const viewer = await mountViewer(pdf);
+    try {
+        pdf.failing = true;
+        await viewer.resize(400);
+        assert.equal(viewer.status(), 'caseStudy.failed');
+        assert.ok(viewer.stage.classList.contains('is-failed'));
+        assert.ok(!viewer.stage.classList.contains('is-loaded'));
+        assert.deepEqual(viewer.pages(), []);
+
+        // And it isn't tried again
+        await viewer.resize(800);
+        assert.equal(pdf.widths.length, 3);
+    } finally {
+        viewer.window.close();
+    }
+});
+
+test('pdf.js and its worker are loaded from the site, not a CDN', async () => {
+    const window = loadSiteScript(PAGE);
+    try {
+        const loaded = window.loadPdfjs();
+        const script = window.document.head.querySelector('script');
+        assert.equal(script.src, 'https://example.com/vendor/pdfjs/pdf.min.js');
+
+        window.pdfjsLib = { GlobalWorkerOptions: {} };
+        script.onload();
+        const pdfjsLib = await loaded;
+        assert.equal(pdfjsLib.GlobalWorkerOptions.workerSrc, 'https://example.com/vendor/pdfjs/pdf.worker.min.js');
+    } finally {
+        window.close();
+    }
+});
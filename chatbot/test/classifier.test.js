@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createClassifier, parseClassification } = require('../lib/classifier');
+
+// Stand-in model: answers every request with reply(request) and records it
+function fakeLlm(reply) {
+    const calls = [];
+    return {
+        calls,
+        async complete(request) {
+            calls.push(request);
+            return reply(request);
+        }
+    };
+}
+
+function setup(reply, options = {}) {
+    const llm = fakeLlm(reply);
+    const classifier = createClassifier({ mode: 'llm', timeoutMs: 1000, minConfidence: 0.6, llm, ...options });
+    return { llm, classifier };
+}
+
+test('parseClassification', async (t) => {
+    await t.test('reads labels, even with text around the JSON', () => {
+        assert.deepEqual(
+            parseClassification('Sure: {"intent": "consultation", "topic": "das", "confidence": 0.9}'),
+            { intent: 'consultation', topic: 'das', confidence: 0.9, source: 'llm' }
+        );
+    });
+
+    await t.test('clamps confidence', () => {
+        assert.equal(parseClassification('{"intent": "info", "topic": "wifi", "confidence": 7}').confidence, 1);
+        assert.equal(parseClassification('{"intent": "info", "topic": "wifi"}').confidence, 0);
+    });
+
+    await t.test('rejects unknown labels and non-JSON replies', () => {
+        assert.throws(() => parseClassification('{"intent": "sales", "topic": "das"}'), /unknown intent/);
+        assert.throws(() => parseClassification('{"intent": "info", "topic": "weather"}'), /unknown topic/);
+        assert.throws(() => parseClassification('I think this is about DAS'), /no JSON/);
+    });
+});
+
+test('createClassifier', async (t) => {
+    await t.test('labels messages with a JSON-only model call', async () => {
+        const { llm, classifier } = setup(() => '{"intent": "consultation", "topic": "das", "confidence": 0.85}');
+        const labels = await classifier.classify({
+            message: 'How much for our building?',
+            history: [{ role: 'user', content: 'We&#x27;re adding DAS' }, { role: 'assistant', content: 'Great.' }]
+        });
+
+        assert.deepEqual(labels, { intent: 'consultation', topic: 'das', confidence: 0.85, source: 'llm' });
+        assert.equal(llm.calls[0].json, true);
+        assert.equal(llm.calls[0].temperature, 0);
+        assert.equal(llm.calls[0].messages[1].content, 'Earlier messages:\n- We\'re adding DAS\n\nLatest message: How much for our building?');
+    });
+
+    await t.test('falls back to the keyword rules when unsure', async () => {
+        const { classifier } = setup(() => '{"intent": "info", "topic": "offTopic", "confidence": 0.3}');
+        const labels = await classifier.classify({ message: 'Can I get a quote?' });
+
+        assert.equal(labels.source, 'keywords');
+        assert.equal(labels.intent, 'consultation');
+        assert.equal(labels.fallback, 'lowConfidence');
+    });
+
+    await t.test('falls back to the keyword rules on bad replies and errors', async () => {
+        const bad = setup(() => 'not json');
+        assert.equal((await bad.classifier.classify({ message: 'What is DAS?' })).fallback, 'error');
+
+        const failing = setup(() => { throw new Error('rate limited'); });
+        const labels = await failing.classifier.classify({ message: 'What is DAS?' });
+        assert.deepEqual([labels.source, labels.topic, labels.fallback], ['keywords', 'das', 'error']);
+    });
+
+    await t.test('gives up after the timeout', async () => {
+        const { classifier } = setup(({ signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }), { timeoutMs: 20 });
+        const labels = await classifier.classify({ message: 'What is DAS?' });
+
+        assert.equal(labels.fallback, 'timeout');
+    });
+
+    await t.test('keywords mode never calls the model', async () => {
+        const llm = fakeLlm(() => '{}');
+        const classifier = createClassifier({ mode: 'keywords', llm });
+
+        assert.equal((await classifier.classify({ message: 'Are you hiring?' })).intent, 'careers');
+        assert.equal(llm.calls.length, 0);
+        assert.throws(() => createClassifier({ mode: 'regex', llm }), /Unknown classifier mode/);
+    });
+});
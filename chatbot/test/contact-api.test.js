@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const config = require('../lib/config');
+const { createApp } = require('../lib/app');
+const { createMailer } = require('../lib/mail');
+const { createMockProvider } = require('../lib/providers/mock');
+const { createJsonlStore } = require('../lib/stores/jsonl');
+const { createRecordingMailer } = require('./helpers');
+
+const llmConfig = { ...config.llm, provider: 'mock', mock: {} };
+
+function setup(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkwave-contact-'));
+    const contactStore = createJsonlStore(path.join(dir, 'inquiries.jsonl'));
+    const mailer = options.mailer || createRecordingMailer();
+    const app = createApp({ llm: createMockProvider(llmConfig), llmConfig, contactStore, mailer });
+    return { app, contactStore, mailer, dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+const validInquiry = {
+    name: 'Alex Martin',
+    email: 'alex@example.com',
+    subject: 'Coverage in our parking garage',
+    message: 'We have no signal below P2. Can you help?',
+    page: '/contact_us.html'
+};
+
+test('POST /api/contact', async (t) => {
+    await t.test('stores and emails a valid inquiry', async () => {
+        const { app, contactStore, mailer, cleanup } = setup();
+        t.after(cleanup);
+        const res = await request(app).post('/api/contact').send(validInquiry);
+
+        assert.equal(res.status, 201);
+        const [inquiry] = await contactStore.readAll();
+        assert.equal(inquiry.id, res.body.inquiryId);
+        assert.equal(inquiry.subject, validInquiry.subject);
+
+        assert.equal(mailer.sent.length, 1);
+        assert.equal(mailer.sent[0].subject, 'Website inquiry: Coverage in our parking garage');
+        assert.equal(mailer.sent[0].replyTo, 'Alex Martin <alex@example.com>');
+        assert.match(mailer.sent[0].text, /no signal below P2/);
+    });
+
+    await t.test('reports field-level errors', async () => {
+        const { app, contactStore, mailer, cleanup } = setup();
+        t.after(cleanup);
+        const res = await request(app).post('/api/contact').send({ name: '', email: 'nope', subject: ' ', message: '' });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(Object.keys(res.body.fields).sort(), ['email', 'message', 'name', 'subject']);
+        assert.deepEqual(await contactStore.readAll(), []);
+        assert.equal(mailer.sent.length, 0);
+    });
+
+    await t.test('silently drops submissions that fill the honeypot', async () => {
+        const { app, contactStore, mailer, cleanup } = setup();
+        t.after(cleanup);
+        const res = await request(app).post('/api/contact').send({ ...validInquiry, website: 'http://spam.example' });
+
+        assert.equal(res.status, 201);
+        assert.deepEqual(await contactStore.readAll(), []);
+        assert.equal(mailer.sent.length, 0);
+    });
+
+    await t.test('keeps the inquiry when delivery fails', async () => {
+        const mailer = { name: 'broken', send: async () => { throw new Error('SMTP down'); } };
+        const { app, contactStore, cleanup } = setup({ mailer });
+        t.after(cleanup);
+        const res = await request(app).post('/api/contact').send(validInquiry);
+
+        assert.equal(res.status, 201);
+        assert.equal((await contactStore.readAll()).length, 1);
+    });
+
+    await t.test('keeps line breaks out of the email subject', async () => {
+        const { app, mailer, cleanup } = setup();
+        t.after(cleanup);
+        await request(app).post('/api/contact').send({ ...validInquiry, subject: 'Hello\r\nBcc: victim@example.com' });
+
+        assert.doesNotMatch(mailer.sent[0].subject, /[\r\n]/);
+    });
+
+    await t.test('rate limits after five messages', async () => {
+        const { app, cleanup } = setup();
+        t.after(cleanup);
+        for (let i = 0; i < 5; i++) {
+            await request(app).post('/api/contact').send(validInquiry).expect(201);
+        }
+        const res = await request(app).post('/api/contact').send(validInquiry);
+
+        assert.equal(res.status, 429);
+    });
+});
+
+test('file mail transport writes one JSON file per message', async (t) => {
+    const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkwave-outbox-'));
+    t.after(() => fs.rmSync(outboxDir, { recursive: true, force: true }));
+    const mailer = createMailer({ transport: 'file', from: 'site@example.com', to: 'team@example.com', outboxDir });
+
+    const { id } = await mailer.send({ subject: 'Hi', text: 'Body' });
+    const files = fs.readdirSync(outboxDir);
+    const message = JSON.parse(fs.readFileSync(path.join(outboxDir, files[0]), 'utf8'));
+
+    assert.equal(files.length, 1);
+    assert.equal(message.id, id);
+    assert.equal(message.to, 'team@example.com');
+    assert.equal(message.from, 'site@example.com');
+});
+
+test('createMailer rejects unknown transports', () => {
+    assert.throws(() => createMailer({ transport: 'pigeon' }), /Unknown mail transport "pigeon"/);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const { createMemoryCounterStore, createRedisCounterStore, createCounterStore } = require('../lib/stores/counters');
+const { createLimiter } = require('../lib/rate-limit');
+
+const MINUTE = 60 * 1000;
+
+function setup() {
+    let clock = Date.parse('2026-03-10T12:00:00Z');
+    const counters = createMemoryCounterStore({ now: () => clock });
+    return { counters, advance: ms => { clock += ms; } };
+}
+
+test('createMemoryCounterStore', async (t) => {
+    await t.test('counts within a fixed window from the first increment', async () => {
+        const { counters, advance } = setup();
+
+        assert.deepEqual(await counters.increment('a', MINUTE), { total: 1, resetAt: Date.parse('2026-03-10T12:01:00Z') });
+        advance(MINUTE / 2);
+        assert.equal((await counters.increment('a', MINUTE, 5)).total, 6);
+        assert.equal(await counters.get('a'), 6);
+
+        advance(MINUTE / 2);
+        assert.equal(await counters.get('a'), 0);
+        assert.equal((await counters.increment('a', MINUTE)).total, 1);
+    });
+
+    await t.test('decrements and resets', async () => {
+        const { counters } = setup();
+        await counters.increment('a', MINUTE, 2);
+
+        await counters.decrement('a');
+        assert.equal(await counters.get('a'), 1);
+        await counters.reset('a');
+        assert.equal(await counters.get('a'), 0);
+    });
+});
+
+test('createRedisCounterStore', async (t) => {
+    await t.test('increments with one script call and prefixes keys', async () => {
+        const calls = [];
+        const client = {
+            isOpen: true,
+            async eval(script, options) {
+                calls.push(options);
+                return [3, 45000];
+            }
+        };
+        const counters = createRedisCounterStore({ client, prefix: 'test:' });
+        const { total, resetAt } = await counters.increment('a', MINUTE, 2);
+
+        assert.equal(total, 3);
+        assert.ok(resetAt > Date.now() + 44000);
+        assert.deepEqual(calls, [{ keys: ['test:a'], arguments: ['2', '60000'] }]);
+    });
+
+    await t.test('rejects unknown store names', () => {
+        assert.throws(() => createCounterStore({ store: 'sqlite' }), /Unknown counter store/);
+    });
+});
+
+test('createLimiter', async (t) => {
+    // Two apps sharing one store
+    function worker(counters) {
+        const app = express();
+        app.get('/limited', createLimiter(counters, 'test', { windowMs: MINUTE, max: 2 }), (req, res) => res.json({ ok: true }));
+        return app;
+    }
+
+    await t.test('shares limits between apps on the same store', async () => {
+        const { counters } = setup();
+        const [first, second] = [worker(counters), worker(counters)];
+
+        assert.equal((await request(first).get('/limited')).status, 200);
+        assert.equal((await request(second).get('/limited')).status, 200);
+        const limited = await request(first).get('/limited');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers['ratelimit-limit'], '2');
+    });
+
+    await t.test('lets requests through when the store fails', async () => {
+        const broken = { increment: async () => { throw new Error('connection refused'); } };
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.equal((await request(worker(broken)).get('/limited')).status, 200);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSiteScript } = require('./helpers');
+
+// The link-budget model behind learn.html's DAS calculator, from script.js
+const window = loadSiteScript();
+const estimateDas = window.eval('estimateDas');
+const dasDesign = window.eval('dasDesign');
+const dasSplitLoss = window.eval('dasSplitLoss');
+test.after(() => window.close());
+
+const building = (areaSqft, floors, material, rsrp, band) => ({ areaSqft, floors, material, rsrp, band });
+
+test('known buildings get the expected system and antenna count', async (t) => {
+    const cases = [
+        // [inputs, type, antenna radius (m), antennas per floor, antennas, remote units, reasons]
+        [building(20000, 2, 'masonry', -100, 1900), 'passive', 10.14, 5, 10, 0, ['passiveReason']],
+        [building(10000, 1, 'drywall', -85, 1900), 'passive', 3.78, 33, 33, 0, ['passiveReason']],
+        [building(100000, 5, 'concrete', -95, 700), 'passive', 10.6, 9, 45, 0, ['passiveReason']],
+        [building(70000, 2, 'drywall', -100, 1900), 'passive', 12.99, 10, 20, 0, ['passiveReason']],
+        [building(80000, 2, 'drywall', -100, 1900), 'active', 29.57, 3, 6, 2, ['powerReason']],
+        [building(50000, 3, 'drywall', -90, 1900), 'active', 12.99, 5, 15, 4, ['powerReason']],
+        [building(150000, 10, 'drywall', -115, 600), 'passive', 30, 1, 10, 0, ['passiveReason']],
+        [building(160000, 10, 'drywall', -115, 600), 'active', 30, 1, 10, 3, ['areaReason']],
+        [building(300000, 10, 'concrete', -100, 2600), 'active', 13.53, 8, 80, 20, ['powerReason', 'areaReason']],
+        [building(1000000, 40, 'low-e-glass', -95, 2100), 'active', 15.04, 6, 240, 60, ['powerReason', 'areaReason']]
+    ];
+
+    for (const [inputs, type, radius, perFloor, antennas, remotes, reasons] of cases) {
+        const { areaSqft, floors, material, rsrp, band } = inputs;
+        await t.test(`${areaSqft} sq ft, ${floors} floors, ${material}, ${rsrp} dBm at ${band} MHz`, () => {
+            const estimate = estimateDas(inputs);
+            assert.equal(estimate.type, type);
+            assert.ok(Math.abs(estimate.radius - radius) < 0.01, `radius ${estimate.radius}`);
+            assert.equal(estimate.perFloor, perFloor);
+            assert.equal(estimate.antennas, antennas);
+            assert.equal(estimate.remotes, remotes);
+            assert.deepEqual(Array.from(estimate.reasons, reason => reason.key), reasons.map(reason => `das.${reason}`));
+        });
+    }
+});
+
+test('a passive system needs a high-power amplifier of at most 33 dBm', () => {
+    const under = dasDesign('passive', building(70000, 2, 'drywall', -100, 1900));
+    const over = dasDesign('passive', building(80000, 2, 'drywall', -100, 1900));
+    assert.ok(under.output <= 33 && over.output > 33, `${under.output} and ${over.output} dBm`);
+
+    const { reasons: [reason] } = estimateDas(building(80000, 2, 'drywall', -100, 1900));
+    assert.equal(reason.params.power, over.output);
+});
+
+test('the hand-worked link budget', () => {
+    // 20,000 sq ft over two masonry floors, -100 dBm wanted at 1900 MHz, from a passive system:
+    // 5 dBm per antenna less 30.8 dB over 1200 resource elements plus 3 dBi is -22.8 dBm, and 8 dB
+    // of margin leaves 69.2 dB of path loss. 38.0 dB goes in the first metre, the rest at exponent 3.1.
+    const design = dasDesign('passive', building(20000, 2, 'masonry', -100, 1900));
+    assert.ok(Math.abs(design.pathLoss - 69.21) < 0.01, `path loss ${design.pathLoss}`);
+    // 10 antennas: 12 dB of splits, 53.7 m of cable at 10.2 dB per 100 m, 2 dB of connectors
+    assert.ok(Math.abs(design.output - 24.48) < 0.01, `output ${design.output}`);
+    // Back through 80 dB of system gain and the 12 dBi donor antenna, less 3 dB of donor cable
+    assert.ok(Math.abs(design.donor - -95.31) < 0.01, `donor ${design.donor}`);
+});
+
+test('antenna radius stays between 1 and 30 metres', () => {
+    // Strong signal wanted through concrete at 3500 MHz: less loss allowed than the first metre takes
+    assert.equal(dasDesign('passive', building(2000, 1, 'concrete', -70, 3500)).radius, 1);
+    // Weak signal at 600 MHz would reach further than walls and layout allow
+    const open = dasDesign('passive', building(40000, 1, 'drywall', -120, 600));
+    assert.equal(open.radius, 30);
+    assert.equal(open.perFloor, 3);
+});
+
+test('the donor signal needed is never below -100 dBm', () => {
+    assert.equal(estimateDas(building(80000, 2, 'drywall', -100, 1900)).donor, -100);
+    assert.ok(Math.abs(estimateDas(building(60000, 2, 'drywall', -100, 1900)).donor - -88.8) < 0.05);
+});
+
+test('each two-way split costs 3 dB plus half a dB', () => {
+    assert.equal(dasSplitLoss(1), 0);
+    assert.ok(Math.abs(dasSplitLoss(2) - 3.51) < 0.01);
+    assert.ok(Math.abs(dasSplitLoss(8) - 10.53) < 0.01);
+});
+
+test('every floor gets at least one antenna', () => {
+    const estimate = estimateDas(building(1000, 1, 'low-e-glass', -120, 600));
+    assert.equal(estimate.perFloor, 1);
+    assert.equal(estimate.antennas, 1);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FAQ_PAGES, SITE_ROOT, extractFaq } = require('../scripts/build-faq');
+const { terms, withinOneEdit, createFaq, matchFaq } = require('../lib/faq');
+
+const pages = FAQ_PAGES.map(page => extractFaq(fs.readFileSync(path.join(SITE_ROOT, page), 'utf8'), page));
+const faq = createFaq(pages.flat());
+
+test('extractFaq', async (t) => {
+    await t.test('reads every entry of faq.html with its anchor and topic', () => {
+        const [english] = pages;
+        assert.equal(english.length, 11);
+        assert.equal(new Set(english.map(entry => entry.id)).size, english.length);
+        const { id, lang, topic, question, url } = english[0];
+        assert.deepEqual({ id, lang, topic, question, url }, {
+            id: 'faq-booster-install',
+            lang: 'en',
+            topic: 'cellular',
+            question: 'Why can\'t I install a booster myself?',
+            url: 'faq.html#faq-booster-install'
+        });
+        assert.deepEqual([...new Set(english.map(entry => entry.topic))], ['cellular', 'wifi', 'publicSafety']);
+    });
+
+    await t.test('keeps paragraphs and lists as chat markdown', () => {
+        const survey = pages[0].find(entry => entry.id === 'faq-wifi-survey');
+        assert.match(survey.answer, /essential\.\n\nPerforming/);
+        assert.match(survey.answer, /\n- Identify and resolve channel conflicts and interference\.\n- Detect rogue/);
+    });
+
+    await t.test('the French page has the same entries', () => {
+        const [english, french] = pages;
+        assert.deepEqual(french.map(entry => entry.id), english.map(entry => entry.id));
+        assert.equal(french[0].lang, 'fr');
+        assert.equal(french[0].url, 'fr/faq.html#faq-booster-install');
+    });
+
+    await t.test('requires an id on every entry', () => {
+        const html = '<html lang="en"><div class="faq-item"><button class="faq-question">Why?</button><div class="faq-answer"><p>Because.</p></div></div></html>';
+        assert.throws(() => extractFaq(html, 'faq.html'), /"Why\?" has no id/);
+    });
+});
+
+test('terms', () => {
+    assert.deepEqual(terms('Are there by-laws for Wi-Fi boosters?'), ['bylaw', 'wifi', 'booster']);
+    assert.deepEqual(terms('non-compliant'), ['non', 'compliant']);
+    assert.deepEqual(terms('Can&#x27;t I?'), []);
+});
+
+test('withinOneEdit', () => {
+    assert.equal(withinOneEdit('booster', 'boster'), true);
+    assert.equal(withinOneEdit('survey', 'survay'), true);
+    assert.equal(withinOneEdit('install', 'instal'), true);
+    assert.equal(withinOneEdit('booster', 'bolster'), true);
+    assert.equal(withinOneEdit('design', 'resign'), true);
+    assert.equal(withinOneEdit('network', 'netwrok'), false);
+});
+
+test('matchFaq', async (t) => {
+    const cases = [
+        ['en', 'Why can\'t I install a booster myself?', 'faq-booster-install'],
+        ['en', 'can i instal a cell boster myself at home', 'faq-booster-install'],
+        ['en', 'Do I need a Wi-Fi survey?', 'faq-wifi-survey'],
+        ['en', 'What are the next steps if my building is non compliant?', 'faq-non-compliant'],
+        ['en', 'Are there bylaws requiring public safety coverage in my building?', 'faq-bylaw-requirements'],
+        ['fr', 'Puis-je installer un amplificateur moi-même?', 'faq-booster-install'],
+        ['en', 'What is DAS?', null],
+        ['en', 'How much does a DAS cost?', null],
+        ['en', 'Why is Wi-Fi slow in certain rooms?', null],
+        ['fr', 'Why do I need a Wi-Fi survey?', null]
+    ];
+
+    for (const [lang, message, expected] of cases) {
+        await t.test(`${message} (${lang})`, () => {
+            const match = matchFaq(faq, message, lang);
+            assert.equal(match ? match.entry.id : null, expected);
+        });
+    }
+
+    await t.test('a higher minimum score asks for a closer match', () => {
+        assert.ok(matchFaq(faq, 'Do you install cellular boosters?', 'en'));
+        assert.equal(matchFaq(faq, 'Do you install cellular boosters?', 'en', { minScore: 0.8 }), null);
+    });
+});
@@ -0,0 +1,122 @@
+// Fixtures shared by the test files: a recording mailer, jsdom pages and the built chat widget.
+// Not a test file itself: `npm test` runs test/*.test.js.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { CHATBOT_DIR, BUNDLE_FILE } = require('../scripts/build-widget');
+
+const SITE_ROOT = path.resolve(__dirname, '..', '..');
+const BUNDLE = fs.readFileSync(path.join(CHATBOT_DIR, BUNDLE_FILE), 'utf8');
+
+// Records sent messages instead of delivering them
+function createRecordingMailer() {
+    const sent = [];
+    return {
+        name: 'recording',
+        sent,
+        async send(message) {
+            sent.push(message);
+            return { id: String(sent.length) };
+        }
+    };
+}
+
+// A page at https://example.com/ whose scripts the test runs with window.eval. jsdom has no
+// layout or canvas; its "not implemented" notices stay out of the output.
+function createPage(html, { pagePath = 'index.html' } = {}) {
+    const virtualConsole = new VirtualConsole().sendTo(console, { omitJSDOMErrors: true });
+    const { window } = new JSDOM(html, {
+        url: `https://example.com/${pagePath}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    return window;
+}
+
+// The site's script.js on a page, before DOMContentLoaded wires it to the page. Its top-level
+// functions are properties of window, and can be replaced there; its constants can't be reached.
+function loadSiteScript(html = '<!DOCTYPE html><html lang="en"><body></body></html>', options) {
+    const window = createPage(html, options);
+    window.eval(fs.readFileSync(path.join(SITE_ROOT, 'script.js'), 'utf8'));
+    return window;
+}
+
+// A response body whose reader hands out the chunks as Server-Sent Events, as the server writes them
+function eventStream(chunks) {
+    const encoder = new TextEncoder();
+    const queue = chunks.map(events => encoder.encode(events
+        .map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+        .join('')));
+    return {
+        getReader: () => ({
+            read: async () => (queue.length ? { value: queue.shift(), done: false } : { value: undefined, done: true })
+        })
+    };
+}
+
+// The built widget on a bare page.
+// - storage: localStorage values to start from, objects stored as JSON
+// - respond(url, options): answers every request but the proof-of-work challenge with
+//   { status = 200, body = {} } as JSON, or never when it returns nothing. With stream, a list of
+//   chunks each holding [event, data] pairs, the answer is a text/event-stream read chunk by chunk.
+// - channel: give the page Node's BroadcastChannel, which jsdom lacks
+// - reducedMotion: what the visitor's system says about motion
+// Requests are recorded as { url, body } with the JSON body parsed.
+function mountWidget({
+    lang = 'en',
+    html = `<!DOCTYPE html><html lang="${lang}"><head><title>Test page</title></head><body><main><h1>Test page</h1></main></body></html>`,
+    storage = {},
+    respond = () => ({ status: 404 }),
+    channel = false,
+    reducedMotion = false,
+    options = {}
+} = {}) {
+    const window = createPage(html);
+    const requests = [];
+    window.matchMedia = (query) => ({ matches: reducedMotion && query.includes('reduce'), media: query });
+    window.fetch = async (url, init = {}) => {
+        if (String(url).endsWith('/challenge')) return { ok: false, status: 404 };
+        requests.push({ url: String(url), body: init.body ? JSON.parse(init.body) : undefined });
+        const reply = respond(String(url), init);
+        if (!reply) return new Promise(() => {});
+        const { status = 200, body = {}, stream } = reply;
+        return {
+            ok: status < 400,
+            status,
+            headers: { get: (name) => (name.toLowerCase() === 'content-type' ? (stream ? 'text/event-stream' : 'application/json') : null) },
+            json: async () => body,
+            body: stream ? eventStream(stream) : null
+        };
+    };
+    // jsdom has no TextDecoder, which the widget reads streams with
+    window.TextDecoder = TextDecoder;
+    if (channel) window.BroadcastChannel = BroadcastChannel;
+    Object.entries(storage).forEach(([key, value]) => {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+    window.eval(BUNDLE);
+    const chatbot = window.LinkwaveChatbot.init(options);
+    const $ = (selector) => chatbot.root.querySelector(selector);
+    return { window, chatbot, $, requests };
+}
+
+// A saved conversation as the widget stores it in localStorage
+function savedConversation(history, sessionId) {
+    return {
+        linkwave_chatbot_history: history,
+        linkwave_chatbot_timestamp: String(Date.now()),
+        ...(sessionId ? { linkwave_chatbot_session: sessionId } : {})
+    };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    createRecordingMailer,
+    createPage,
+    loadSiteScript,
+    mountWidget,
+    savedConversation,
+    wait
+};
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    classifyByKeywords,
+    detectConsultationIntent,
+    hasDomainContext,
+    isOffTopic,
+    isRepeated
+} = require('../lib/heuristics');
+
+const user = (content) => ({ role: 'user', content });
+const assistant = (content) => ({ role: 'assistant', content });
+
+test('detectConsultationIntent', async (t) => {
+    const cases = [
+        { message: 'Can I book a consultation?', expected: true },
+        { message: 'How much does a DAS cost?', expected: true },
+        { message: 'I need a quote for my building', expected: true },
+        { message: 'Can I speak with someone on your team?', expected: true },
+        { message: 'I want to talk to sales', expected: true },
+        { message: 'We have a new project in Ottawa', expected: true },
+        { message: 'What is DAS?', expected: false },
+        // Known edge cases: "talk" and "project" on their own are not a request for a consult
+        { message: "Let's talk about public safety radio", expected: false },
+        { message: 'What projects have you completed?', expected: false },
+        { message: 'Tell me about the Union Station project', expected: false },
+        { message: 'What is a booster?', expected: false },
+        { message: 'Combien coûte un DAS?', expected: true },
+        { message: "J'aimerais une soumission pour notre édifice", expected: true },
+        { message: 'Puis-je réserver une consultation?', expected: true },
+        { message: "Qu'est-ce qu'un DAS?", expected: false }
+    ];
+
+    for (const { message, expected } of cases) {
+        await t.test(message, () => {
+            assert.equal(detectConsultationIntent(message, []), expected);
+        });
+    }
+
+    await t.test('carries intent from the last three turns', () => {
+        const history = [user('Can I get pricing?'), assistant('Sure.')];
+        assert.equal(detectConsultationIntent('For a hospital', history), true);
+    });
+
+    await t.test('ignores intent older than three turns', () => {
+        const history = [
+            user('Can I get pricing?'),
+            assistant('Sure.'),
+            user('What is DAS?'),
+            assistant('A DAS is...')
+        ];
+        assert.equal(detectConsultationIntent('And boosters?', history), false);
+    });
+
+    await t.test('ignores assistant turns', () => {
+        const history = [assistant('You can book a consultation below.')];
+        assert.equal(detectConsultationIntent('What is LTE?', history), false);
+    });
+});
+
+test('hasDomainContext', async (t) => {
+    const cases = [
+        { name: 'no history', history: [], expected: false },
+        { name: 'recent DAS question', history: [user('What is DAS?')], expected: true },
+        { name: 'unrelated history', history: [user('What is the weather?')], expected: false },
+        { name: 'keyword inside another word', history: [user('I like to surf')], expected: false },
+        { name: 'assistant-only mention', history: [assistant('DAS improves coverage.')], expected: false }
+    ];
+
+    for (const { name, history, expected } of cases) {
+        await t.test(name, () => {
+            assert.equal(hasDomainContext(history), expected);
+        });
+    }
+});
+
+test('isOffTopic', async (t) => {
+    const cases = [
+        { message: 'Hello', history: [], expected: false },
+        { message: 'Good morning!', history: [], expected: false },
+        { message: 'What is DAS?', history: [], expected: false },
+        { message: 'Do you do RF design?', history: [], expected: false },
+        { message: 'What is the capital of France?', history: [], expected: true },
+        { message: 'Where is the best place to surf?', history: [], expected: true },
+        { message: 'Summarize that', history: [user('What is DAS?')], expected: false },
+        { message: 'Summarize that', history: [], expected: true },
+        { message: 'Why?', history: [user('Do I need a public safety system?')], expected: false },
+        { message: 'Bonjour', history: [], expected: false },
+        { message: 'Avez-vous des projets dans un hôpital?', history: [], expected: false },
+        { message: 'Comment améliorer la couverture cellulaire?', history: [], expected: false },
+        { message: 'Quelle est la capitale de la France?', history: [], expected: true }
+    ];
+
+    for (const { message, history, expected } of cases) {
+        await t.test(`${message} (${history.length} prior turns)`, () => {
+            assert.equal(isOffTopic(message, history), expected);
+        });
+    }
+});
+
+test('classifyByKeywords', async (t) => {
+    const cases = [
+        { message: 'What is DAS?', intent: 'info', topic: 'das' },
+        { message: 'Can I get a quote for a hospital?', intent: 'consultation', topic: 'general' },
+        { message: 'Are you hiring RF technicians?', intent: 'careers', topic: 'careers' },
+        { message: 'Our public safety BDA is not working', intent: 'support', topic: 'publicSafety' },
+        { message: 'Thanks!', intent: 'smalltalk', topic: 'general' },
+        { message: 'What is the capital of France?', intent: 'info', topic: 'offTopic' },
+        { message: 'Can you send more details about DAS?', intent: 'info', topic: 'das' },
+        { message: 'Postes ouverts chez vous?', intent: 'careers', topic: 'careers' }
+    ];
+
+    for (const { message, intent, topic } of cases) {
+        await t.test(message, () => {
+            assert.deepEqual(classifyByKeywords(message, []), { intent, topic, confidence: 0.5, source: 'keywords' });
+        });
+    }
+
+    await t.test('keeps a follow-up on topic through recent context', () => {
+        assert.equal(classifyByKeywords('And for a parking garage?', [user('What is DAS?')]).topic, 'general');
+    });
+});
+
+test('isRepeated', async (t) => {
+    const repeated = [user('What is DAS?'), assistant('...'), user('what is das?'), assistant('...'), user('What is DAS? '), assistant('...')];
+
+    const cases = [
+        { name: 'same question three times before', message: 'What is DAS?', history: repeated, expected: true },
+        { name: 'only two prior asks', message: 'What is DAS?', history: repeated.slice(2), expected: false },
+        { name: 'different question', message: 'What is LTE?', history: repeated, expected: false },
+        {
+            name: 'one of the last three differs',
+            message: 'What is DAS?',
+            history: [...repeated.slice(0, 4), user('What is LTE?')],
+            expected: false
+        }
+    ];
+
+    for (const { name, message, history, expected } of cases) {
+        await t.test(name, () => {
+            assert.equal(isRepeated(message, history), expected);
+        });
+    }
+});
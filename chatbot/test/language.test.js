@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, normalizeLanguage, resolveLanguage } = require('../lib/language');
+
+test('detectLanguage', async (t) => {
+    const cases = [
+        { message: 'What is DAS?', expected: 'en' },
+        { message: 'Do you work in Quebec?', expected: 'en' },
+        { message: "Qu'est-ce qu'un DAS?", expected: 'fr' },
+        { message: 'Qu&#x27;est-ce qu&#x27;un DAS?', expected: 'fr' },
+        { message: 'Avez-vous des projets au Québec?', expected: 'fr' },
+        { message: 'Combien coûte une étude de couverture?', expected: 'fr' },
+        { message: 'DAS', expected: null },
+        { message: 'Hello', expected: null },
+        { message: 'Merci', expected: null }
+    ];
+
+    for (const { message, expected } of cases) {
+        await t.test(message, () => {
+            assert.equal(detectLanguage(message), expected);
+        });
+    }
+});
+
+test('normalizeLanguage', () => {
+    assert.equal(normalizeLanguage('fr-CA'), 'fr');
+    assert.equal(normalizeLanguage('EN'), 'en');
+    assert.equal(normalizeLanguage('de'), null);
+    assert.equal(normalizeLanguage(undefined), null);
+});
+
+test('resolveLanguage', async (t) => {
+    await t.test('prefers the language of the message', () => {
+        assert.equal(resolveLanguage('Avez-vous des projets au Québec?', 'en'), 'fr');
+        assert.equal(resolveLanguage('What is DAS?', 'fr'), 'en');
+    });
+
+    await t.test('falls back to the page language, then English', () => {
+        assert.equal(resolveLanguage('DAS?', 'fr-CA'), 'fr');
+        assert.equal(resolveLanguage('DAS?', 'de'), 'en');
+        assert.equal(resolveLanguage('DAS?'), 'en');
+    });
+});
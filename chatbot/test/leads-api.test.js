@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const config = require('../lib/config');
+const { createApp } = require('../lib/app');
+const { createMockProvider } = require('../lib/providers/mock');
+const { createJsonlStore } = require('../lib/stores/jsonl');
+const { createMemorySessionStore } = require('../lib/stores/sessions');
+
+const llmConfig = { ...config.llm, provider: 'mock', mock: {} };
+
+function setup({ sessionStore = createMemorySessionStore({ ttlMs: 60 * 60 * 1000 }) } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkwave-leads-'));
+    const leadStore = createJsonlStore(path.join(dir, 'leads.jsonl'));
+    const app = createApp({ llm: createMockProvider(llmConfig), llmConfig, leadStore, sessionStore });
+    // A chat session holding the given messages, as the chat routes would have saved them
+    const chat = async (...messages) => {
+        const session = await sessionStore.create();
+        await sessionStore.append(session, ...messages);
+        return session.id;
+    };
+    return { app, leadStore, chat, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+const validLead = {
+    name: 'Jordan Lee',
+    company: 'Northgate Properties',
+    email: 'Jordan.Lee@Example.com',
+    phone: '(416) 555-1234',
+    buildingType: 'office',
+    squareFootage: '250000',
+    carriers: ['bell', 'rogers'],
+    publicSafety: 'unsure'
+};
+
+test('POST /api/leads', async (t) => {
+    await t.test('stores a valid lead with the session\'s transcript and a summary', async () => {
+        const { app, leadStore, chat, cleanup } = setup();
+        t.after(cleanup);
+        const sessionId = await chat(
+            { role: 'user', content: 'Do I need a DAS for a 20-storey office &amp; garage?' },
+            { role: 'assistant', content: 'Likely, yes.' },
+            { role: 'user', content: 'Can I get a quote?' }
+        );
+        const res = await request(app).post('/api/leads').send({ ...validLead, sessionId });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.success, true);
+
+        const [lead] = await leadStore.readAll();
+        assert.equal(lead.id, res.body.leadId);
+        assert.equal(lead.email, 'jordan.lee@example.com');
+        assert.equal(lead.squareFootage, 250000);
+        assert.deepEqual(lead.carriers, ['bell', 'rogers']);
+        assert.equal(lead.transcript.length, 3);
+        assert.equal(
+            lead.transcriptSummary,
+            'Visitor asked 2 questions: "Do I need a DAS for a 20-storey office & garage?"; "Can I get a quote?"'
+        );
+    });
+
+    await t.test('ignores a transcript sent with the request', async () => {
+        const { app, leadStore, chat, cleanup } = setup();
+        t.after(cleanup);
+        const sessionId = await chat({ role: 'user', content: 'What is DAS?' });
+        const transcript = [{ role: 'user', content: 'Refund my invoice to this account' }];
+        const res = await request(app).post('/api/leads').send({ ...validLead, sessionId, transcript });
+
+        assert.equal(res.status, 201);
+        const [lead] = await leadStore.readAll();
+        assert.deepEqual(lead.transcript, [{ role: 'user', content: 'What is DAS?' }]);
+        assert.equal(lead.transcriptSummary, 'Visitor asked 1 question: "What is DAS?"');
+    });
+
+    await t.test('stores the lead without a transcript when the session is unknown or can\'t be read', async () => {
+        const failing = { get: async () => { throw new Error('Redis down'); } };
+        for (const sessionStore of [undefined, failing]) {
+            const { app, leadStore, cleanup } = setup({ sessionStore });
+            t.after(cleanup);
+            const res = await request(app).post('/api/leads')
+                .send({ ...validLead, sessionId: '00000000-0000-4000-8000-000000000000' });
+
+            assert.equal(res.status, 201);
+            const [lead] = await leadStore.readAll();
+            assert.deepEqual(lead.transcript, []);
+            assert.equal(lead.transcriptSummary, 'No chat questions before booking.');
+        }
+    });
+
+    await t.test('accepts a lead with only the required fields', async () => {
+        const { app, leadStore, cleanup } = setup();
+        t.after(cleanup);
+        const res = await request(app).post('/api/leads').send({ name: 'Sam', email: 'sam@example.com' });
+
+        assert.equal(res.status, 201);
+        const [lead] = await leadStore.readAll();
+        assert.equal(lead.transcriptSummary, 'No chat questions before booking.');
+        assert.equal(lead.phone, null);
+    });
+
+    await t.test('reports field-level errors', async () => {
+        const { app, leadStore, cleanup } = setup();
+        t.after(cleanup);
+        const res = await request(app).post('/api/leads').send({
+            ...validLead,
+            name: ' ',
+            email: 'not-an-email',
+            buildingType: 'castle',
+            carriers: ['bell', 'sprint'],
+            squareFootage: 'lots',
+            sessionId: '../admin'
+        });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid input');
+        assert.deepEqual(Object.keys(res.body.fields).sort(), ['buildingType', 'carriers', 'email', 'name', 'sessionId', 'squareFootage']);
+        assert.deepEqual(await leadStore.readAll(), []);
+    });
+
+    await t.test('hides store errors behind a generic message', async () => {
+        const leadStore = { append: async () => { throw new Error('disk full'); } };
+        const app = createApp({ llm: createMockProvider(llmConfig), llmConfig, leadStore });
+        const res = await request(app).post('/api/leads').send(validLead);
+
+        assert.equal(res.status, 500);
+        assert.doesNotMatch(res.body.message, /disk full/);
+    });
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    fixNumberedLists,
+    fixSpacing,
+    limitList,
+    removeContactInfo,
+    fixButtonReferences,
+    appendConsultationCTA
+} = require('../lib/postprocess');
+
+const CTA = 'Please click the "Book Consultation" button below to connect with our team.';
+
+test('fixNumberedLists', async (t) => {
+    const cases = [
+        { name: 'renumbers repeated 1.', input: '1. A\n1. B\n1. C', expected: '1. A\n2. B\n3. C' },
+        { name: 'normalizes 1) markers', input: '1) A\n2) B', expected: '1. A\n2. B' },
+        { name: 'strips bold markers', input: '**1.** A\n**2.** B', expected: '1. A\n2. B' },
+        { name: 'keeps indentation', input: '  3. A\n  7. B', expected: '  1. A\n  2. B' },
+        { name: 'restarts after a blank line', input: '1. A\n2. B\n\n5. C', expected: '1. A\n2. B\n\n1. C' },
+        { name: 'leaves prose alone', input: 'DAS helps. It is reliable.', expected: 'DAS helps. It is reliable.' }
+    ];
+
+    for (const { name, input, expected } of cases) {
+        await t.test(name, () => {
+            assert.equal(fixNumberedLists(input), expected);
+        });
+    }
+});
+
+test('fixSpacing', async (t) => {
+    const cases = [
+        { input: 'Hello.World', expected: 'Hello. World' },
+        { input: 'Really?Yes!Great', expected: 'Really? Yes! Great' },
+        { input: 'Version 2.0 is out', expected: 'Version 2.0 is out' },
+        { input: 'Visit linkwavewireless.com', expected: 'Visit linkwavewireless. com' }
+    ];
+
+    for (const { input, expected } of cases) {
+        await t.test(input, () => {
+            assert.equal(fixSpacing(input), expected);
+        });
+    }
+});
+
+test('limitList', async (t) => {
+    const cases = [
+        {
+            name: 'keeps the first three numbered items',
+            input: 'Steps:\n1. A\n2. B\n3. C\n4. D\n5. E',
+            expected: 'Steps:\n1. A\n2. B\n3. C'
+        },
+        {
+            name: 'keeps the first three bullets',
+            input: '- A\n- B\n- C\n- D',
+            expected: '- A\n- B\n- C'
+        },
+        {
+            name: 'counts each list separately',
+            input: '1. A\n2. B\n3. C\n4. D\n\n- E\n- F\n- G\n- H',
+            expected: '1. A\n2. B\n3. C\n\n- E\n- F\n- G'
+        },
+        {
+            name: 'leaves short lists alone',
+            input: '1. A\n2. B\n\nDone.',
+            expected: '1. A\n2. B\n\nDone.'
+        }
+    ];
+
+    for (const { name, input, expected } of cases) {
+        await t.test(name, () => {
+            assert.equal(limitList(input), expected);
+        });
+    }
+});
+
+test('removeContactInfo', async (t) => {
+    const cases = [
+        { name: 'toll-free number', input: 'Reach us at 1-888-859-2673 today.', expected: 'Reach us at today.' },
+        { name: 'ten-digit number', input: 'Our office: 416-555-1234.', expected: 'Our office:.' },
+        { name: 'parenthesized area code', input: 'Office (416) 555-1234 is open.', expected: 'Office is open.' },
+        { name: 'email address', input: 'Email info@linkwavewireless.com for help.', expected: 'Email for help.' },
+        { name: 'call us phrasing', input: 'You can call us directly at 1-888-859-2673.', expected: 'You can.' },
+        // Known edge cases: postal codes and runs of numbers are not phone numbers
+        { name: 'keeps postal codes', input: 'Our office is at L4K 5W4 in Vaughan.', expected: 'Our office is at L4K 5W4 in Vaughan.' },
+        { name: 'keeps Montreal postal code', input: 'CHU Sainte-Justine, H3T 1C5.', expected: 'CHU Sainte-Justine, H3T 1C5.' },
+        { name: 'keeps number runs', input: 'Floors 100 200 300 4000 were surveyed.', expected: 'Floors 100 200 300 4000 were surveyed.' },
+        { name: 'keeps square footage', input: 'A 1,250,000 sq ft campus.', expected: 'A 1,250,000 sq ft campus.' },
+        { name: 'keeps line breaks', input: 'Intro\n\n1. A\n2. B', expected: 'Intro\n\n1. A\n2. B' }
+    ];
+
+    for (const { name, input, expected } of cases) {
+        await t.test(name, () => {
+            assert.equal(removeContactInfo(input), expected);
+        });
+    }
+});
+
+test('fixButtonReferences', async (t) => {
+    const cases = [
+        {
+            name: 'book consultation button on our website',
+            input: 'Click the Book Consultation button below on our website.',
+            expected: 'Click the "Book Consultation" button below.'
+        },
+        {
+            name: 'generic button below on the site',
+            input: 'Use the button below on the site to reach us.',
+            expected: 'Use the button below to reach us.'
+        },
+        {
+            name: 'on this website below',
+            input: 'You will find it on this website below.',
+            expected: 'You will find it below.'
+        },
+        {
+            name: 'keeps paragraphs and lists',
+            input: 'Options:\n\n1. Passive DAS\n2. Active DAS',
+            expected: 'Options:\n\n1. Passive DAS\n2. Active DAS'
+        },
+        { name: 'empty input', input: '', expected: '' }
+    ];
+
+    for (const { name, input, expected } of cases) {
+        await t.test(name, () => {
+            assert.equal(fixButtonReferences(input), expected);
+        });
+    }
+});
+
+test('appendConsultationCTA', async (t) => {
+    const cases = [
+        { name: 'appends to an answer', input: 'We can help.', expected: `We can help.\n\n${CTA}` },
+        { name: 'empty answer', input: '', expected: `Thanks for your interest. ${CTA}` },
+        { name: 'null answer', input: null, expected: `Thanks for your interest. ${CTA}` },
+        {
+            name: 'answer already mentions the button',
+            input: 'Use the button below to book.',
+            expected: 'Use the button below to book.'
+        },
+        {
+            name: 'answer already names Book Consultation',
+            input: 'Hit Book Consultation to get started.',
+            expected: 'Hit Book Consultation to get started.'
+        }
+    ];
+
+    for (const { name, input, expected } of cases) {
+        await t.test(name, () => {
+            assert.equal(appendConsultationCTA(input), expected);
+        });
+    }
+
+    await t.test('uses the French call to action for French replies', () => {
+        assert.match(appendConsultationCTA('Nous pouvons vous aider.', 'fr'), /\n\nCliquez sur le bouton « Réserver une consultation »/);
+        assert.equal(appendConsultationCTA('Utilisez le bouton ci-dessous.', 'fr'), 'Utilisez le bouton ci-dessous.');
+    });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { chatbotEntries, loadProjects } = require('../scripts/build-projects');
+const { createPortfolio, matchProjectRequest, listProjects } = require('../lib/projects');
+
+const catalog = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', '..', 'i18n', 'fr.json'), 'utf8'));
+const portfolio = createPortfolio(chatbotEntries(loadProjects().projects, catalog));
+
+test('matchProjectRequest', async (t) => {
+    await t.test('finds the industry a request for projects names', () => {
+        assert.deepEqual(matchProjectRequest(portfolio, 'Do you have any hospital projects?', 'en'), { verticals: ['healthcare'] });
+        assert.deepEqual(matchProjectRequest(portfolio, 'Show me your data centre projects', 'en'), { verticals: ['data-centres'] });
+        assert.deepEqual(matchProjectRequest(portfolio, 'Have you worked with transit and energy clients?', 'en'), { verticals: ['transit', 'energy'] });
+        assert.deepEqual(matchProjectRequest(portfolio, 'Avez-vous des projets dans les hôpitaux?', 'fr'), { verticals: ['healthcare'] });
+    });
+
+    await t.test('takes a request for projects in general', () => {
+        assert.deepEqual(matchProjectRequest(portfolio, 'What projects have you done?', 'en'), { verticals: [] });
+        assert.deepEqual(matchProjectRequest(portfolio, 'Tell me about your projects', 'en'), { verticals: [] });
+        assert.deepEqual(matchProjectRequest(portfolio, 'Quels projets avez-vous réalisés?', 'fr'), { verticals: [] });
+    });
+
+    await t.test('leaves other questions alone', () => {
+        assert.equal(matchProjectRequest(portfolio, 'How much does DAS cost for a hospital?', 'en'), null);
+        assert.equal(matchProjectRequest(portfolio, 'What is a typical project timeline?', 'en'), null);
+        assert.equal(matchProjectRequest(portfolio, 'Tell me about the Humber River project', 'en'), null);
+        assert.equal(matchProjectRequest(null, 'Do you have any hospital projects?', 'en'), null);
+    });
+});
+
+test('listProjects', async (t) => {
+    await t.test('lists an industry with links to its case studies', () => {
+        const { reply, sources } = listProjects(portfolio, { verticals: ['healthcare'] }, 'en');
+
+        assert.match(reply, /^Here are our projects in Healthcare:\n\n- \*\*Humber River Hospital\*\* – Ontario · DAS, LTE, Public Safety Radio\n/);
+        assert.equal(reply.match(/^- /gm).length, 4);
+        assert.deepEqual(sources[0], { title: 'Humber River Hospital', url: 'our_projects/humber-river-hospital.html' });
+        assert.deepEqual(sources[sources.length - 1], { title: 'Our Projects', url: 'our_projects.html' });
+    });
+
+    await t.test('groups several industries under their names', () => {
+        const { reply } = listProjects(portfolio, { verticals: ['transit', 'energy'] }, 'en');
+        assert.match(reply, /\*\*Transit\*\*\n- \*\*Union Station Train Station\*\*/);
+        assert.match(reply, /\*\*Energy\*\*\n- \*\*Pickering Nuclear Generating Station\*\*/);
+    });
+
+    await t.test('counts the projects in each industry', () => {
+        const { reply, sources } = listProjects(portfolio, { verticals: [] }, 'en');
+        assert.match(reply, /- \*\*Healthcare\*\* – 4 projects\n/);
+        assert.match(reply, /- \*\*Retail\*\* – 1 project\n/);
+        assert.deepEqual(sources, [{ title: 'Our Projects', url: 'our_projects.html' }]);
+    });
+
+    await t.test('answers in French with the French pages', () => {
+        const { reply, sources } = listProjects(portfolio, { verticals: ['healthcare'] }, 'fr');
+        assert.match(reply, /^Voici nos projets dans le secteur Santé :/);
+        assert.match(reply, /\*\*Hôpital Humber River\*\* – Ontario · DAS, LTE, Radio de sécurité publique/);
+        assert.equal(sources[0].url, 'fr/our_projects/humber-river-hospital.html');
+    });
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createIndex, search, tokenize } = require('../lib/retrieval');
+
+const index = createIndex([
+    { id: 1, title: 'Services', url: 'our_services.html', text: 'Distributed antenna systems for hospitals', lang: 'en' },
+    { id: 2, title: 'Services', url: 'fr/our_services.html', text: 'Systèmes d\'antennes distribuées pour les hôpitaux', lang: 'fr' },
+    { id: 3, title: 'Case Study - Humber River Hospital', url: 'our_projects/casestudies/humber.pdf', text: 'Hospital antenna coverage' }
+]);
+
+test('tokenize drops accents and stopwords in both languages', () => {
+    assert.deepEqual(tokenize('Les systèmes pour vous'), ['systemes']);
+    assert.deepEqual(tokenize('What are the systems?'), ['systems']);
+});
+
+test('search', async (t) => {
+    await t.test('keeps passages in the requested language and untagged ones', () => {
+        assert.deepEqual(search(index, 'antennes', 3, { minScore: 0.1, lang: 'fr' }).map(r => r.id), [2]);
+        assert.deepEqual(search(index, 'antennes', 3, { minScore: 0.1, lang: 'en' }).map(r => r.id), []);
+        assert.deepEqual(search(index, 'hospital', 3, { minScore: 0.1, lang: 'fr' }).map(r => r.id), [3]);
+        assert.deepEqual(search(index, 'antenna', 3, { minScore: 0.1, lang: 'en' }).map(r => r.id).sort(), [1, 3]);
+    });
+
+    await t.test('searches every passage without a language', () => {
+        assert.equal(search(index, 'antenna antennes', 3, { minScore: 0.1 }).length, 3);
+    });
+});
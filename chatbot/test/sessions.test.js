@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemorySessionStore, createRedisSessionStore, createSessionStore } = require('../lib/stores/sessions');
+
+const HOUR = 60 * 60 * 1000;
+const REQUEST = { requestId: 'r1', status: 'streaming', text: 'A DAS' };
+
+function setup(options = {}) {
+    let clock = Date.parse('2026-03-10T12:00:00Z');
+    const store = createMemorySessionStore({ ttlMs: 3 * HOUR, now: () => clock, ...options });
+    return { store, advance: ms => { clock += ms; } };
+}
+
+test('createMemorySessionStore', async (t) => {
+    await t.test('resumes a live session and creates one for unknown ids', async () => {
+        const { store } = setup();
+        const session = await store.create();
+
+        assert.deepEqual(await store.resume(session.id), session);
+        assert.notEqual((await store.resume('missing')).id, session.id);
+        assert.notEqual((await store.resume(undefined)).id, session.id);
+    });
+
+    await t.test('saves appended messages and nothing else', async () => {
+        const { store } = setup();
+        const session = await store.create();
+        await store.append(session, { role: 'user', content: 'hi' });
+        session.history.push({ role: 'user', content: 'not saved' });
+
+        assert.deepEqual((await store.get(session.id)).history, [{ role: 'user', content: 'hi' }]);
+    });
+
+    await t.test('expires sessions after the inactivity window', async () => {
+        const { store, advance } = setup();
+        const session = await store.create();
+
+        advance(2 * HOUR);
+        await store.append(session, { role: 'user', content: 'hi' });
+        advance(2 * HOUR);
+        assert.equal((await store.get(session.id)).id, session.id);
+
+        advance(HOUR);
+        assert.equal(await store.get(session.id), null);
+    });
+
+    await t.test('keeps only the most recent messages', async () => {
+        const { store } = setup({ maxMessages: 4 });
+        const session = await store.create();
+        for (let i = 1; i <= 6; i++) {
+            await store.append(session, { role: 'user', content: String(i) });
+        }
+
+        const saved = await store.get(session.id);
+        assert.deepEqual(saved.history.map(m => m.content), ['3', '4', '5', '6']);
+        assert.equal(saved.droppedMessages, 2);
+    });
+
+    await t.test('evicts the least recently used session when full', async () => {
+        const { store } = setup({ maxSessions: 2 });
+        const first = await store.create();
+        const second = await store.create();
+        await store.append(first, { role: 'user', content: 'still here' });
+        await store.create();
+
+        assert.equal(store.size, 2);
+        assert.equal((await store.get(first.id)).id, first.id);
+        assert.equal(await store.get(second.id), null);
+    });
+
+    await t.test('sweeps expired sessions when new ones are created', async () => {
+        const { store, advance } = setup();
+        await store.create();
+        await store.create();
+
+        advance(4 * HOUR);
+        await store.create();
+        assert.equal(store.size, 1);
+    });
+
+    await t.test('keeps the latest request until the session expires', async () => {
+        const { store, advance } = setup();
+        const session = await store.create();
+        await store.saveRequest(session.id, REQUEST);
+
+        assert.deepEqual(await store.getRequest(session.id), REQUEST);
+        advance(3 * HOUR);
+        assert.equal(await store.getRequest(session.id), null);
+    });
+
+    await t.test('grants each claim once until it is released', async () => {
+        const { store } = setup();
+        const session = await store.create();
+
+        assert.equal(await store.claim(session.id, 'transcript'), true);
+        assert.equal(await store.claim(session.id, 'transcript'), false);
+        await store.release(session.id, 'transcript');
+        assert.equal(await store.claim(session.id, 'transcript'), true);
+        assert.equal(await store.claim('00000000-0000-4000-8000-000000000000', 'transcript'), false);
+    });
+});
+
+// Enough of a node-redis client for the session store: strings, sets and their expiry times
+function fakeRedis() {
+    const values = new Map();
+    const expiries = new Map();
+    const commands = {
+        async get(key) {
+            return values.has(key) ? values.get(key) : null;
+        },
+        async set(key, value, { PX }) {
+            values.set(key, value);
+            expiries.set(key, PX);
+            return 'OK';
+        },
+        async pExpire(key, ms) {
+            if (!values.has(key)) return 0;
+            expiries.set(key, ms);
+            return 1;
+        },
+        async sAdd(key, member) {
+            const members = values.get(key) || new Set();
+            values.set(key, members);
+            if (members.has(member)) return 0;
+            members.add(member);
+            return 1;
+        },
+        async sRem(key, member) {
+            return values.has(key) && values.get(key).delete(member) ? 1 : 0;
+        }
+    };
+    const client = {
+        ...commands,
+        isOpen: true,
+        multi() {
+            const queued = [];
+            const transaction = { exec: () => Promise.all(queued.map(run => run())) };
+            for (const [name, command] of Object.entries(commands)) {
+                transaction[name] = (...args) => {
+                    queued.push(() => command(...args));
+                    return transaction;
+                };
+            }
+            return transaction;
+        }
+    };
+    return { client, values, expiries };
+}
+
+test('createRedisSessionStore', async (t) => {
+    await t.test('saves sessions as JSON under prefixed keys that expire', async () => {
+        const { client, values, expiries } = fakeRedis();
+        const store = createRedisSessionStore({ client, ttlMs: HOUR, prefix: 'test:' });
+        const session = await store.create();
+        await store.append(session, { role: 'user', content: 'hi' });
+
+        assert.deepEqual(JSON.parse(values.get(`test:${session.id}`)).history, [{ role: 'user', content: 'hi' }]);
+        assert.equal(expiries.get(`test:${session.id}`), HOUR);
+        assert.deepEqual(await store.resume(session.id), session);
+        assert.equal(await store.get('missing'), null);
+    });
+
+    await t.test('keeps only the most recent messages', async () => {
+        const { client } = fakeRedis();
+        const store = createRedisSessionStore({ client, ttlMs: HOUR, maxMessages: 2 });
+        const session = await store.create();
+        await store.append(session, { role: 'user', content: '1' }, { role: 'assistant', content: '2' });
+        await store.append(session, { role: 'user', content: '3' });
+
+        const saved = await store.get(session.id);
+        assert.deepEqual(saved.history.map(m => m.content), ['2', '3']);
+        assert.equal(saved.droppedMessages, 1);
+    });
+
+    await t.test('keeps requests and claims beside the session', async () => {
+        const { client, expiries } = fakeRedis();
+        const store = createRedisSessionStore({ client, ttlMs: HOUR, prefix: 'test:' });
+        const session = await store.create();
+        await store.saveRequest(session.id, REQUEST);
+
+        assert.deepEqual(await store.getRequest(session.id), REQUEST);
+        assert.equal(expiries.get(`test:${session.id}:request`), HOUR);
+        assert.equal(await store.claim(session.id, 'transcript'), true);
+        assert.equal(await store.claim(session.id, 'transcript'), false);
+        assert.equal(expiries.get(`test:${session.id}:claims`), HOUR);
+        await store.release(session.id, 'transcript');
+        assert.equal(await store.claim(session.id, 'transcript'), true);
+    });
+
+    await t.test('rejects unknown store names', () => {
+        assert.throws(() => createSessionStore({ store: 'sqlite', ttlMs: HOUR }), /Unknown session store/);
+    });
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const faq = require('../lib/faq');
+const { loadSiteScript } = require('./helpers');
+
+// The header search's matching and highlighting, from script.js
+const window = loadSiteScript();
+const [foldSearchText, searchWords, withinOneEdit, scoreSearchEntry, highlightRanges, highlightedText] = [
+    'foldSearchText', 'searchWords', 'withinOneEdit', 'scoreSearchEntry', 'highlightRanges', 'highlightedText'
+].map(name => window.eval(name));
+test.after(() => window.close());
+
+// An index entry as the overlay prepares it once search-index.json has loaded
+function indexEntry({ title, text = '', page = 'Home', tag = '' }) {
+    return {
+        title,
+        text,
+        page,
+        foldedTitle: foldSearchText(title),
+        foldedText: foldSearchText(text),
+        titleWords: [...new Set(searchWords(foldSearchText(`${title} ${tag}`)))],
+        textWords: [...new Set(searchWords(foldSearchText(`${text} ${page}`)))]
+    };
+}
+
+// The query as the overlay splits it
+function score(entry, query) {
+    const foldedQuery = searchWords(foldSearchText(query)).join(' ');
+    const terms = [...new Set(foldedQuery.split(' ').filter(term => term.length > 1))];
+    return scoreSearchEntry(entry, terms, foldedQuery);
+}
+
+// Results best first, as titles
+function rank(entries, query) {
+    return entries
+        .map(entry => score(entry, query))
+        .filter(Boolean)
+        .sort((a, b) => b.found - a.found || b.score - a.score)
+        .map(result => result.entry.title);
+}
+
+test('withinOneEdit forgives the same typos as the FAQ ruleset', () => {
+    const pairs = [
+        ['booster', 'boster'], ['survey', 'survay'], ['install', 'instal'], ['booster', 'bolster'],
+        ['design', 'resign'], ['network', 'netwrok'], ['antenna', 'antennas'], ['antenna', 'antennae'],
+        ['cable', 'cables'], ['signal', 'sigal'], ['signal', 'sinal'], ['hospital', 'hopsital'],
+        ['ab', 'ba'], ['abc', 'abc'], ['abc', 'xbcd'], ['abcd', 'abdc'], ['', 'a'], ['a', '']
+    ];
+    pairs.forEach(([a, b]) => {
+        assert.equal(withinOneEdit(a, b), faq.withinOneEdit(a, b), `${a} / ${b}`);
+        assert.equal(withinOneEdit(b, a), faq.withinOneEdit(b, a), `${b} / ${a}`);
+    });
+});
+
+test('scoreSearchEntry', async (t) => {
+    await t.test('a whole word beats the start of one, which beats a typo', () => {
+        const entries = [
+            indexEntry({ title: 'Surveying' }),
+            indexEntry({ title: 'Survay' }),
+            indexEntry({ title: 'Survey' })
+        ];
+        assert.deepEqual(rank(entries, 'survey'), ['Survey', 'Surveying', 'Survay']);
+    });
+
+    await t.test('a title match beats a text match', () => {
+        const entries = [
+            indexEntry({ title: 'Hospitals', text: 'Every booster we install is certified.' }),
+            indexEntry({ title: 'Cellular boosters' })
+        ];
+        assert.deepEqual(rank(entries, 'booster'), ['Cellular boosters', 'Hospitals']);
+    });
+
+    await t.test('entries matching more of the words come first', () => {
+        const entries = [
+            indexEntry({ title: 'DAS design', text: 'Design for hospitals and campuses.' }),
+            indexEntry({ title: 'DAS cost', text: 'What a hospital system costs.' })
+        ];
+        assert.deepEqual(rank(entries, 'das hospital cost'), ['DAS cost', 'DAS design']);
+    });
+
+    await t.test('the words side by side, as typed, count extra', () => {
+        const entries = [
+            indexEntry({ title: 'Survey of the site' }),
+            indexEntry({ title: 'Site survey' })
+        ];
+        assert.deepEqual(rank(entries, 'site survey'), ['Site survey', 'Survey of the site']);
+        assert.ok(score(entries[1], 'site survey').score > score(entries[0], 'site survey').score);
+    });
+
+    await t.test('needs at least half of the words', () => {
+        const entry = indexEntry({ title: 'DAS design' });
+        assert.equal(score(entry, 'das hospital cost'), null);
+        assert.ok(score(entry, 'das hospital'));
+    });
+
+    await t.test('short words need to be spelled right', () => {
+        assert.equal(score(indexEntry({ title: 'DAS' }), 'dac'), null);
+        assert.ok(score(indexEntry({ title: 'Antenna' }), 'antena'));
+    });
+
+    await t.test('ignores accents and finds hyphenated words whole', () => {
+        assert.ok(score(indexEntry({ title: 'Câblage coaxial' }), 'cablage'));
+        assert.ok(score(indexEntry({ title: 'Wi-Fi offload' }), 'wifi'));
+    });
+
+    await t.test('reports the words it matched, for highlighting', () => {
+        const result = score(indexEntry({ title: 'Signal boosters', text: 'A booster in every room.' }), 'booster');
+        assert.deepEqual(Array.from(result.matched).sort(), ['booster', 'boosters']);
+    });
+});
+
+test('highlightRanges', async (t) => {
+    const ranges = (text, words) => JSON.stringify(highlightRanges(foldSearchText(text), words));
+
+    await t.test('marks whole words only', () => {
+        assert.equal(ranges('Boosters boost signal', ['boost']), '[[9,14]]');
+    });
+
+    await t.test('marks every match, in order', () => {
+        assert.equal(ranges('DAS or a booster? DAS.', ['booster', 'das']), '[[0,3],[9,16],[18,21]]');
+    });
+
+    await t.test('finds joined words across the hyphen', () => {
+        assert.equal(ranges('Wi-Fi and wifi', ['wifi']), '[[0,5],[10,14]]');
+    });
+
+    await t.test('merges overlapping matches', () => {
+        assert.equal(ranges('Wi-Fi calling', ['wi', 'wifi', 'calling']), '[[0,5],[6,13]]');
+    });
+
+    await t.test('positions fit the original text when it has accents', () => {
+        assert.equal(ranges('Étude de câblage', ['cablage']), '[[9,16]]');
+    });
+});
+
+test('highlightedText marks the ranges without parsing the text as HTML', () => {
+    const container = window.document.createElement('p');
+    container.append(highlightedText('<b>DAS</b> for hospitals', [[3, 6], [15, 24]]));
+    assert.equal(container.innerHTML, '&lt;b&gt;<mark>DAS</mark>&lt;/b&gt; for <mark>hospitals</mark>');
+
+    // A snippet cut from the text: ranges are shifted by its offset
+    const snippet = window.document.createElement('p');
+    snippet.append(highlightedText('…for hospitals', [[15, 24]], 10));
+    assert.equal(snippet.innerHTML, '…for <mark>hospitals</mark>');
+});
+
+test('the search overlay keeps focus inside while it is open', async () => {
+    const page = loadSiteScript('<!DOCTYPE html><html lang="en"><body><header><button class="search-toggle">Search</button></header><a href="#main">Page link</a></body></html>');
+    const entries = [{ type: 'page', title: 'DAS design', text: 'Coverage for large buildings.', page: 'Services', url: 'services.html' }];
+    page.fetch = async () => ({ ok: true, json: async () => ({ entries }) });
+    await new Promise(resolve => page.addEventListener('DOMContentLoaded', resolve));
+    const { document } = page;
+    // Returns true when the overlay took over the Tab
+    const tab = (shiftKey = false) => !(document.activeElement || document.body)
+        .dispatchEvent(new page.KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true }));
+
+    try {
+        document.querySelector('.search-toggle').click();
+        const input = document.querySelector('.site-search__input');
+        const closeButton = document.querySelector('.site-search__close');
+        assert.equal(document.activeElement, input);
+
+        assert.equal(tab(true), true);
+        assert.equal(document.activeElement, closeButton);
+        assert.equal(tab(), true);
+        assert.equal(document.activeElement, input);
+        assert.equal(tab(), false, 'Tab moves on normally inside the overlay');
+
+        // With results, the last result wraps round to the field
+        input.value = 'das';
+        input.dispatchEvent(new page.Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const result = document.querySelector('.site-search__result');
+        assert.ok(result);
+        result.focus();
+        assert.equal(tab(), true);
+        assert.equal(document.activeElement, input);
+        assert.equal(tab(true), true);
+        assert.equal(document.activeElement, result);
+
+        // Focus lost to the page, as after a click on the panel's background
+        input.blur();
+        assert.equal(tab(), true);
+        assert.equal(document.activeElement, input);
+
+        closeButton.click();
+        document.querySelector('a').focus();
+        assert.equal(tab(), false, 'the page has the keyboard back once the overlay closes');
+    } finally {
+        page.close();
+    }
+});
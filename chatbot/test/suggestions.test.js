@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CTA_TYPES, FOLLOW_UPS, buildSuggestions } = require('../lib/suggestions');
+const { TOPICS } = require('../lib/classifier');
+
+test('every topic has follow-ups in both languages', () => {
+    for (const lang of ['en', 'fr']) {
+        const missing = TOPICS.filter(topic => topic !== 'offTopic' && !FOLLOW_UPS[lang][topic]);
+        assert.deepEqual(missing, [], lang);
+    }
+    assert.deepEqual(Object.keys(FOLLOW_UPS.fr).sort(), Object.keys(FOLLOW_UPS.en).sort());
+});
+
+test('buildSuggestions', async (t) => {
+    await t.test('picks follow-ups and pages for the topic', () => {
+        const suggestions = buildSuggestions({ classification: { intent: 'info', topic: 'private5g' } });
+
+        assert.deepEqual(suggestions.followUps, FOLLOW_UPS.en.private5g);
+        assert.deepEqual(suggestions.relatedLinks, [{ title: 'Private 5G', url: 'private-5g.html' }]);
+        assert.equal(suggestions.cta, null);
+    });
+
+    await t.test('puts intent suggestions first', () => {
+        const suggestions = buildSuggestions({ classification: { intent: 'support', topic: 'das' } });
+
+        assert.equal(suggestions.followUps[0], FOLLOW_UPS.en.support[0]);
+        assert.equal(suggestions.relatedLinks[0].url, 'contact_us.html');
+        assert.equal(suggestions.cta, 'contact');
+    });
+
+    await t.test('skips questions already asked, even HTML-escaped', () => {
+        const suggestions = buildSuggestions({
+            classification: { intent: 'info', topic: 'das' },
+            message: 'Do I need carrier approval for a DAS?',
+            history: [{ role: 'user', content: 'what is the difference between active and passive das' }]
+        });
+
+        assert.deepEqual(suggestions.followUps, ['How long does a DAS installation take?', 'What is DAS?', 'What services does Linkwave offer?']);
+
+        const french = buildSuggestions({
+            classification: { intent: 'info', topic: 'das' },
+            lang: 'fr',
+            message: 'Combien de temps prend l&#x27;installation d&#x27;un DAS?'
+        });
+        assert.ok(!french.followUps.some(q => q.startsWith('Combien de temps')));
+    });
+
+    await t.test('leaves out pages the answer already cites', () => {
+        const suggestions = buildSuggestions({
+            classification: { intent: 'info', topic: 'das' },
+            lang: 'fr',
+            sources: [{ title: 'Apprendre', url: 'fr/learn.html#das' }]
+        });
+
+        assert.deepEqual(suggestions.relatedLinks, [{ title: 'Cellulaire commercial', url: 'fr/commercial-cellular.html' }]);
+    });
+
+    await t.test('offers the consultation call to action whenever the visitor asked for one', () => {
+        const suggestions = buildSuggestions({ classification: { intent: 'info', topic: 'wifi' }, consultationIntent: true });
+
+        assert.equal(suggestions.cta, 'consultation');
+        assert.ok(CTA_TYPES.includes(suggestions.cta));
+    });
+
+    await t.test('only offers general follow-ups off topic or without labels', () => {
+        for (const classification of [{ intent: 'info', topic: 'offTopic' }, undefined]) {
+            const suggestions = buildSuggestions({ classification });
+            assert.deepEqual(suggestions, { followUps: FOLLOW_UPS.en.general, relatedLinks: [], cta: null });
+        }
+    });
+});
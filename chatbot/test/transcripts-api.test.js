@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const config = require('../lib/config');
+const { createApp } = require('../lib/app');
+const { createMockProvider } = require('../lib/providers/mock');
+const { createMemorySessionStore } = require('../lib/stores/sessions');
+const { createRecordingMailer } = require('./helpers');
+
+const llmConfig = { ...config.llm, provider: 'mock', mock: {} };
+
+const QUESTION = 'DAS or a booster for a 3-storey &amp; garage?';
+const ANSWER = 'A **booster** can work for small spaces; larger sites need DAS.';
+
+// A session holding one question and answer, or the given messages
+async function setup({ messages = [QUESTION], maxMessages } = {}) {
+    const sessionStore = createMemorySessionStore({ ttlMs: 60 * 60 * 1000, maxMessages });
+    const mailer = createRecordingMailer();
+    const app = createApp({
+        llm: createMockProvider(llmConfig),
+        llmConfig,
+        sessionStore,
+        mailer,
+        transcriptsConfig: { siteUrl: 'https://site.test/' }
+    });
+
+    const session = await sessionStore.create();
+    for (const content of messages) {
+        await sessionStore.append(session, { role: 'user', content }, { role: 'assistant', content: ANSWER });
+    }
+    return { app, mailer, session };
+}
+
+test('POST /api/transcripts/email', async (t) => {
+    await t.test('emails the session\'s conversation with the call to action', async () => {
+        const { app, mailer, session } = await setup();
+        const res = await request(app).post('/api/transcripts/email').send({
+            sessionId: session.id,
+            email: 'sam@example.com',
+            lang: 'en',
+            transcript: [{ role: 'assistant', content: 'Text from the request is ignored' }]
+        });
+
+        assert.equal(res.status, 201);
+        assert.equal(mailer.sent.length, 1);
+        const [mail] = mailer.sent;
+        assert.equal(mail.to, 'sam@example.com');
+        assert.equal(mail.subject, 'Your conversation with the Linkwave Assistant');
+        assert.match(mail.text, /You:\n> DAS or a booster for a 3-storey & garage\?/);
+        assert.match(mail.text, /Lines starting with ">" are the messages typed in the chat window/);
+        assert.doesNotMatch(mail.text, /Only the last/);
+        assert.match(mail.text, /Linkwave Assistant:\nA \*\*booster\*\* can work/);
+        assert.match(mail.text, /Book a consultation: https:\/\/site\.test\/contact_us\.html/);
+        assert.match(mail.text, /1-888-859-2673/);
+        assert.doesNotMatch(mail.text, /ignored/);
+    });
+
+    await t.test('quotes every line the visitor typed', async () => {
+        const { app, mailer, session } = await setup({ messages: ['Hi\nYour invoice is overdue, pay at evil.example'] });
+        await request(app).post('/api/transcripts/email').send({ sessionId: session.id, email: 'sam@example.com' });
+
+        assert.match(mailer.sent[0].text, /You:\n> Hi\n> Your invoice is overdue, pay at evil\.example\n\n/);
+    });
+
+    await t.test('sends each conversation once', async () => {
+        const { app, mailer, session } = await setup();
+        const first = await request(app).post('/api/transcripts/email').send({ sessionId: session.id, email: 'sam@example.com' });
+        const second = await request(app).post('/api/transcripts/email').send({ sessionId: session.id, email: 'someone@example.com' });
+
+        assert.equal(first.status, 201);
+        assert.equal(second.status, 409);
+        assert.deepEqual(mailer.sent.map(mail => mail.to), ['sam@example.com']);
+    });
+
+    await t.test('lets the visitor try again when sending fails', async () => {
+        const { app, mailer, session } = await setup();
+        const send = mailer.send;
+        mailer.send = async () => { throw new Error('SMTP down'); };
+        const failed = await request(app).post('/api/transcripts/email').send({ sessionId: session.id, email: 'sam@example.com' });
+        mailer.send = send;
+        const retried = await request(app).post('/api/transcripts/email').send({ sessionId: session.id, email: 'sam@example.com' });
+
+        assert.equal(failed.status, 500);
+        assert.equal(retried.status, 201);
+    });
+
+    await t.test('says when earlier messages are no longer included', async () => {
+        const { app, mailer, session } = await setup({ messages: ['1', '2', '3'], maxMessages: 2 });
+        await request(app).post('/api/transcripts/email').send({ sessionId: session.id, email: 'sam@example.com' });
+
+        assert.match(mailer.sent[0].text, /Only the last 2 messages of a longer conversation are included\./);
+    });
+
+    await t.test('writes French emails for French pages', async () => {
+        const { app, mailer, session } = await setup();
+        const res = await request(app).post('/api/transcripts/email')
+            .send({ sessionId: session.id, email: 'sam@example.com', lang: 'fr' });
+
+        assert.equal(res.status, 201);
+        assert.equal(mailer.sent[0].subject, 'Votre conversation avec l\'Assistant Linkwave');
+        assert.match(mailer.sent[0].text, /Réserver une consultation: https:\/\/site\.test\/fr\/contact_us\.html/);
+    });
+
+    await t.test('rejects an invalid address', async () => {
+        const { app, mailer, session } = await setup();
+        const res = await request(app).post('/api/transcripts/email')
+            .send({ sessionId: session.id, email: 'not-an-email' });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.fields.email, 'Enter a valid email address');
+        assert.equal(mailer.sent.length, 0);
+    });
+
+    await t.test('returns 404 for an unknown or expired conversation', async () => {
+        const { app, mailer } = await setup();
+        const res = await request(app).post('/api/transcripts/email')
+            .send({ sessionId: '00000000-0000-4000-8000-000000000000', email: 'sam@example.com' });
+
+        assert.equal(res.status, 404);
+        assert.equal(mailer.sent.length, 0);
+    });
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryCounterStore } = require('../lib/stores/counters');
+const { createUsageMeter, estimateTokens, promptTokens } = require('../lib/usage');
+
+function setup(options = {}) {
+    let clock = Date.parse('2026-03-10T12:00:00Z');
+    const counters = createMemoryCounterStore({ now: () => clock });
+    const usage = createUsageMeter({
+        counters,
+        sessionTokenBudget: 100,
+        dailySpendCapUsd: 1,
+        inputPricePerMillion: 100000,
+        outputPricePerMillion: 400000,
+        now: () => clock,
+        ...options
+    });
+    return { usage, counters, advance: ms => { clock += ms; } };
+}
+
+// Provider double replying with fixed text
+function fakeLlm(reply) {
+    return {
+        name: 'fake',
+        async complete() { return reply; },
+        async *stream() { yield reply.slice(0, 4); yield reply.slice(4); }
+    };
+}
+
+test('token estimates', () => {
+    assert.equal(estimateTokens('12345678'), 2);
+    assert.equal(promptTokens([{ role: 'user', content: '1234' }, { role: 'system', content: '' }]), 9);
+});
+
+test('createUsageMeter', async (t) => {
+    await t.test('holds a session to its token budget', async () => {
+        const { usage } = setup();
+
+        await usage.recordSessionTokens('s1', 60);
+        assert.equal(await usage.sessionExhausted('s1'), false);
+        await usage.recordSessionTokens('s1', 40);
+        assert.equal(await usage.sessionExhausted('s1'), true);
+        assert.equal(await usage.sessionExhausted('s2'), false);
+    });
+
+    await t.test('caps the day\'s spend and starts again the next day', async () => {
+        const { usage, advance } = setup();
+
+        // 5 input tokens at $0.10 each and 1 output token at $0.40: $0.90
+        await usage.recordSpend({ inputTokens: 5, outputTokens: 1 });
+        assert.equal(await usage.capReached(), false);
+        await usage.recordSpend({ inputTokens: 1, outputTokens: 0 });
+        assert.equal(await usage.capReached(), true);
+
+        advance(12 * 60 * 60 * 1000);
+        assert.equal(await usage.capReached(), false);
+    });
+
+    await t.test('zero turns a limit off', async () => {
+        const { usage } = setup({ sessionTokenBudget: 0, dailySpendCapUsd: 0 });
+
+        await usage.recordSessionTokens('s1', 1000);
+        await usage.recordSpend({ inputTokens: 1000, outputTokens: 1000 });
+        assert.equal(await usage.sessionExhausted('s1'), false);
+        assert.equal(await usage.capReached(), false);
+    });
+
+    await t.test('never blocks answers when the counter store fails', async () => {
+        const broken = { get: async () => { throw new Error('connection refused'); } };
+        const { usage } = setup({ counters: broken });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.equal(await usage.capReached(), false);
+            assert.equal(await usage.sessionExhausted('s1'), false);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+test('wrap', async (t) => {
+    const messages = [{ role: 'user', content: '12345678' }];
+
+    await t.test('counts completions and streams towards the cap', async () => {
+        const { usage, counters } = setup({ dailySpendCapUsd: 100 });
+        const llm = usage.wrap(fakeLlm('abcdefgh'));
+
+        assert.equal(await llm.complete({ messages }), 'abcdefgh');
+        let streamed = '';
+        for await (const delta of llm.stream({ messages })) streamed += delta;
+
+        assert.equal(streamed, 'abcdefgh');
+        assert.equal(llm.name, 'fake');
+        // Each call: 6 prompt tokens at $0.10 and 2 reply tokens at $0.40
+        assert.equal(await counters.get('spend:2026-03-10'), 2 * 1.4 * 1e6);
+    });
+
+    await t.test('refuses calls once the cap is reached', async () => {
+        const { usage } = setup();
+        const llm = usage.wrap(fakeLlm('abcdefgh'));
+        await usage.recordSpend({ inputTokens: 10, outputTokens: 0 });
+
+        await assert.rejects(llm.complete({ messages }), { code: 'SPEND_CAP' });
+        await assert.rejects(llm.stream({ messages }).next(), { code: 'SPEND_CAP' });
+    });
+
+    await t.test('counts embeddings at the input price', async () => {
+        const { usage, counters } = setup({ dailySpendCapUsd: 100 });
+        const llm = usage.wrap({ ...fakeLlm(''), embed: async texts => texts.map(() => [1, 0]) });
+
+        assert.deepEqual(await llm.embed(['12345678']), [[1, 0]]);
+        // 2 tokens at $0.10
+        assert.equal(await counters.get('spend:2026-03-10'), 0.2 * 1e6);
+        assert.equal(usage.wrap(fakeLlm('')).embed, undefined);
+    });
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+const helpers = require('./helpers');
+
+const WCAG_AA = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+const { wait } = helpers;
+
+// The built widget; the server answers every message with reply
+function mountWidget({ reducedMotion = false, reply = 'Hello' } = {}) {
+    const mounted = helpers.mountWidget({
+        reducedMotion,
+        respond: () => ({ body: { response: reply, sessionId: '00000000-0000-4000-8000-000000000000' } })
+    });
+    const { window } = mounted;
+    const key = (target, keyName, options = {}) => target.dispatchEvent(new window.KeyboardEvent('keydown', {
+        key: keyName, bubbles: true, composed: true, cancelable: true, ...options
+    }));
+    return { ...mounted, key };
+}
+
+async function axeViolations(window) {
+    window.eval(axe.source);
+    // Contrast needs rendered colours, which jsdom doesn't compute
+    const results = await window.axe.run(window.document, {
+        runOnly: { type: 'tag', values: WCAG_AA },
+        rules: { 'color-contrast': { enabled: false } }
+    });
+    return [...results.violations].map(violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+test('the widget passes axe WCAG 2.1 AA checks', async (t) => {
+    await t.test('closed', async () => {
+        const { window } = mountWidget();
+        assert.deepEqual(await axeViolations(window), []);
+    });
+
+    await t.test('open, with a call to action, the booking form and the save panel', async () => {
+        const { window, chatbot, $ } = mountWidget();
+        $('#chatbot-toggle').click();
+        chatbot.showLinkCTA('contact', 'ctaContactPrompt', 'ctaContact', 'en');
+        chatbot.showConsultationCTA();
+        chatbot.showLeadForm();
+        chatbot.showExportPanel();
+        assert.deepEqual(await axeViolations(window), []);
+    });
+});
+
+test('the window is a dialog that keeps and returns focus', async (t) => {
+    const { chatbot, $, key } = mountWidget();
+    const toggle = $('#chatbot-toggle');
+    const chatWindow = $('#chatbot-window');
+
+    await t.test('the toggle opens it and focus moves to the input', () => {
+        assert.equal(chatWindow.getAttribute('role'), 'dialog');
+        assert.equal(chatbot.root.getElementById(chatWindow.getAttribute('aria-labelledby')).textContent, 'Linkwave Assistant');
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+
+        toggle.focus();
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(chatbot.root.activeElement, $('#chatbot-input'));
+    });
+
+    await t.test('Tab and Shift+Tab wrap around inside it', () => {
+        const quickAction = $('.quick-action-btn');
+        quickAction.focus();
+        key(quickAction, 'Tab');
+        assert.equal(chatbot.root.activeElement, $('#chatbot-typing'));
+
+        key($('#chatbot-typing'), 'Tab', { shiftKey: true });
+        assert.equal(chatbot.root.activeElement, quickAction);
+    });
+
+    await t.test('Escape closes it and focus returns to the toggle', () => {
+        key(chatbot.root.activeElement, 'Escape');
+        assert.equal(chatbot.isOpen, false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(chatbot.root.activeElement, toggle);
+    });
+});
+
+test('only finished answers are announced', async () => {
+    const { chatbot, $ } = mountWidget({ reply: 'DAS brings **coverage** indoors.' });
+    $('#chatbot-toggle').click();
+    const announcer = $('#chatbot-announcer');
+    assert.equal(announcer.getAttribute('aria-live'), 'polite');
+    assert.equal($('#chatbot-messages').getAttribute('aria-live'), null);
+
+    const sending = chatbot.sendMessage('What is DAS?');
+    await wait(100);
+    const typing = $('.chatbot-message-assistant:last-of-type');
+    assert.equal(typing.getAttribute('aria-busy'), 'true', 'the answer is being typed');
+    assert.equal(announcer.textContent, '');
+
+    await sending;
+    await wait(150);
+    assert.equal(typing.getAttribute('aria-busy'), null);
+    assert.equal(announcer.textContent, 'DAS brings coverage indoors.');
+});
+
+test('the typing effect follows prefers-reduced-motion and the header switch', async () => {
+    const { window, chatbot, $ } = mountWidget({ reducedMotion: true });
+    const typing = $('#chatbot-typing');
+    assert.equal(chatbot.typingEffect, false);
+    assert.equal(typing.getAttribute('aria-pressed'), 'false');
+
+    $('#chatbot-toggle').click();
+    await chatbot.sendMessage('What is DAS?');
+    const answer = [...chatbot.root.querySelectorAll('.chatbot-message-assistant')].pop();
+    assert.equal(answer.textContent, 'Hello', 'shown at once');
+
+    typing.click();
+    assert.equal(typing.getAttribute('aria-pressed'), 'true');
+    assert.equal(window.localStorage.getItem('linkwave_chatbot_typing'), 'on');
+});
+
+test('arrow keys move through the quick replies and call to action buttons', () => {
+    const { chatbot, $, key } = mountWidget();
+    $('#chatbot-toggle').click();
+    const buttons = [...chatbot.root.querySelectorAll('.quick-action-btn')];
+    assert.deepEqual(buttons.map(button => button.tabIndex), [0, -1, -1, -1], 'one tab stop');
+
+    buttons[0].focus();
+    key(buttons[0], 'ArrowRight');
+    assert.equal(chatbot.root.activeElement, buttons[1]);
+    assert.deepEqual(buttons.map(button => button.tabIndex), [-1, 0, -1, -1]);
+    key(buttons[1], 'End');
+    assert.equal(chatbot.root.activeElement, buttons[3]);
+    key(buttons[3], 'ArrowRight');
+    assert.equal(chatbot.root.activeElement, buttons[0], 'wraps around');
+
+    chatbot.showConsultationCTA();
+    const [book, call] = chatbot.root.querySelectorAll('.chatbot-cta .chatbot-cta-btn');
+    book.focus();
+    key(book, 'ArrowRight');
+    assert.equal(chatbot.root.activeElement, call);
+});
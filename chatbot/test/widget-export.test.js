@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const helpers = require('./helpers');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000000';
+const { wait } = helpers;
+
+const HISTORY = [
+    { role: 'user', content: 'DAS or a booster for our 3-storey office? 📡' },
+    {
+        role: 'assistant',
+        content: '## It depends\nA **booster** suits small spaces; see [our services](our_services.html).\n\n1. Survey\n   - Walk test\n2. Design',
+        sources: [{ title: 'Our Services', url: 'our_services.html' }]
+    }
+];
+
+// The built widget with a saved conversation; downloads are recorded, and requests answered by respond()
+function mountWidget({ lang = 'en', history = HISTORY, sessionId = SESSION_ID, respond = () => ({ status: 201, body: { success: true } }) } = {}) {
+    const mounted = helpers.mountWidget({
+        lang,
+        storage: history ? helpers.savedConversation(history, sessionId) : {},
+        respond
+    });
+    const { window } = mounted;
+    const downloads = [];
+    window.URL.createObjectURL = (blob) => {
+        downloads.push({ blob });
+        return `blob:${downloads.length}`;
+    };
+    window.URL.revokeObjectURL = () => {};
+    window.HTMLAnchorElement.prototype.click = function () {
+        downloads[downloads.length - 1].fileName = this.download;
+    };
+    return { ...mounted, downloads };
+}
+
+// jsdom's Blob has no text() or arrayBuffer()
+function readBlob(window, blob) {
+    return new Promise(resolve => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(Buffer.from(reader.result, 'latin1'));
+        reader.readAsBinaryString(blob);
+    });
+}
+
+test('the save button waits for a conversation and opens the save panel', () => {
+    const empty = mountWidget({ history: null });
+    assert.equal(empty.$('#chatbot-export').disabled, true);
+
+    const { chatbot, $ } = mountWidget();
+    $('#chatbot-toggle').click();
+    $('#chatbot-export').click();
+    $('#chatbot-export').click();
+    assert.equal(chatbot.root.querySelectorAll('.chatbot-export-form').length, 1, 'one panel at a time');
+    assert.equal(chatbot.root.activeElement, $('.chatbot-export-form [data-format="markdown"]'));
+
+    $('.chatbot-export-close').click();
+    assert.equal($('.chatbot-export-form'), null);
+    assert.equal(chatbot.root.activeElement, $('#chatbot-input'));
+});
+
+test('Markdown download has the conversation, its sources and the call to action', async () => {
+    const { window, chatbot, downloads } = mountWidget();
+    chatbot.downloadTranscript('markdown');
+
+    const [{ blob, fileName }] = downloads;
+    assert.match(fileName, /^linkwave-conversation-\d{4}-\d{2}-\d{2}\.md$/);
+    const markdown = (await readBlob(window, blob)).toString('utf8');
+    assert.match(markdown, /^# Linkwave Assistant\n\n_Conversation saved .+_\n\n\*\*You:\*\*\n\nDAS or a booster for our 3-storey office\? 📡\n\n/);
+    assert.ok(markdown.includes('**Linkwave Assistant:**\n\n## It depends\nA **booster** suits small spaces'));
+    assert.ok(markdown.includes('Sources: [Our Services](https://example.com/our_services.html)'));
+    assert.ok(markdown.includes('- [Book Consultation](https://example.com/contact_us.html)\n- Call Us: 1-888-859-2673\n- Email: info@linkwavewireless.com'));
+});
+
+test('PDF download is a readable document in the page language', async (t) => {
+    await t.test('with plain text for the formatted answer', async () => {
+        const { window, chatbot, downloads } = mountWidget({ lang: 'fr' });
+        chatbot.downloadTranscript('pdf');
+
+        const [{ blob, fileName }] = downloads;
+        assert.match(fileName, /\.pdf$/);
+        assert.equal(blob.type, 'application/pdf');
+        const { numpages, text } = await pdfParse(new Uint8Array(await readBlob(window, blob)));
+        assert.equal(numpages, 1);
+        const lines = text.trim().split('\n');
+        assert.equal(lines[0], 'Assistant Linkwave');
+        assert.match(lines[1], /^Conversation enregistrée le /);
+        assert.deepEqual(lines.slice(2, 10), [
+            'Vous',
+            'DAS or a booster for our 3-storey office? ',
+            'Assistant Linkwave',
+            'It depends',
+            'A booster suits small spaces; see our services (https://example.com/our_services.html).',
+            '1. Survey',
+            '- Walk test',
+            '2. Design'
+        ]);
+        assert.ok(text.includes('Réserver une consultation: https://example.com/fr/contact_us.html'));
+        assert.ok(text.includes('Appelez-nous : 1-888-859-2673'));
+    });
+
+    await t.test('wrapped and split over pages when long', async () => {
+        const question = { role: 'user', content: 'What does a public safety BDA need? '.repeat(20) };
+        const { window, chatbot, downloads } = mountWidget({ history: Array(20).fill(question) });
+        chatbot.downloadTranscript('pdf');
+
+        const { numpages, text } = await pdfParse(new Uint8Array(await readBlob(window, downloads[0].blob)));
+        assert.ok(numpages > 1, `${numpages} pages`);
+        assert.equal(text.split('\n').filter(line => line === 'You').length, 20);
+    });
+});
+
+test('emailing the transcript', async (t) => {
+    await t.test('sends the session and address, then confirms', async () => {
+        const { chatbot, $, requests } = mountWidget();
+        chatbot.showExportPanel();
+        $('.chatbot-export-form input[name="email"]').value = 'sam@example.com';
+        $('.chatbot-export-form button[type="submit"]').click();
+        await wait(0);
+
+        assert.deepEqual(requests, [{
+            url: 'https://example.com/api/transcripts/email',
+            body: { sessionId: SESSION_ID, email: 'sam@example.com', lang: 'en' }
+        }]);
+        assert.equal($('.chatbot-export-form .chatbot-lead-status').textContent, 'Sent! Check sam@example.com for your conversation.');
+    });
+
+    await t.test('checks the address first', () => {
+        const { chatbot, $, requests } = mountWidget();
+        chatbot.showExportPanel();
+        const input = $('.chatbot-export-form input[name="email"]');
+        input.value = 'sam@';
+        $('.chatbot-export-form button[type="submit"]').click();
+
+        assert.equal(requests.length, 0);
+        assert.equal(input.getAttribute('aria-invalid'), 'true');
+        assert.equal(chatbot.root.activeElement, input);
+    });
+
+    await t.test('suggests downloading once the server has forgotten the conversation', async () => {
+        const { chatbot, $ } = mountWidget({ respond: () => ({ status: 404, body: { error: 'Not found' } }) });
+        chatbot.showExportPanel();
+        $('.chatbot-export-form input[name="email"]').value = 'sam@example.com';
+        $('.chatbot-export-form button[type="submit"]').click();
+        await wait(0);
+
+        const status = $('.chatbot-export-form .chatbot-lead-status');
+        assert.equal(status.textContent, 'This conversation has expired on our server. Please download it instead.');
+        assert.ok(status.classList.contains('chatbot-lead-status-error'));
+    });
+
+    await t.test('says when the conversation was already emailed', async () => {
+        const { chatbot, $ } = mountWidget({ respond: () => ({ status: 409, body: { error: 'Already sent' } }) });
+        chatbot.showExportPanel();
+        $('.chatbot-export-form input[name="email"]').value = 'sam@example.com';
+        $('.chatbot-export-form button[type="submit"]').click();
+        await wait(0);
+
+        assert.equal($('.chatbot-export-form .chatbot-lead-status').textContent, 'This conversation has already been emailed. Please download it instead.');
+    });
+});
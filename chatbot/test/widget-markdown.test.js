@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mountWidget } = require('./helpers');
+
+// The widget's renderer, on a page at https://example.com/
+function loadMarkdown() {
+    const { window, chatbot: { markdown } } = mountWidget();
+    const render = (text) => {
+        const element = window.document.createElement('div');
+        markdown.render(element, text);
+        return element.innerHTML;
+    };
+    return { window, markdown, render };
+}
+
+const { window, markdown, render } = loadMarkdown();
+
+test('renders headings, emphasis, code and line breaks', () => {
+    assert.equal(
+        render('## Coverage\nDAS is *distributed* and _in-building_.\nAsk about `BDA` **units**.'),
+        '<h5>Coverage</h5><p>DAS is <em>distributed</em> and <em>in-building</em>.<br>Ask about <code>BDA</code> <strong>units</strong>.</p>'
+    );
+    assert.equal(render('```\n**not bold** <b>\n```'), '<pre><code>**not bold** &lt;b&gt;</code></pre>');
+    assert.equal(render('> Quoted\n\n---'), '<blockquote><p>Quoted</p></blockquote><hr>');
+    assert.equal(render('snake_case_name and 2 * 3 * 4'), '<p>snake_case_name and 2 * 3 * 4</p>');
+    assert.equal(render('\\*literal\\*'), '<p>*literal*</p>');
+});
+
+test('splits inline numbered lists only when they count up from 1', () => {
+    assert.equal(render('Upgrade to version 2. Then restart.'), '<p>Upgrade to version 2. Then restart.</p>');
+    assert.equal(render('Steps: 1. Survey 2. Design 3. Install'), '<p>Steps:</p><ol><li>Survey</li><li>Design</li><li>Install</li></ol>');
+});
+
+test('renders nested lists and keeps a list together over blank lines', () => {
+    assert.equal(
+        render('1. Plan\n   - Survey\n   - Design\n2. Install\n\n3. Test\nwith the carriers'),
+        '<ol><li>Plan<ul><li>Survey</li><li>Design</li></ul></li><li>Install</li><li>Test<br>with the carriers</li></ol>'
+    );
+    assert.equal(render('- Bell\n- Rogers\n\nAfter the list.'), '<ul><li>Bell</li><li>Rogers</li></ul><p>After the list.</p>');
+    assert.equal(render('3. Commission'), '<ol start="3" style="counter-reset: item 2;"><li>Commission</li></ol>');
+});
+
+test('links: site pages in place, other sites in a new tab, nothing unsafe', async (t) => {
+    await t.test('site pages and phone numbers open in place', () => {
+        assert.equal(render('See [our services](our_services.html#das).'),
+            '<p>See <a href="https://example.com/our_services.html#das">our services</a>.</p>');
+        assert.equal(render('[Call us](tel:1-888-859-2673)'), '<p><a href="tel:1-888-859-2673">Call us</a></p>');
+    });
+
+    await t.test('other sites open in a new tab without access to this one', () => {
+        assert.equal(render('Read https://www.ised-isde.canada.ca/site/spectrum, then **[CRTC](https://crtc.gc.ca)**.'),
+            '<p>Read <a href="https://www.ised-isde.canada.ca/site/spectrum" target="_blank" rel="noopener noreferrer">https://www.ised-isde.canada.ca/site/spectrum</a>, ' +
+            'then <strong><a href="https://crtc.gc.ca/" target="_blank" rel="noopener noreferrer">CRTC</a></strong>.</p>');
+    });
+
+    await t.test('other schemes and raw HTML stay text', () => {
+        assert.equal(render('[click](javascript:alert(1))'), '<p>click</p>');
+        assert.equal(render('[x](data:text/html,hi)'), '<p>x</p>');
+        assert.equal(render('<img src=x onerror="alert(1)"> <a href="#" onclick="steal()">hi</a>'),
+            '<p>&lt;img src=x onerror="alert(1)"&gt; &lt;a href="#" onclick="steal()"&gt;hi&lt;/a&gt;</p>');
+    });
+});
+
+test('streaming renders each prefix like the whole text and keeps finished blocks', () => {
+    const text = '## Plan\nFirst we **survey** the site.\n\n1. Survey\n   - Walk test\n\n2. Design\n\n```\ncode\n\nblock\n```\n\nSee [contact](contact_us.html).';
+    const element = window.document.createElement('div');
+    const update = markdown.stream(element);
+
+    let heading = null;
+    for (let i = 1; i <= text.length; i++) {
+        update(text.slice(0, i));
+        assert.equal(element.innerHTML, render(text.slice(0, i)), `after ${i} characters`);
+        if (i === 40) heading = element.querySelector('h5');
+    }
+    assert.equal(element.querySelector('h5'), heading, 'the finished heading was not rendered again');
+});
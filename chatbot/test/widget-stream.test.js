@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000000';
+const SOURCES = [{ title: 'DAS Solutions', url: 'das.html' }];
+// The server strips citation markers from the streamed text before sending the finished reply
+const STREAMED = 'A DAS brings **signal** indoors [1].';
+const FINISHED = { response: 'A DAS brings **signal** indoors.', sessionId: SESSION_ID, sources: SOURCES };
+
+const { wait } = helpers;
+const windows = [];
+test.after(() => windows.forEach(window => window.close()));
+
+// The built widget with a session, answering from the streaming endpoint with the given chunks.
+// broadcasts records what the widget tells other tabs.
+function mountWidget(stream) {
+    const mounted = helpers.mountWidget({
+        storage: { linkwave_chatbot_session: SESSION_ID, linkwave_chatbot_typing: 'off' },
+        respond: () => ({ stream })
+    });
+    const { window, chatbot } = mounted;
+    windows.push(window);
+    const broadcasts = [];
+    const broadcast = chatbot.broadcast.bind(chatbot);
+    chatbot.broadcast = (message) => {
+        broadcasts.push(message);
+        broadcast(message);
+    };
+    const reply = () => [...chatbot.root.querySelectorAll('.chatbot-message-assistant')].pop();
+    return { ...mounted, broadcasts, reply };
+}
+
+const occurrences = (text, part) => text.split(part).length - 1;
+
+test('a reply sent in one chunk is shown once, as finished', async () => {
+    const { chatbot, broadcasts, reply } = mountWidget([[['token', { delta: STREAMED }], ['done', FINISHED]]]);
+    await chatbot.sendMessage('What is DAS?');
+    // Any frame queued for the streamed text would have run by now
+    await wait(50);
+
+    const message = reply();
+    assert.equal(message.querySelector('p').innerHTML, 'A DAS brings <strong>signal</strong> indoors.');
+    assert.equal(occurrences(message.textContent, 'A DAS brings'), 1);
+    assert.equal(message.querySelectorAll('.chatbot-sources').length, 1);
+    assert.equal(message.lastElementChild.className, 'chatbot-sources');
+    assert.equal(message.hasAttribute('aria-busy'), false);
+    assert.equal(broadcasts.some(message => message.type === 'partial'), false);
+    assert.equal(chatbot.conversationHistory.at(-1).content, FINISHED.response);
+});
+
+test('a reply streamed over several chunks ends as the finished reply', async () => {
+    const { chatbot, reply } = mountWidget([
+        [['token', { delta: 'A DAS brings ' }]],
+        [['token', { delta: '**signal** ' }]],
+        [['token', { delta: 'indoors [1].' }], ['done', FINISHED]]
+    ]);
+    await chatbot.sendMessage('What is DAS?');
+    await wait(50);
+
+    const message = reply();
+    assert.equal(message.querySelector('p').textContent, 'A DAS brings signal indoors.');
+    assert.equal(occurrences(message.textContent, 'A DAS brings'), 1);
+    assert.equal(message.querySelectorAll('.chatbot-sources').length, 1);
+});
+
+test('a stream that ends in an error leaves no partial reply behind', async () => {
+    const { window, chatbot, reply } = mountWidget([
+        [['token', { delta: STREAMED }], ['error', { error: 'Request failed', message: 'Model unavailable' }]]
+    ]);
+    // The widget logs the error it expects here
+    window.console.error = () => {};
+    await chatbot.sendMessage('What is DAS?');
+    await wait(50);
+
+    assert.equal(occurrences(chatbot.root.getElementById('chatbot-messages').textContent, 'A DAS brings'), 0);
+    assert.match(reply().textContent, /trouble connecting|try again/i);
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const SESSION_ID = '00000000-0000-4000-8000-000000000000';
+const REQUEST_ID = '3b2f7c1e-5d4a-4e8b-9c6d-1a2b3c4d5e6f';
+const QUESTION = { role: 'user', content: 'What is DAS?' };
+const ANSWER = { role: 'assistant', content: 'A Distributed Antenna System brings signal indoors.' };
+
+const { wait } = helpers;
+const windows = [];
+test.after(() => windows.forEach(window => window.close()));
+
+// The built widget with localStorage as another tab or the previous page left it, and the typing
+// animation off. Requests are answered by respond(url).
+function mountWidget({ storage = {}, respond = () => ({ body: { response: ANSWER.content, sessionId: SESSION_ID } }), channel = false } = {}) {
+    const mounted = helpers.mountWidget({
+        html: '<!DOCTYPE html><html lang="en"><body><button id="page-button">Page</button></body></html>',
+        storage: { linkwave_chatbot_typing: 'off', linkwave_chatbot_timestamp: String(Date.now()), ...storage },
+        respond,
+        channel
+    });
+    const { window, chatbot } = mounted;
+    windows.push(window);
+    const messages = () => [...chatbot.root.querySelectorAll('.chatbot-message')].map(message => message.textContent.trim());
+    // Change localStorage the way another tab does: the change, then a storage event here
+    const otherTab = (key, value) => {
+        const newValue = value === null ? null : typeof value === 'string' ? value : JSON.stringify(value);
+        if (newValue === null) {
+            window.localStorage.removeItem(key);
+        } else {
+            window.localStorage.setItem(key, newValue);
+        }
+        window.dispatchEvent(new window.StorageEvent('storage', { key, newValue }));
+    };
+    return { ...mounted, messages, otherTab };
+}
+
+test('messages from another tab are added to the conversation', () => {
+    const { chatbot, messages, otherTab } = mountWidget({
+        storage: { linkwave_chatbot_history: [QUESTION, ANSWER], linkwave_chatbot_session: SESSION_ID }
+    });
+    const first = chatbot.root.querySelector('.chatbot-message');
+
+    otherTab('linkwave_chatbot_history', [QUESTION, ANSWER, { role: 'user', content: 'And a booster?' }]);
+    assert.deepEqual(messages(), ['What is DAS?', ANSWER.content, 'And a booster?']);
+    assert.equal(chatbot.root.querySelector('.chatbot-message'), first, 'earlier messages stay in place');
+
+    // A new chat in the other tab starts over here too
+    otherTab('linkwave_chatbot_history', null);
+    assert.equal(messages().length, 1);
+    assert.match(messages()[0], /^Hello! I'm your Linkwave assistant/);
+    assert.equal(chatbot.root.getElementById('chatbot-new-chat').disabled, true);
+});
+
+test('the window opens and closes with the other tabs and stays open on the next page', () => {
+    const { window, chatbot, $, otherTab } = mountWidget();
+    window.document.getElementById('page-button').focus();
+
+    otherTab('linkwave_chatbot_open', 'true');
+    assert.equal(chatbot.isOpen, true);
+    assert.equal($('#chatbot-toggle').getAttribute('aria-expanded'), 'true');
+    assert.equal(window.document.activeElement.id, 'page-button', 'focus stays on this page');
+
+    otherTab('linkwave_chatbot_open', null);
+    assert.equal(chatbot.isOpen, false);
+
+    const next = mountWidget({ storage: { linkwave_chatbot_open: 'true' } });
+    assert.equal(next.chatbot.isOpen, true);
+    assert.equal(next.chatbot.root.activeElement, null);
+    next.$('#chatbot-close').click();
+    assert.equal(next.window.localStorage.getItem('linkwave_chatbot_open'), null);
+});
+
+test('replies that come in while the window is closed are counted on the toggle', async () => {
+    const { window, chatbot, $, otherTab } = mountWidget({ storage: { linkwave_chatbot_session: SESSION_ID } });
+    const badge = $('#chatbot-unread');
+    assert.equal(badge.hidden, true);
+
+    await chatbot.sendMessage('What is DAS?');
+    assert.equal(badge.hidden, false);
+    assert.equal($('.chatbot-unread-count').textContent, '1');
+    assert.equal(badge.querySelector('.chatbot-sr-only').textContent, '1 new reply');
+    assert.match($('#chatbot-toggle').textContent, /Chat with us\s+1\s+1 new reply/);
+
+    // Another tab's reply
+    otherTab('linkwave_chatbot_unread', '2');
+    assert.equal(badge.querySelector('.chatbot-sr-only').textContent, '2 new replies');
+
+    $('#chatbot-toggle').click();
+    assert.equal(badge.hidden, true);
+    assert.equal(window.localStorage.getItem('linkwave_chatbot_unread'), null);
+});
+
+test('a reply asked for on the previous page is collected from the server', async (t) => {
+    await t.test('showing the text as it is written', async () => {
+        const replies = [
+            { body: { status: 'pending', response: 'A Distributed Antenna' } },
+            { body: { status: 'done', response: ANSWER.content, sessionId: SESSION_ID, followUps: ['How much does DAS cost?'] } }
+        ];
+        const { window, chatbot, $, messages, requests } = mountWidget({
+            storage: {
+                linkwave_chatbot_history: [QUESTION],
+                linkwave_chatbot_session: SESSION_ID,
+                linkwave_chatbot_pending: { requestId: REQUEST_ID, startedAt: Date.now(), orphaned: true }
+            },
+            respond: () => replies.shift()
+        });
+        assert.ok($('.chatbot-message-typing'));
+        assert.equal($('#chatbot-input').disabled, true);
+
+        await wait(10);
+        assert.equal(requests[0].url, `https://example.com/api/chat/sessions/${SESSION_ID}/requests/${REQUEST_ID}`);
+        assert.deepEqual(messages(), ['What is DAS?', 'A Distributed Antenna']);
+        assert.equal($('.chatbot-message-typing'), null);
+
+        await wait(1100);
+        assert.deepEqual(messages(), ['What is DAS?', ANSWER.content]);
+        assert.equal($('#chatbot-input').disabled, false);
+        assert.equal($('.quick-action-btn').textContent, 'How much does DAS cost?');
+        assert.equal(chatbot.conversationHistory[1].requestId, REQUEST_ID);
+        assert.equal(window.localStorage.getItem('linkwave_chatbot_history'), JSON.stringify(chatbot.conversationHistory));
+        assert.equal(window.localStorage.getItem('linkwave_chatbot_pending'), null);
+    });
+
+    await t.test('or saying it was lost when the server no longer has it', async () => {
+        const { window, $, messages } = mountWidget({
+            storage: {
+                linkwave_chatbot_history: [QUESTION],
+                linkwave_chatbot_session: SESSION_ID,
+                linkwave_chatbot_pending: { requestId: REQUEST_ID, startedAt: Date.now(), orphaned: true }
+            },
+            respond: () => ({ status: 404, body: { error: 'Not found' } })
+        });
+        await wait(10);
+
+        assert.deepEqual(messages(), ['What is DAS?', 'Sorry, the answer to your last question was interrupted. Please ask again.']);
+        assert.equal($('#chatbot-input').disabled, false);
+        assert.equal(window.localStorage.getItem('linkwave_chatbot_pending'), null);
+    });
+
+    await t.test('but not once it is too old', () => {
+        const { window, $, requests } = mountWidget({
+            storage: {
+                linkwave_chatbot_history: [QUESTION],
+                linkwave_chatbot_session: SESSION_ID,
+                linkwave_chatbot_pending: { requestId: REQUEST_ID, startedAt: Date.now() - 5 * 60 * 1000, orphaned: true }
+            }
+        });
+        assert.equal($('.chatbot-message-typing'), null);
+        assert.equal(requests.length, 0);
+        assert.equal(window.localStorage.getItem('linkwave_chatbot_pending'), null);
+    });
+});
+
+test('leaving the page mid-reply hands the request on', async () => {
+    const { window, chatbot, requests } = mountWidget({
+        storage: { linkwave_chatbot_session: SESSION_ID },
+        respond: () => null
+    });
+    chatbot.sendMessage('What is DAS?');
+    await wait(0);
+
+    const { requestId } = requests[0].body;
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    assert.deepEqual(
+        { ...JSON.parse(window.localStorage.getItem('linkwave_chatbot_pending')), startedAt: 0 },
+        { requestId, startedAt: 0 }
+    );
+
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(JSON.parse(window.localStorage.getItem('linkwave_chatbot_pending')).orphaned, true);
+});
+
+test('a reply another tab is waiting for is shown here as it is written', async () => {
+    const { chatbot, $, messages, requests, otherTab } = mountWidget({
+        storage: { linkwave_chatbot_history: [QUESTION], linkwave_chatbot_session: SESSION_ID },
+        channel: true
+    });
+    const tab = new BroadcastChannel('linkwave_chatbot');
+
+    try {
+        otherTab('linkwave_chatbot_pending', { requestId: REQUEST_ID, startedAt: Date.now() });
+        assert.ok($('.chatbot-message-typing'));
+        assert.equal($('#chatbot-input').disabled, true);
+
+        tab.postMessage({ type: 'partial', requestId: REQUEST_ID, text: 'A **Distributed**' });
+        await wait(20);
+        assert.equal(chatbot.root.querySelector('.chatbot-message-assistant[aria-busy] strong').textContent, 'Distributed');
+
+        otherTab('linkwave_chatbot_history', [QUESTION, { ...ANSWER, requestId: REQUEST_ID }]);
+        otherTab('linkwave_chatbot_pending', null);
+        assert.deepEqual(messages(), ['What is DAS?', ANSWER.content]);
+        assert.equal($('#chatbot-input').disabled, false);
+        assert.equal(requests.length, 0, 'the other tab collected it');
+    } finally {
+        tab.close();
+        chatbot.destroy();
+    }
+});
@@ -0,0 +1,150 @@
+// Interface strings for the site scripts (contact form, careers and project filters, job applications, site search, case studies,
+// DAS calculator)
+// The language comes from <html lang>, which build-i18n sets on the fr/ pages.
+// Load before script.js and job-application.js.
+window.LinkwaveI18n = (function() {
+    // Plural messages are keyed by Intl.PluralRules category ('one', 'other')
+    const MESSAGES = {
+        en: {
+            'form.fixFields': 'Please fix the highlighted fields.',
+            'form.checkField': 'Please check this field',
+            'form.nameRequired': 'Please enter your name',
+            'form.emailRequired': 'Please enter your email',
+            'form.emailInvalid': 'Enter a valid email address',
+            'contact.subjectRequired': 'Please enter a subject',
+            'contact.messageRequired': 'Please enter a message',
+            'contact.sending': 'Sending...',
+            'contact.sent': 'Sent!',
+            'contact.success': 'Thanks for reaching out! Our team will get back to you within one business day.',
+            'contact.failed': 'We could not send your message. Please try again later.',
+            'contact.offline': 'We could not reach our server. Please email info@linkwavewireless.com or call 1-888-859-2673.',
+            'careers.openPositions': { one: '{count} open position', other: '{count} open positions' },
+            'projects.count': { one: '{count} project', other: '{count} projects' },
+            'caseStudy.loading': 'Loading the case study…',
+            'caseStudy.failed': "The case study couldn't be shown here. Open the PDF with the link below.",
+            'caseStudy.page': 'Case study, page {page} of {count}',
+            'gallery.close': 'Close photo',
+            'das.passive': 'Passive DAS',
+            'das.active': 'Active DAS',
+            'das.passiveReason': 'One amplifier feeding coax and splitters can reach every antenna.',
+            'das.powerReason': 'Feeding every antenna over coax would take {power} dBm from one amplifier, more than a passive system delivers.',
+            'das.areaReason': 'Buildings over {area} sq ft usually cost less to cover with remote units on fibre.',
+            'das.invalid': 'Enter an area of 1,000 to 5,000,000 sq ft, 1 to 150 floors and a target signal from -120 to -70 dBm.',
+            'das.antennas': '{count} ({perFloor} per floor)',
+            'das.area': '{area} sq ft',
+            'das.donor': '{rsrp} dBm RSRP or stronger',
+            'das.subject': 'DAS coverage estimate',
+            'das.chat': 'From your DAS calculator: {area} sq ft on {floors} floors, {material}, {band}, target {rsrp} dBm. Estimate: {system}, about {antennas} antennas. What would you recommend?',
+            'application.phoneRequired': 'Please enter your phone number',
+            'application.addressRequired': 'Please enter your street address',
+            'application.cityRequired': 'Please enter your city',
+            'application.provinceRequired': 'Please enter your province or state',
+            'application.postalRequired': 'Please enter your postal code',
+            'application.countryRequired': 'Please select your country',
+            'application.coverLetterRequired': 'Please write a short cover letter',
+            'application.linkedinRequired': 'Please enter your LinkedIn profile URL',
+            'application.linkedinInvalid': 'Enter a valid LinkedIn profile URL',
+            'application.resumeRequired': 'Please attach your resume',
+            'application.resumeType': 'Resume must be a PDF, DOC or DOCX file',
+            'application.resumeSize': 'Resume must be {size} MB or smaller',
+            'application.uploading': 'Uploading...',
+            'application.processing': 'Processing...',
+            'application.success': 'Thank you! Your application has been received. Our HR team will be in touch if your profile is a match.',
+            'application.failed': 'We could not submit your application. Please try again later.',
+            'application.timeout': 'The upload took too long. Please check your connection and try again.',
+            'application.offline': 'We could not reach our server. Please try again or email your application to hr@linkwavewireless.com.',
+            'search.label': 'Search the site',
+            'search.placeholder': 'Search pages, FAQ and projects',
+            'search.close': 'Close search',
+            'search.results': { one: '{count} result', other: '{count} results' },
+            'search.noResults': 'No results for "{query}"',
+            'search.failed': 'Search is unavailable right now. Please try again later.',
+            'search.type.page': 'Page',
+            'search.type.faq': 'FAQ',
+            'search.type.project': 'Project'
+        },
+        fr: {
+            'form.fixFields': 'Veuillez corriger les champs indiqués.',
+            'form.checkField': 'Veuillez vérifier ce champ',
+            'form.nameRequired': 'Veuillez entrer votre nom',
+            'form.emailRequired': 'Veuillez entrer votre courriel',
+            'form.emailInvalid': 'Entrez une adresse courriel valide',
+            'contact.subjectRequired': 'Veuillez entrer un objet',
+            'contact.messageRequired': 'Veuillez entrer un message',
+            'contact.sending': 'Envoi...',
+            'contact.sent': 'Envoyé!',
+            'contact.success': 'Merci de nous avoir écrit! Notre équipe vous répondra d\'ici un jour ouvrable.',
+            'contact.failed': 'Nous n\'avons pas pu envoyer votre message. Veuillez réessayer plus tard.',
+            'contact.offline': 'Nous n\'avons pas pu joindre notre serveur. Écrivez à info@linkwavewireless.com ou appelez le 1-888-859-2673.',
+            'careers.openPositions': { one: '{count} poste ouvert', other: '{count} postes ouverts' },
+            'projects.count': { one: '{count} projet', other: '{count} projets' },
+            'caseStudy.loading': "Chargement de l'étude de cas…",
+            'caseStudy.failed': "L'étude de cas ne peut pas s'afficher ici. Ouvrez le PDF avec le lien ci-dessous.",
+            'caseStudy.page': 'Étude de cas, page {page} sur {count}',
+            'gallery.close': 'Fermer la photo',
+            'das.passive': 'DAS passif',
+            'das.active': 'DAS actif',
+            'das.passiveReason': 'Un seul amplificateur alimentant le câble coaxial et les répartiteurs peut atteindre chaque antenne.',
+            'das.powerReason': 'Alimenter chaque antenne par câble coaxial demanderait {power} dBm à un seul amplificateur, plus que ce que fournit un système passif.',
+            'das.areaReason': 'Au-delà de {area} pi², il coûte généralement moins cher de couvrir un bâtiment avec des unités distantes sur fibre.',
+            'das.invalid': 'Entrez une superficie de 1 000 à 5 000 000 pi², de 1 à 150 étages et un signal cible de -120 à -70 dBm.',
+            'das.antennas': '{count} ({perFloor} par étage)',
+            'das.area': '{area} pi²',
+            'das.donor': '{rsrp} dBm RSRP ou plus fort',
+            'das.subject': 'Estimation de couverture DAS',
+            'das.chat': 'Selon votre calculateur DAS : {area} pi² sur {floors} étages, {material}, {band}, cible de {rsrp} dBm. Estimation : {system}, environ {antennas} antennes. Que recommandez-vous?',
+            'application.phoneRequired': 'Veuillez entrer votre numéro de téléphone',
+            'application.addressRequired': 'Veuillez entrer votre adresse',
+            'application.cityRequired': 'Veuillez entrer votre ville',
+            'application.provinceRequired': 'Veuillez entrer votre province ou État',
+            'application.postalRequired': 'Veuillez entrer votre code postal',
+            'application.countryRequired': 'Veuillez choisir votre pays',
+            'application.coverLetterRequired': 'Veuillez rédiger une courte lettre de présentation',
+            'application.linkedinRequired': 'Veuillez entrer l\'URL de votre profil LinkedIn',
+            'application.linkedinInvalid': 'Entrez une URL de profil LinkedIn valide',
+            'application.resumeRequired': 'Veuillez joindre votre CV',
+            'application.resumeType': 'Le CV doit être un fichier PDF, DOC ou DOCX',
+            'application.resumeSize': 'Le CV ne doit pas dépasser {size} Mo',
+            'application.uploading': 'Téléversement...',
+            'application.processing': 'Traitement...',
+            'application.success': 'Merci! Votre candidature a bien été reçue. Notre équipe des RH communiquera avec vous si votre profil correspond.',
+            'application.failed': 'Nous n\'avons pas pu soumettre votre candidature. Veuillez réessayer plus tard.',
+            'application.timeout': 'Le téléversement a pris trop de temps. Vérifiez votre connexion et réessayez.',
+            'application.offline': 'Nous n\'avons pas pu joindre notre serveur. Réessayez ou envoyez votre candidature à hr@linkwavewireless.com.',
+            'search.label': 'Rechercher dans le site',
+            'search.placeholder': 'Rechercher pages, FAQ et projets',
+            'search.close': 'Fermer la recherche',
+            'search.results': { one: '{count} résultat', other: '{count} résultats' },
+            'search.noResults': 'Aucun résultat pour « {query} »',
+            'search.failed': 'La recherche est indisponible pour le moment. Veuillez réessayer plus tard.',
+            'search.type.page': 'Page',
+            'search.type.faq': 'FAQ',
+            'search.type.project': 'Projet'
+        }
+    };
+
+    const pageLang = (document.documentElement.lang || 'en').toLowerCase().split('-')[0];
+    const lang = MESSAGES[pageLang] ? pageLang : 'en';
+    const pluralRules = new Intl.PluralRules(lang);
+
+    // t('careers.openPositions', { count: 3 }) -> "3 open positions"
+    function t(key, params = {}) {
+        let message = MESSAGES[lang][key] || MESSAGES.en[key] || key;
+        if (typeof message === 'object') {
+            message = message[pluralRules.select(params.count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // The form APIs answer in English; translated pages show their own wording instead
+    function serverMessage(message, fallbackKey) {
+        return lang === 'en' && message ? message : t(fallbackKey);
+    }
+
+    function serverFieldErrors(fields) {
+        if (lang === 'en' || !fields) return fields;
+        return Object.fromEntries(Object.keys(fields).map(name => [name, t('form.checkField')]));
+    }
+
+    return { lang, t, serverMessage, serverFieldErrors };
+})();
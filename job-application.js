@@ -0,0 +1,174 @@
+// Careers application form - shared by every page in careers/
+// Uploads the form and resume to the chatbot server's /api/applications
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('jobApplicationForm');
+    if (!form) return;
+
+    const applicationsApiUrl = window.APPLICATIONS_API_URL || (
+        window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+            ? 'http://localhost:3000/api/applications'
+            : '/api/applications'
+    );
+
+    // Keep in sync with APPLICATION_MAX_FILE_MB on the server
+    const MAX_RESUME_BYTES = 10 * 1024 * 1024;
+    const RESUME_EXTENSIONS = ['.pdf', '.doc', '.docx'];
+
+    // Interface strings in the page's language, from i18n.js
+    const i18n = window.LinkwaveI18n;
+    const t = i18n.t;
+
+    const submitBtn = form.querySelector('.application-submit-btn');
+    const submitLabel = submitBtn.querySelector('span');
+    const originalLabel = submitLabel.textContent;
+
+    const status = document.createElement('p');
+    status.className = 'application-status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+
+    const progress = document.createElement('progress');
+    progress.className = 'application-progress';
+    progress.max = 100;
+    progress.value = 0;
+    progress.hidden = true;
+
+    submitBtn.insertAdjacentElement('afterend', status);
+    submitBtn.insertAdjacentElement('afterend', progress);
+
+    function showStatus(type, message) {
+        status.className = `application-status${type ? ` application-status-${type}` : ''}`;
+        status.textContent = message;
+    }
+
+    function showFieldErrors(fields) {
+        form.querySelectorAll('.form-field-error').forEach(el => el.remove());
+        form.querySelectorAll('[aria-invalid]').forEach(el => {
+            el.removeAttribute('aria-invalid');
+            el.removeAttribute('aria-describedby');
+        });
+
+        Object.keys(fields || {}).forEach(name => {
+            const input = form.querySelector(`[name="${name}"]`);
+            if (!input) return;
+            const error = document.createElement('span');
+            error.className = 'form-field-error';
+            error.id = `${input.id || name}-error`;
+            error.textContent = fields[name];
+            // Errors go at the bottom of the field's group so grouped inputs stay together
+            (input.closest('.form-group') || input.parentElement).appendChild(error);
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', error.id);
+        });
+
+        const firstInvalid = form.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) firstInvalid.focus();
+    }
+
+    // Mirrors the server rules so most mistakes are caught before uploading
+    function validate(formData, resumeFile) {
+        const fields = {};
+        const required = {
+            name: t('form.nameRequired'),
+            email: t('form.emailRequired'),
+            phone: t('application.phoneRequired'),
+            address: t('application.addressRequired'),
+            city: t('application.cityRequired'),
+            province: t('application.provinceRequired'),
+            postal: t('application.postalRequired'),
+            country: t('application.countryRequired'),
+            coverLetter: t('application.coverLetterRequired'),
+            linkedin: t('application.linkedinRequired')
+        };
+
+        Object.keys(required).forEach(name => {
+            if (!(formData.get(name) || '').trim()) fields[name] = required[name];
+        });
+
+        const email = (formData.get('email') || '').trim();
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            fields.email = t('form.emailInvalid');
+        }
+
+        const linkedin = (formData.get('linkedin') || '').trim();
+        if (linkedin && !/linkedin\.com\//i.test(linkedin)) {
+            fields.linkedin = t('application.linkedinInvalid');
+        }
+
+        if (!resumeFile) {
+            fields.resume = t('application.resumeRequired');
+        } else if (!RESUME_EXTENSIONS.some(ext => resumeFile.name.toLowerCase().endsWith(ext))) {
+            fields.resume = t('application.resumeType');
+        } else if (resumeFile.size > MAX_RESUME_BYTES) {
+            fields.resume = t('application.resumeSize', { size: MAX_RESUME_BYTES / 1024 / 1024 });
+        }
+
+        return fields;
+    }
+
+    function setSubmitting(submitting) {
+        submitBtn.disabled = submitting;
+        submitLabel.textContent = submitting ? t('application.uploading') : originalLabel;
+        progress.hidden = !submitting;
+        progress.value = 0;
+    }
+
+    // XMLHttpRequest rather than fetch so we can report upload progress
+    function upload(formData) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', applicationsApiUrl);
+            xhr.responseType = 'json';
+            xhr.timeout = 120000;
+
+            xhr.upload.addEventListener('progress', function(e) {
+                if (e.lengthComputable) {
+                    progress.value = Math.round((e.loaded / e.total) * 100);
+                    if (progress.value === 100) submitLabel.textContent = t('application.processing');
+                }
+            });
+            xhr.addEventListener('load', () => resolve({ status: xhr.status, body: xhr.response || {} }));
+            xhr.addEventListener('error', () => reject(new Error('network')));
+            xhr.addEventListener('timeout', () => reject(new Error('timeout')));
+
+            xhr.send(formData);
+        });
+    }
+
+    form.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const formData = new FormData(form);
+        const resumeFile = form.querySelector('input[name="resume"]').files[0];
+
+        const fieldErrors = validate(formData, resumeFile);
+        showFieldErrors(fieldErrors);
+        if (Object.keys(fieldErrors).length > 0) {
+            showStatus('error', t('form.fixFields'));
+            return;
+        }
+
+        setSubmitting(true);
+        showStatus(null, '');
+
+        try {
+            const { status: httpStatus, body } = await upload(formData);
+
+            if (httpStatus === 201) {
+                form.reset();
+                showStatus('success', t('application.success'));
+                return;
+            }
+
+            if (body.fields) showFieldErrors(i18n.serverFieldErrors(body.fields));
+            showStatus('error', i18n.serverMessage(body.message, body.fields ? 'form.fixFields' : 'application.failed'));
+        } catch (error) {
+            console.error('Application upload error:', error);
+            showStatus('error', error.message === 'timeout'
+                ? t('application.timeout')
+                : t('application.offline'));
+        } finally {
+            setSubmitting(false);
+        }
+    });
+});
@@ -8,6 +8,18 @@ window.addEventListener('load', function() {
     window.scrollTo(0, 0);
 });
 
+// Smooth scroll to a section, leaving room for the fixed header
+function scrollToSection(targetSection) {
+    const headerOffset = 100;
+    const elementPosition = targetSection.getBoundingClientRect().top;
+    const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+
+    window.scrollTo({
+        top: offsetPosition,
+        behavior: 'smooth'
+    });
+}
+
 // Smooth scrolling for navigation links
 document.addEventListener('DOMContentLoaded', function() {
     // Ensure page is at top when DOM is ready
@@ -36,19 +48,11 @@ document.addEventListener('DOMContentLoaded', function() {
         window.scrollTo(0, 0);
         
         // Then scroll to target after page fully loads and renders
-        const targetId = window.location.hash;
-        const targetSection = document.querySelector(targetId);
+        const targetSection = document.getElementById(window.location.hash.slice(1));
         if (targetSection) {
             // Wait for page to fully render, then scroll smoothly to target
             setTimeout(() => {
-                const headerOffset = 100; // Account for fixed header
-                const elementPosition = targetSection.getBoundingClientRect().top;
-                const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-
-                window.scrollTo({
-                    top: offsetPosition,
-                    behavior: 'smooth'
-                });
+                scrollToSection(targetSection);
             }, 800); // Delay to let user see the top of the page first
         }
     }
@@ -411,36 +415,216 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
-    // Form submission handling
-    const contactForm = document.querySelector('.contact-form');
-    if (contactForm) {
-        contactForm.addEventListener('submit', function(e) {
+    // Interface strings in the page's language, from i18n.js
+    const i18n = window.LinkwaveI18n;
+    const t = i18n.t;
+
+    // Contact form submission - posts to the chatbot server's /api/contact
+    const contactApiUrl = window.CONTACT_API_URL || (
+        window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+            ? 'http://localhost:3000/api/contact'
+            : '/api/contact'
+    );
+    const contactForms = document.querySelectorAll('form.contact-form, .contact-form form');
+
+    function showContactFieldErrors(form, fields) {
+        form.querySelectorAll('.form-field-error').forEach(el => el.remove());
+        form.querySelectorAll('[aria-invalid]').forEach(el => {
+            el.removeAttribute('aria-invalid');
+            el.removeAttribute('aria-describedby');
+        });
+
+        Object.keys(fields || {}).forEach(name => {
+            const input = form.querySelector(`[name="${name}"]`);
+            if (!input) return;
+            const error = document.createElement('span');
+            error.className = 'form-field-error';
+            error.id = `${input.id || name}-error`;
+            error.textContent = fields[name];
+            input.insertAdjacentElement('afterend', error);
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', error.id);
+        });
+
+        const firstInvalid = form.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) firstInvalid.focus();
+    }
+
+    function showContactStatus(form, type, message) {
+        let status = form.querySelector('.form-status');
+        if (!status) {
+            status = document.createElement('p');
+            status.className = 'form-status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+            form.appendChild(status);
+        }
+        status.className = `form-status${type ? ` form-status-${type}` : ''}`;
+        status.textContent = message;
+    }
+
+    // Mirrors the server rules so most mistakes are caught without a round trip
+    function validateContactForm(data) {
+        const fields = {};
+        if (!data.name) fields.name = t('form.nameRequired');
+        if (!data.email) {
+            fields.email = t('form.emailRequired');
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+            fields.email = t('form.emailInvalid');
+        }
+        if (!data.subject) fields.subject = t('contact.subjectRequired');
+        if (!data.message) fields.message = t('contact.messageRequired');
+        return fields;
+    }
+
+    contactForms.forEach(form => {
+        form.addEventListener('submit', async function(e) {
             e.preventDefault();
-            
+
+            const formData = new FormData(this);
+            const data = {
+                name: (formData.get('name') || '').trim(),
+                email: (formData.get('email') || '').trim(),
+                subject: (formData.get('subject') || '').trim(),
+                message: (formData.get('message') || '').trim(),
+                website: formData.get('website') || '',
+                page: window.location.pathname
+            };
+
+            const fieldErrors = validateContactForm(data);
+            showContactFieldErrors(this, fieldErrors);
+            if (Object.keys(fieldErrors).length > 0) {
+                showContactStatus(this, 'error', t('form.fixFields'));
+                return;
+            }
+
             // Add loading state
             const submitBtn = this.querySelector('.form-submit');
             const originalText = submitBtn.innerHTML;
-            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+            submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${t('contact.sending')}`;
             submitBtn.disabled = true;
-            
-            // Simulate form submission
-            setTimeout(() => {
-                submitBtn.innerHTML = '<i class="fas fa-check"></i> Sent!';
+            showContactStatus(this, null, '');
+
+            try {
+                const response = await fetch(contactApiUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(data)
+                });
+                const result = await response.json().catch(() => ({}));
+
+                if (!response.ok) {
+                    if (result.fields) showContactFieldErrors(this, i18n.serverFieldErrors(result.fields));
+                    throw new Error(i18n.serverMessage(result.message, result.fields ? 'form.fixFields' : 'contact.failed'));
+                }
+
+                submitBtn.innerHTML = `<i class="fas fa-check"></i> ${t('contact.sent')}`;
                 submitBtn.style.background = '#10B981';
                 submitBtn.style.borderColor = '#10B981';
-                
+                submitBtn.style.color = 'white';
+                showContactStatus(this, 'success', t('contact.success'));
+                this.reset();
+
                 setTimeout(() => {
                     submitBtn.innerHTML = originalText;
                     submitBtn.style.background = '';
                     submitBtn.style.borderColor = '';
+                    submitBtn.style.color = '';
                     submitBtn.disabled = false;
-                    this.reset();
-                }, 2000);
-            }, 1500);
+                }, 3000);
+            } catch (error) {
+                console.error('Contact form error:', error);
+                submitBtn.innerHTML = originalText;
+                submitBtn.disabled = false;
+                showContactStatus(this, 'error', error instanceof TypeError
+                    ? t('contact.offline')
+                    : error.message);
+            }
         });
+    });
+
+
+
+    // Careers page filters - cards carry data-location and data-type from build-careers
+    const jobFilters = document.querySelectorAll('[data-job-filter]');
+    if (jobFilters.length > 0) {
+        const jobCards = document.querySelectorAll('.job-cards-grid .job-card');
+        const jobCount = document.querySelector('.job-filters-count');
+        const jobEmpty = document.querySelector('.job-filters-empty');
+
+        const applyJobFilters = () => {
+            const active = {};
+            jobFilters.forEach(select => {
+                if (select.value) active[select.dataset.jobFilter] = select.value;
+            });
+
+            let visible = 0;
+            jobCards.forEach(card => {
+                const matches = Object.keys(active).every(key => card.dataset[key] === active[key]);
+                card.hidden = !matches;
+                if (matches) visible++;
+            });
+
+            if (jobCount) jobCount.textContent = t('careers.openPositions', { count: visible });
+            if (jobEmpty) jobEmpty.hidden = visible > 0;
+        };
+
+        jobFilters.forEach(select => select.addEventListener('change', applyJobFilters));
     }
 
+    // Projects page chips and sort - cards carry data-vertical, data-technology (a list),
+    // data-region and data-year from build-projects; one chip per group is pressed
+    const projectChips = document.querySelectorAll('[data-project-filter]');
+    const projectList = document.querySelector('.project-list');
+    if (projectChips.length > 0 && projectList) {
+        const projectCards = Array.from(projectList.querySelectorAll('.project-section'));
+        const projectSort = document.querySelector('[data-project-sort]');
+        const projectCount = document.querySelector('.project-filters-count');
+        const projectEmpty = document.querySelector('.project-filters-empty');
+        const titleOf = card => card.querySelector('.project-title').textContent.trim();
+
+        const sorters = {
+            featured: () => 0,
+            name: (a, b) => titleOf(a).localeCompare(titleOf(b), document.documentElement.lang),
+            // Projects without a year go last
+            year: (a, b) => (Number(b.dataset.year) || 0) - (Number(a.dataset.year) || 0)
+        };
+
+        const applyProjectFilters = () => {
+            const active = {};
+            projectChips.forEach(chip => {
+                if (chip.getAttribute('aria-pressed') === 'true' && chip.dataset.value) {
+                    active[chip.dataset.projectFilter] = chip.dataset.value;
+                }
+            });
+
+            const sorted = projectCards.slice().sort(sorters[projectSort ? projectSort.value : 'featured'] || sorters.featured);
+            let visible = 0;
+            sorted.forEach(card => {
+                const matches = Object.keys(active).every(key => card.dataset[key].split(' ').includes(active[key]));
+                card.hidden = !matches;
+                projectList.appendChild(card);
+                if (!matches) return;
+                // Keep images alternating sides across the cards left showing
+                card.classList.toggle('project-section--left', visible % 2 === 0);
+                card.classList.toggle('project-section--right', visible % 2 === 1);
+                visible++;
+            });
+
+            if (projectCount) projectCount.textContent = t('projects.count', { count: visible });
+            if (projectEmpty) projectEmpty.hidden = visible > 0;
+        };
 
+        projectChips.forEach(chip => chip.addEventListener('click', () => {
+            projectChips.forEach(other => {
+                if (other.dataset.projectFilter === chip.dataset.projectFilter) {
+                    other.setAttribute('aria-pressed', String(other === chip));
+                }
+            });
+            applyProjectFilters();
+        }));
+        if (projectSort) projectSort.addEventListener('change', applyProjectFilters);
+    }
 
     // Button hover effects with ripple
     const buttons = document.querySelectorAll('button');
@@ -701,6 +885,811 @@ function initFAQAccordion() {
             }
         });
     });
+
+    // Links to an entry (faq.html#faq-wifi-survey, as the chatbot cites them) open it
+    const openLinkedItem = () => {
+        const item = window.location.hash && document.getElementById(window.location.hash.slice(1));
+        const question = item && item.classList.contains('faq-item') && item.querySelector('.faq-question');
+        if (question && !question.classList.contains('active')) {
+            question.click();
+        }
+    };
+    openLinkedItem();
+    window.addEventListener('hashchange', openLinkedItem);
+}
+
+// Site search: the header's search buttons open an overlay that matches the visitor's words
+// against search-index.json (built by npm run build-search) for the page's language
+const SEARCH_ROOT_URL = new URL('.', (document.currentScript && document.currentScript.src) || window.location.href);
+const SEARCH_MAX_RESULTS = 8;
+const SEARCH_SNIPPET_LENGTH = 160;
+
+// Lowercase without accents, one character per character so match positions fit the original text
+function foldSearchText(text) {
+    let folded = '';
+    for (let i = 0; i < text.length; i++) {
+        folded += text[i].normalize('NFD').charAt(0).toLowerCase().charAt(0);
+    }
+    return folded;
+}
+
+// Words of a folded text; hyphenated words also count whole, so "wifi" finds "Wi-Fi"
+function searchWords(folded) {
+    return (folded.match(/[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu) || []).flatMap(word => {
+        const parts = word.split('-');
+        return parts.length > 1 ? [...parts, parts.join('')] : parts;
+    });
+}
+
+// True when a and b differ by at most one inserted, removed or replaced letter. A copy of
+// chatbot/lib/faq.js's, so the chatbot and the search box forgive the same typos.
+function withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else {
+            i++;
+            j++;
+        }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// How well one query term matches a list of words: whole word, start of a word
+// (so results follow the typing), or a word with one typo
+function matchSearchTerm(term, words) {
+    let best = { score: 0, word: null };
+    words.forEach(word => {
+        let score = 0;
+        if (word === term) score = 1;
+        else if (word.startsWith(term)) score = 0.8;
+        else if (term.length >= 4 && withinOneEdit(term, word)) score = 0.6;
+        if (score > best.score) best = { score, word };
+    });
+    return best;
+}
+
+// Entries have to match at least half of the terms and rank by how many they match, then by
+// how well; title matches count three times as much as text matches
+function scoreSearchEntry(entry, terms, foldedQuery) {
+    let score = 0;
+    let found = 0;
+    const matched = new Set();
+    terms.forEach(term => {
+        const inTitle = matchSearchTerm(term, entry.titleWords);
+        const inText = matchSearchTerm(term, entry.textWords);
+        if (!inTitle.word && !inText.word) return;
+        found += 1;
+        score += Math.max(inTitle.score * 3, inText.score);
+        if (inTitle.word) matched.add(inTitle.word);
+        if (inText.word) matched.add(inText.word);
+    });
+    if (found < Math.ceil(terms.length / 2)) return null;
+    // The words side by side, as typed
+    if (terms.length > 1 && entry.foldedTitle.includes(foldedQuery)) score += 3;
+    else if (terms.length > 1 && entry.foldedText.includes(foldedQuery)) score += 1;
+    return { entry, found, score, matched: [...matched] };
+}
+
+// [start, end] ranges of the matched words in a folded text, merged and in order
+function highlightRanges(folded, words) {
+    const ranges = [];
+    words.forEach(word => {
+        // Letters may be split by a hyphen in the text, as joined words are
+        const letters = [...word].map(letter => letter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('-?');
+        const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${letters})(?![\\p{L}\\p{N}])`, 'gu');
+        let match;
+        while ((match = pattern.exec(folded))) {
+            const start = match.index + match[1].length;
+            ranges.push([start, start + match[2].length]);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push(range);
+        return merged;
+    }, []);
+}
+
+// Text with the ranges wrapped in <mark>, built as nodes so page text is never parsed as HTML
+function highlightedText(text, ranges, offset = 0) {
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        const from = Math.max(start - offset, 0);
+        const to = Math.min(end - offset, text.length);
+        if (to <= from || from < position) return;
+        fragment.append(text.slice(position, from));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(from, to);
+        fragment.append(mark);
+        position = to;
+    });
+    fragment.append(text.slice(position));
+    return fragment;
+}
+
+// The part of the text around the first match, cut at word boundaries
+function searchSnippet(text, ranges) {
+    if (text.length <= SEARCH_SNIPPET_LENGTH) return { text, offset: 0 };
+    let start = ranges.length ? Math.max(ranges[0][0] - 40, 0) : 0;
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    let end = Math.min(start + SEARCH_SNIPPET_LENGTH, text.length);
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+    return {
+        text: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+        offset: start - (start > 0 ? 1 : 0)
+    };
+}
+
+function initSiteSearch() {
+    const toggles = document.querySelectorAll('.search-toggle');
+    if (!toggles.length) return;
+
+    const i18n = window.LinkwaveI18n || { lang: 'en', t: key => key };
+    const t = i18n.t;
+    const indexUrl = new URL(i18n.lang === 'en' ? 'search-index.json' : `${i18n.lang}/search-index.json`, SEARCH_ROOT_URL);
+    let indexRequest = null;
+    let lastToggle = null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'site-search';
+    overlay.hidden = true;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', t('search.label'));
+
+    const panel = document.createElement('div');
+    panel.className = 'site-search__panel';
+
+    const form = document.createElement('form');
+    form.className = 'site-search__form';
+    form.setAttribute('role', 'search');
+
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.className = 'site-search__input';
+    input.placeholder = t('search.placeholder');
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', t('search.label'));
+    input.setAttribute('aria-controls', 'site-search-results');
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'site-search__close';
+    closeButton.setAttribute('aria-label', t('search.close'));
+    closeButton.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+
+    const status = document.createElement('p');
+    status.className = 'site-search__status';
+    status.setAttribute('role', 'status');
+
+    const results = document.createElement('ul');
+    results.className = 'site-search__results';
+    results.id = 'site-search-results';
+
+    form.append(input, closeButton);
+    panel.append(form, status, results);
+    overlay.append(panel);
+    document.body.append(overlay);
+
+    // Fetched on first use; a failed request is tried again the next time
+    function loadIndex() {
+        if (!indexRequest) {
+            indexRequest = fetch(indexUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Search index request failed (${response.status})`);
+                    return response.json();
+                })
+                .then(data => data.entries.map(entry => {
+                    const foldedTitle = foldSearchText(entry.title);
+                    const foldedText = foldSearchText(entry.text);
+                    return {
+                        ...entry,
+                        foldedTitle,
+                        foldedText,
+                        titleWords: [...new Set(searchWords(foldSearchText(`${entry.title} ${entry.tag || ''}`)))],
+                        textWords: [...new Set(searchWords(foldSearchText(`${entry.text} ${entry.page}`)))]
+                    };
+                }))
+                .catch(error => {
+                    indexRequest = null;
+                    throw error;
+                });
+        }
+        return indexRequest;
+    }
+
+    function search(entries, query) {
+        const foldedQuery = searchWords(foldSearchText(query)).join(' ');
+        const terms = [...new Set(foldedQuery.split(' ').filter(term => term.length > 1))];
+        if (!terms.length) return [];
+        // Only the best entry for each link, e.g. a page or its opening section
+        const seen = new Set();
+        return entries
+            .map(entry => scoreSearchEntry(entry, terms, foldedQuery))
+            .filter(Boolean)
+            .sort((a, b) => b.found - a.found || b.score - a.score)
+            .filter(result => !seen.has(result.entry.url) && seen.add(result.entry.url))
+            .slice(0, SEARCH_MAX_RESULTS);
+    }
+
+    // Context under the title: the vertical of a project, the page a section belongs to
+    function resultMeta(entry) {
+        if (entry.type === 'page') return t('search.type.page');
+        if (entry.type === 'faq') return `${t('search.type.faq')} · ${entry.page}`;
+        if (entry.type === 'project') return [t('search.type.project'), entry.tag].filter(Boolean).join(' · ');
+        return entry.page;
+    }
+
+    function renderResult({ entry, matched }) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.className = 'site-search__result';
+        link.href = new URL(entry.url, SEARCH_ROOT_URL).href;
+
+        const meta = document.createElement('span');
+        meta.className = 'site-search__meta';
+        meta.textContent = resultMeta(entry);
+
+        const title = document.createElement('span');
+        title.className = 'site-search__title';
+        title.append(highlightedText(entry.title, highlightRanges(entry.foldedTitle, matched)));
+
+        link.append(meta, title);
+        if (entry.text) {
+            const ranges = highlightRanges(entry.foldedText, matched);
+            const snippet = searchSnippet(entry.text, ranges);
+            const text = document.createElement('span');
+            text.className = 'site-search__snippet';
+            text.append(highlightedText(snippet.text, ranges, snippet.offset));
+            link.append(text);
+        }
+        item.append(link);
+        return item;
+    }
+
+    function update() {
+        const query = input.value.trim();
+        if (!query) {
+            results.replaceChildren();
+            status.textContent = '';
+            return;
+        }
+        loadIndex()
+            .then(entries => {
+                // A slower request may finish after the visitor kept typing
+                if (input.value.trim() !== query) return;
+                const matches = search(entries, query);
+                results.replaceChildren(...matches.map(renderResult));
+                status.textContent = matches.length
+                    ? t('search.results', { count: matches.length })
+                    : t('search.noResults', { query });
+            })
+            .catch(error => {
+                console.error('Site search failed:', error);
+                results.replaceChildren();
+                status.textContent = t('search.failed');
+            });
+    }
+
+    function open(toggle) {
+        lastToggle = toggle;
+        // Searching from the mobile menu replaces it
+        const mobileMenu = document.querySelector('.mobile-menu-overlay.active');
+        if (mobileMenu) {
+            mobileMenu.classList.remove('active');
+            document.querySelector('.header').classList.remove('mobile-menu-open');
+        }
+        overlay.hidden = false;
+        document.body.style.overflow = 'hidden';
+        input.focus();
+        input.select();
+        if (!input.value.trim()) {
+            status.textContent = '';
+            loadIndex().catch(() => {});
+        }
+    }
+
+    function close() {
+        overlay.hidden = true;
+        document.body.style.overflow = '';
+        if (lastToggle && lastToggle.offsetParent) lastToggle.focus();
+    }
+
+    toggles.forEach(toggle => {
+        toggle.addEventListener('click', function() {
+            open(this);
+        });
+    });
+    closeButton.addEventListener('click', close);
+    input.addEventListener('input', update);
+
+    // Enter opens the best result
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        const first = results.querySelector('.site-search__result');
+        if (first) first.click();
+    });
+
+    overlay.addEventListener('click', function(e) {
+        if (e.target === overlay) close();
+    });
+
+    // Tab and Shift+Tab wrap around inside the open overlay, as in the chat window, so focus never
+    // reaches the page behind it; after a click on the panel's background it starts at the field
+    document.addEventListener('keydown', function(e) {
+        if (overlay.hidden || e.key !== 'Tab') return;
+        const focusable = [input, closeButton, ...results.querySelectorAll('.site-search__result')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (!overlay.contains(active)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+
+    // Escape closes; the arrow keys move between the field and the results
+    overlay.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            close();
+            return;
+        }
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        const stops = [input, ...results.querySelectorAll('.site-search__result')];
+        const current = stops.indexOf(document.activeElement);
+        const next = stops[current + (e.key === 'ArrowDown' ? 1 : -1)];
+        if (next) {
+            e.preventDefault();
+            next.focus();
+        }
+    });
+
+    // A result on this page scrolls to its section the way links from other pages do
+    results.addEventListener('click', function(e) {
+        const link = e.target.closest('.site-search__result');
+        if (!link) return;
+        const target = new URL(link.href);
+        if (target.pathname !== window.location.pathname || !target.hash) {
+            close();
+            return;
+        }
+        e.preventDefault();
+        close();
+        window.location.hash = target.hash;
+        const section = document.getElementById(target.hash.slice(1));
+        if (section) scrollToSection(section);
+    });
+}
+
+// pdf.js for the case study viewer, loaded on first use; the UMD build sets window.pdfjsLib.
+// Served from vendor/pdfjs/ beside this script (npm run build-pdfjs), not a CDN
+const PDFJS_ROOT_URL = new URL('vendor/pdfjs/', (document.currentScript && document.currentScript.src) || window.location.href);
+const PDFJS_URL = new URL('pdf.min.js', PDFJS_ROOT_URL).href;
+const PDFJS_WORKER_URL = new URL('pdf.worker.min.js', PDFJS_ROOT_URL).href;
+let pdfjsRequest = null;
+
+function loadPdfjs() {
+    if (!pdfjsRequest) {
+        pdfjsRequest = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDFJS_URL;
+            script.onload = () => {
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                resolve(window.pdfjsLib);
+            };
+            script.onerror = () => reject(new Error('pdf.js failed to load'));
+            document.head.appendChild(script);
+        }).catch(error => {
+            // Try again next time
+            pdfjsRequest = null;
+            throw error;
+        });
+    }
+    return pdfjsRequest;
+}
+
+// Case study pages: render the PDF into the page, fitted to its width, once the viewer is near the
+// screen. The link in the viewer opens the file itself, for downloads and when pdf.js can't load.
+function initCaseStudyViewer() {
+    const stage = document.querySelector('[data-pdf-viewer]');
+    if (!stage) return;
+
+    const t = (window.LinkwaveI18n || { t: key => key }).t;
+    const link = stage.querySelector('.case-study-viewer__open');
+    const pages = document.createElement('div');
+    pages.className = 'case-study-viewer__pages';
+    const status = document.createElement('p');
+    status.className = 'case-study-viewer__status';
+    status.setAttribute('role', 'status');
+    stage.insertBefore(pages, link);
+    stage.insertBefore(status, link);
+
+    let pdf = null;
+    let renderedWidth = 0;
+
+    // Draw every page at the stage's width, sharp on high-density screens
+    async function renderPages() {
+        const width = pages.clientWidth;
+        const canvases = [];
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const page = await pdf.getPage(number);
+            const scale = (width / page.getViewport({ scale: 1 }).width) * (window.devicePixelRatio || 1);
+            const viewport = page.getViewport({ scale });
+            const canvas = document.createElement('canvas');
+            canvas.className = 'case-study-viewer__page';
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            canvas.setAttribute('role', 'img');
+            canvas.setAttribute('aria-label', t('caseStudy.page', { page: number, count: pdf.numPages }));
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            canvases.push(canvas);
+        }
+        pages.replaceChildren(...canvases);
+        renderedWidth = width;
+    }
+
+    const widthChanged = () => Math.abs(pages.clientWidth - renderedWidth) > 20;
+
+    // One drawing at a time; when the width changed while it ran, it draws again at the new width
+    let drawing = null;
+    function draw() {
+        if (!drawing) {
+            drawing = (async () => {
+                try {
+                    do {
+                        await renderPages();
+                    } while (widthChanged());
+                } finally {
+                    drawing = null;
+                }
+            })();
+        }
+        return drawing;
+    }
+
+    // Only the link is left; nothing is redrawn after this
+    function showFailed() {
+        pdf = null;
+        pages.replaceChildren();
+        status.textContent = t('caseStudy.failed');
+        stage.classList.remove('is-loaded');
+        stage.classList.add('is-failed');
+    }
+
+    function load() {
+        status.textContent = t('caseStudy.loading');
+        stage.classList.remove('is-failed');
+        loadPdfjs()
+            .then(pdfjsLib => pdfjsLib.getDocument(link.href).promise)
+            .then(doc => {
+                pdf = doc;
+                return draw();
+            })
+            .then(() => {
+                status.textContent = '';
+                stage.classList.add('is-loaded');
+            })
+            .catch(showFailed);
+    }
+
+    // Redraw when the width changes (rotating a phone), not on every resize event. A drawing
+    // already under way picks the new width up when it finishes.
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            if (pdf && !drawing && widthChanged()) draw().catch(showFailed);
+        }, 250);
+    });
+
+    if (!('IntersectionObserver' in window)) {
+        load();
+        return;
+    }
+    const observer = new IntersectionObserver(entries => {
+        if (!entries.some(entry => entry.isIntersecting)) return;
+        observer.disconnect();
+        load();
+    }, { rootMargin: '300px 0px' });
+    observer.observe(stage);
+}
+
+// Case study galleries: open a photo full size in a dialog instead of leaving the page
+function initCaseStudyGallery() {
+    const links = document.querySelectorAll('[data-gallery-image]');
+    if (!links.length || typeof HTMLDialogElement === 'undefined') return;
+
+    const t = (window.LinkwaveI18n || { t: key => key }).t;
+    const dialog = document.createElement('dialog');
+    dialog.className = 'gallery-lightbox';
+    const image = document.createElement('img');
+    image.className = 'gallery-lightbox__image';
+    const caption = document.createElement('p');
+    caption.className = 'gallery-lightbox__caption';
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'gallery-lightbox__close';
+    closeButton.setAttribute('aria-label', t('gallery.close'));
+    closeButton.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+    dialog.append(closeButton, image, caption);
+    document.body.appendChild(dialog);
+
+    closeButton.addEventListener('click', () => dialog.close());
+    // A click on the backdrop lands on the dialog itself
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    links.forEach(link => link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const thumbnail = link.querySelector('img');
+        image.src = link.href;
+        image.alt = thumbnail ? thumbnail.alt : '';
+        const figcaption = link.closest('figure') && link.closest('figure').querySelector('figcaption');
+        caption.textContent = figcaption ? figcaption.textContent : '';
+        dialog.showModal();
+    }));
+}
+
+// DAS calculator link budget. Every figure is a typical planning value for one 20 MHz LTE carrier;
+// a site survey replaces them with measurements.
+const DAS_SQFT_PER_M2 = 10.7639;
+// RSRP is measured per resource element: 1200 of them share a 20 MHz carrier's power
+const DAS_RESOURCE_ELEMENTS_DB = 10 * Math.log10(1200);
+const DAS_ANTENNA_GAIN_DBI = 3;
+const DAS_DESIGN_MARGIN_DB = 8; // body loss and fading
+// Walls and room layout set antenna spacing beyond this, whatever the budget allows
+const DAS_MAX_RADIUS_M = 30;
+// Composite power into each ceiling antenna: a passive system spreads one amplifier thin
+const DAS_ANTENNA_POWER_DBM = { passive: 5, active: 15 };
+const DAS_PASSIVE_MAX_OUTPUT_DBM = 33; // a high-power BDA, per carrier
+const DAS_PASSIVE_MAX_AREA_SQFT = 150000;
+const DAS_ANTENNAS_PER_REMOTE = 4;
+const DAS_REMOTE_CABLE_M = 30;
+const DAS_FLOOR_HEIGHT_M = 4;
+const DAS_SPLIT_EXCESS_DB = 0.5; // per two-way split, beyond the 3 dB the split itself costs
+const DAS_CONNECTOR_LOSS_DB = 2;
+// Off-air source: rooftop donor antenna into the amplifier chain
+const DAS_SYSTEM_GAIN_DB = { passive: 80, active: 90 };
+const DAS_DONOR_GAIN_DBI = 12;
+const DAS_DONOR_CABLE_LOSS_DB = 3;
+const DAS_DONOR_MIN_RSRP_DBM = -100; // weaker than this, the amplifiers mostly repeat noise
+// Signal lost entering the building and the indoor path loss exponent, by construction
+const DAS_MATERIALS = {
+    drywall: { penetration: 8, exponent: 2.8 },
+    masonry: { penetration: 12, exponent: 3.1 },
+    concrete: { penetration: 18, exponent: 3.4 },
+    'low-e-glass': { penetration: 25, exponent: 3.0 }
+};
+// Loss of 1/2" plenum coax in dB per 100 m, by band in MHz
+const DAS_CABLE_LOSS = { 600: 5.4, 700: 5.9, 850: 6.6, 1900: 10.2, 2100: 10.8, 2600: 12.2, 3500: 14.5 };
+
+// Splitting one feed to n antennas: 3 dB per halving plus each splitter's own loss
+function dasSplitLoss(count) {
+    return 10 * Math.log10(count) + DAS_SPLIT_EXCESS_DB * Math.ceil(Math.log2(count));
+}
+
+// Antenna layout and amplifier output for one kind of system
+function dasDesign(type, { areaSqft, floors, material, rsrp, band }) {
+    const floorArea = areaSqft / floors / DAS_SQFT_PER_M2;
+    const antennaRsrp = DAS_ANTENNA_POWER_DBM[type] - DAS_RESOURCE_ELEMENTS_DB + DAS_ANTENNA_GAIN_DBI;
+    const pathLoss = antennaRsrp - DAS_DESIGN_MARGIN_DB - rsrp;
+    // Log-distance model: free space loss over the first metre, then the construction's exponent
+    const lossAtOneMetre = 20 * Math.log10(band) - 27.55;
+    const radius = Math.min(DAS_MAX_RADIUS_M,
+        Math.max(1, 10 ** ((pathLoss - lossAtOneMetre) / (10 * DAS_MATERIALS[material].exponent))));
+    // Antennas on a square grid, each covering the square inside its circle
+    const perFloor = Math.max(1, Math.ceil(floorArea / (2 * radius * radius)));
+    const antennas = perFloor * floors;
+    const cableLoss = DAS_CABLE_LOSS[band] / 100;
+
+    // Passive: one amplifier feeds every antenna, up the riser and across the floor to the farthest one.
+    // Active: remote units near the antennas each feed a few of them.
+    const fed = type === 'passive' ? antennas : Math.min(antennas, DAS_ANTENNAS_PER_REMOTE);
+    const cableRun = type === 'passive'
+        ? floors * DAS_FLOOR_HEIGHT_M + 1.5 * Math.sqrt(floorArea)
+        : DAS_REMOTE_CABLE_M;
+    const output = DAS_ANTENNA_POWER_DBM[type] + dasSplitLoss(fed) + cableRun * cableLoss + DAS_CONNECTOR_LOSS_DB;
+    const donor = Math.max(DAS_DONOR_MIN_RSRP_DBM, output - DAS_RESOURCE_ELEMENTS_DB - DAS_SYSTEM_GAIN_DB[type]
+        - DAS_DONOR_GAIN_DBI + DAS_DONOR_CABLE_LOSS_DB);
+
+    return {
+        type,
+        pathLoss,
+        radius,
+        perFloor,
+        antennas,
+        remotes: type === 'active' ? Math.ceil(antennas / DAS_ANTENNAS_PER_REMOTE) : 0,
+        output,
+        donor
+    };
+}
+
+// A passive DAS where one amplifier can drive it and the building isn't too big, active otherwise.
+// reasons are { key, params } for the i18n messages.
+function estimateDas(inputs) {
+    const passive = dasDesign('passive', inputs);
+    const reasons = [];
+    if (passive.output > DAS_PASSIVE_MAX_OUTPUT_DBM) {
+        reasons.push({ key: 'das.powerReason', params: { power: passive.output } });
+    }
+    if (inputs.areaSqft > DAS_PASSIVE_MAX_AREA_SQFT) {
+        reasons.push({ key: 'das.areaReason', params: { area: DAS_PASSIVE_MAX_AREA_SQFT } });
+    }
+    const design = reasons.length > 0 ? dasDesign('active', inputs) : passive;
+    return {
+        ...design,
+        penetration: DAS_MATERIALS[inputs.material].penetration,
+        reasons: reasons.length > 0 ? reasons : [{ key: 'das.passiveReason', params: {} }]
+    };
+}
+
+// learn.html's calculator: estimates as the visitor types, prints a summary, and hands the inputs to
+// the chatbot (on the homepage, through sessionStorage) or to the contact form further down the page
+function initDasCalculator() {
+    const calculator = document.querySelector('[data-das-calculator]');
+    if (!calculator) return;
+
+    const i18n = window.LinkwaveI18n;
+    const t = i18n.t;
+    const number = new Intl.NumberFormat(i18n.lang, { maximumFractionDigits: 0 });
+    const form = calculator.querySelector('.das-calculator__form');
+    const results = calculator.querySelector('.das-calculator__results');
+    const inputList = calculator.querySelector('.das-calculator__inputs');
+    const result = (name) => calculator.querySelector(`[data-das-result="${name}"]`);
+    const contactForm = document.querySelector('form.contact-form');
+    let estimate = null;
+
+    const readInputs = () => ({
+        areaSqft: Number(form.elements.area.value),
+        floors: Number(form.elements.floors.value),
+        material: form.elements.material.value,
+        rsrp: Number(form.elements.rsrp.value),
+        band: Number(form.elements.band.value)
+    });
+
+    const valid = ({ areaSqft, floors, rsrp }) =>
+        areaSqft >= 1000 && areaSqft <= 5000000 &&
+        Number.isInteger(floors) && floors >= 1 && floors <= 150 &&
+        rsrp >= -120 && rsrp <= -70;
+
+    // The form as label/value pairs, with the options' own (translated) text
+    const inputRows = () => [...form.querySelectorAll('.das-calculator__field')].map(field => {
+        const control = field.querySelector('input, select');
+        const value = control.tagName === 'SELECT'
+            ? control.options[control.selectedIndex].text
+            : number.format(Number(control.value));
+        return [field.querySelector('label').textContent.trim(), value];
+    });
+
+    const figureRows = () => [...calculator.querySelectorAll('.das-calculator__figures > div')]
+        .filter(row => !row.hidden)
+        .map(row => [row.querySelector('dt').textContent.trim(), row.querySelector('dd').textContent]);
+
+    function update() {
+        const inputs = readInputs();
+        results.hidden = false;
+        if (!valid(inputs)) {
+            estimate = null;
+            calculator.classList.add('is-invalid');
+            result('system').textContent = '';
+            result('reason').textContent = t('das.invalid');
+            return;
+        }
+        estimate = { inputs, ...estimateDas(inputs) };
+        calculator.classList.remove('is-invalid');
+
+        result('system').textContent = t(`das.${estimate.type}`);
+        result('reason').textContent = estimate.reasons.map(reason => t(reason.key, Object.fromEntries(
+            Object.entries(reason.params).map(([name, value]) => [name, number.format(value)])))).join(' ');
+        result('penetration').textContent = `${estimate.penetration} dB`;
+        result('pathLoss').textContent = `${number.format(estimate.pathLoss)} dB`;
+        result('radius').textContent = `${number.format(estimate.radius)} m`;
+        result('antennas').textContent = t('das.antennas', {
+            count: number.format(estimate.antennas),
+            perFloor: number.format(estimate.perFloor)
+        });
+        result('remotes').textContent = number.format(estimate.remotes);
+        calculator.querySelector('[data-das-active-only]').hidden = estimate.type !== 'active';
+        result('output').textContent = `${number.format(estimate.output)} dBm`;
+        result('donor').textContent = t('das.donor', { rsrp: number.format(estimate.donor) });
+
+        // Shown when printing, so the summary says what it was worked out for
+        inputList.replaceChildren(...inputRows().map(([label, value]) => {
+            const row = document.createElement('div');
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            row.append(term, detail);
+            return row;
+        }));
+    }
+
+    // Plain text summary for the contact form
+    function summaryText() {
+        const rows = [...inputRows(), ...figureRows()].map(([label, value]) => `${label}: ${value}`);
+        return [
+            `${result('system').textContent}. ${result('reason').textContent}`,
+            '',
+            ...rows
+        ].join('\n');
+    }
+
+    form.addEventListener('input', update);
+    form.addEventListener('submit', (e) => e.preventDefault());
+    update();
+
+    calculator.querySelector('[data-das-action="print"]').addEventListener('click', () => {
+        if (!estimate) return;
+        // The print styles only apply while this class is set, so printing the page itself is unchanged
+        document.body.classList.add('das-calculator-printing');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('das-calculator-printing');
+        }, { once: true });
+        window.print();
+    });
+
+    calculator.querySelector('[data-das-action="chat"]').addEventListener('click', (e) => {
+        if (!estimate) {
+            e.preventDefault();
+            return;
+        }
+        const { inputs } = estimate;
+        const message = t('das.chat', {
+            area: number.format(inputs.areaSqft),
+            floors: inputs.floors,
+            material: form.elements.material.options[form.elements.material.selectedIndex].text,
+            band: `${inputs.band} MHz`,
+            rsrp: inputs.rsrp,
+            system: t(`das.${estimate.type}`),
+            antennas: number.format(estimate.antennas)
+        });
+        // Use the chatbot on this page if it has one; otherwise leave the message for the homepage's
+        if (window.linkwaveChatbot) {
+            e.preventDefault();
+            window.linkwaveChatbot.openWithDraft(message);
+            return;
+        }
+        try {
+            sessionStorage.setItem('linkwave_chatbot_draft', message);
+        } catch (error) {
+            console.error('Error saving chat draft:', error);
+        }
+    });
+
+    const contactButton = calculator.querySelector('[data-das-action="contact"]');
+    if (!contactForm) {
+        contactButton.hidden = true;
+        return;
+    }
+    contactButton.addEventListener('click', () => {
+        if (!estimate) return;
+        contactForm.querySelector('[name="subject"]').value = t('das.subject');
+        contactForm.querySelector('[name="message"]').value = summaryText();
+        scrollToSection(contactForm);
+        contactForm.querySelector('[name="name"]').focus({ preventScroll: true });
+    });
 }
 
 // Initialize animations when DOM is loaded
@@ -713,4 +1702,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     initMissionVisionAnimations();
     initFAQAccordion();
+    initSiteSearch();
+    initCaseStudyViewer();
+    initCaseStudyGallery();
+    initDasCalculator();
 }); 
\ No newline at end of file